@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "../interfaces/ISafeLendVault.sol";
+
+// Holds the vaults' CONFIGURATOR_ROLE so every config change sits in a public queue for `delay` before it applies.
+// Risk parameters may only move by a bounded step per change, so no single update can make a large share of
+// borrowers liquidatable at once; a guardian can cancel anything still queued.
+// It also holds the vaults' admin roles, so any other admin call (caps, roles, unpausing) waits in the same queue.
+// Pausing stays with the vaults' guardians, who can act at once.
+contract ConfigTimelock is AccessControl {
+    bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    uint256 public constant MIN_DELAY = 1 hours;
+    uint256 public constant MAX_DELAY = 30 days;
+    // Queued changes that are not executed within this window after their eta go stale
+    uint256 public constant GRACE_PERIOD = 14 days;
+    // setChangeBounds applies at once, so the bounds themselves are capped: one change can never move the collateral
+    // factor, liquidation threshold or bonus by more than 10 percentage points, or the reserve factor by more than 20
+    uint256 public constant MAX_RISK_STEP = 0.1e18;
+    uint256 public constant MAX_RESERVE_FACTOR_STEP = 0.2e18;
+
+    // Both SafeLendVault.updateConfig overloads
+    bytes4 private constant UPDATE_CONFIG_SELECTOR = ISafeLendVault.updateConfig.selector;
+    bytes4 private constant UPDATE_CONFIG_FIELDS_SELECTOR =
+        bytes4(keccak256("updateConfig(uint256,uint256,uint256,uint256,address,address,bool)"));
+
+    // Largest absolute step per change, in the 1e18 units of VaultConfig (0.05e18 = 5 percentage points)
+    struct ChangeBounds {
+        uint256 collateralFactor;
+        uint256 liquidationThreshold;
+        uint256 liquidationBonus;
+        uint256 reserveFactor;
+    }
+
+    struct QueuedConfig {
+        address vault;
+        ISafeLendVault.VaultConfig config;
+        uint256 eta;
+    }
+
+    uint256 public delay;
+    ChangeBounds public changeBounds;
+
+    struct QueuedCall {
+        address target;
+        bytes data;
+        uint256 eta;
+    }
+
+    mapping(bytes32 => QueuedConfig) private queuedConfigs;
+    mapping(bytes32 => QueuedCall) private queuedCalls;
+
+    event ConfigQueued(bytes32 indexed id, address indexed vault, ISafeLendVault.VaultConfig config, uint256 eta);
+    event ConfigExecuted(bytes32 indexed id, address indexed vault, ISafeLendVault.VaultConfig config);
+    event ConfigCancelled(bytes32 indexed id, address indexed vault);
+    event CallQueued(bytes32 indexed id, address indexed target, bytes data, uint256 eta);
+    event CallExecuted(bytes32 indexed id, address indexed target, bytes data);
+    event CallCancelled(bytes32 indexed id, address indexed target);
+    event DelayUpdated(uint256 delay);
+    event ChangeBoundsUpdated(
+        uint256 collateralFactor,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        uint256 reserveFactor
+    );
+
+    constructor(uint256 _delay) {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Invalid delay");
+        delay = _delay;
+        changeBounds = ChangeBounds({
+            collateralFactor: 0.05e18,
+            liquidationThreshold: 0.05e18,
+            liquidationBonus: 0.05e18,
+            reserveFactor: 0.1e18
+        });
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PROPOSER_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
+
+    function queueConfig(
+        address vault,
+        ISafeLendVault.VaultConfig calldata config
+    ) external onlyRole(PROPOSER_ROLE) returns (bytes32 id) {
+        requireWithinBounds(vault, config);
+
+        uint256 eta = block.timestamp + delay;
+        id = keccak256(abi.encode(vault, config, eta));
+        require(queuedConfigs[id].eta == 0, "Config already queued");
+
+        queuedConfigs[id] = QueuedConfig({vault: vault, config: config, eta: eta});
+
+        emit ConfigQueued(id, vault, config, eta);
+    }
+
+    // Anyone can execute once the delay has passed; bounds are checked again against the config live at that point
+    function executeConfig(bytes32 id) external {
+        QueuedConfig memory queued = queuedConfigs[id];
+        require(queued.eta != 0, "Config not queued");
+        require(block.timestamp >= queued.eta, "Timelock not expired");
+        require(block.timestamp <= queued.eta + GRACE_PERIOD, "Config is stale");
+
+        requireWithinBounds(queued.vault, queued.config);
+        delete queuedConfigs[id];
+
+        ISafeLendVault(queued.vault).updateConfig(queued.config);
+
+        emit ConfigExecuted(id, queued.vault, queued.config);
+    }
+
+    function cancelConfig(bytes32 id) external onlyRole(GUARDIAN_ROLE) {
+        address vault = queuedConfigs[id].vault;
+        require(vault != address(0), "Config not queued");
+
+        delete queuedConfigs[id];
+
+        emit ConfigCancelled(id, vault);
+    }
+
+    function getQueuedConfig(bytes32 id) external view returns (QueuedConfig memory) {
+        return queuedConfigs[id];
+    }
+
+    // Queues any other call the timelock is allowed to make, e.g. vault admin functions. Config updates must use
+    // queueConfig so they stay within the change bounds.
+    function queueCall(address target, bytes calldata data) external onlyRole(PROPOSER_ROLE) returns (bytes32 id) {
+        require(target != address(0), "Invalid target");
+        require(data.length >= 4, "Missing selector");
+        bytes4 selector = bytes4(data[:4]);
+        require(
+            selector != UPDATE_CONFIG_SELECTOR && selector != UPDATE_CONFIG_FIELDS_SELECTOR,
+            "Use queueConfig for config changes"
+        );
+
+        uint256 eta = block.timestamp + delay;
+        id = keccak256(abi.encode(target, data, eta));
+        require(queuedCalls[id].eta == 0, "Call already queued");
+
+        queuedCalls[id] = QueuedCall({target: target, data: data, eta: eta});
+
+        emit CallQueued(id, target, data, eta);
+    }
+
+    // Anyone can execute once the delay has passed; a revert in the target is passed through
+    function executeCall(bytes32 id) external {
+        QueuedCall memory queued = queuedCalls[id];
+        require(queued.eta != 0, "Call not queued");
+        require(block.timestamp >= queued.eta, "Timelock not expired");
+        require(block.timestamp <= queued.eta + GRACE_PERIOD, "Call is stale");
+
+        delete queuedCalls[id];
+
+        Address.functionCall(queued.target, queued.data);
+
+        emit CallExecuted(id, queued.target, queued.data);
+    }
+
+    function cancelCall(bytes32 id) external onlyRole(GUARDIAN_ROLE) {
+        address target = queuedCalls[id].target;
+        require(target != address(0), "Call not queued");
+
+        delete queuedCalls[id];
+
+        emit CallCancelled(id, target);
+    }
+
+    function getQueuedCall(bytes32 id) external view returns (QueuedCall memory) {
+        return queuedCalls[id];
+    }
+
+    // Only affects changes queued afterwards
+    function setDelay(uint256 _delay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "Invalid delay");
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+
+    function setChangeBounds(ChangeBounds calldata bounds) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(
+            bounds.collateralFactor <= MAX_RISK_STEP &&
+                bounds.liquidationThreshold <= MAX_RISK_STEP &&
+                bounds.liquidationBonus <= MAX_RISK_STEP &&
+                bounds.reserveFactor <= MAX_RESERVE_FACTOR_STEP,
+            "Change bounds too large"
+        );
+        changeBounds = bounds;
+        emit ChangeBoundsUpdated(
+            bounds.collateralFactor,
+            bounds.liquidationThreshold,
+            bounds.liquidationBonus,
+            bounds.reserveFactor
+        );
+    }
+
+    function requireWithinBounds(address vault, ISafeLendVault.VaultConfig memory config) internal view {
+        (
+            uint256 collateralFactor,
+            uint256 liquidationThreshold,
+            uint256 liquidationBonus,
+            uint256 reserveFactor,
+            ,
+            ,
+            ,
+
+        ) = ISafeLendVault(vault).config();
+        ChangeBounds memory bounds = changeBounds;
+
+        require(
+            config.collateralFactor <= config.liquidationThreshold,
+            "Collateral factor above liquidation threshold"
+        );
+        require(
+            absoluteChange(collateralFactor, config.collateralFactor) <= bounds.collateralFactor,
+            "Collateral factor change too large"
+        );
+        require(
+            absoluteChange(liquidationThreshold, config.liquidationThreshold) <= bounds.liquidationThreshold,
+            "Liquidation threshold change too large"
+        );
+        require(
+            absoluteChange(liquidationBonus, config.liquidationBonus) <= bounds.liquidationBonus,
+            "Liquidation bonus change too large"
+        );
+        require(
+            absoluteChange(reserveFactor, config.reserveFactor) <= bounds.reserveFactor,
+            "Reserve factor change too large"
+        );
+    }
+
+    function absoluteChange(uint256 current, uint256 next) internal pure returns (uint256) {
+        return next > current ? next - current : current - next;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISafeLendVault.sol";
+
+// Splits protocol revenue between payees by weight. Holding a vault's TREASURY_ROLE, it can pull that vault's
+// reserves and pay them out in one call; any token sent to it directly is split the same way.
+contract FeeSplitter is Ownable {
+    using SafeERC20 for IERC20;
+
+    struct Payee {
+        address account;
+        uint256 weight;
+    }
+
+    uint256 public constant MAX_PAYEES = 10;
+
+    Payee[] private payees;
+    uint256 public totalWeight;
+
+    event PayeesUpdated(address[] accounts, uint256[] weights);
+    event FeesDistributed(address indexed token, uint256 amount);
+    event PaymentReleased(address indexed token, address indexed payee, uint256 amount);
+
+    constructor(address[] memory accounts, uint256[] memory weights) Ownable(msg.sender) {
+        setPayeesInternal(accounts, weights);
+    }
+
+    // Withdraws `amount` of the vault's reserves into the splitter and distributes them
+    function collectReserves(address vault, uint256 amount) external onlyOwner returns (uint256) {
+        ISafeLendVault(vault).reduceReserves(amount, address(this));
+        return distribute(ISafeLendVault(vault).asset());
+    }
+
+    // Pays out the splitter's whole balance of `token`; rounding dust goes to the last payee
+    function distribute(address token) public returns (uint256 amount) {
+        amount = IERC20(token).balanceOf(address(this));
+        require(amount > 0, "Nothing to distribute");
+
+        uint256 remaining = amount;
+        uint256 lastIndex = payees.length - 1;
+        for (uint256 i = 0; i < lastIndex; i++) {
+            uint256 share = (amount * payees[i].weight) / totalWeight;
+            remaining -= share;
+            release(token, payees[i].account, share);
+        }
+        release(token, payees[lastIndex].account, remaining);
+
+        emit FeesDistributed(token, amount);
+    }
+
+    function setPayees(address[] calldata accounts, uint256[] calldata weights) external onlyOwner {
+        setPayeesInternal(accounts, weights);
+    }
+
+    function getPayees() external view returns (Payee[] memory) {
+        return payees;
+    }
+
+    function release(address token, address payee, uint256 amount) internal {
+        if (amount > 0) {
+            IERC20(token).safeTransfer(payee, amount);
+            emit PaymentReleased(token, payee, amount);
+        }
+    }
+
+    function setPayeesInternal(address[] memory accounts, uint256[] memory weights) internal {
+        require(accounts.length == weights.length, "Length mismatch");
+        require(accounts.length > 0 && accounts.length <= MAX_PAYEES, "Invalid payee count");
+
+        delete payees;
+        uint256 weightSum;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "Invalid payee");
+            require(weights[i] > 0, "Invalid weight");
+            payees.push(Payee({account: accounts[i], weight: weights[i]}));
+            weightSum += weights[i];
+        }
+        totalWeight = weightSum;
+
+        emit PayeesUpdated(accounts, weights);
+    }
+}
\ No newline at end of file
@@ -3,116 +3,313 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "../interfaces/ILendingPool.sol";
 import "../interfaces/IInterestRateModel.sol";
+import "../libraries/InterestMath.sol";
 
+// Holds the underlying of every listed reserve for registered vaults. Each vault's uncommitted cash is tracked in
+// `supplyBalances`; borrows are tracked per borrower against the reserve's cumulative borrow index, so the pool is
+// the source of truth for the rate. All interest goes to suppliers: every supplier is a vault, and vaults take their
+// own reserve cut, so a second cut here would count reserve interest twice.
 contract LendingPool is ILendingPool, Ownable, ReentrancyGuard {
-    ReserveData public reserveData;
-    IInterestRateModel public interestRateModel;
+    using SafeERC20 for IERC20;
 
-    uint256 private constant SECONDS_PER_YEAR = 365 days;
+    mapping(address => ReserveData) private reserves;
+    address[] private reservesList;
 
-    constructor(address _interestRateModel) Ownable(msg.sender) {
-        interestRateModel = IInterestRateModel(_interestRateModel);
-        reserveData.isActive = true;
-        reserveData.lastUpdateTimestamp = block.timestamp;
-        reserveData.interestRateModel = _interestRateModel;
+    mapping(address => bool) public registeredVaults;
+    mapping(address => mapping(address => uint256)) public supplyBalances;
+    // asset => vault => borrower; each vault's positions are separate debts even for the same borrower
+    mapping(address => mapping(address => mapping(address => BorrowSnapshot))) public borrowSnapshots;
+
+    uint256 private constant FACTOR_PRECISION = 1e18;
+
+    modifier onlyRegisteredVault() {
+        require(registeredVaults[msg.sender], "Caller is not a registered vault");
+        _;
     }
 
-    function updateReserveData() external override {
-        accrueInterest();
+    modifier onlyListedReserve(address asset) {
+        require(reserves[asset].borrowIndex != 0, "Reserve not initialized");
+        _;
+    }
 
-        uint256 cash = reserveData.availableLiquidity;
-        uint256 borrows = reserveData.totalBorrows;
-        uint256 reserves = 0;
+    constructor() Ownable(msg.sender) {}
 
-        reserveData.utilizationRate = interestRateModel.utilizationRate(cash, borrows, reserves);
-        reserveData.borrowRate = interestRateModel.getBorrowRate(cash, borrows, reserves);
-        reserveData.supplyRate = interestRateModel.getSupplyRate(cash, borrows, reserves, 1e17);
+    function initReserve(
+        address asset,
+        address interestRateModel,
+        ReserveCaps calldata caps
+    ) external onlyOwner {
+        require(asset != address(0), "Invalid asset");
+        require(reserves[asset].borrowIndex == 0, "Reserve already initialized");
+        require(interestRateModel != address(0), "Invalid interest rate model");
 
-        reserveData.lastUpdateTimestamp = block.timestamp;
+        ReserveData storage reserve = reserves[asset];
+        reserve.borrowIndex = FACTOR_PRECISION;
+        reserve.supplyCap = caps.supplyCap;
+        reserve.borrowCap = caps.borrowCap;
+        reserve.interestRateModel = interestRateModel;
+        reserve.isActive = true;
+        reserve.lastUpdateTimestamp = block.timestamp;
 
-        emit ReserveDataUpdated(
-            reserveData.totalSupply,
-            reserveData.totalBorrows,
-            reserveData.utilizationRate,
-            reserveData.borrowRate,
-            reserveData.supplyRate
-        );
+        reservesList.push(asset);
+
+        emit ReserveInitialized(asset, interestRateModel, caps.supplyCap, caps.borrowCap);
+        updateRates(asset);
+    }
+
+    function updateReserveData(address asset) external override onlyListedReserve(asset) {
+        accrueInterest(asset);
+        updateRates(asset);
     }
 
-    function accrueInterest() public override {
-        if (block.timestamp == reserveData.lastUpdateTimestamp) {
+    function accrueInterest(address asset) public override onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        uint256 timeDelta = block.timestamp - reserve.lastUpdateTimestamp;
+        if (timeDelta == 0) {
             return;
         }
 
-        uint256 timeDelta = block.timestamp - reserveData.lastUpdateTimestamp;
-        uint256 borrowInterest = calculateCompoundInterest(reserveData.borrowRate, timeDelta);
-        uint256 totalBorrowsNew = (reserveData.totalBorrows * borrowInterest) / 1e18;
-
-        uint256 interestAccumulated = totalBorrowsNew - reserveData.totalBorrows;
+        uint256 borrowRatePerSecond = IInterestRateModel(reserve.interestRateModel).updateRate(
+            reserve.availableLiquidity,
+            reserve.totalBorrows,
+            0
+        );
+        uint256 interestFactor = InterestMath.calculateCompoundedInterest(borrowRatePerSecond, timeDelta) -
+            FACTOR_PRECISION;
+        uint256 interestAccumulated = (reserve.totalBorrows * interestFactor) / FACTOR_PRECISION;
 
-        reserveData.totalBorrows = totalBorrowsNew;
-        reserveData.totalSupply += interestAccumulated;
+        reserve.totalBorrows += interestAccumulated;
+        reserve.totalSupply += interestAccumulated;
+        reserve.borrowIndex += (reserve.borrowIndex * interestFactor) / FACTOR_PRECISION;
 
-        reserveData.lastUpdateTimestamp = block.timestamp;
+        reserve.lastUpdateTimestamp = block.timestamp;
     }
 
-    function calculateInterest(address user) external view override returns (uint256) {
-        uint256 timeDelta = block.timestamp - reserveData.lastUpdateTimestamp;
-        uint256 borrowInterest = calculateCompoundInterest(reserveData.borrowRate, timeDelta);
-        return borrowInterest;
+    // Interest the user has accrued since their balance was last settled
+    function calculateInterest(address asset, address vault, address user) external view override returns (uint256) {
+        return getUserDebt(asset, vault, user) - borrowSnapshots[asset][vault][user].principal;
     }
 
-    function calculateCompoundInterest(uint256 rate, uint256 timeDelta) internal pure returns (uint256) {
-        uint256 ratePerSecond = rate / SECONDS_PER_YEAR;
-        uint256 compound = 1e18 + (ratePerSecond * timeDelta);
+    function getUserDebt(address asset, address vault, address user) public view override returns (uint256) {
+        BorrowSnapshot memory snapshot = borrowSnapshots[asset][vault][user];
+        if (snapshot.principal == 0) {
+            return 0;
+        }
+        return (snapshot.principal * getCurrentBorrowIndex(asset)) / snapshot.borrowIndex;
+    }
 
-        for (uint256 i = 0; i < 3; i++) {
-            compound = (compound * compound) / 1e18;
-            if (compound <= 1e18) break;
+    // Borrow index including interest accrued since the last update
+    function getCurrentBorrowIndex(address asset) public view override returns (uint256) {
+        ReserveData storage reserve = reserves[asset];
+        uint256 timeDelta = block.timestamp - reserve.lastUpdateTimestamp;
+        if (timeDelta == 0) {
+            return reserve.borrowIndex;
         }
 
-        return compound;
+        uint256 borrowRatePerSecond = IInterestRateModel(reserve.interestRateModel).getBorrowRatePerSecond(
+            reserve.availableLiquidity,
+            reserve.totalBorrows,
+            0
+        );
+        return (reserve.borrowIndex * InterestMath.calculateCompoundedInterest(borrowRatePerSecond, timeDelta)) /
+            FACTOR_PRECISION;
+    }
+
+    function getReserveData(address asset) external view override returns (ReserveData memory) {
+        return reserves[asset];
+    }
+
+    function getReservesList() external view override returns (address[] memory) {
+        return reservesList;
+    }
+
+    function setReserveInterestRateModel(address asset, address newModel) external onlyOwner onlyListedReserve(asset) {
+        require(newModel != address(0), "Invalid interest rate model");
+        accrueInterest(asset);
+
+        ReserveData storage reserve = reserves[asset];
+        reserve.interestRateModel = newModel;
+
+        emit ReserveConfigUpdated(asset, newModel, reserve.supplyCap, reserve.borrowCap);
+        updateRates(asset);
+    }
+
+    function setReserveCaps(address asset, ReserveCaps calldata caps) external onlyOwner onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        reserve.supplyCap = caps.supplyCap;
+        reserve.borrowCap = caps.borrowCap;
+
+        emit ReserveConfigUpdated(asset, reserve.interestRateModel, caps.supplyCap, caps.borrowCap);
+    }
+
+    // Inactive reserves reject every action; frozen reserves still allow withdrawals and repayments
+    function setReserveActive(address asset, bool active) external onlyOwner onlyListedReserve(asset) {
+        reserves[asset].isActive = active;
+        emit ReserveStatusUpdated(asset, active, reserves[asset].isFrozen);
+    }
+
+    function setReserveFrozen(address asset, bool frozen) external onlyOwner onlyListedReserve(asset) {
+        reserves[asset].isFrozen = frozen;
+        emit ReserveStatusUpdated(asset, reserves[asset].isActive, frozen);
     }
 
-    function getReserveData() external view override returns (ReserveData memory) {
-        return reserveData;
+    function registerVault(address vault, bool registered) external onlyOwner {
+        require(vault != address(0), "Invalid vault");
+        registeredVaults[vault] = registered;
+        emit VaultRegistered(vault, registered);
     }
 
-    function updateInterestRateModel(address newModel) external onlyOwner {
-        interestRateModel = IInterestRateModel(newModel);
-        reserveData.interestRateModel = newModel;
+    function deposit(
+        address asset,
+        uint256 amount
+    ) external override nonReentrant onlyRegisteredVault onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        require(reserve.isActive, "Reserve is not active");
+        require(!reserve.isFrozen, "Reserve is frozen");
+        require(amount > 0, "Amount must be greater than 0");
+        accrueInterest(asset);
+        require(
+            reserve.supplyCap == 0 || reserve.totalSupply + amount <= reserve.supplyCap,
+            "Supply cap exceeded"
+        );
+
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+
+        supplyBalances[asset][msg.sender] += amount;
+        reserve.availableLiquidity += amount;
+        reserve.totalSupply += amount;
+
+        emit Supply(asset, msg.sender, amount);
+        updateRates(asset);
     }
 
-    function setReserveActive(bool active) external onlyOwner {
-        reserveData.isActive = active;
+    function withdraw(
+        address asset,
+        uint256 amount,
+        address to
+    ) external override nonReentrant onlyRegisteredVault onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        require(reserve.isActive, "Reserve is not active");
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= supplyBalances[asset][msg.sender], "Insufficient liquidity");
+        accrueInterest(asset);
+
+        supplyBalances[asset][msg.sender] -= amount;
+        reserve.availableLiquidity -= amount;
+        reserve.totalSupply = reserve.totalSupply > amount ? reserve.totalSupply - amount : 0;
+
+        IERC20(asset).safeTransfer(to, amount);
+
+        emit Withdraw(asset, msg.sender, to, amount);
+        updateRates(asset);
     }
 
-    function addLiquidity(uint256 amount) external nonReentrant {
-        require(reserveData.isActive, "Reserve is not active");
-        reserveData.availableLiquidity += amount;
-        reserveData.totalSupply += amount;
+    // Lends out of the calling vault's own cash; the borrower's debt is then tracked against the reserve index
+    function borrow(
+        address asset,
+        address borrower,
+        uint256 amount,
+        address to
+    ) external override nonReentrant onlyRegisteredVault onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        require(reserve.isActive, "Reserve is not active");
+        require(!reserve.isFrozen, "Reserve is frozen");
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= supplyBalances[asset][msg.sender], "Insufficient liquidity");
+        accrueInterest(asset);
+        require(
+            reserve.borrowCap == 0 || reserve.totalBorrows + amount <= reserve.borrowCap,
+            "Borrow cap exceeded"
+        );
+
+        BorrowSnapshot storage snapshot = borrowSnapshots[asset][msg.sender][borrower];
+        snapshot.principal = settledDebt(snapshot, reserve.borrowIndex) + amount;
+        snapshot.borrowIndex = reserve.borrowIndex;
+
+        supplyBalances[asset][msg.sender] -= amount;
+        reserve.availableLiquidity -= amount;
+        reserve.totalBorrows += amount;
+
+        IERC20(asset).safeTransfer(to, amount);
+
+        emit Borrow(asset, msg.sender, borrower, to, amount);
+        updateRates(asset);
     }
 
-    function removeLiquidity(uint256 amount) external nonReentrant {
-        require(reserveData.isActive, "Reserve is not active");
-        require(amount <= reserveData.availableLiquidity, "Insufficient liquidity");
-        reserveData.availableLiquidity -= amount;
-        reserveData.totalSupply -= amount;
+    function repay(
+        address asset,
+        address borrower,
+        uint256 amount
+    ) external override nonReentrant onlyRegisteredVault onlyListedReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        require(reserve.isActive, "Reserve is not active");
+        require(amount > 0, "Amount must be greater than 0");
+        accrueInterest(asset);
+
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+
+        // Vault and pool round independently, so a repayment may exceed the pool's view of the debt by a few wei
+        BorrowSnapshot storage snapshot = borrowSnapshots[asset][msg.sender][borrower];
+        uint256 debt = settledDebt(snapshot, reserve.borrowIndex);
+        snapshot.principal = debt > amount ? debt - amount : 0;
+        snapshot.borrowIndex = reserve.borrowIndex;
+
+        supplyBalances[asset][msg.sender] += amount;
+        reserve.availableLiquidity += amount;
+        reserve.totalBorrows = reserve.totalBorrows > amount ? reserve.totalBorrows - amount : 0;
+
+        emit Repay(asset, msg.sender, borrower, amount);
+        updateRates(asset);
     }
 
-    function addBorrow(uint256 amount) external nonReentrant {
-        require(reserveData.isActive, "Reserve is not active");
-        require(amount <= reserveData.availableLiquidity, "Insufficient liquidity");
-        reserveData.availableLiquidity -= amount;
-        reserveData.totalBorrows += amount;
+    // Drops a borrower's debt the vault could not recover; suppliers of the reserve take the loss
+    function writeOffDebt(
+        address asset,
+        address borrower
+    ) external override nonReentrant onlyRegisteredVault onlyListedReserve(asset) returns (uint256 debt) {
+        ReserveData storage reserve = reserves[asset];
+        accrueInterest(asset);
+
+        BorrowSnapshot storage snapshot = borrowSnapshots[asset][msg.sender][borrower];
+        debt = settledDebt(snapshot, reserve.borrowIndex);
+        snapshot.principal = 0;
+        snapshot.borrowIndex = reserve.borrowIndex;
+
+        reserve.totalBorrows = reserve.totalBorrows > debt ? reserve.totalBorrows - debt : 0;
+        reserve.totalSupply = reserve.totalSupply > debt ? reserve.totalSupply - debt : 0;
+
+        emit DebtWrittenOff(asset, msg.sender, borrower, debt);
+        updateRates(asset);
     }
 
-    function repayBorrow(uint256 amount) external nonReentrant {
-        require(reserveData.isActive, "Reserve is not active");
-        reserveData.availableLiquidity += amount;
-        reserveData.totalBorrows = reserveData.totalBorrows > amount ?
-            reserveData.totalBorrows - amount : 0;
+    function settledDebt(BorrowSnapshot memory snapshot, uint256 index) internal pure returns (uint256) {
+        if (snapshot.principal == 0) {
+            return 0;
+        }
+        return (snapshot.principal * index) / snapshot.borrowIndex;
+    }
+
+    function updateRates(address asset) internal {
+        ReserveData storage reserve = reserves[asset];
+        IInterestRateModel model = IInterestRateModel(reserve.interestRateModel);
+        uint256 cash = reserve.availableLiquidity;
+        uint256 borrows = reserve.totalBorrows;
+
+        reserve.utilizationRate = model.utilizationRate(cash, borrows, 0);
+        reserve.borrowRate = model.getBorrowRatePerSecond(cash, borrows, 0);
+        reserve.supplyRate = model.getSupplyRatePerSecond(cash, borrows, 0, 0);
+
+        emit ReserveDataUpdated(
+            asset,
+            reserve.totalSupply,
+            reserve.totalBorrows,
+            reserve.utilizationRate,
+            reserve.borrowRate,
+            reserve.supplyRate
+        );
     }
 }
\ No newline at end of file
@@ -4,11 +4,16 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
 import "../interfaces/ISafeLendVault.sol";
+import "../interfaces/IPriceOracle.sol";
+import "../interfaces/ISwapAdapter.sol";
 import "../libraries/LiquidationMath.sol";
 
-contract Liquidator is AccessControl, ReentrancyGuard {
+contract Liquidator is AccessControl, ReentrancyGuard, IERC3156FlashBorrower {
     using SafeERC20 for IERC20;
 
     bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
@@ -23,13 +28,38 @@ contract Liquidator is AccessControl, ReentrancyGuard {
         address liquidator;
     }
 
+    // Outcome of one batch item; `revertReason` holds the raw revert data when `success` is false
+    struct BatchLiquidationResult {
+        bool success;
+        uint256 debtCovered;
+        uint256 collateralReceived;
+        bytes revertReason;
+    }
+
+    struct LiquidationQuote {
+        address borrower;
+        uint256 debtRepaid;
+        uint256 collateralSeized;
+        uint256 expectedProfit;
+        bool canLiquidate;
+    }
+
     mapping(address => LiquidationData[]) public liquidationHistory;
     mapping(address => bool) public authorizedVaults;
+    // ERC-3156 lenders flashLiquidate may borrow from
+    mapping(address => bool) public trustedFlashLenders;
 
     uint256 public totalLiquidations;
     uint256 public minProfitThreshold = 1e16;
     bool public emergencyStop = false;
 
+    // Used by flashLiquidate when the keeper does not pass an adapter
+    address public defaultSwapAdapter;
+    // Hash of the lender, token, amount and callback data of the flash loan in progress; the callback must match it
+    bytes32 private activeFlashLoan;
+
+    bytes32 private constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
     event LiquidationExecuted(
         address indexed vault,
         address indexed borrower,
@@ -38,9 +68,29 @@ contract Liquidator is AccessControl, ReentrancyGuard {
         uint256 collateralReceived
     );
 
+    event FlashLiquidationExecuted(
+        address indexed vault,
+        address indexed borrower,
+        address indexed liquidator,
+        address lender,
+        uint256 debtCovered,
+        uint256 collateralReceived,
+        uint256 profit
+    );
+
+    event BatchLiquidationSettled(
+        address indexed liquidator,
+        uint256 funding,
+        uint256 debtCovered,
+        uint256 refunded,
+        uint256 failed
+    );
+
     event VaultAuthorized(address indexed vault, bool authorized);
     event EmergencyStopToggled(bool stopped);
     event MinProfitThresholdUpdated(uint256 newThreshold);
+    event DefaultSwapAdapterUpdated(address indexed swapAdapter);
+    event FlashLenderTrusted(address indexed lender, bool trusted);
 
     modifier notEmergencyStopped() {
         require(!emergencyStop, "Emergency stop activated");
@@ -69,13 +119,13 @@ contract Liquidator is AccessControl, ReentrancyGuard {
         uint256 healthFactor = vaultContract.getUserHealthFactor(borrower);
         require(healthFactor < 1e18, "Position is healthy");
 
-        // Get position details to know how much debt to repay
-        ISafeLendVault.Position memory position = vaultContract.getPosition(borrower);
-        uint256 totalDebt = position.borrowedAmount + position.accumulatedInterest;
+        // Get the up-to-date debt to know how much to repay
+        uint256 totalDebt = vaultContract.getUserDebt(borrower);
         uint256 maxDebtToRepay = (totalDebt * 110) / 100; // Add 10% buffer for any additional interest
 
-        // Get the asset from the vault
-        IERC20 asset = vaultContract.asset();
+        // Get the debt asset and the collateral asset from the vault
+        IERC20 asset = IERC20(vaultContract.asset());
+        IERC20 collateral = vaultContract.collateralAsset();
 
         // Transfer tokens from keeper to this contract (with buffer for interest)
         asset.transferFrom(msg.sender, address(this), maxDebtToRepay);
@@ -83,10 +133,13 @@ contract Liquidator is AccessControl, ReentrancyGuard {
         // Approve vault to take tokens from this contract
         asset.approve(vault, maxDebtToRepay);
 
-        uint256 collateralReceived = vaultContract.liquidate(borrower);
+        uint256 assetBefore = asset.balanceOf(address(this));
+        // The vault caps the repayment at its close factor
+        uint256 collateralReceived = liquidationCall(vaultContract)(borrower, type(uint256).max, address(this));
+        uint256 debtCovered = assetBefore - asset.balanceOf(address(this));
 
         // Transfer collateral received back to the keeper
-        asset.transfer(msg.sender, collateralReceived);
+        collateral.safeTransfer(msg.sender, collateralReceived);
 
         // Transfer any remaining tokens back to the keeper
         uint256 remainingBalance = asset.balanceOf(address(this));
@@ -94,85 +147,176 @@ contract Liquidator is AccessControl, ReentrancyGuard {
             asset.transfer(msg.sender, remainingBalance);
         }
 
-        LiquidationData memory data = LiquidationData({
-            vault: vault,
-            borrower: borrower,
-            debtToCover: totalDebt / 2,  // Actual debt covered (50% close factor)
-            collateralReceived: collateralReceived,
-            timestamp: block.timestamp,
-            liquidator: msg.sender
-        });
+        recordLiquidation(vault, borrower, msg.sender, debtCovered, collateralReceived);
 
-        liquidationHistory[borrower].push(data);
-        totalLiquidations++;
+        return collateralReceived;
+    }
+
+    // Liquidates without keeper capital: borrows the repay amount from an ERC-3156 lender, swaps the seized
+    // collateral back into the debt asset, repays the loan and sends only the profit to the keeper
+    function flashLiquidate(
+        address vault,
+        address borrower,
+        address lender,
+        address swapAdapter,
+        bytes calldata swapData
+    ) external nonReentrant notEmergencyStopped onlyAuthorizedVault(vault) returns (uint256 profit) {
+        require(hasRole(KEEPER_ROLE, msg.sender) || isPublicLiquidation(), "Not authorized");
+        require(trustedFlashLenders[lender], "Lender not trusted");
+        if (swapAdapter == address(0)) {
+            swapAdapter = defaultSwapAdapter;
+        }
+        require(swapAdapter != address(0), "No swap adapter");
+
+        ISafeLendVault vaultContract = ISafeLendVault(vault);
+        require(vaultContract.getUserHealthFactor(borrower) < 1e18, "Position is healthy");
 
-        emit LiquidationExecuted(vault, borrower, msg.sender, totalDebt / 2, collateralReceived);
+        IERC20 asset = IERC20(vaultContract.asset());
+        uint256 balanceBefore = asset.balanceOf(address(this));
 
-        return collateralReceived;
+        // Debt including pending interest, so this matches what the vault will accrue in this block
+        uint256 repayAmount = vaultContract.getMaxLiquidationRepay(borrower);
+
+        bytes memory data = abi.encode(vault, borrower, msg.sender, swapAdapter, swapData);
+        activeFlashLoan = keccak256(abi.encode(lender, address(asset), repayAmount, data));
+        IERC3156FlashLender(lender).flashLoan(this, address(asset), repayAmount, data);
+        require(activeFlashLoan == bytes32(0), "Flash loan not executed");
+
+        profit = asset.balanceOf(address(this)) - balanceBefore;
+        require(profit >= minProfitThreshold, "Profit below threshold");
+
+        asset.safeTransfer(msg.sender, profit);
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        // Only the loan flashLiquidate requested is accepted: same lender, token, amount, vault, borrower and adapter
+        require(
+            initiator == address(this) &&
+                activeFlashLoan != bytes32(0) &&
+                keccak256(abi.encode(msg.sender, token, amount, data)) == activeFlashLoan,
+            "Untrusted flash loan"
+        );
+        activeFlashLoan = bytes32(0);
+
+        (address vault, address borrower, address keeper, address swapAdapter, bytes memory swapData) =
+            abi.decode(data, (address, address, address, address, bytes));
+        ISafeLendVault vaultContract = ISafeLendVault(vault);
+        IERC20 asset = IERC20(token);
+        IERC20 collateral = vaultContract.collateralAsset();
+
+        uint256 balanceBeforeLiquidation = asset.balanceOf(address(this));
+        asset.forceApprove(vault, amount);
+        uint256 collateralReceived = liquidationCall(vaultContract)(borrower, amount, address(this));
+        asset.forceApprove(vault, 0);
+        uint256 debtCovered = balanceBeforeLiquidation - asset.balanceOf(address(this));
+
+        // Whatever the vault did not take is still on hand, so the swap only has to cover the debt paid plus the fee
+        collateral.forceApprove(swapAdapter, collateralReceived);
+        uint256 amountOut = ISwapAdapter(swapAdapter).swap(
+            address(collateral),
+            token,
+            collateralReceived,
+            debtCovered + fee,
+            swapData
+        );
+
+        asset.forceApprove(msg.sender, amount + fee);
+
+        recordLiquidation(vault, borrower, keeper, debtCovered, collateralReceived);
+        emit FlashLiquidationExecuted(
+            vault,
+            borrower,
+            keeper,
+            msg.sender,
+            debtCovered,
+            collateralReceived,
+            amountOut - debtCovered - fee
+        );
+
+        return FLASH_LOAN_CALLBACK_SUCCESS;
     }
 
+    // Liquidates positions in vaults that share one debt asset, out of a single `funding` transfer from the keeper.
+    // Each position takes what it needs from the funds left, up to its close factor, and its collateral goes straight
+    // to the keeper. Failures are reported per item instead of reverting the batch; unused funds are refunded.
     function batchLiquidate(
         address[] calldata vaults,
-        address[] calldata borrowers
-    ) external nonReentrant notEmergencyStopped returns (uint256[] memory) {
+        address[] calldata borrowers,
+        uint256 funding
+    ) external nonReentrant notEmergencyStopped returns (BatchLiquidationResult[] memory results) {
         require(vaults.length == borrowers.length, "Array length mismatch");
+        require(vaults.length > 0, "Empty batch");
+        require(funding > 0, "No funding");
         require(hasRole(KEEPER_ROLE, msg.sender), "Not authorized for batch");
 
-        uint256[] memory collateralReceived = new uint256[](vaults.length);
+        IERC20 asset = IERC20(ISafeLendVault(vaults[0]).asset());
+        asset.safeTransferFrom(msg.sender, address(this), funding);
+
+        results = new BatchLiquidationResult[](vaults.length);
+        uint256 remaining = funding;
+        uint256 failed;
 
         for (uint256 i = 0; i < vaults.length; i++) {
-            if (!authorizedVaults[vaults[i]]) continue;
-
-            ISafeLendVault vaultContract = ISafeLendVault(vaults[i]);
-            uint256 healthFactor = vaultContract.getUserHealthFactor(borrowers[i]);
-
-            if (healthFactor < 1e18) {
-                try vaultContract.liquidate(borrowers[i]) returns (uint256 collateral) {
-                    collateralReceived[i] = collateral;
-
-                    LiquidationData memory data = LiquidationData({
-                        vault: vaults[i],
-                        borrower: borrowers[i],
-                        debtToCover: 0,
-                        collateralReceived: collateral,
-                        timestamp: block.timestamp,
-                        liquidator: msg.sender
-                    });
-
-                    liquidationHistory[borrowers[i]].push(data);
-                    totalLiquidations++;
-
-                    emit LiquidationExecuted(vaults[i], borrowers[i], msg.sender, 0, collateral);
-                } catch {
-                    continue;
-                }
+            results[i] = liquidateBatchItem(asset, vaults[i], borrowers[i], remaining);
+            if (results[i].success) {
+                remaining -= results[i].debtCovered;
+            } else {
+                failed++;
             }
         }
 
-        return collateralReceived;
+        if (remaining > 0) {
+            asset.safeTransfer(msg.sender, remaining);
+        }
+
+        emit BatchLiquidationSettled(msg.sender, funding, funding - remaining, remaining, failed);
     }
 
+    // Profit of the largest liquidation the vault would accept now, before gas
     function checkLiquidationOpportunity(
         address vault,
         address borrower
     ) external view returns (bool canLiquidate, uint256 expectedProfit) {
-        if (!authorizedVaults[vault] || emergencyStop) {
-            return (false, 0);
-        }
+        LiquidationQuote memory quote = quoteLiquidation(vault, borrower, 0);
+        return (quote.canLiquidate, quote.expectedProfit);
+    }
 
-        ISafeLendVault vaultContract = ISafeLendVault(vault);
-        uint256 healthFactor = vaultContract.getUserHealthFactor(borrower);
+    // Like checkLiquidationOpportunity, less `gasCost`: the keeper's cost of sending the liquidation, in the vault's
+    // debt asset
+    function checkLiquidationOpportunityAfterGas(
+        address vault,
+        address borrower,
+        uint256 gasCost
+    ) external view returns (bool canLiquidate, uint256 expectedProfit) {
+        LiquidationQuote memory quote = quoteLiquidation(vault, borrower, gasCost);
+        return (quote.canLiquidate, quote.expectedProfit);
+    }
 
-        if (healthFactor >= 1e18) {
-            return (false, 0);
+    // Quotes every borrower on the vault, most profitable first, so keepers can pick targets without a transaction
+    function quoteLiquidations(
+        address vault,
+        address[] calldata borrowers,
+        uint256 gasCost
+    ) external view returns (LiquidationQuote[] memory quotes) {
+        quotes = new LiquidationQuote[](borrowers.length);
+
+        for (uint256 i = 0; i < borrowers.length; i++) {
+            LiquidationQuote memory quote = quoteLiquidation(vault, borrowers[i], gasCost);
+
+            // Insertion sort: lists are keeper-sized, and ties keep their input order
+            uint256 j = i;
+            while (j > 0 && quotes[j - 1].expectedProfit < quote.expectedProfit) {
+                quotes[j] = quotes[j - 1];
+                j--;
+            }
+            quotes[j] = quote;
         }
-
-        ISafeLendVault.Position memory position = vaultContract.getPosition(borrower);
-        uint256 maxLiquidation = position.borrowedAmount / 2;
-
-        expectedProfit = (maxLiquidation * 5) / 100;
-
-        canLiquidate = expectedProfit >= minProfitThreshold;
     }
 
     function authorizeVault(address vault, bool authorized) external onlyRole(DEFAULT_ADMIN_ROLE) {
@@ -194,6 +338,138 @@ contract Liquidator is AccessControl, ReentrancyGuard {
         return liquidationHistory[borrower];
     }
 
+    function setDefaultSwapAdapter(address swapAdapter) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        defaultSwapAdapter = swapAdapter;
+        emit DefaultSwapAdapterUpdated(swapAdapter);
+    }
+
+    function setTrustedFlashLender(address lender, bool trusted) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        trustedFlashLenders[lender] = trusted;
+        emit FlashLenderTrusted(lender, trusted);
+    }
+
+    // Vaults in Dutch-auction mode take bids instead of fixed-bonus liquidations
+    function liquidationCall(
+        ISafeLendVault vaultContract
+    ) internal view returns (function(address, uint256, address) external returns (uint256)) {
+        return vaultContract.auctionMode() ? vaultContract.bid : vaultContract.liquidate;
+    }
+
+    // Amounts come from the vault's own previewLiquidation. Profit is the seized collateral's oracle value in the
+    // debt asset, less the debt repaid and the gas cost.
+    function quoteLiquidation(
+        address vault,
+        address borrower,
+        uint256 gasCost
+    ) internal view returns (LiquidationQuote memory quote) {
+        quote.borrower = borrower;
+        if (!authorizedVaults[vault] || emergencyStop) {
+            return quote;
+        }
+
+        // The preview reverts when the vault would reject the liquidation
+        ISafeLendVault vaultContract = ISafeLendVault(vault);
+        try vaultContract.previewLiquidation(borrower) returns (uint256 debtRepaid, uint256 collateralSeized) {
+            quote.debtRepaid = debtRepaid;
+            quote.collateralSeized = collateralSeized;
+        } catch {
+            return quote;
+        }
+
+        uint256 proceeds = collateralProceeds(vaultContract, quote.collateralSeized);
+        if (quote.debtRepaid == 0 || proceeds <= quote.debtRepaid + gasCost) {
+            return quote;
+        }
+
+        quote.expectedProfit = proceeds - quote.debtRepaid - gasCost;
+        quote.canLiquidate = quote.expectedProfit >= minProfitThreshold;
+    }
+
+    // Oracle value of `collateralAmount` of the vault's collateral, in its debt asset
+    function collateralProceeds(
+        ISafeLendVault vaultContract,
+        uint256 collateralAmount
+    ) internal view returns (uint256) {
+        (, , , , , address oracle, , ) = vaultContract.config();
+        address asset = vaultContract.asset();
+        address collateral = address(vaultContract.collateralAsset());
+        uint256 debtDecimals = IERC20Metadata(asset).decimals();
+        uint256 collateralDecimals = IERC20Metadata(collateral).decimals();
+
+        return LiquidationMath.calculateAmountFromValue(
+            LiquidationMath.calculateCollateralValue(
+                collateralAmount,
+                IPriceOracle(oracle).getAssetPrice(collateral),
+                collateralDecimals
+            ),
+            IPriceOracle(oracle).getAssetPrice(asset),
+            debtDecimals
+        );
+    }
+
+    function liquidateBatchItem(
+        IERC20 asset,
+        address vault,
+        address borrower,
+        uint256 available
+    ) internal returns (BatchLiquidationResult memory result) {
+        if (!authorizedVaults[vault]) {
+            result.revertReason = batchFailure("Vault not authorized");
+            return result;
+        }
+
+        ISafeLendVault vaultContract = ISafeLendVault(vault);
+        if (vaultContract.asset() != address(asset)) {
+            result.revertReason = batchFailure("Debt asset mismatch");
+            return result;
+        }
+        if (available == 0) {
+            result.revertReason = batchFailure("Funding exhausted");
+            return result;
+        }
+
+        uint256 assetBefore = asset.balanceOf(address(this));
+        asset.forceApprove(vault, available);
+
+        try liquidationCall(vaultContract)(borrower, available, msg.sender) returns (uint256 collateralReceived) {
+            result.success = true;
+            result.debtCovered = assetBefore - asset.balanceOf(address(this));
+            result.collateralReceived = collateralReceived;
+            recordLiquidation(vault, borrower, msg.sender, result.debtCovered, collateralReceived);
+        } catch (bytes memory reason) {
+            result.revertReason = reason;
+        }
+
+        asset.forceApprove(vault, 0);
+    }
+
+    // Encodes a skipped item like a require failure, so keepers decode every revert reason the same way
+    function batchFailure(string memory reason) internal pure returns (bytes memory) {
+        return abi.encodeWithSignature("Error(string)", reason);
+    }
+
+    function recordLiquidation(
+        address vault,
+        address borrower,
+        address liquidator,
+        uint256 debtCovered,
+        uint256 collateralReceived
+    ) internal {
+        liquidationHistory[borrower].push(
+            LiquidationData({
+                vault: vault,
+                borrower: borrower,
+                debtToCover: debtCovered,
+                collateralReceived: collateralReceived,
+                timestamp: block.timestamp,
+                liquidator: liquidator
+            })
+        );
+        totalLiquidations++;
+
+        emit LiquidationExecuted(vault, borrower, liquidator, debtCovered, collateralReceived);
+    }
+
     function isPublicLiquidation() internal view returns (bool) {
         return true;
     }
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/ISafeLendVault.sol";
+import "../interfaces/IPermit2.sol";
+
+// One-transaction deposits, collateral deposits and repayments without a prior approve: the router pulls the caller's
+// tokens with an EIP-2612 permit, or a Permit2 signature for tokens without one, then deposits or repays in the vault
+// on the caller's behalf. It never holds funds between calls.
+contract SafeLendRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    IPermit2 public immutable permit2;
+
+    constructor(address _permit2) {
+        require(_permit2 != address(0), "Invalid Permit2");
+        permit2 = IPermit2(_permit2);
+    }
+
+    // Deposits `assets` for `receiver`; the permit must let the router spend at least `assets`
+    function depositWithPermit(
+        address vault,
+        uint256 assets,
+        address receiver,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        IERC20 asset = IERC20(ISafeLendVault(vault).asset());
+        usePermit(asset, assets, deadline, v, r, s);
+        asset.safeTransferFrom(msg.sender, address(this), assets);
+
+        return depositFor(vault, asset, assets, receiver);
+    }
+
+    // Adds `amount` of the vault's collateral asset to the caller's position
+    function depositCollateralWithPermit(
+        address vault,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        IERC20 collateral = ISafeLendVault(vault).collateralAsset();
+        usePermit(collateral, amount, deadline, v, r, s);
+        collateral.safeTransferFrom(msg.sender, address(this), amount);
+
+        depositCollateralFor(vault, collateral, amount);
+    }
+
+    // Repays up to `amount` of the caller's debt under a permit for `amount`. Only what is owed is pulled, so a
+    // permit with some headroom over the current debt repays it in full despite interest accruing until inclusion.
+    function repayWithPermit(
+        address vault,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256 repaid) {
+        IERC20 asset = IERC20(ISafeLendVault(vault).asset());
+        usePermit(asset, amount, deadline, v, r, s);
+
+        repaid = cappedRepayAmount(vault, amount);
+        asset.safeTransferFrom(msg.sender, address(this), repaid);
+
+        repayFor(vault, asset, repaid);
+    }
+
+    function depositWithPermit2(
+        address vault,
+        uint256 assets,
+        address receiver,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256) {
+        IERC20 asset = IERC20(ISafeLendVault(vault).asset());
+        pullWithPermit2(asset, assets, permit, signature);
+
+        return depositFor(vault, asset, assets, receiver);
+    }
+
+    function depositCollateralWithPermit2(
+        address vault,
+        uint256 amount,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external nonReentrant {
+        IERC20 collateral = ISafeLendVault(vault).collateralAsset();
+        pullWithPermit2(collateral, amount, permit, signature);
+
+        depositCollateralFor(vault, collateral, amount);
+    }
+
+    // The signed Permit2 amount caps the repayment; only what is owed is transferred
+    function repayWithPermit2(
+        address vault,
+        uint256 amount,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256 repaid) {
+        IERC20 asset = IERC20(ISafeLendVault(vault).asset());
+
+        repaid = cappedRepayAmount(vault, amount);
+        pullWithPermit2(asset, repaid, permit, signature);
+
+        repayFor(vault, asset, repaid);
+    }
+
+    // A permit submitted by someone else first leaves the allowance in place, and ours would revert on its used
+    // nonce, so it is only sent when needed. A token without permit may accept the call in its fallback and set
+    // nothing, so success counts only once the allowance is there.
+    function usePermit(IERC20 asset, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        if (asset.allowance(msg.sender, address(this)) >= value) {
+            return;
+        }
+        try IERC20Permit(address(asset)).permit(msg.sender, address(this), value, deadline, v, r, s) {
+            require(asset.allowance(msg.sender, address(this)) >= value, "Permit failed");
+        } catch {
+            revert("Permit failed");
+        }
+    }
+
+    function pullWithPermit2(
+        IERC20 asset,
+        uint256 amount,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) internal {
+        require(permit.permitted.token == address(asset), "Permit token mismatch");
+
+        permit2.permitTransferFrom(
+            permit,
+            IPermit2.SignatureTransferDetails({to: address(this), requestedAmount: amount}),
+            msg.sender,
+            signature
+        );
+    }
+
+    function cappedRepayAmount(address vault, uint256 amount) internal view returns (uint256) {
+        uint256 debt = ISafeLendVault(vault).getUserDebt(msg.sender);
+        require(debt > 0, "No debt to repay");
+        return amount < debt ? amount : debt;
+    }
+
+    function depositFor(address vault, IERC20 asset, uint256 assets, address receiver) internal returns (uint256) {
+        asset.forceApprove(vault, assets);
+        return ISafeLendVault(vault).deposit(assets, receiver);
+    }
+
+    function depositCollateralFor(address vault, IERC20 collateral, uint256 amount) internal {
+        collateral.forceApprove(vault, amount);
+        ISafeLendVault(vault).depositFor(msg.sender, amount);
+    }
+
+    function repayFor(address vault, IERC20 asset, uint256 amount) internal {
+        asset.forceApprove(vault, amount);
+        ISafeLendVault(vault).repayOnBehalf(msg.sender, amount);
+    }
+}
\ No newline at end of file
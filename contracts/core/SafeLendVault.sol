@@ -2,48 +2,144 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "../interfaces/ISafeLendVault.sol";
 import "../interfaces/IInterestRateModel.sol";
+import "../interfaces/ILendingPool.sol";
+import "../interfaces/IPriceOracle.sol";
+import "../interfaces/ISafetyModule.sol";
 import "../libraries/LiquidationMath.sol";
+import "../libraries/InterestMath.sol";
 
-contract SafeLendVault is ISafeLendVault, ERC20, AccessControl, ReentrancyGuard, Pausable {
+contract SafeLendVault is ISafeLendVault, ERC4626, Nonces, AccessControl, ReentrancyGuard, Pausable {
     using SafeERC20 for IERC20;
     using LiquidationMath for uint256;
 
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant LIQUIDATOR_ROLE = keccak256("LIQUIDATOR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    // Allowed to change VaultConfig; in production only the ConfigTimelock holds it
+    bytes32 public constant CONFIGURATOR_ROLE = keccak256("CONFIGURATOR_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
 
-    IERC20 public immutable asset;
+    IERC20 public immutable collateralAsset;
     IInterestRateModel public interestRateModel;
+    // Optional reserve backend: when set, it custodies the vault's cash and sets the borrow rate
+    ILendingPool public lendingPool;
+    // Optional backstop drawn on when bad debt exceeds reserves
+    ISafetyModule public safetyModule;
+
+    IERC20 private immutable underlying;
+    // EIP-712 domain for share permits and signed delegations; rebuilt from the hashed name if the chain id
+    // changes after a fork
+    bytes32 private immutable hashedName;
+    uint256 private immutable cachedChainId;
+    bytes32 private immutable cachedDomainSeparator;
+    uint8 private immutable assetDecimals;
+    uint8 private immutable collateralDecimals;
 
     mapping(address => Position) private positions;
+    // delegator => delegatee => amount the delegatee may still borrow against the delegator's collateral
+    mapping(address => mapping(address => uint256)) public borrowAllowance;
 
     uint256 public totalBorrows;
     uint256 public totalReserves;
-    uint256 public lastAccrualBlock;
+    uint256 public borrowIndex;
+    uint256 public lastAccrualTimestamp;
+    uint256 private lastPoolBorrowIndex;
+
+    // Fee on flash loans as a fraction of the amount, paid into reserves
+    uint256 public flashLoanFee;
+    // Lent out by the flash loan in progress; still counted as vault cash so share prices hold during the callback
+    uint256 private flashLoanOutstanding;
+
+    // Share of a borrower's debt one liquidation may repay while the position is not critically unhealthy
+    uint256 public closeFactor;
+    // Below this health factor the whole debt can be repaid at once
+    uint256 public criticalHealthFactor;
+    // In oracle value units; a liquidation may not leave behind debt worth less than this. Zero disables the check.
+    uint256 public minLeftoverDebtValue;
+
+    // Dutch-auction mode: instead of the fixed liquidation bonus, liquidators are paid a discount that grows from
+    // zero to maxAuctionDiscount over auctionDuration after an auction is started on the position
+    bool public auctionMode;
+    uint256 public auctionDuration;
+    uint256 public maxAuctionDiscount;
+    mapping(address => uint256) public auctionStartTime;
+
+    // Only used to express rates per block for integrations; accrual itself runs on block.timestamp
+    uint256 public blocksPerYear;
 
     VaultConfig public config;
 
+    // In units of the borrowed asset; zero means uncapped
+    MarketCaps public caps;
+
+    // One bit per Action, set by the guardian; the global pause and config.isPaused stop every action
+    uint256 private pausedActions;
+
     uint256 private constant FACTOR_PRECISION = 1e18;
-    uint256 private constant BLOCKS_PER_YEAR = 2628000;
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+    uint256 private constant DEFAULT_BLOCKS_PER_YEAR = 2628000;
+    uint256 private constant DEFAULT_FLASH_LOAN_FEE = 0.0009e18;
+    uint256 private constant MAX_FLASH_LOAN_FEE = 0.01e18;
+    uint256 private constant DEFAULT_CLOSE_FACTOR = 0.5e18;
+    uint256 private constant DEFAULT_CRITICAL_HEALTH_FACTOR = 0.95e18;
+    uint256 private constant DEFAULT_AUCTION_DURATION = 1 hours;
+    uint256 private constant DEFAULT_MAX_AUCTION_DISCOUNT = 0.1e18;
+    uint256 private constant MAX_AUCTION_DISCOUNT = 0.5e18;
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 private constant DELEGATION_TYPEHASH =
+        keccak256("Delegation(address delegator,address delegatee,uint256 amount,uint256 nonce,uint256 deadline)");
+    bytes32 private constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    // Virtual shares/assets offset: makes donating to inflate the share price of the first deposit unprofitable
+    uint8 private constant DECIMALS_OFFSET = 6;
+
+    modifier whenActionNotPaused(Action action) {
+        requireActionNotPaused(action);
+        _;
+    }
 
     constructor(
         address _asset,
+        address _collateralAsset,
         address _interestRateModel,
+        address _oracle,
         string memory _name,
         string memory _symbol
-    ) ERC20(_name, _symbol) {
-        asset = IERC20(_asset);
+    ) ERC20(_name, _symbol) ERC4626(IERC20(_asset)) {
+        if (_collateralAsset == _asset) revert CollateralIsAsset();
+        if (_oracle == address(0)) revert InvalidOracle();
+
+        underlying = IERC20(_asset);
+        hashedName = keccak256(bytes(_name));
+        cachedChainId = block.chainid;
+        cachedDomainSeparator = buildDomainSeparator(keccak256(bytes(_name)));
+        collateralAsset = IERC20(_collateralAsset);
         interestRateModel = IInterestRateModel(_interestRateModel);
 
+        assetDecimals = IERC20Metadata(_asset).decimals();
+        collateralDecimals = IERC20Metadata(_collateralAsset).decimals();
+
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(LIQUIDATOR_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+        _grantRole(CONFIGURATOR_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
 
         config = VaultConfig({
             collateralFactor: 0.75e18,
@@ -51,236 +147,854 @@ contract SafeLendVault is ISafeLendVault, ERC20, AccessControl, ReentrancyGuard,
             liquidationBonus: 0.05e18,
             reserveFactor: 0.1e18,
             interestRateModel: _interestRateModel,
-            oracle: address(0),
+            oracle: _oracle,
             isPaused: false,
             liquidationEnabled: true
         });
 
-        lastAccrualBlock = block.number;
+        borrowIndex = FACTOR_PRECISION;
+        lastAccrualTimestamp = block.timestamp;
+        blocksPerYear = DEFAULT_BLOCKS_PER_YEAR;
+        flashLoanFee = DEFAULT_FLASH_LOAN_FEE;
+        closeFactor = DEFAULT_CLOSE_FACTOR;
+        criticalHealthFactor = DEFAULT_CRITICAL_HEALTH_FACTOR;
+        auctionDuration = DEFAULT_AUCTION_DURATION;
+        maxAuctionDiscount = DEFAULT_MAX_AUCTION_DISCOUNT;
     }
 
-    function deposit(uint256 amount) external override nonReentrant whenNotPaused returns (uint256 shares) {
-        require(amount > 0, "Amount must be greater than 0");
+    function deposit(
+        uint256 assets,
+        address receiver
+    ) public override(ERC4626, IERC4626) nonReentrant whenActionNotPaused(Action.Deposit) returns (uint256) {
+        if (assets == 0) revert ZeroAmount();
+        accrueInterest();
+        checkSupplyCaps(receiver, assets);
+        return super.deposit(assets, receiver);
+    }
 
+    function mint(
+        uint256 shares,
+        address receiver
+    ) public override(ERC4626, IERC4626) nonReentrant whenActionNotPaused(Action.Deposit) returns (uint256) {
+        if (shares == 0) revert ZeroShares();
         accrueInterest();
+        checkSupplyCaps(receiver, previewMint(shares));
+        return super.mint(shares, receiver);
+    }
 
-        uint256 totalAssets = getTotalSupply();
-        uint256 totalShares = totalSupply();
+    function withdraw(
+        uint256 assets,
+        address receiver,
+        address owner
+    ) public override(ERC4626, IERC4626) nonReentrant whenActionNotPaused(Action.Withdraw) returns (uint256) {
+        if (assets == 0) revert ZeroAmount();
+        accrueInterest();
+        return super.withdraw(assets, receiver, owner);
+    }
 
-        if (totalShares == 0) {
-            shares = amount;
-        } else {
-            shares = (amount * totalShares) / totalAssets;
-        }
+    function redeem(
+        uint256 shares,
+        address receiver,
+        address owner
+    ) public override(ERC4626, IERC4626) nonReentrant whenActionNotPaused(Action.Withdraw) returns (uint256) {
+        if (shares == 0) revert ZeroShares();
+        accrueInterest();
+        return super.redeem(shares, receiver, owner);
+    }
+
+    function depositCollateral(uint256 amount) external override {
+        depositFor(msg.sender, amount);
+    }
 
-        asset.safeTransferFrom(msg.sender, address(this), amount);
-        _mint(msg.sender, shares);
+    // Adds collateral paid by the caller to `onBehalfOf`'s position
+    function depositFor(
+        address onBehalfOf,
+        uint256 amount
+    ) public override nonReentrant whenActionNotPaused(Action.Deposit) {
+        if (amount == 0) revert ZeroAmount();
+        if (onBehalfOf == address(0)) revert InvalidAccount();
 
-        positions[msg.sender].collateralAmount += amount;
+        collateralAsset.safeTransferFrom(msg.sender, address(this), amount);
+        positions[onBehalfOf].collateralAmount += amount;
+        endAuctionIfRecovered(onBehalfOf);
 
-        emit Deposit(msg.sender, amount, shares);
+        emit CollateralDeposited(onBehalfOf, amount);
     }
 
-    function withdraw(uint256 shares) external override nonReentrant returns (uint256 amount) {
-        require(shares > 0, "Shares must be greater than 0");
-        require(balanceOf(msg.sender) >= shares, "Insufficient shares");
+    function withdrawCollateral(uint256 amount) external override nonReentrant whenActionNotPaused(Action.Withdraw) {
+        if (amount == 0) revert ZeroAmount();
+        if (amount > positions[msg.sender].collateralAmount) revert InsufficientCollateral();
 
         accrueInterest();
+        updateBorrowBalance(msg.sender);
 
-        uint256 totalAssets = getTotalSupply();
-        uint256 totalShares = totalSupply();
+        uint256 healthFactorAfter = calculateHealthFactorAfterWithdraw(msg.sender, amount);
+        if (healthFactorAfter < FACTOR_PRECISION) revert WithdrawalUndercollateralized();
 
-        amount = (shares * totalAssets) / totalShares;
+        positions[msg.sender].collateralAmount -= amount;
 
-        require(amount <= positions[msg.sender].collateralAmount, "Withdrawal would make position undercollateralized");
+        collateralAsset.safeTransfer(msg.sender, amount);
 
-        uint256 healthFactorAfter = calculateHealthFactorAfterWithdraw(msg.sender, amount);
-        require(healthFactorAfter >= FACTOR_PRECISION, "Withdrawal would make position undercollateralized");
+        emit CollateralWithdrawn(msg.sender, amount);
+    }
 
-        _burn(msg.sender, shares);
-        positions[msg.sender].collateralAmount -= amount;
+    function borrow(uint256 amount) external override {
+        borrowOnBehalf(msg.sender, amount);
+    }
+
+    // Borrows against `onBehalfOf`'s collateral and sends the funds to the caller. The debt is `onBehalfOf`'s; a
+    // caller other than `onBehalfOf` spends the borrow allowance it was delegated.
+    function borrowOnBehalf(
+        address onBehalfOf,
+        uint256 amount
+    ) public override nonReentrant whenActionNotPaused(Action.Borrow) {
+        if (amount == 0) revert ZeroAmount();
+
+        if (onBehalfOf != msg.sender) {
+            uint256 allowance = borrowAllowance[onBehalfOf][msg.sender];
+            if (amount > allowance) revert BorrowAllowanceExceeded();
+            if (allowance != type(uint256).max) {
+                borrowAllowance[onBehalfOf][msg.sender] = allowance - amount;
+            }
+        }
+
+        accrueInterest();
+        uint256 debt = updateBorrowBalance(onBehalfOf);
+
+        if (amount > getCash()) revert InsufficientLiquidity();
+        checkBorrowCaps(onBehalfOf, debt, amount);
+
+        if (amount > getMaxBorrow(onBehalfOf)) revert BorrowExceedsLimit();
+
+        positions[onBehalfOf].borrowedAmount += amount;
+        totalBorrows += amount;
+
+        if (address(lendingPool) != address(0)) {
+            lendingPool.borrow(address(underlying), onBehalfOf, amount, msg.sender);
+        } else {
+            underlying.safeTransfer(msg.sender, amount);
+        }
 
-        asset.safeTransfer(msg.sender, amount);
+        emit Borrow(onBehalfOf, amount);
+    }
 
-        emit Withdraw(msg.sender, amount, shares);
+    function repay(uint256 amount) external override {
+        repayOnBehalf(msg.sender, amount);
     }
 
-    function borrow(uint256 amount) external override nonReentrant whenNotPaused {
-        require(amount > 0, "Amount must be greater than 0");
+    // Repays `onBehalfOf`'s debt with the caller's funds; anyone may repay any position. Returns the amount repaid.
+    function repayOnBehalf(
+        address onBehalfOf,
+        uint256 amount
+    ) public override nonReentrant whenActionNotPaused(Action.Repay) returns (uint256) {
+        if (amount == 0) revert ZeroAmount();
 
         accrueInterest();
-        updateUserInterest(msg.sender);
+        uint256 totalDebt = updateBorrowBalance(onBehalfOf);
 
-        uint256 availableLiquidity = asset.balanceOf(address(this));
-        require(amount <= availableLiquidity, "Insufficient liquidity");
+        if (totalDebt == 0) revert NoDebtToRepay();
 
-        Position storage position = positions[msg.sender];
+        uint256 repayAmount = amount > totalDebt ? totalDebt : amount;
 
-        uint256 maxBorrow = LiquidationMath.calculateMaxBorrow(
-            position.collateralAmount,
-            config.collateralFactor,
-            position.borrowedAmount + position.accumulatedInterest
+        underlying.safeTransferFrom(msg.sender, address(this), repayAmount);
+
+        reduceBorrowBalance(onBehalfOf, repayAmount);
+        repayToPool(onBehalfOf, repayAmount);
+        endAuctionIfRecovered(onBehalfOf);
+
+        emit Repay(onBehalfOf, repayAmount);
+        return repayAmount;
+    }
+
+    // Lets `delegatee` borrow up to `amount` against the caller's collateral; type(uint256).max never runs down
+    function approveDelegation(address delegatee, uint256 amount) external override {
+        delegateBorrowAllowance(msg.sender, delegatee, amount);
+    }
+
+    // approveDelegation authorized by an EIP-712 signature of the delegator, so anyone can submit it
+    function delegationWithSig(
+        address delegator,
+        address delegatee,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external override {
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        bytes32 structHash = keccak256(
+            abi.encode(DELEGATION_TYPEHASH, delegator, delegatee, amount, _useNonce(delegator), deadline)
         );
+        requireValidSignature(delegator, structHash, v, r, s);
 
-        require(amount <= maxBorrow, "Borrow amount exceeds allowed");
+        delegateBorrowAllowance(delegator, delegatee, amount);
+    }
 
-        position.borrowedAmount += amount;
-        position.lastInterestUpdate = block.number;
-        totalBorrows += amount;
+    // EIP-2612 permit for vault shares, sharing the nonce sequence with signed delegations
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external override {
+        if (block.timestamp > deadline) revert SignatureExpired();
+
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        requireValidSignature(owner, structHash, v, r, s);
+
+        _approve(owner, spender, value);
+    }
 
-        asset.safeTransfer(msg.sender, amount);
+    // Repays up to `repayAmount` of the borrower's debt, capped at the current close factor, and sends the seized
+    // collateral to `receiver`. Returns the collateral seized.
+    function liquidate(
+        address borrower,
+        uint256 repayAmount,
+        address receiver
+    ) external override nonReentrant returns (uint256) {
+        if (auctionMode) revert AuctionModeEnabled();
+        return liquidatePosition(borrower, repayAmount, receiver, config.liquidationBonus);
+    }
+
+    // Anyone may put an unhealthy position up for auction; its discount starts at zero
+    function startAuction(address borrower) external override {
+        requireLiquidationAllowed();
+        if (!auctionMode) revert AuctionModeDisabled();
+        if (auctionStartTime[borrower] != 0) revert AuctionAlreadyStarted();
+        if (!LiquidationMath.isLiquidatable(getUserHealthFactor(borrower))) revert PositionNotLiquidatable();
 
-        emit Borrow(msg.sender, amount);
+        auctionStartTime[borrower] = block.timestamp;
+        emit AuctionStarted(borrower, block.timestamp);
     }
 
-    function repay(uint256 amount) external override nonReentrant {
-        require(amount > 0, "Amount must be greater than 0");
+    // Closes the auction of a position that recovered, so a later auction starts again from zero discount
+    function cancelAuction(address borrower) external override {
+        if (auctionStartTime[borrower] == 0) revert NoActiveAuction();
+        endAuctionIfRecovered(borrower);
+        if (auctionStartTime[borrower] != 0) revert PositionStillLiquidatable();
+    }
+
+    // Liquidates like `liquidate`, paying the auction's current discount instead of the fixed bonus. The auction
+    // ends once the position is healthy again or fully repaid.
+    function bid(
+        address borrower,
+        uint256 repayAmount,
+        address receiver
+    ) external override nonReentrant returns (uint256 collateralSeized) {
+        if (!auctionMode) revert AuctionModeDisabled();
+
+        collateralSeized = liquidatePosition(borrower, repayAmount, receiver, currentLiquidationBonus(borrower));
+        endAuctionIfRecovered(borrower);
+    }
+
+    // Ends the auction of a position that is healthy again, so a stale discount can never be bid on later
+    function endAuctionIfRecovered(address borrower) internal {
+        if (auctionStartTime[borrower] != 0 && !LiquidationMath.isLiquidatable(getUserHealthFactor(borrower))) {
+            delete auctionStartTime[borrower];
+            emit AuctionEnded(borrower);
+        }
+    }
+
+    function liquidatePosition(
+        address borrower,
+        uint256 repayAmount,
+        address receiver,
+        uint256 liquidationBonus
+    ) internal returns (uint256) {
+        requireLiquidationAllowed();
+        if (!hasRole(LIQUIDATOR_ROLE, msg.sender) && !isPublicLiquidation()) revert NotAuthorized();
+        if (repayAmount == 0) revert ZeroAmount();
+        if (receiver == address(0)) revert InvalidReceiver();
 
         accrueInterest();
-        updateUserInterest(msg.sender);
+        updateBorrowBalance(borrower);
 
-        Position storage position = positions[msg.sender];
-        uint256 totalDebt = position.borrowedAmount + position.accumulatedInterest;
+        Position storage position = positions[borrower];
+        (uint256 collateralToLiquidate, uint256 actualDebtCovered) =
+            calculateLiquidation(borrower, repayAmount, liquidationBonus);
 
-        require(totalDebt > 0, "No debt to repay");
+        underlying.safeTransferFrom(msg.sender, address(this), actualDebtCovered);
 
-        uint256 repayAmount = amount > totalDebt ? totalDebt : amount;
+        reduceBorrowBalance(borrower, actualDebtCovered);
+        repayToPool(borrower, actualDebtCovered);
+        position.collateralAmount -= collateralToLiquidate;
 
-        asset.safeTransferFrom(msg.sender, address(this), repayAmount);
+        collateralAsset.safeTransfer(receiver, collateralToLiquidate);
 
-        if (repayAmount >= position.accumulatedInterest) {
-            uint256 principalRepay = repayAmount - position.accumulatedInterest;
-            position.accumulatedInterest = 0;
-            if (principalRepay > 0) {
-                position.borrowedAmount -= principalRepay;
-                totalBorrows -= principalRepay;
-            }
-        } else {
-            position.accumulatedInterest -= repayAmount;
+        emit Liquidation(msg.sender, borrower, actualDebtCovered, collateralToLiquidate);
+
+        if (position.collateralAmount == 0 && position.borrowedAmount > 0) {
+            writeOffBadDebt(borrower, position.borrowedAmount);
         }
 
-        position.lastInterestUpdate = block.number;
+        return collateralToLiquidate;
+    }
+
+    // What the largest liquidation of the borrower would repay and seize in this block, at the bonus `liquidate` or
+    // `bid` would pay now. Reverts with the error that liquidation would revert with.
+    function previewLiquidation(
+        address borrower
+    ) external view override returns (uint256 debtRepaid, uint256 collateralSeized) {
+        requireLiquidationAllowed();
+        (collateralSeized, debtRepaid) =
+            calculateLiquidation(borrower, type(uint256).max, currentLiquidationBonus(borrower));
+    }
+
+    // Writes off debt left on a position with no collateral, e.g. one liquidated before write-offs existed
+    function realizeBadDebt(address borrower) external override nonReentrant {
+        accrueInterest();
+        uint256 debt = updateBorrowBalance(borrower);
+        if (positions[borrower].collateralAmount != 0 || debt == 0) revert NoBadDebt();
 
-        emit Repay(msg.sender, repayAmount);
+        writeOffBadDebt(borrower, debt);
     }
 
-    function liquidate(address borrower) external override nonReentrant returns (uint256) {
-        require(hasRole(LIQUIDATOR_ROLE, msg.sender) || isPublicLiquidation(), "Not authorized");
+    // Moves protocol reserves out of the vault. totalAssets() already excludes reserves, so depositors' claims are
+    // unchanged. Reserves are paid like any other claim on the vault: only their pro-rata share of the idle cash
+    // can be taken at a time, so reserves can never drain the cash depositors withdraw from.
+    function reduceReserves(uint256 amount, address to) external override nonReentrant onlyRole(TREASURY_ROLE) {
+        if (amount == 0) revert ZeroAmount();
+        if (to == address(0)) revert InvalidReceiver();
 
         accrueInterest();
-        updateUserInterest(borrower);
+        if (amount > totalReserves) revert InsufficientReserves();
+        uint256 cash = getCash();
+        if (amount > ((cash - flashLoanOutstanding) * totalReserves) / (cash + totalBorrows)) {
+            revert InsufficientLiquidity();
+        }
 
-        Position storage position = positions[borrower];
-        uint256 healthFactor = getUserHealthFactor(borrower);
+        totalReserves -= amount;
+        sendCash(to, amount);
 
-        require(LiquidationMath.isLiquidatable(healthFactor), "Position is not liquidatable");
+        emit ReservesReduced(to, amount, totalReserves);
+    }
 
-        uint256 totalDebt = position.borrowedAmount + position.accumulatedInterest;
-        uint256 halfDebt = totalDebt / 2;
+    function maxFlashLoan(address token) public view override returns (uint256) {
+        if (token != address(underlying) || isActionPaused(Action.FlashLoan) || flashLoanOutstanding > 0) {
+            return 0;
+        }
+        return getCash();
+    }
 
-        (uint256 collateralToLiquidate, uint256 actualDebtCovered) =
-            LiquidationMath.calculateLiquidationAmounts(
-                halfDebt,
-                totalDebt,
-                position.collateralAmount,
-                config.liquidationBonus
-            );
+    function flashFee(address token, uint256 amount) public view override returns (uint256) {
+        if (token != address(underlying)) revert UnsupportedFlashLoanToken();
+        return (amount * flashLoanFee) / FACTOR_PRECISION;
+    }
 
-        asset.safeTransferFrom(msg.sender, address(this), actualDebtCovered);
+    // Deliberately not nonReentrant so the receiver can repay or liquidate positions in this vault with the loan;
+    // the outstanding amount stays in getCash() until it is pulled back, so nothing can be priced off the dip.
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override whenActionNotPaused(Action.FlashLoan) returns (bool) {
+        if (amount == 0) revert ZeroAmount();
+        if (amount > maxFlashLoan(token)) revert FlashLoanExceedsLiquidity();
 
-        position.borrowedAmount -= actualDebtCovered;
-        position.collateralAmount -= collateralToLiquidate;
-        totalBorrows -= actualDebtCovered;
+        accrueInterest();
+        uint256 fee = flashFee(token, amount);
 
-        asset.safeTransfer(msg.sender, collateralToLiquidate);
+        flashLoanOutstanding = amount;
+        sendCash(address(receiver), amount);
 
-        emit Liquidation(msg.sender, borrower, actualDebtCovered, collateralToLiquidate);
+        if (receiver.onFlashLoan(msg.sender, token, amount, fee, data) != FLASH_LOAN_CALLBACK_SUCCESS) {
+            revert InvalidFlashLoanCallback();
+        }
 
-        return collateralToLiquidate;
+        underlying.safeTransferFrom(address(receiver), address(this), amount + fee);
+        flashLoanOutstanding = 0;
+        supplyToPool(amount + fee);
+
+        totalReserves += fee;
+
+        emit FlashLoan(address(receiver), token, amount, fee);
+
+        return true;
     }
 
     function accrueInterest() public {
-        uint256 blockDelta = block.number - lastAccrualBlock;
-        if (blockDelta == 0) {
+        uint256 timeDelta = block.timestamp - lastAccrualTimestamp;
+        if (timeDelta == 0) {
             return;
         }
 
-        uint256 cash = asset.balanceOf(address(this));
-        uint256 borrowRatePerBlock = interestRateModel.getBorrowRate(cash, totalBorrows, totalReserves) / BLOCKS_PER_YEAR;
-        uint256 interestAccumulated = (borrowRatePerBlock * totalBorrows * blockDelta) / FACTOR_PRECISION;
+        uint256 interestFactor;
+        if (address(lendingPool) != address(0)) {
+            // Borrowers are charged whatever the pool's index grew by since the last accrual
+            lendingPool.accrueInterest(address(underlying));
+            uint256 poolIndex = lendingPool.getCurrentBorrowIndex(address(underlying));
+            interestFactor = (poolIndex * FACTOR_PRECISION) / lastPoolBorrowIndex - FACTOR_PRECISION;
+            lastPoolBorrowIndex = poolIndex;
+        } else {
+            // Gives stateful (adaptive) models a chance to move their curve; returns the rate for the elapsed period
+            uint256 borrowRatePerSecond = interestRateModel.updateRate(getCash(), totalBorrows, totalReserves);
+            interestFactor =
+                InterestMath.calculateCompoundedInterest(borrowRatePerSecond, timeDelta) - FACTOR_PRECISION;
+        }
+
+        (totalBorrows, totalReserves, borrowIndex) = applyInterest(interestFactor);
+        lastAccrualTimestamp = block.timestamp;
+    }
+
+    // Pool totals and borrow index as of the current timestamp, without writing them
+    function calculateAccruedState() internal view returns (uint256 borrows, uint256 reserves, uint256 index) {
+        uint256 timeDelta = block.timestamp - lastAccrualTimestamp;
+        if (timeDelta == 0) {
+            return (totalBorrows, totalReserves, borrowIndex);
+        }
 
-        uint256 reservesFee = (interestAccumulated * config.reserveFactor) / FACTOR_PRECISION;
+        uint256 interestFactor;
+        if (address(lendingPool) != address(0)) {
+            uint256 poolIndex = lendingPool.getCurrentBorrowIndex(address(underlying));
+            interestFactor = (poolIndex * FACTOR_PRECISION) / lastPoolBorrowIndex - FACTOR_PRECISION;
+        } else {
+            uint256 borrowRatePerSecond = interestRateModel.getBorrowRatePerSecond(
+                getCash(),
+                totalBorrows,
+                totalReserves
+            );
+            interestFactor =
+                InterestMath.calculateCompoundedInterest(borrowRatePerSecond, timeDelta) - FACTOR_PRECISION;
+        }
 
-        totalBorrows += interestAccumulated;
-        totalReserves += reservesFee;
-        lastAccrualBlock = block.number;
+        return applyInterest(interestFactor);
     }
 
-    function updateUserInterest(address user) internal {
-        Position storage position = positions[user];
+    function applyInterest(
+        uint256 interestFactor
+    ) internal view returns (uint256 borrows, uint256 reserves, uint256 index) {
+        uint256 interestAccumulated = (interestFactor * totalBorrows) / FACTOR_PRECISION;
 
-        if (position.borrowedAmount == 0) {
-            return;
+        borrows = totalBorrows + interestAccumulated;
+        reserves = totalReserves + (interestAccumulated * config.reserveFactor) / FACTOR_PRECISION;
+        index = borrowIndex + (interestFactor * borrowIndex) / FACTOR_PRECISION;
+    }
+
+    // Underlying available to lend or withdraw: held by the vault, or credited to it in the lending pool
+    function getCash() internal view returns (uint256) {
+        if (address(lendingPool) != address(0)) {
+            return lendingPool.supplyBalances(address(underlying), address(this)) + flashLoanOutstanding;
         }
+        return underlying.balanceOf(address(this)) + flashLoanOutstanding;
+    }
 
-        uint256 blockDelta = block.number - position.lastInterestUpdate;
-        if (blockDelta == 0) {
-            return;
+    // Pays out of the vault's cash, wherever it is held
+    function sendCash(address to, uint256 amount) internal {
+        if (address(lendingPool) != address(0)) {
+            lendingPool.withdraw(address(underlying), amount, to);
+        } else {
+            underlying.safeTransfer(to, amount);
         }
+    }
 
-        uint256 cash = asset.balanceOf(address(this));
-        uint256 borrowRatePerBlock = interestRateModel.getBorrowRate(cash, totalBorrows, totalReserves) / BLOCKS_PER_YEAR;
-        uint256 interestAccumulated = (borrowRatePerBlock * position.borrowedAmount * blockDelta) / FACTOR_PRECISION;
+    function supplyToPool(uint256 amount) internal {
+        if (address(lendingPool) != address(0)) {
+            underlying.forceApprove(address(lendingPool), amount);
+            lendingPool.deposit(address(underlying), amount);
+        }
+    }
 
-        position.accumulatedInterest += interestAccumulated;
-        position.lastInterestUpdate = block.number;
+    // Repayments are first collected by the vault, then forwarded to settle the borrower's pool debt
+    function repayToPool(address borrower, uint256 amount) internal {
+        if (address(lendingPool) != address(0)) {
+            underlying.forceApprove(address(lendingPool), amount);
+            lendingPool.repay(address(underlying), borrower, amount);
+        }
+    }
+
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override {
+        super._deposit(caller, receiver, assets, shares);
+        supplyToPool(assets);
+    }
+
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        if (address(lendingPool) != address(0)) {
+            lendingPool.withdraw(address(underlying), assets, address(this));
+        }
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    // Debt = principal * index / snapshot; every borrower is charged through the same index as totalBorrows
+    function calculateBorrowBalance(Position memory position, uint256 index) internal pure returns (uint256) {
+        if (position.borrowedAmount == 0) {
+            return 0;
+        }
+        return (position.borrowedAmount * index) / position.borrowIndex;
+    }
+
+    // Folds accrued interest into the stored principal and re-snapshots the index; call after accrueInterest()
+    function updateBorrowBalance(address user) internal returns (uint256 debt) {
+        Position storage position = positions[user];
+        debt = calculateBorrowBalance(position, borrowIndex);
+        position.borrowedAmount = debt;
+        position.borrowIndex = borrowIndex;
+    }
+
+    function reduceBorrowBalance(address user, uint256 amount) internal {
+        positions[user].borrowedAmount -= amount;
+        // Per-user debts round down, so the pool total can trail their sum by a few wei
+        totalBorrows = totalBorrows > amount ? totalBorrows - amount : 0;
+    }
+
+    function buildDomainSeparator(bytes32 nameHash) internal view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, nameHash, keccak256("1"), block.chainid, address(this)));
+    }
+
+    function requireValidSignature(address signer, bytes32 structHash, uint8 v, bytes32 r, bytes32 s) internal view {
+        bytes32 digest = MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash);
+        if (ECDSA.recover(digest, v, r, s) != signer) revert InvalidSignature();
+    }
+
+    function delegateBorrowAllowance(address delegator, address delegatee, uint256 amount) internal {
+        if (delegatee == address(0)) revert InvalidDelegatee();
+        borrowAllowance[delegator][delegatee] = amount;
+        emit BorrowAllowanceDelegated(delegator, delegatee, amount);
     }
 
     function calculateHealthFactorAfterWithdraw(address user, uint256 withdrawAmount) internal view returns (uint256) {
-        Position memory position = positions[user];
-        uint256 collateralAfter = position.collateralAmount - withdrawAmount;
-        uint256 totalDebt = position.borrowedAmount + position.accumulatedInterest;
+        uint256 collateralAfter = positions[user].collateralAmount - withdrawAmount;
 
         return LiquidationMath.calculateHealthFactor(
-            collateralAfter,
-            totalDebt,
+            collateralValueOf(collateralAfter),
+            debtValueOf(getUserDebt(user)),
             config.liquidationThreshold
         );
     }
 
+    function getAssetPrice(address token) internal view returns (uint256) {
+        uint256 price = IPriceOracle(config.oracle).getAssetPrice(token);
+        if (price == 0) revert InvalidOraclePrice();
+        return price;
+    }
+
+    function collateralValueOf(uint256 amount) internal view returns (uint256) {
+        return LiquidationMath.calculateCollateralValue(
+            amount,
+            getAssetPrice(address(collateralAsset)),
+            collateralDecimals
+        );
+    }
+
+    function debtValueOf(uint256 amount) internal view returns (uint256) {
+        return LiquidationMath.calculateDebtValue(amount, getAssetPrice(address(underlying)), assetDecimals);
+    }
+
+    // The loss is absorbed by reserves first, then by the safety module; whatever is left lowers totalAssets and
+    // so the share price. A failing safety module must not block liquidations, so its errors count as no cover and
+    // are only reported.
+    function writeOffBadDebt(address borrower, uint256 debt) internal {
+        uint256 coveredByReserves = debt < totalReserves ? debt : totalReserves;
+        totalReserves -= coveredByReserves;
+
+        uint256 coveredBySafetyModule;
+        uint256 shortfall = debt - coveredByReserves;
+        if (shortfall > 0 && address(safetyModule) != address(0)) {
+            uint256 balanceBefore = underlying.balanceOf(address(this));
+            try safetyModule.coverShortfall(address(underlying), shortfall) {
+                coveredBySafetyModule = underlying.balanceOf(address(this)) - balanceBefore;
+                if (coveredBySafetyModule > 0) {
+                    supplyToPool(coveredBySafetyModule);
+                }
+                if (coveredBySafetyModule > shortfall) {
+                    // Anything sent beyond the shortfall simply stays with depositors
+                    coveredBySafetyModule = shortfall;
+                }
+            } catch {
+                emit ShortfallCoverFailed(borrower, shortfall);
+            }
+        }
+
+        reduceBorrowBalance(borrower, debt);
+        if (address(lendingPool) != address(0)) {
+            lendingPool.writeOffDebt(address(underlying), borrower);
+        }
+
+        emit BadDebtRealized(
+            borrower,
+            debt,
+            coveredByReserves,
+            coveredBySafetyModule,
+            shortfall - coveredBySafetyModule
+        );
+    }
+
+    // The fixed bonus, or in auction mode the discount of the borrower's running auction
+    function currentLiquidationBonus(address borrower) internal view returns (uint256) {
+        if (!auctionMode) {
+            return config.liquidationBonus;
+        }
+        if (auctionStartTime[borrower] == 0) revert NoActiveAuction();
+        return getAuctionDiscount(borrower);
+    }
+
+    // Shared by liquidations and their preview; reads the debt with interest pending, so it matches either way
+    function calculateLiquidation(
+        address borrower,
+        uint256 repayAmount,
+        uint256 liquidationBonus
+    ) internal view returns (uint256 collateralSeized, uint256 debtCovered) {
+        uint256 healthFactor = getUserHealthFactor(borrower);
+        if (!LiquidationMath.isLiquidatable(healthFactor)) revert PositionNotLiquidatable();
+
+        return LiquidationMath.calculateLiquidationAmounts(
+            repayAmount,
+            maxLiquidationRepay(getUserDebt(borrower), healthFactor),
+            positions[borrower].collateralAmount,
+            liquidationBonus,
+            getAssetPrice(address(underlying)),
+            assetDecimals,
+            getAssetPrice(address(collateralAsset)),
+            collateralDecimals
+        );
+    }
+
+    // Most debt a liquidator may repay in one call: the close factor share of it, or all of it when the position is
+    // critically unhealthy or the remainder would be worth less than minLeftoverDebtValue
+    function maxLiquidationRepay(uint256 totalDebt, uint256 healthFactor) internal view returns (uint256) {
+        uint256 factor = LiquidationMath.calculateCloseFactor(healthFactor, closeFactor, criticalHealthFactor);
+        uint256 maxRepay = (totalDebt * factor) / FACTOR_PRECISION;
+        if (maxRepay < totalDebt && debtValueOf(totalDebt - maxRepay) < minLeftoverDebtValue) {
+            return totalDebt;
+        }
+        return maxRepay;
+    }
+
+    function checkSupplyCaps(address receiver, uint256 assets) internal view {
+        uint256 cap = caps.supplyCap;
+        if (cap != 0 && totalAssets() + assets > cap) {
+            revert SupplyCapExceeded(cap);
+        }
+        cap = caps.accountSupplyCap;
+        if (cap != 0 && convertToAssets(balanceOf(receiver)) + assets > cap) {
+            revert AccountSupplyCapExceeded(receiver, cap);
+        }
+    }
+
+    function checkBorrowCaps(address borrower, uint256 debt, uint256 amount) internal view {
+        uint256 cap = caps.borrowCap;
+        if (cap != 0 && totalBorrows + amount > cap) {
+            revert BorrowCapExceeded(cap);
+        }
+        cap = caps.accountBorrowCap;
+        if (cap != 0 && debt + amount > cap) {
+            revert AccountBorrowCapExceeded(borrower, cap);
+        }
+    }
+
+    function headroom(uint256 cap, uint256 used) internal pure returns (uint256) {
+        if (cap == 0) {
+            return type(uint256).max;
+        }
+        return cap > used ? cap - used : 0;
+    }
+
+    // Keeps the Pausable error for the global switch so callers can tell the two apart
+    function requireActionNotPaused(Action action) internal view {
+        _requireNotPaused();
+        if (isActionPaused(action)) revert ActionPaused(action);
+    }
+
+    function requireLiquidationAllowed() internal view {
+        requireActionNotPaused(Action.Liquidate);
+        if (!config.liquidationEnabled) revert LiquidationDisabled();
+    }
+
     function isPublicLiquidation() internal view returns (bool) {
         return true;
     }
 
+    function isActionPaused(Action action) public view override returns (bool) {
+        return paused() || config.isPaused || pausedActions & (uint256(1) << uint8(action)) != 0;
+    }
+
+    // Everything an operator needs to know about what is currently stopped, in one call
+    function getPauseStatus() external view override returns (PauseStatus memory) {
+        return PauseStatus({
+            paused: paused() || config.isPaused,
+            depositPaused: isActionPaused(Action.Deposit),
+            withdrawPaused: isActionPaused(Action.Withdraw),
+            borrowPaused: isActionPaused(Action.Borrow),
+            repayPaused: isActionPaused(Action.Repay),
+            liquidatePaused: isActionPaused(Action.Liquidate),
+            flashLoanPaused: isActionPaused(Action.FlashLoan),
+            liquidationEnabled: config.liquidationEnabled
+        });
+    }
+
+    function nonces(address owner) public view override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        if (block.chainid == cachedChainId) {
+            return cachedDomainSeparator;
+        }
+        return buildDomainSeparator(hashedName);
+    }
+
     function getPosition(address user) external view override returns (Position memory) {
         return positions[user];
     }
 
-    function getTotalSupply() public view override returns (uint256) {
-        return asset.balanceOf(address(this)) + totalBorrows - totalReserves;
+    // Includes interest accrued since the last update so previews match what the next action will see
+    function totalAssets() public view override(ERC4626, IERC4626) returns (uint256) {
+        (uint256 borrows, uint256 reserves, ) = calculateAccruedState();
+        return getCash() + borrows - reserves;
+    }
+
+    function maxDeposit(address receiver) public view override(ERC4626, IERC4626) returns (uint256) {
+        if (isActionPaused(Action.Deposit)) {
+            return 0;
+        }
+        uint256 marketRoom = headroom(caps.supplyCap, totalAssets());
+        uint256 accountRoom = headroom(caps.accountSupplyCap, convertToAssets(balanceOf(receiver)));
+        return marketRoom < accountRoom ? marketRoom : accountRoom;
+    }
+
+    function maxMint(address receiver) public view override(ERC4626, IERC4626) returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : convertToShares(assets);
+    }
+
+    // Suppliers can only take out what is not lent to borrowers
+    function maxWithdraw(address owner) public view override(ERC4626, IERC4626) returns (uint256) {
+        if (isActionPaused(Action.Withdraw)) {
+            return 0;
+        }
+        uint256 ownerAssets = previewRedeem(balanceOf(owner));
+        uint256 cash = getCash();
+        return ownerAssets < cash ? ownerAssets : cash;
+    }
+
+    function maxRedeem(address owner) public view override(ERC4626, IERC4626) returns (uint256) {
+        if (isActionPaused(Action.Withdraw)) {
+            return 0;
+        }
+        uint256 ownerShares = balanceOf(owner);
+        uint256 cashShares = convertToShares(getCash());
+        return ownerShares < cashShares ? ownerShares : cashShares;
+    }
+
+    // How much more can be supplied and borrowed before the market-wide caps; type(uint256).max when uncapped
+    function remainingCapacity() external view override returns (uint256 supply, uint256 borrow) {
+        (uint256 borrows, , ) = calculateAccruedState();
+        supply = headroom(caps.supplyCap, totalAssets());
+        borrow = headroom(caps.borrowCap, borrows);
     }
 
     function getTotalBorrows() external view override returns (uint256) {
-        return totalBorrows;
+        (uint256 borrows, , ) = calculateAccruedState();
+        return borrows;
     }
 
-    function getUtilizationRate() external view override returns (uint256) {
-        uint256 cash = asset.balanceOf(address(this));
-        return interestRateModel.utilizationRate(cash, totalBorrows, totalReserves);
+    function getUtilizationRate() public view override returns (uint256) {
+        return interestRateModel.utilizationRate(getCash(), totalBorrows, totalReserves);
     }
 
-    function getUserHealthFactor(address user) public view override returns (uint256) {
-        Position memory position = positions[user];
-        uint256 totalDebt = position.borrowedAmount + position.accumulatedInterest;
+    function getBorrowRatePerSecond() public view override returns (uint256) {
+        if (address(lendingPool) != address(0)) {
+            return lendingPool.getReserveData(address(underlying)).borrowRate;
+        }
+        return interestRateModel.getBorrowRatePerSecond(getCash(), totalBorrows, totalReserves);
+    }
 
+    function getSupplyRatePerSecond() public view override returns (uint256) {
+        if (address(lendingPool) != address(0)) {
+            // Suppliers earn the pool's borrow rate on the share of vault assets that is lent out
+            uint256 rateToSuppliers = (getBorrowRatePerSecond() * (FACTOR_PRECISION - config.reserveFactor)) /
+                FACTOR_PRECISION;
+            return (getUtilizationRate() * rateToSuppliers) / FACTOR_PRECISION;
+        }
+        return interestRateModel.getSupplyRatePerSecond(getCash(), totalBorrows, totalReserves, config.reserveFactor);
+    }
+
+    function getBorrowRatePerBlock() external view returns (uint256) {
+        return (getBorrowRatePerSecond() * SECONDS_PER_YEAR) / blocksPerYear;
+    }
+
+    function getSupplyRatePerBlock() external view returns (uint256) {
+        return (getSupplyRatePerSecond() * SECONDS_PER_YEAR) / blocksPerYear;
+    }
+
+    function getUserDebt(address user) public view override returns (uint256) {
+        (, , uint256 index) = calculateAccruedState();
+        return calculateBorrowBalance(positions[user], index);
+    }
+
+    function getUserHealthFactor(address user) public view override returns (uint256) {
         return LiquidationMath.calculateHealthFactor(
-            position.collateralAmount,
-            totalDebt,
+            collateralValueOf(positions[user].collateralAmount),
+            debtValueOf(getUserDebt(user)),
             config.liquidationThreshold
         );
     }
 
-    function pause() external onlyRole(ADMIN_ROLE) {
+    // Zero while the position is healthy
+    function getMaxLiquidationRepay(address borrower) external view override returns (uint256) {
+        uint256 healthFactor = getUserHealthFactor(borrower);
+        if (!LiquidationMath.isLiquidatable(healthFactor)) {
+            return 0;
+        }
+        return maxLiquidationRepay(getUserDebt(borrower), healthFactor);
+    }
+
+    // Bonus a bid on the borrower would be paid right now; zero if no auction is running
+    function getAuctionDiscount(address borrower) public view override returns (uint256) {
+        uint256 startTime = auctionStartTime[borrower];
+        if (startTime == 0) {
+            return 0;
+        }
+        uint256 elapsed = block.timestamp - startTime;
+        if (elapsed >= auctionDuration) {
+            return maxAuctionDiscount;
+        }
+        return (maxAuctionDiscount * elapsed) / auctionDuration;
+    }
+
+    function getCollateralValue(address user) external view override returns (uint256) {
+        return collateralValueOf(positions[user].collateralAmount);
+    }
+
+    function getDebtValue(address user) external view override returns (uint256) {
+        return debtValueOf(getUserDebt(user));
+    }
+
+    function getMaxBorrow(address user) public view override returns (uint256) {
+        uint256 maxBorrowValue = LiquidationMath.calculateMaxBorrow(
+            collateralValueOf(positions[user].collateralAmount),
+            config.collateralFactor,
+            debtValueOf(getUserDebt(user))
+        );
+
+        return LiquidationMath.calculateAmountFromValue(
+            maxBorrowValue,
+            getAssetPrice(address(underlying)),
+            assetDecimals
+        );
+    }
+
+    function decimals() public view override(ERC4626, IERC20Metadata) returns (uint8) {
+        return super.decimals();
+    }
+
+    function _decimalsOffset() internal pure override returns (uint8) {
+        return DECIMALS_OFFSET;
+    }
+
+    // Guardians pause at once; resuming is an admin call, so it waits in the timelock queue once admin is handed off
+    function pause() external onlyRole(GUARDIAN_ROLE) {
         _pause();
     }
 
@@ -288,6 +1002,90 @@ contract SafeLendVault is ISafeLendVault, ERC20, AccessControl, ReentrancyGuard,
         _unpause();
     }
 
+    function setActionPaused(Action action, bool actionPaused) external onlyRole(GUARDIAN_ROLE) {
+        if (actionPaused) {
+            pausedActions |= uint256(1) << uint8(action);
+        } else {
+            pausedActions &= ~(uint256(1) << uint8(action));
+        }
+        emit ActionPausedUpdated(action, actionPaused);
+    }
+
+    function setBlocksPerYear(uint256 _blocksPerYear) external onlyRole(ADMIN_ROLE) {
+        if (_blocksPerYear == 0) revert InvalidBlocksPerYear();
+        blocksPerYear = _blocksPerYear;
+        emit BlocksPerYearUpdated(_blocksPerYear);
+    }
+
+    function setFlashLoanFee(uint256 _flashLoanFee) external onlyRole(ADMIN_ROLE) {
+        if (_flashLoanFee > MAX_FLASH_LOAN_FEE) revert InvalidFlashLoanFee();
+        flashLoanFee = _flashLoanFee;
+        emit FlashLoanFeeUpdated(_flashLoanFee);
+    }
+
+    function setLiquidationParams(
+        uint256 _closeFactor,
+        uint256 _criticalHealthFactor,
+        uint256 _minLeftoverDebtValue
+    ) external onlyRole(ADMIN_ROLE) {
+        if (_closeFactor == 0 || _closeFactor > 1e18) revert InvalidCloseFactor();
+        if (_criticalHealthFactor > 1e18) revert InvalidCriticalHealthFactor();
+
+        closeFactor = _closeFactor;
+        criticalHealthFactor = _criticalHealthFactor;
+        minLeftoverDebtValue = _minLeftoverDebtValue;
+
+        emit LiquidationParamsUpdated(_closeFactor, _criticalHealthFactor, _minLeftoverDebtValue);
+    }
+
+    function setAuctionParams(
+        bool _auctionMode,
+        uint256 _auctionDuration,
+        uint256 _maxAuctionDiscount
+    ) external onlyRole(ADMIN_ROLE) {
+        if (_auctionDuration == 0) revert InvalidAuctionDuration();
+        if (_maxAuctionDiscount > MAX_AUCTION_DISCOUNT) revert InvalidAuctionDiscount();
+
+        auctionMode = _auctionMode;
+        auctionDuration = _auctionDuration;
+        maxAuctionDiscount = _maxAuctionDiscount;
+
+        emit AuctionParamsUpdated(_auctionMode, _auctionDuration, _maxAuctionDiscount);
+    }
+
+    function setCaps(MarketCaps calldata _caps) external onlyRole(ADMIN_ROLE) {
+        caps = _caps;
+        emit CapsUpdated(_caps.supplyCap, _caps.borrowCap, _caps.accountSupplyCap, _caps.accountBorrowCap);
+    }
+
+    function setSafetyModule(address _safetyModule) external onlyRole(ADMIN_ROLE) {
+        safetyModule = ISafetyModule(_safetyModule);
+        emit SafetyModuleUpdated(_safetyModule);
+    }
+
+    // Moves the vault's cash into the pool, which then custodies it and sets the borrow rate
+    function setLendingPool(address _lendingPool) external onlyRole(ADMIN_ROLE) {
+        if (address(lendingPool) != address(0)) revert LendingPoolAlreadySet();
+        if (_lendingPool == address(0)) revert InvalidLendingPool();
+        if (!ILendingPool(_lendingPool).getReserveData(address(underlying)).isActive) {
+            revert InactiveLendingPoolReserve();
+        }
+        if (totalBorrows != 0) revert OutstandingBorrows();
+
+        accrueInterest();
+
+        lendingPool = ILendingPool(_lendingPool);
+        lendingPool.accrueInterest(address(underlying));
+        lastPoolBorrowIndex = lendingPool.getCurrentBorrowIndex(address(underlying));
+
+        uint256 cash = underlying.balanceOf(address(this));
+        if (cash > 0) {
+            supplyToPool(cash);
+        }
+
+        emit LendingPoolUpdated(_lendingPool);
+    }
+
     function updateConfig(
         uint256 _collateralFactor,
         uint256 _liquidationThreshold,
@@ -296,30 +1094,36 @@ contract SafeLendVault is ISafeLendVault, ERC20, AccessControl, ReentrancyGuard,
         address _interestRateModel,
         address _oracle,
         bool _liquidationEnabled
-    ) external onlyRole(ADMIN_ROLE) {
-        require(_collateralFactor <= 1e18, "Invalid collateral factor");
-        require(_liquidationThreshold <= 1e18, "Invalid liquidation threshold");
-        require(_liquidationBonus <= 1e18, "Invalid liquidation bonus");
-        require(_reserveFactor <= 1e18, "Invalid reserve factor");
-        require(_interestRateModel != address(0), "Invalid interest rate model");
-
-        config.collateralFactor = _collateralFactor;
-        config.liquidationThreshold = _liquidationThreshold;
-        config.liquidationBonus = _liquidationBonus;
-        config.reserveFactor = _reserveFactor;
-        config.interestRateModel = _interestRateModel;
-        config.oracle = _oracle;
-        config.liquidationEnabled = _liquidationEnabled;
+    ) external onlyRole(CONFIGURATOR_ROLE) {
+        setConfig(
+            VaultConfig({
+                collateralFactor: _collateralFactor,
+                liquidationThreshold: _liquidationThreshold,
+                liquidationBonus: _liquidationBonus,
+                reserveFactor: _reserveFactor,
+                interestRateModel: _interestRateModel,
+                oracle: _oracle,
+                isPaused: config.isPaused,
+                liquidationEnabled: _liquidationEnabled
+            })
+        );
+    }
 
-        interestRateModel = IInterestRateModel(_interestRateModel);
+    function updateConfig(VaultConfig memory _config) external override onlyRole(CONFIGURATOR_ROLE) {
+        setConfig(_config);
     }
 
-    function updateConfig(VaultConfig memory _config) external onlyRole(ADMIN_ROLE) {
-        require(_config.collateralFactor <= 1e18, "Invalid collateral factor");
-        require(_config.liquidationThreshold <= 1e18, "Invalid liquidation threshold");
-        require(_config.liquidationBonus <= 1e18, "Invalid liquidation bonus");
-        require(_config.reserveFactor <= 1e18, "Invalid reserve factor");
-        require(_config.interestRateModel != address(0), "Invalid interest rate model");
+    function setConfig(VaultConfig memory _config) internal {
+        if (_config.liquidationThreshold > 1e18) revert InvalidLiquidationThreshold();
+        // A position must not be able to borrow straight into liquidation
+        if (_config.collateralFactor > _config.liquidationThreshold) revert InvalidCollateralFactor();
+        if (_config.liquidationBonus > 1e18) revert InvalidLiquidationBonus();
+        if (_config.reserveFactor > 1e18) revert InvalidReserveFactor();
+        if (_config.interestRateModel == address(0)) revert InvalidInterestRateModel();
+        if (_config.oracle == address(0)) revert InvalidOracle();
+
+        // Settle interest under the outgoing model and reserve factor
+        accrueInterest();
 
         config = _config;
         interestRateModel = IInterestRateModel(_config.interestRateModel);
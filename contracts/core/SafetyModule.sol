@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISafetyModule.sol";
+
+// Backstop fund for vault bad debt. Whatever tokens it holds can be drawn by covered vaults when a write-off
+// exceeds their reserves; the owner funds it by transferring tokens in and can take them back out.
+contract SafetyModule is ISafetyModule, Ownable {
+    using SafeERC20 for IERC20;
+
+    mapping(address => bool) public coveredVaults;
+
+    event VaultCovered(address indexed vault, bool covered);
+    event ShortfallCovered(address indexed vault, address indexed asset, uint256 requested, uint256 covered);
+    event FundsWithdrawn(address indexed asset, address indexed to, uint256 amount);
+
+    constructor() Ownable(msg.sender) {}
+
+    function coverShortfall(address asset, uint256 amount) external override returns (uint256 covered) {
+        require(coveredVaults[msg.sender], "Vault is not covered");
+
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        covered = amount < balance ? amount : balance;
+        if (covered > 0) {
+            IERC20(asset).safeTransfer(msg.sender, covered);
+        }
+
+        emit ShortfallCovered(msg.sender, asset, amount, covered);
+    }
+
+    function setVaultCovered(address vault, bool covered) external onlyOwner {
+        require(vault != address(0), "Invalid vault");
+        coveredVaults[vault] = covered;
+        emit VaultCovered(vault, covered);
+    }
+
+    function withdraw(address asset, uint256 amount, address to) external onlyOwner {
+        require(to != address(0), "Invalid recipient");
+        IERC20(asset).safeTransfer(to, amount);
+        emit FundsWithdrawn(asset, to, amount);
+    }
+}
\ No newline at end of file
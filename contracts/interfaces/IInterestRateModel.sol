@@ -15,6 +15,27 @@ interface IInterestRateModel {
         uint256 reserveFactor
     ) external view returns (uint256);
 
+    function getBorrowRatePerSecond(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external view returns (uint256);
+
+    function getSupplyRatePerSecond(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves,
+        uint256 reserveFactor
+    ) external view returns (uint256);
+
+    // Called by a vault on every accrual so stateful models can update their curve.
+    // Returns the borrow rate per second to charge over the period since the caller's previous accrual.
+    function updateRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external returns (uint256);
+
     function utilizationRate(
         uint256 cash,
         uint256 borrows,
@@ -7,14 +7,31 @@ interface ILendingPool {
         uint256 totalBorrows;
         uint256 availableLiquidity;
         uint256 utilizationRate;
-        uint256 borrowRate;
-        uint256 supplyRate;
+        uint256 borrowRate; // per second
+        uint256 supplyRate; // per second
+        uint256 borrowIndex;
+        uint256 supplyCap; // 0 = uncapped
+        uint256 borrowCap; // 0 = uncapped
         uint256 lastUpdateTimestamp;
         address interestRateModel;
         bool isActive;
+        bool isFrozen;
     }
 
+    struct ReserveCaps {
+        uint256 supplyCap;
+        uint256 borrowCap;
+    }
+
+    struct BorrowSnapshot {
+        uint256 principal;
+        uint256 borrowIndex;
+    }
+
+    event ReserveInitialized(address indexed asset, address interestRateModel, uint256 supplyCap, uint256 borrowCap);
+
     event ReserveDataUpdated(
+        address indexed asset,
         uint256 totalSupply,
         uint256 totalBorrows,
         uint256 utilizationRate,
@@ -22,8 +39,28 @@ interface ILendingPool {
         uint256 supplyRate
     );
 
-    function updateReserveData() external;
-    function calculateInterest(address user) external view returns (uint256);
-    function getReserveData() external view returns (ReserveData memory);
-    function accrueInterest() external;
+    event ReserveStatusUpdated(address indexed asset, bool isActive, bool isFrozen);
+    event ReserveConfigUpdated(address indexed asset, address interestRateModel, uint256 supplyCap, uint256 borrowCap);
+    event VaultRegistered(address indexed vault, bool registered);
+    event Supply(address indexed asset, address indexed vault, uint256 amount);
+    event Withdraw(address indexed asset, address indexed vault, address to, uint256 amount);
+    event Borrow(address indexed asset, address indexed vault, address indexed borrower, address to, uint256 amount);
+    event Repay(address indexed asset, address indexed vault, address indexed borrower, uint256 amount);
+    event DebtWrittenOff(address indexed asset, address indexed vault, address indexed borrower, uint256 amount);
+
+    function supplyBalances(address asset, address account) external view returns (uint256);
+
+    function deposit(address asset, uint256 amount) external;
+    function withdraw(address asset, uint256 amount, address to) external;
+    function borrow(address asset, address borrower, uint256 amount, address to) external;
+    function repay(address asset, address borrower, uint256 amount) external;
+    function writeOffDebt(address asset, address borrower) external returns (uint256);
+
+    function updateReserveData(address asset) external;
+    function calculateInterest(address asset, address vault, address user) external view returns (uint256);
+    function getUserDebt(address asset, address vault, address user) external view returns (uint256);
+    function getCurrentBorrowIndex(address asset) external view returns (uint256);
+    function getReserveData(address asset) external view returns (ReserveData memory);
+    function getReservesList() external view returns (address[] memory);
+    function accrueInterest(address asset) external;
 }
\ No newline at end of file
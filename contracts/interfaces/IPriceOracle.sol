@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IPriceOracle {
+    // Price of one whole token (10 ** decimals units) in the common 18-decimal quote unit
+    function getAssetPrice(address asset) external view returns (uint256);
+}
\ No newline at end of file
@@ -2,13 +2,43 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+
+interface ISafeLendVault is IERC4626, IERC20Permit, IERC3156FlashLender {
+    // Actions the guardian can pause independently; deposit and withdraw cover collateral too
+    enum Action {
+        Deposit,
+        Withdraw,
+        Borrow,
+        Repay,
+        Liquidate,
+        FlashLoan
+    }
+
+    struct PauseStatus {
+        bool paused;
+        bool depositPaused;
+        bool withdrawPaused;
+        bool borrowPaused;
+        bool repayPaused;
+        bool liquidatePaused;
+        bool flashLoanPaused;
+        bool liquidationEnabled;
+    }
+
+    struct MarketCaps {
+        uint256 supplyCap;
+        uint256 borrowCap;
+        uint256 accountSupplyCap;
+        uint256 accountBorrowCap;
+    }
 
-interface ISafeLendVault {
     struct Position {
         uint256 collateralAmount;
         uint256 borrowedAmount;
-        uint256 lastInterestUpdate;
-        uint256 accumulatedInterest;
+        uint256 borrowIndex;
     }
 
     struct VaultConfig {
@@ -22,27 +52,151 @@ interface ISafeLendVault {
         bool liquidationEnabled;
     }
 
-    event Deposit(address indexed user, uint256 amount, uint256 shares);
-    event Withdraw(address indexed user, uint256 amount, uint256 shares);
+    error ZeroAmount();
+    error ZeroShares();
+    error InvalidAccount();
+    error InvalidReceiver();
+    error InsufficientCollateral();
+    error InsufficientLiquidity();
+    error InsufficientReserves();
+    error WithdrawalUndercollateralized();
+    error BorrowExceedsLimit();
+    error NoDebtToRepay();
+    error ActionPaused(Action action);
+
+    error InvalidDelegatee();
+    error BorrowAllowanceExceeded();
+    error SignatureExpired();
+    error InvalidSignature();
+
+    error NotAuthorized();
+    error LiquidationDisabled();
+    error PositionNotLiquidatable();
+    error PositionStillLiquidatable();
+    error NoBadDebt();
+    error AuctionModeEnabled();
+    error AuctionModeDisabled();
+    error AuctionAlreadyStarted();
+    error NoActiveAuction();
+
+    error UnsupportedFlashLoanToken();
+    error FlashLoanExceedsLiquidity();
+    error InvalidFlashLoanCallback();
+
+    error CollateralIsAsset();
+    error InvalidOracle();
+    error InvalidOraclePrice();
+    error InvalidCollateralFactor();
+    error InvalidLiquidationThreshold();
+    error InvalidLiquidationBonus();
+    error InvalidReserveFactor();
+    error InvalidInterestRateModel();
+    error InvalidBlocksPerYear();
+    error InvalidFlashLoanFee();
+    error InvalidCloseFactor();
+    error InvalidCriticalHealthFactor();
+    error InvalidAuctionDuration();
+    error InvalidAuctionDiscount();
+    error InvalidLendingPool();
+    error InactiveLendingPoolReserve();
+    error LendingPoolAlreadySet();
+    error OutstandingBorrows();
+
+    error SupplyCapExceeded(uint256 supplyCap);
+    error BorrowCapExceeded(uint256 borrowCap);
+    error AccountSupplyCapExceeded(address account, uint256 accountSupplyCap);
+    error AccountBorrowCapExceeded(address account, uint256 accountBorrowCap);
+
+    event CollateralDeposited(address indexed user, uint256 amount);
+    event CollateralWithdrawn(address indexed user, uint256 amount);
     event Borrow(address indexed user, uint256 amount);
     event Repay(address indexed user, uint256 amount);
+    event BorrowAllowanceDelegated(address indexed delegator, address indexed delegatee, uint256 amount);
     event Liquidation(
         address indexed liquidator,
         address indexed borrower,
         uint256 debtCovered,
         uint256 collateralLiquidated
     );
+    event BadDebtRealized(
+        address indexed borrower,
+        uint256 debt,
+        uint256 coveredByReserves,
+        uint256 coveredBySafetyModule,
+        uint256 socializedLoss
+    );
+    event ShortfallCoverFailed(address indexed borrower, uint256 shortfall);
+    event AuctionStarted(address indexed borrower, uint256 startTime);
+    event AuctionEnded(address indexed borrower);
+    event AuctionParamsUpdated(bool auctionMode, uint256 auctionDuration, uint256 maxAuctionDiscount);
+    event ActionPausedUpdated(Action indexed action, bool paused);
+    event CapsUpdated(uint256 supplyCap, uint256 borrowCap, uint256 accountSupplyCap, uint256 accountBorrowCap);
+    event ReservesReduced(address indexed to, uint256 amount, uint256 newTotalReserves);
+    event SafetyModuleUpdated(address indexed safetyModule);
+    event BlocksPerYearUpdated(uint256 blocksPerYear);
+    event LendingPoolUpdated(address indexed lendingPool);
+    event FlashLoan(address indexed receiver, address indexed token, uint256 amount, uint256 fee);
+    event FlashLoanFeeUpdated(uint256 flashLoanFee);
+    event LiquidationParamsUpdated(uint256 closeFactor, uint256 criticalHealthFactor, uint256 minLeftoverDebtValue);
 
-    function deposit(uint256 amount) external returns (uint256 shares);
-    function withdraw(uint256 shares) external returns (uint256 amount);
+    function depositCollateral(uint256 amount) external;
+    function withdrawCollateral(uint256 amount) external;
     function borrow(uint256 amount) external;
     function repay(uint256 amount) external;
-    function liquidate(address borrower) external returns (uint256);
+    function depositFor(address onBehalfOf, uint256 amount) external;
+    function borrowOnBehalf(address onBehalfOf, uint256 amount) external;
+    function repayOnBehalf(address onBehalfOf, uint256 amount) external returns (uint256);
+    function approveDelegation(address delegatee, uint256 amount) external;
+    function delegationWithSig(
+        address delegator,
+        address delegatee,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+    function borrowAllowance(address delegator, address delegatee) external view returns (uint256);
+    function liquidate(address borrower, uint256 repayAmount, address receiver) external returns (uint256);
+    function startAuction(address borrower) external;
+    function cancelAuction(address borrower) external;
+    function bid(address borrower, uint256 repayAmount, address receiver) external returns (uint256);
+    function realizeBadDebt(address borrower) external;
+    function reduceReserves(uint256 amount, address to) external;
+
+    function isActionPaused(Action action) external view returns (bool);
+    function getPauseStatus() external view returns (PauseStatus memory);
+    function config()
+        external
+        view
+        returns (
+            uint256 collateralFactor,
+            uint256 liquidationThreshold,
+            uint256 liquidationBonus,
+            uint256 reserveFactor,
+            address interestRateModel,
+            address oracle,
+            bool isPaused,
+            bool liquidationEnabled
+        );
+    function updateConfig(VaultConfig memory _config) external;
 
     function getPosition(address user) external view returns (Position memory);
-    function getTotalSupply() external view returns (uint256);
+    function remainingCapacity() external view returns (uint256 supply, uint256 borrow);
     function getTotalBorrows() external view returns (uint256);
+    function totalReserves() external view returns (uint256);
+    function getUserDebt(address user) external view returns (uint256);
     function getUtilizationRate() external view returns (uint256);
+    function getBorrowRatePerSecond() external view returns (uint256);
+    function getSupplyRatePerSecond() external view returns (uint256);
     function getUserHealthFactor(address user) external view returns (uint256);
-    function asset() external view returns (IERC20);
+    function getMaxLiquidationRepay(address borrower) external view returns (uint256);
+    function previewLiquidation(address borrower) external view returns (uint256 debtRepaid, uint256 collateralSeized);
+    function auctionMode() external view returns (bool);
+    function auctionStartTime(address borrower) external view returns (uint256);
+    function getAuctionDiscount(address borrower) external view returns (uint256);
+    function getCollateralValue(address user) external view returns (uint256);
+    function getDebtValue(address user) external view returns (uint256);
+    function getMaxBorrow(address user) external view returns (uint256);
+    function collateralAsset() external view returns (IERC20);
 }
\ No newline at end of file
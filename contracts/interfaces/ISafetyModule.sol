@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface ISafetyModule {
+    // Sends up to `amount` of `asset` to the calling vault to cover bad debt; returns what was sent
+    function coverShortfall(address asset, uint256 amount) external returns (uint256);
+}
\ No newline at end of file
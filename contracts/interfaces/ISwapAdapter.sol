@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface ISwapAdapter {
+    // Pulls `amountIn` of `tokenIn` from the caller and sends at least `minAmountOut` of `tokenOut` back to it.
+    // `data` carries venue-specific routing (pool fees, paths, ...).
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        bytes calldata data
+    ) external returns (uint256 amountOut);
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IInterestRateModel.sol";
+
+// Adaptive curve in the style of Morpho's AdaptiveCurveIRM: the borrow rate follows a fixed-shape curve around
+// `rateAtTarget`, and `rateAtTarget` itself drifts exponentially toward whatever rate brings utilization back to
+// the target. Sustained utilization above target keeps raising rates instead of parking the market at a kink.
+// State is kept per caller, so one deployment can serve several vaults; a multi-reserve lending pool needs one
+// deployment per reserve.
+contract AdaptiveInterestRateModel is IInterestRateModel {
+    struct MarketState {
+        uint256 rateAtTarget; // per second
+        uint256 lastUpdate;
+    }
+
+    int256 private constant WAD = 1e18;
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+
+    uint256 public constant MIN_RATE_AT_TARGET = 0.001e18 / SECONDS_PER_YEAR;
+    uint256 public constant MAX_RATE_AT_TARGET = 2e18 / SECONDS_PER_YEAR;
+
+    // Bounds of the exponential approximation; see wExp
+    int256 private constant LN_2 = 0.693147180559945309e18;
+    int256 private constant LN_WEI = -41.446531673892822312e18;
+    int256 private constant WEXP_UPPER_BOUND = 93.859467695000404319e18;
+    int256 private constant WEXP_UPPER_VALUE = 57716089161558943949701069502944508345128.422502756744429568e18;
+
+    uint256 public immutable targetUtilization;
+    uint256 public immutable initialRateAtTarget; // per second
+    uint256 public immutable adjustmentSpeed; // per second
+    uint256 public immutable curveSteepness;
+
+    mapping(address => MarketState) public marketStates;
+
+    event RateAtTargetUpdated(address indexed market, uint256 rateAtTarget, uint256 borrowRatePerSecond);
+
+    constructor(
+        uint256 _targetUtilization,
+        uint256 _initialRateAtTargetPerYear,
+        uint256 _adjustmentSpeedPerYear,
+        uint256 _curveSteepness
+    ) {
+        require(_targetUtilization > 0 && _targetUtilization < 1e18, "Invalid target utilization");
+        uint256 initialRate = _initialRateAtTargetPerYear / SECONDS_PER_YEAR;
+        require(
+            initialRate >= MIN_RATE_AT_TARGET && initialRate <= MAX_RATE_AT_TARGET,
+            "Invalid initial rate at target"
+        );
+        require(_adjustmentSpeedPerYear <= 1000e18, "Invalid adjustment speed");
+        require(_curveSteepness >= 1e18 && _curveSteepness <= 100e18, "Invalid curve steepness");
+
+        targetUtilization = _targetUtilization;
+        initialRateAtTarget = initialRate;
+        adjustmentSpeed = _adjustmentSpeedPerYear / SECONDS_PER_YEAR;
+        curveSteepness = _curveSteepness;
+    }
+
+    function utilizationRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) public pure override returns (uint256) {
+        if (borrows == 0) {
+            return 0;
+        }
+
+        uint256 totalSupply = cash + borrows - reserves;
+        if (totalSupply == 0) {
+            return 0;
+        }
+
+        require(borrows <= type(uint256).max / 1e18, "Calculation overflow");
+
+        return (borrows * 1e18) / totalSupply;
+    }
+
+    function updateRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external override returns (uint256) {
+        (uint256 avgRate, uint256 endRateAtTarget) = calculateRate(msg.sender, cash, borrows, reserves);
+
+        MarketState storage state = marketStates[msg.sender];
+        state.rateAtTarget = endRateAtTarget;
+        state.lastUpdate = block.timestamp;
+
+        emit RateAtTargetUpdated(msg.sender, endRateAtTarget, avgRate);
+        return avgRate;
+    }
+
+    // Average rate the caller would be charged if it accrued now
+    function getBorrowRatePerSecond(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) public view override returns (uint256) {
+        (uint256 avgRate, ) = calculateRate(msg.sender, cash, borrows, reserves);
+        return avgRate;
+    }
+
+    function getSupplyRatePerSecond(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves,
+        uint256 reserveFactor
+    ) public view override returns (uint256) {
+        uint256 rateToPool = (getBorrowRatePerSecond(cash, borrows, reserves) * (1e18 - reserveFactor)) / 1e18;
+        return (utilizationRate(cash, borrows, reserves) * rateToPool) / 1e18;
+    }
+
+    function getBorrowRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external view override returns (uint256) {
+        return getBorrowRatePerSecond(cash, borrows, reserves) * SECONDS_PER_YEAR;
+    }
+
+    function getSupplyRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves,
+        uint256 reserveFactor
+    ) external view override returns (uint256) {
+        return getSupplyRatePerSecond(cash, borrows, reserves, reserveFactor) * SECONDS_PER_YEAR;
+    }
+
+    // Borrow rate per second a market would be charged right now, for off-chain monitoring
+    function getMarketBorrowRatePerSecond(
+        address market,
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external view returns (uint256) {
+        (uint256 avgRate, ) = calculateRate(market, cash, borrows, reserves);
+        return avgRate;
+    }
+
+    // Returns the average rate over the time since the market's last update and the new rate at target.
+    // The average uses the trapezoidal rule over start, midpoint and end of the exponential adaptation.
+    function calculateRate(
+        address market,
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) internal view returns (uint256 avgRate, uint256 endRateAtTarget) {
+        int256 err = utilizationError(utilizationRate(cash, borrows, reserves));
+        MarketState memory state = marketStates[market];
+
+        int256 avgRateAtTarget;
+        if (state.lastUpdate == 0) {
+            // First interaction: start from the initial rate without adapting
+            avgRateAtTarget = int256(initialRateAtTarget);
+            endRateAtTarget = initialRateAtTarget;
+        } else {
+            int256 startRateAtTarget = int256(state.rateAtTarget);
+            int256 speed = (int256(adjustmentSpeed) * err) / WAD;
+            int256 linearAdaptation = speed * int256(block.timestamp - state.lastUpdate);
+
+            if (linearAdaptation == 0) {
+                avgRateAtTarget = startRateAtTarget;
+                endRateAtTarget = state.rateAtTarget;
+            } else {
+                int256 end = newRateAtTarget(startRateAtTarget, linearAdaptation);
+                int256 mid = newRateAtTarget(startRateAtTarget, linearAdaptation / 2);
+                avgRateAtTarget = (startRateAtTarget + end + 2 * mid) / 4;
+                endRateAtTarget = uint256(end);
+            }
+        }
+
+        avgRate = uint256(curve(avgRateAtTarget, err));
+    }
+
+    // Distance from target utilization, normalized to [-1, 1]
+    function utilizationError(uint256 util) internal view returns (int256) {
+        int256 errNormFactor = util > targetUtilization
+            ? WAD - int256(targetUtilization)
+            : int256(targetUtilization);
+        return ((int256(util) - int256(targetUtilization)) * WAD) / errNormFactor;
+    }
+
+    // Rate at target scaled by 1/steepness at zero utilization up to steepness at full utilization
+    function curve(int256 rateAtTarget, int256 err) internal view returns (int256) {
+        int256 steepness = int256(curveSteepness);
+        int256 coeff = err < 0 ? WAD - (WAD * WAD) / steepness : steepness - WAD;
+        return (((coeff * err) / WAD + WAD) * rateAtTarget) / WAD;
+    }
+
+    function newRateAtTarget(int256 startRateAtTarget, int256 linearAdaptation) internal pure returns (int256) {
+        int256 rate = (startRateAtTarget * wExp(linearAdaptation)) / WAD;
+        if (rate < int256(MIN_RATE_AT_TARGET)) {
+            return int256(MIN_RATE_AT_TARGET);
+        }
+        if (rate > int256(MAX_RATE_AT_TARGET)) {
+            return int256(MAX_RATE_AT_TARGET);
+        }
+        return rate;
+    }
+
+    // e^x in WAD: x = q * ln(2) + r with |r| <= ln(2) / 2, then 2^q * (second-order Taylor of e^r)
+    function wExp(int256 x) internal pure returns (int256) {
+        if (x < LN_WEI) {
+            return 0;
+        }
+        if (x >= WEXP_UPPER_BOUND) {
+            return WEXP_UPPER_VALUE;
+        }
+
+        int256 roundingAdjustment = x < 0 ? -(LN_2 / 2) : LN_2 / 2;
+        int256 q = (x + roundingAdjustment) / LN_2;
+        int256 r = x - q * LN_2;
+        int256 expR = WAD + r + (r * r) / WAD / 2;
+
+        if (q >= 0) {
+            return expR << uint256(q);
+        }
+        return expR >> uint256(-q);
+    }
+}
\ No newline at end of file
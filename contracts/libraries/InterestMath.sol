@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+library InterestMath {
+    uint256 public constant WAD = 1e18;
+    uint256 public constant RAY = 1e27;
+    uint256 private constant WAD_RAY_RATIO = 1e9;
+
+    // Growth factor (1 + r)^t in WAD for a per-second WAD rate compounded every second.
+    // Works in RAY internally so that small per-second rates keep their precision across squarings.
+    function calculateCompoundedInterest(uint256 ratePerSecond, uint256 timeDelta) internal pure returns (uint256) {
+        if (ratePerSecond == 0 || timeDelta == 0) {
+            return WAD;
+        }
+        return rpow(RAY + ratePerSecond * WAD_RAY_RATIO, timeDelta, RAY) / WAD_RAY_RATIO;
+    }
+
+    // x^n in fixed point with the given base, by exponentiation by squaring; each product rounds half up
+    function rpow(uint256 x, uint256 n, uint256 base) internal pure returns (uint256 z) {
+        z = n % 2 != 0 ? x : base;
+        uint256 half = base / 2;
+
+        for (n /= 2; n != 0; n /= 2) {
+            x = (x * x + half) / base;
+            if (n % 2 != 0) {
+                z = (z * x + half) / base;
+            }
+        }
+    }
+}
\ No newline at end of file
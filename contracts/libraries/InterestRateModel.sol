@@ -1,15 +1,44 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IInterestRateModel.sol";
 
-contract InterestRateModel is IInterestRateModel {
-    uint256 public constant BASE_RATE_PER_YEAR = 0.02e18;
-    uint256 public constant MULTIPLIER_PER_YEAR = 0.1e18;
-    uint256 public constant JUMP_MULTIPLIER_PER_YEAR = 0.5e18;
-    uint256 public constant KINK = 0.8e18;
+contract InterestRateModel is IInterestRateModel, Ownable {
+    uint256 public baseRatePerYear;
+    uint256 public multiplierPerYear;
+    uint256 public jumpMultiplierPerYear;
+    uint256 public kink;
+
+    // Upper bound on the borrow rate at 100% utilization (1000% APR)
+    uint256 public constant MAX_BORROW_RATE_PER_YEAR = 10e18;
     uint256 private constant SECONDS_PER_YEAR = 365 days;
 
+    event NewInterestParams(
+        uint256 baseRatePerYear,
+        uint256 multiplierPerYear,
+        uint256 jumpMultiplierPerYear,
+        uint256 kink
+    );
+
+    constructor(
+        uint256 _baseRatePerYear,
+        uint256 _multiplierPerYear,
+        uint256 _jumpMultiplierPerYear,
+        uint256 _kink
+    ) Ownable(msg.sender) {
+        updateInterestParamsInternal(_baseRatePerYear, _multiplierPerYear, _jumpMultiplierPerYear, _kink);
+    }
+
+    function updateInterestParams(
+        uint256 _baseRatePerYear,
+        uint256 _multiplierPerYear,
+        uint256 _jumpMultiplierPerYear,
+        uint256 _kink
+    ) external onlyOwner {
+        updateInterestParamsInternal(_baseRatePerYear, _multiplierPerYear, _jumpMultiplierPerYear, _kink);
+    }
+
     function utilizationRate(
         uint256 cash,
         uint256 borrows,
@@ -37,12 +66,12 @@ contract InterestRateModel is IInterestRateModel {
     ) public view override returns (uint256) {
         uint256 util = utilizationRate(cash, borrows, reserves);
 
-        if (util <= KINK) {
-            return (util * MULTIPLIER_PER_YEAR) / 1e18 + BASE_RATE_PER_YEAR;
+        if (util <= kink) {
+            return (util * multiplierPerYear) / 1e18 + baseRatePerYear;
         } else {
-            uint256 normalRate = (KINK * MULTIPLIER_PER_YEAR) / 1e18 + BASE_RATE_PER_YEAR;
-            uint256 excessUtil = util - KINK;
-            return (excessUtil * JUMP_MULTIPLIER_PER_YEAR) / 1e18 + normalRate;
+            uint256 normalRate = (kink * multiplierPerYear) / 1e18 + baseRatePerYear;
+            uint256 excessUtil = util - kink;
+            return (excessUtil * jumpMultiplierPerYear) / 1e18 + normalRate;
         }
     }
 
@@ -58,20 +87,52 @@ contract InterestRateModel is IInterestRateModel {
         return (utilizationRate(cash, borrows, reserves) * rateToPool) / 1e18;
     }
 
-    function getBorrowRatePerBlock(
+    function getBorrowRatePerSecond(
         uint256 cash,
         uint256 borrows,
         uint256 reserves
-    ) external view returns (uint256) {
-        return getBorrowRate(cash, borrows, reserves) / (SECONDS_PER_YEAR / 12);
+    ) external view override returns (uint256) {
+        return getBorrowRate(cash, borrows, reserves) / SECONDS_PER_YEAR;
     }
 
-    function getSupplyRatePerBlock(
+    function getSupplyRatePerSecond(
         uint256 cash,
         uint256 borrows,
         uint256 reserves,
         uint256 reserveFactor
-    ) external view returns (uint256) {
-        return getSupplyRate(cash, borrows, reserves, reserveFactor) / (SECONDS_PER_YEAR / 12);
+    ) external view override returns (uint256) {
+        return getSupplyRate(cash, borrows, reserves, reserveFactor) / SECONDS_PER_YEAR;
+    }
+
+    // The jump-rate curve is static, so there is no state to update
+    function updateRate(
+        uint256 cash,
+        uint256 borrows,
+        uint256 reserves
+    ) external view override returns (uint256) {
+        return getBorrowRate(cash, borrows, reserves) / SECONDS_PER_YEAR;
+    }
+
+    function updateInterestParamsInternal(
+        uint256 _baseRatePerYear,
+        uint256 _multiplierPerYear,
+        uint256 _jumpMultiplierPerYear,
+        uint256 _kink
+    ) internal {
+        require(_kink > 0 && _kink <= 1e18, "Invalid kink");
+        // Convexity: the slope past the kink is at least the slope below it. Rates rise with utilization either way,
+        // since both slopes are non-negative; this keeps the jump a jump
+        require(_jumpMultiplierPerYear >= _multiplierPerYear, "Curve not convex at kink");
+
+        uint256 rateAtKink = (_kink * _multiplierPerYear) / 1e18 + _baseRatePerYear;
+        uint256 maxRate = ((1e18 - _kink) * _jumpMultiplierPerYear) / 1e18 + rateAtKink;
+        require(maxRate <= MAX_BORROW_RATE_PER_YEAR, "Borrow rate too high");
+
+        baseRatePerYear = _baseRatePerYear;
+        multiplierPerYear = _multiplierPerYear;
+        jumpMultiplierPerYear = _jumpMultiplierPerYear;
+        kink = _kink;
+
+        emit NewInterestParams(_baseRatePerYear, _multiplierPerYear, _jumpMultiplierPerYear, _kink);
     }
 }
\ No newline at end of file
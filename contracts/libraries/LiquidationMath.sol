@@ -3,7 +3,6 @@ pragma solidity ^0.8.20;
 
 library LiquidationMath {
     uint256 public constant PRECISION = 1e18;
-    uint256 public constant LIQUIDATION_CLOSE_FACTOR = 0.5e18;
 
     function calculateHealthFactor(
         uint256 collateralValue,
@@ -19,17 +18,37 @@ library LiquidationMath {
         return healthFactor < PRECISION;
     }
 
+    // Share of the debt one liquidation may repay: the configured close factor, or all of it once the position
+    // is below the critical health factor and a partial liquidation would only push it further underwater
+    function calculateCloseFactor(
+        uint256 healthFactor,
+        uint256 closeFactor,
+        uint256 criticalHealthFactor
+    ) internal pure returns (uint256) {
+        return healthFactor < criticalHealthFactor ? PRECISION : closeFactor;
+    }
+
     function calculateLiquidationAmounts(
         uint256 debtToCover,
-        uint256 totalDebt,
+        uint256 maxDebtToCover,
         uint256 totalCollateral,
-        uint256 liquidationBonus
+        uint256 liquidationBonus,
+        uint256 debtPrice,
+        uint256 debtDecimals,
+        uint256 collateralPrice,
+        uint256 collateralDecimals
     ) internal pure returns (uint256 collateralToLiquidate, uint256 actualDebtCovered) {
-        uint256 maxDebtToCover = (totalDebt * LIQUIDATION_CLOSE_FACTOR) / PRECISION;
         actualDebtCovered = debtToCover > maxDebtToCover ? maxDebtToCover : debtToCover;
 
-        collateralToLiquidate = (actualDebtCovered * totalCollateral * (PRECISION + liquidationBonus)) /
-            (totalDebt * PRECISION);
+        uint256 debtValue = calculateDebtValue(actualDebtCovered, debtPrice, debtDecimals);
+        uint256 seizeValue = (debtValue * (PRECISION + liquidationBonus)) / PRECISION;
+        collateralToLiquidate = calculateAmountFromValue(seizeValue, collateralPrice, collateralDecimals);
+
+        // Not enough collateral left to pay the bonus: seize all of it and cover proportionally less debt
+        if (collateralToLiquidate > totalCollateral) {
+            actualDebtCovered = (actualDebtCovered * totalCollateral) / collateralToLiquidate;
+            collateralToLiquidate = totalCollateral;
+        }
     }
 
     function calculateCollateralValue(
@@ -48,6 +67,14 @@ library LiquidationMath {
         return (debtAmount * debtPrice) / (10 ** debtDecimals);
     }
 
+    function calculateAmountFromValue(
+        uint256 value,
+        uint256 price,
+        uint256 decimals
+    ) internal pure returns (uint256) {
+        return (value * (10 ** decimals)) / price;
+    }
+
     function calculateMaxBorrow(
         uint256 collateralValue,
         uint256 collateralFactor,
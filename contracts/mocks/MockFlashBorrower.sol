@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+contract MockFlashBorrower is IERC3156FlashBorrower {
+    enum Action {
+        Repay,
+        SkipApproval,
+        WrongReturnValue,
+        ReenterFlashLoan
+    }
+
+    IERC3156FlashLender public immutable lender;
+    Action public action;
+
+    uint256 public balanceDuringLoan;
+    uint256 public totalAssetsDuringLoan;
+    uint256 public feeReceived;
+    address public initiatorReceived;
+
+    constructor(address _lender) {
+        lender = IERC3156FlashLender(_lender);
+    }
+
+    function setAction(Action _action) external {
+        action = _action;
+    }
+
+    function flashBorrow(address token, uint256 amount, bytes calldata data) external {
+        lender.flashLoan(this, token, amount, data);
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external override returns (bytes32) {
+        require(msg.sender == address(lender), "Untrusted lender");
+
+        balanceDuringLoan = IERC20(token).balanceOf(address(this));
+        totalAssetsDuringLoan = IERC4626(address(lender)).totalAssets();
+        feeReceived = fee;
+        initiatorReceived = initiator;
+
+        if (action == Action.ReenterFlashLoan) {
+            lender.flashLoan(this, token, amount, "");
+        }
+        if (action != Action.SkipApproval) {
+            IERC20(token).approve(address(lender), amount + fee);
+        }
+        if (action == Action.WrongReturnValue) {
+            return bytes32(0);
+        }
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
\ No newline at end of file
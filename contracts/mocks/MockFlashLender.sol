@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Lends nothing and calls back with a token of its choosing, to check that borrowers do not trust the callback
+contract MockFlashLender is IERC3156FlashLender {
+    address public spoofedToken;
+
+    function setSpoofedToken(address token) external {
+        spoofedToken = token;
+    }
+
+    function maxFlashLoan(address token) external view override returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    function flashFee(address, uint256) external pure override returns (uint256) {
+        return 0;
+    }
+
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override returns (bool) {
+        address callbackToken = spoofedToken == address(0) ? token : spoofedToken;
+        receiver.onFlashLoan(msg.sender, callbackToken, amount, 0, data);
+        return true;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../libraries/InterestMath.sol";
+
+// Exposes InterestMath for differential testing
+contract MockInterestMath {
+    function calculateCompoundedInterest(uint256 ratePerSecond, uint256 timeDelta) external pure returns (uint256) {
+        return InterestMath.calculateCompoundedInterest(ratePerSecond, timeDelta);
+    }
+
+    function rpow(uint256 x, uint256 n, uint256 base) external pure returns (uint256) {
+        return InterestMath.rpow(x, n, base);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "../interfaces/IPermit2.sol";
+
+// Signature transfers as Permit2 implements them: same typed data, domain and unordered nonces, so tests sign
+// exactly what wallets sign for the canonical deployment
+contract MockPermit2 is IPermit2 {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)");
+    bytes32 private constant TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)"
+        "TokenPermissions(address token,uint256 amount)"
+    );
+
+    // owner => word position => bitmap of used nonces
+    mapping(address => mapping(uint256 => uint256)) public nonceBitmap;
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external override {
+        require(block.timestamp <= permit.deadline, "Signature expired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "Invalid amount");
+
+        uint256 bit = 1 << (permit.nonce & 0xff);
+        uint256 flipped = nonceBitmap[owner][permit.nonce >> 8] ^= bit;
+        require(flipped & bit != 0, "Invalid nonce");
+
+        bytes32 tokenPermissions = keccak256(
+            abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)
+        );
+        bytes32 structHash = keccak256(
+            abi.encode(PERMIT_TRANSFER_FROM_TYPEHASH, tokenPermissions, msg.sender, permit.nonce, permit.deadline)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash);
+        require(ECDSA.recover(digest, signature) == owner, "Invalid signer");
+
+        IERC20(permit.permitted.token).safeTransferFrom(owner, transferDetails.to, transferDetails.requestedAmount);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("Permit2"), block.chainid, address(this)));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IPriceOracle.sol";
+
+contract MockPriceOracle is IPriceOracle {
+    mapping(address => uint256) private _prices;
+
+    event AssetPriceUpdated(address indexed asset, uint256 price);
+
+    function setAssetPrice(address asset, uint256 price) external {
+        _prices[asset] = price;
+        emit AssetPriceUpdated(asset, price);
+    }
+
+    function getAssetPrice(address asset) external view override returns (uint256) {
+        uint256 price = _prices[asset];
+        require(price > 0, "Price not available");
+        return price;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/ISwapAdapter.sol";
+import "../interfaces/IPriceOracle.sol";
+
+// Swaps at the oracle price minus a configurable slippage, out of its own token balances
+contract MockSwapAdapter is ISwapAdapter {
+    using SafeERC20 for IERC20;
+
+    IPriceOracle public immutable oracle;
+    uint256 public slippage;
+
+    constructor(address _oracle) {
+        oracle = IPriceOracle(_oracle);
+    }
+
+    function setSlippage(uint256 _slippage) external {
+        slippage = _slippage;
+    }
+
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        bytes calldata
+    ) external override returns (uint256 amountOut) {
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+
+        uint256 value = (amountIn * oracle.getAssetPrice(tokenIn)) / 10 ** IERC20Metadata(tokenIn).decimals();
+        amountOut = (value * 10 ** IERC20Metadata(tokenOut).decimals()) / oracle.getAssetPrice(tokenOut);
+        amountOut -= (amountOut * slippage) / 1e18;
+        require(amountOut >= minAmountOut, "Insufficient output amount");
+
+        IERC20(tokenOut).safeTransfer(msg.sender, amountOut);
+    }
+}
\ No newline at end of file
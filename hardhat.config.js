@@ -6,13 +6,30 @@ require("dotenv").config();
 
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
-      },
-      viaIR: true
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          viaIR: true
+        }
+      }
+    ],
+    overrides: {
+      // Optimized for size over call cost, to keep the vault under the 24 KiB contract size limit
+      "contracts/core/SafeLendVault.sol": {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 100
+          },
+          viaIR: true
+        }
+      }
     }
   },
   networks: {
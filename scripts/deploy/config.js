@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Ignition future ids are built from token and market keys, so keys must be plain identifiers
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const INTEREST_RATE_MODELS = {
+  jumpRate: {
+    contract: "InterestRateModel",
+    params: ["baseRatePerYear", "multiplierPerYear", "jumpMultiplierPerYear", "kink"]
+  },
+  adaptive: {
+    contract: "AdaptiveInterestRateModel",
+    params: ["targetUtilization", "initialRateAtTargetPerYear", "adjustmentSpeedPerYear", "curveSteepness"]
+  }
+};
+
+const RISK_PARAMS = ["collateralFactor", "liquidationThreshold", "liquidationBonus", "reserveFactor"];
+const CAP_PARAMS = ["supplyCap", "borrowCap", "accountSupplyCap", "accountBorrowCap"];
+const POOL_CAP_PARAMS = ["supplyCap", "borrowCap"];
+
+// Every network starts from networks/default.json and overrides what differs in networks/<network>.json. A network
+// without a file of its own cannot be deployed, so the testnet defaults never reach a network by accident.
+const DEFAULT_CONFIG = path.join(__dirname, "networks", "default.json");
+
+const TOP_LEVEL_KEYS = [
+  "oracle",
+  "permit2",
+  "treasury",
+  "guardian",
+  "feeSplit",
+  "configTimelockDelay",
+  "tokens",
+  "markets"
+];
+const TOKEN_KEYS = ["address", "mock", "price"];
+const MARKET_KEYS = ["asset", "collateral", "name", "symbol", "interestRateModel", "risk", "caps", "lendingPool"];
+
+// The in-process network has no config of its own and deploys what a local node would
+function configPath(network, env = process.env) {
+  if (env.DEPLOY_CONFIG) {
+    return path.resolve(env.DEPLOY_CONFIG);
+  }
+  const name = network === "hardhat" ? "localhost" : network;
+  return path.join(__dirname, "networks", `${name}.json`);
+}
+
+function loadDeployConfig(network, env = process.env) {
+  return parseDeployConfig(readRawConfig(network, env), env);
+}
+
+// The network's overrides merged onto the defaults, before validation
+function readRawConfig(network, env = process.env) {
+  const file = configPath(network, env);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment config for ${network} at ${file}`);
+  }
+  return mergeConfig(readJson(DEFAULT_CONFIG), readJson(file));
+}
+
+// Objects merge key by key; anything else, including arrays and null, replaces the default
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeConfig(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Validates the raw JSON and converts rates and weights to bigints. Caps stay decimal strings in token units,
+// since an external token's decimals are only known once the chain is asked.
+function parseDeployConfig(raw, env = process.env) {
+  // A mistyped override would otherwise be merged in and silently ignored
+  requireKnownKeys("config", raw, TOP_LEVEL_KEYS);
+
+  const treasury = raw.treasury || env.TREASURY_ADDRESS || null;
+  if (treasury !== null) {
+    requireAddress("treasury", treasury);
+  }
+
+  // Holds the vaults' GUARDIAN_ROLE, which pauses without waiting for the timelock
+  const guardian = raw.guardian || env.GUARDIAN_ADDRESS || null;
+  if (guardian !== null) {
+    requireAddress("guardian", guardian);
+  }
+
+  const feeSplit = raw.feeSplit || { treasury: 80, safetyModule: 20 };
+  if (!(feeSplit.treasury > 0) || !(feeSplit.safetyModule > 0)) {
+    throw new Error("feeSplit needs a positive treasury and safetyModule weight");
+  }
+
+  if (!Number.isInteger(raw.configTimelockDelay) || raw.configTimelockDelay <= 0) {
+    throw new Error("configTimelockDelay must be a positive number of seconds");
+  }
+
+  const oracle = parseMockOrAddress("oracle", raw.oracle);
+  const tokens = parseTokens(raw.tokens || {}, oracle.mock);
+  const markets = parseMarkets(raw.markets || {}, tokens);
+
+  return {
+    oracle,
+    permit2: parseMockOrAddress("permit2", raw.permit2),
+    treasury,
+    guardian,
+    feeSplit: { treasury: BigInt(feeSplit.treasury), safetyModule: BigInt(feeSplit.safetyModule) },
+    configTimelockDelay: BigInt(raw.configTimelockDelay),
+    tokens,
+    markets
+  };
+}
+
+function parseTokens(rawTokens, mockOracle) {
+  const tokens = {};
+  for (const [symbol, token] of Object.entries(rawTokens)) {
+    requireKey("token", symbol);
+    requireKnownKeys(`tokens.${symbol}`, token, TOKEN_KEYS);
+    if (Boolean(token.mock) === Boolean(token.address)) {
+      throw new Error(`Token ${symbol} needs exactly one of address or mock`);
+    }
+    if (token.address) {
+      requireAddress(`tokens.${symbol}.address`, token.address);
+    } else if (!Number.isInteger(token.mock.decimals) || token.mock.decimals < 0 || token.mock.decimals > 36) {
+      throw new Error(`Mock token ${symbol} needs integer decimals`);
+    }
+    if (mockOracle && token.price === undefined) {
+      throw new Error(`Token ${symbol} needs a price for the mock oracle`);
+    }
+
+    tokens[symbol] = {
+      address: token.address || null,
+      mock: token.mock
+        ? { name: token.mock.name || `${symbol} Mock`, decimals: token.mock.decimals, mint: token.mock.mint || "0" }
+        : null,
+      price: token.price === undefined ? null : ethers.parseUnits(token.price, 18)
+    };
+  }
+  return tokens;
+}
+
+function parseMarkets(rawMarkets, tokens) {
+  const markets = {};
+  for (const [key, market] of Object.entries(rawMarkets)) {
+    requireKey("market", key);
+    requireKnownKeys(`markets.${key}`, market, MARKET_KEYS);
+    requireKnownKeys(`${key}.risk`, market.risk || {}, RISK_PARAMS);
+    // The pool passes all interest on to the vault, whose risk.reserveFactor is the market's only reserve cut
+    if (market.lendingPool && market.lendingPool.reserveFactor !== undefined) {
+      throw new Error(`Market ${key} sets lendingPool.reserveFactor; use risk.reserveFactor instead`);
+    }
+    for (const field of ["asset", "collateral"]) {
+      if (!tokens[market[field]]) {
+        throw new Error(`Market ${key} ${field} ${market[field]} is not listed under tokens`);
+      }
+    }
+    if (market.asset === market.collateral) {
+      throw new Error(`Market ${key} cannot use its debt asset as collateral`);
+    }
+    if (!market.name || !market.symbol) {
+      throw new Error(`Market ${key} needs a share name and symbol`);
+    }
+
+    markets[key] = {
+      asset: market.asset,
+      collateral: market.collateral,
+      name: market.name,
+      symbol: market.symbol,
+      interestRateModel: parseInterestRateModel(key, market.interestRateModel || {}),
+      risk: parseWads(`${key}.risk`, market.risk || {}, RISK_PARAMS, { max: ethers.WeiPerEther }),
+      caps: parseCaps(`${key}.caps`, market.caps || {}, CAP_PARAMS),
+      lendingPool: market.lendingPool ? parseCaps(`${key}.lendingPool`, market.lendingPool, POOL_CAP_PARAMS) : null
+    };
+    const { collateralFactor, liquidationThreshold } = markets[key].risk;
+    if (collateralFactor > liquidationThreshold) {
+      throw new Error(`Market ${key} collateralFactor must not exceed its liquidationThreshold`);
+    }
+  }
+  if (Object.keys(markets).length === 0) {
+    throw new Error("Deployment config lists no markets");
+  }
+  return markets;
+}
+
+function parseInterestRateModel(key, model) {
+  const type = model.type || "jumpRate";
+  const spec = INTEREST_RATE_MODELS[type];
+  if (!spec) {
+    throw new Error(`Market ${key} has unknown interest rate model type ${type}`);
+  }
+  requireKnownKeys(`${key}.interestRateModel`, model, ["type", ...spec.params]);
+  const params = parseWads(`${key}.interestRateModel`, model, spec.params);
+  return { type, contract: spec.contract, args: spec.params.map((name) => params[name]) };
+}
+
+function parseWads(label, values, names, { max } = {}) {
+  const parsed = {};
+  for (const name of names) {
+    if (values[name] === undefined) {
+      throw new Error(`${label}.${name} is missing`);
+    }
+    parsed[name] = ethers.parseUnits(String(values[name]), 18);
+    if (max !== undefined && parsed[name] > max) {
+      throw new Error(`${label}.${name} must not exceed 1`);
+    }
+  }
+  return parsed;
+}
+
+// Zero means uncapped, as in the contracts
+function parseCaps(label, values, names) {
+  requireKnownKeys(label, values, names);
+  const caps = {};
+  for (const name of names) {
+    const value = values[name] === undefined ? "0" : String(values[name]);
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+      throw new Error(`${label}.${name} must be a non-negative token amount`);
+    }
+    caps[name] = value;
+  }
+  return caps;
+}
+
+function parseMockOrAddress(label, value) {
+  if (value === "mock") {
+    return { mock: true, address: null };
+  }
+  requireAddress(label, value);
+  return { mock: false, address: value };
+}
+
+function requireAddress(label, value) {
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    throw new Error(`${label} must be an address${label === "treasury" || label === "guardian" ? "" : ' or "mock"'}`);
+  }
+}
+
+function requireKnownKeys(label, values, known) {
+  if (!isPlainObject(values)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const unknown = Object.keys(values).find((key) => !known.includes(key));
+  if (unknown !== undefined) {
+    throw new Error(`${label} has unknown key ${unknown}`);
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function requireKey(kind, key) {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid ${kind} key ${key}; use letters and digits only`);
+  }
+}
+
+module.exports = { loadDeployConfig, readRawConfig, mergeConfig, parseDeployConfig, configPath };
\ No newline at end of file
@@ -0,0 +1,268 @@
+const { ethers } = require("ethers");
+
+const VAULT_ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  ADMIN_ROLE: ethers.id("ADMIN_ROLE"),
+  LIQUIDATOR_ROLE: ethers.id("LIQUIDATOR_ROLE"),
+  GUARDIAN_ROLE: ethers.id("GUARDIAN_ROLE"),
+  CONFIGURATOR_ROLE: ethers.id("CONFIGURATOR_ROLE"),
+  TREASURY_ROLE: ethers.id("TREASURY_ROLE")
+};
+
+// Every step reads the chain before it writes: `needed` compares on-chain state with the config, and `run` only
+// happens when they differ. A rerun after a crash, or against an unchanged config, sends no transactions.
+// `blocked` explains why a needed step cannot be sent by the deployer; those are reported instead of reverting.
+function planConfigSteps({ config, contracts, deployer }) {
+  const steps = [];
+  const { LendingPool: lendingPool, Liquidator: liquidator, SafetyModule: safetyModule } = contracts;
+  const { ConfigTimelock: timelock, FeeSplitter: feeSplitter } = contracts;
+  const deployerAddress = deployer.address;
+
+  if (config.oracle.mock) {
+    for (const [symbol, token] of Object.entries(config.tokens)) {
+      const asset = contracts.tokens[symbol];
+      steps.push({
+        id: `oracle.setAssetPrice:${symbol}`,
+        description: `Set the mock oracle price of ${symbol}`,
+        needed: async () => (await mockPrice(contracts.oracle, asset.target)) !== token.price,
+        run: () => contracts.oracle.setAssetPrice(asset.target, token.price)
+      });
+    }
+  }
+
+  const treasury = config.treasury || deployerAddress;
+  const guardian = config.guardian || deployerAddress;
+  const payees = [treasury, safetyModule.target];
+  const weights = [config.feeSplit.treasury, config.feeSplit.safetyModule];
+  steps.push({
+    id: "feeSplitter.setPayees",
+    description: `Split fees ${weights.join("/")} between ${treasury} and the safety module`,
+    needed: async () => !samePayees(await feeSplitter.getPayees(), payees, weights),
+    run: () => feeSplitter.setPayees(payees, weights)
+  });
+
+  for (const [key, market] of Object.entries(config.markets)) {
+    const vault = contracts.markets[key].vault;
+    const asset = contracts.tokens[market.asset];
+    // Once the admin roles are with the timelock, admin changes have to be queued through ConfigTimelock.queueCall
+    const adminBlocked = (role) => async () =>
+      (await vault.hasRole(VAULT_ROLES[role], deployerAddress))
+        ? null
+        : `the deployer no longer holds ${role}; queue the call through ConfigTimelock.queueCall`;
+
+    steps.push({
+      id: `liquidator.authorizeVault:${key}`,
+      description: `Authorize the ${key} vault in the liquidator`,
+      needed: async () => !(await liquidator.authorizedVaults(vault.target)),
+      run: () => liquidator.authorizeVault(vault.target, true)
+    });
+    steps.push({
+      id: `liquidator.setTrustedFlashLender:${key}`,
+      description: `Let the liquidator flash-borrow from the ${key} vault`,
+      needed: async () => !(await liquidator.trustedFlashLenders(vault.target)),
+      run: () => liquidator.setTrustedFlashLender(vault.target, true)
+    });
+
+    if (market.lendingPool) {
+      const pool = market.lendingPool;
+      steps.push({
+        id: `lendingPool.initReserve:${key}`,
+        description: `List ${market.asset} in the lending pool`,
+        needed: async () => !(await lendingPool.getReserveData(asset.target)).isActive,
+        run: async () => {
+          const decimals = await asset.decimals();
+          const { interestRateModel } = contracts.markets[key];
+          return lendingPool.initReserve(asset.target, interestRateModel.target, {
+            supplyCap: ethers.parseUnits(pool.supplyCap, decimals),
+            borrowCap: ethers.parseUnits(pool.borrowCap, decimals)
+          });
+        }
+      });
+      steps.push({
+        id: `lendingPool.registerVault:${key}`,
+        description: `Register the ${key} vault with the lending pool`,
+        needed: async () => !(await lendingPool.registeredVaults(vault.target)),
+        run: () => lendingPool.registerVault(vault.target, true)
+      });
+      steps.push({
+        id: `vault.setLendingPool:${key}`,
+        description: `Move the ${key} vault's cash into the lending pool`,
+        needed: async () => (await vault.lendingPool()) === ethers.ZeroAddress,
+        blocked: adminBlocked("ADMIN_ROLE"),
+        run: () => vault.setLendingPool(lendingPool.target)
+      });
+    }
+
+    steps.push({
+      id: `safetyModule.setVaultCovered:${key}`,
+      description: `Backstop the ${key} vault's bad debt with the safety module`,
+      needed: async () => !(await safetyModule.coveredVaults(vault.target)),
+      run: () => safetyModule.setVaultCovered(vault.target, true)
+    });
+    steps.push({
+      id: `vault.setSafetyModule:${key}`,
+      description: `Point the ${key} vault at the safety module`,
+      needed: async () => !sameAddress(await vault.safetyModule(), safetyModule.target),
+      blocked: adminBlocked("ADMIN_ROLE"),
+      run: () => vault.setSafetyModule(safetyModule.target)
+    });
+
+    steps.push(grantRoleStep(key, vault, "LIQUIDATOR_ROLE", liquidator.target, "the liquidator", adminBlocked));
+
+    // Risk parameters are the one setting the timelock owns; once the deployer has handed CONFIGURATOR_ROLE over,
+    // changes have to be queued through ConfigTimelock.queueConfig instead
+    steps.push({
+      id: `vault.updateConfig:${key}`,
+      description: `Apply the ${key} risk parameters`,
+      needed: async () => !sameRisk(await vault.config(), market.risk),
+      blocked: async () =>
+        (await vault.hasRole(VAULT_ROLES.CONFIGURATOR_ROLE, deployerAddress))
+          ? null
+          : "the deployer no longer holds CONFIGURATOR_ROLE; queue the change through the ConfigTimelock",
+      run: async () => {
+        const current = await vault.config();
+        return vault.updateConfig(
+          market.risk.collateralFactor,
+          market.risk.liquidationThreshold,
+          market.risk.liquidationBonus,
+          market.risk.reserveFactor,
+          current.interestRateModel,
+          current.oracle,
+          current.liquidationEnabled
+        );
+      }
+    });
+
+    steps.push({
+      id: `vault.setCaps:${key}`,
+      description: `Apply the ${key} supply and borrow caps`,
+      needed: async () => {
+        const caps = await parseCaps(market.caps, asset);
+        const current = await vault.caps();
+        return Object.keys(caps).some((name) => current[name] !== caps[name]);
+      },
+      blocked: adminBlocked("ADMIN_ROLE"),
+      run: async () => vault.setCaps(await parseCaps(market.caps, asset))
+    });
+
+    steps.push(grantRoleStep(key, vault, "TREASURY_ROLE", feeSplitter.target, "the fee splitter", adminBlocked));
+    steps.push(revokeRoleStep(key, vault, "TREASURY_ROLE", deployerAddress, adminBlocked));
+    steps.push(grantRoleStep(key, vault, "CONFIGURATOR_ROLE", timelock.target, "the config timelock", adminBlocked));
+    steps.push(revokeRoleStep(key, vault, "CONFIGURATOR_ROLE", deployerAddress, adminBlocked));
+    // Pausing must not wait for the timelock, so GUARDIAN_ROLE goes to the guardian rather than to the timelock
+    if (!sameAddress(guardian, deployerAddress)) {
+      steps.push(grantRoleStep(key, vault, "GUARDIAN_ROLE", guardian, "the guardian", adminBlocked));
+      steps.push(revokeRoleStep(key, vault, "GUARDIAN_ROLE", deployerAddress, adminBlocked));
+    }
+
+    // Last, so every step above could still use them: the deployer keeps no admin power over the vault
+    steps.push(grantRoleStep(key, vault, "ADMIN_ROLE", timelock.target, "the config timelock", adminBlocked));
+    steps.push(grantRoleStep(key, vault, "DEFAULT_ADMIN_ROLE", timelock.target, "the config timelock", adminBlocked));
+    steps.push(renounceRoleStep(key, vault, "ADMIN_ROLE", deployerAddress));
+    steps.push(renounceRoleStep(key, vault, "DEFAULT_ADMIN_ROLE", deployerAddress));
+  }
+
+  // Tops the deployer's balance up to the configured amount rather than minting it again on every run
+  for (const [symbol, token] of Object.entries(config.tokens)) {
+    if (!token.mock || token.mock.mint === "0") {
+      continue;
+    }
+    const mock = contracts.tokens[symbol];
+    const target = ethers.parseUnits(token.mock.mint, token.mock.decimals);
+    steps.push({
+      id: `token.mint:${symbol}`,
+      description: `Top the deployer's ${symbol} up to ${token.mock.mint}`,
+      needed: async () => (await mock.balanceOf(deployerAddress)) < target,
+      run: async () => mock.mint(deployerAddress, target - (await mock.balanceOf(deployerAddress)))
+    });
+  }
+
+  return steps;
+}
+
+async function runConfigSteps(steps, { log = console.log } = {}) {
+  const report = { executed: [], skipped: [], blocked: [] };
+
+  for (const step of steps) {
+    if (!(await step.needed())) {
+      report.skipped.push(step.id);
+      continue;
+    }
+    const reason = step.blocked ? await step.blocked() : null;
+    if (reason) {
+      log(`   ! ${step.description}: ${reason}`);
+      report.blocked.push({ id: step.id, reason });
+      continue;
+    }
+
+    log(`   - ${step.description}...`);
+    const tx = await step.run();
+    await tx.wait();
+    report.executed.push(step.id);
+  }
+
+  return report;
+}
+
+function grantRoleStep(key, vault, role, account, accountName, adminBlocked) {
+  return {
+    id: `vault.grantRole:${key}:${role}`,
+    description: `Grant ${role} in the ${key} vault to ${accountName}`,
+    needed: async () => !(await vault.hasRole(VAULT_ROLES[role], account)),
+    blocked: adminBlocked("DEFAULT_ADMIN_ROLE"),
+    run: () => vault.grantRole(VAULT_ROLES[role], account)
+  };
+}
+
+function revokeRoleStep(key, vault, role, account, adminBlocked) {
+  return {
+    id: `vault.revokeRole:${key}:${role}`,
+    description: `Revoke ${role} in the ${key} vault from the deployer`,
+    needed: async () => vault.hasRole(VAULT_ROLES[role], account),
+    blocked: adminBlocked("DEFAULT_ADMIN_ROLE"),
+    run: () => vault.revokeRole(VAULT_ROLES[role], account)
+  };
+}
+
+// The deployer gives up its own roles, which needs no admin
+function renounceRoleStep(key, vault, role, account) {
+  return {
+    id: `vault.renounceRole:${key}:${role}`,
+    description: `Renounce the deployer's ${role} in the ${key} vault`,
+    needed: async () => vault.hasRole(VAULT_ROLES[role], account),
+    run: () => vault.renounceRole(VAULT_ROLES[role], account)
+  };
+}
+
+// MockPriceOracle reverts for assets it has no price for
+async function mockPrice(oracle, asset) {
+  try {
+    return await oracle.getAssetPrice(asset);
+  } catch {
+    return 0n;
+  }
+}
+
+async function parseCaps(caps, asset) {
+  const decimals = await asset.decimals();
+  return Object.fromEntries(Object.entries(caps).map(([name, value]) => [name, ethers.parseUnits(value, decimals)]));
+}
+
+function samePayees(current, accounts, weights) {
+  return (
+    current.length === accounts.length &&
+    current.every(
+      (payee, i) => sameAddress(payee.account, accounts[i]) && payee.weight === weights[i]
+    )
+  );
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function sameRisk(current, risk) {
+  return Object.keys(risk).every((name) => current[name] === risk[name]);
+}
+
+module.exports = { planConfigSteps, runConfigSteps };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const MODULE_ID = "SafeLend";
+
+// One Ignition module per deployment config. Future ids only depend on token and market keys, so a rerun with an
+// extra market reuses every contract already in the journal and deploys just the new market's contracts. The
+// module's results are keyed by future id, so callers can look up any contract it deployed. Values passed to
+// constructors (token metadata, interest rate curves, the timelock delay) are fixed once journaled; risk
+// parameters, caps, roles and the fee split are applied by configure.js and can change between runs.
+function buildSafeLendModule(config) {
+  return buildModule(MODULE_ID, (m) => {
+    const results = {};
+
+    const tokenAddresses = {};
+    for (const [symbol, token] of Object.entries(config.tokens)) {
+      if (token.mock) {
+        const id = `${symbol}Token`;
+        results[id] = m.contract("MockERC20", [token.mock.name, symbol, token.mock.decimals], { id });
+        tokenAddresses[symbol] = results[id];
+      } else {
+        tokenAddresses[symbol] = token.address;
+      }
+    }
+
+    let oracle = config.oracle.address;
+    if (config.oracle.mock) {
+      oracle = results.MockPriceOracle = m.contract("MockPriceOracle");
+    }
+
+    let permit2 = config.permit2.address;
+    if (config.permit2.mock) {
+      permit2 = results.MockPermit2 = m.contract("MockPermit2");
+    }
+
+    results.LendingPool = m.contract("LendingPool");
+    results.Liquidator = m.contract("Liquidator");
+    const safetyModule = (results.SafetyModule = m.contract("SafetyModule"));
+    results.ConfigTimelock = m.contract("ConfigTimelock", [config.configTimelockDelay]);
+    // Starts out paying the safety module alone; the configured split is applied as a config step, so a new
+    // treasury or split does not change constructor arguments Ignition has already journaled
+    results.FeeSplitter = m.contract("FeeSplitter", [[safetyModule], [1n]]);
+    results.SafeLendRouter = m.contract("SafeLendRouter", [permit2]);
+
+    for (const [key, market] of Object.entries(config.markets)) {
+      const model = market.interestRateModel;
+      const interestRateModel = (results[`${key}InterestRateModel`] = m.contract(model.contract, model.args, {
+        id: `${key}InterestRateModel`
+      }));
+      results[`${key}Vault`] = m.contract(
+        "SafeLendVault",
+        [
+          tokenAddresses[market.asset],
+          tokenAddresses[market.collateral],
+          interestRateModel,
+          oracle,
+          market.name,
+          market.symbol
+        ],
+        { id: `${key}Vault` }
+      );
+    }
+
+    return results;
+  });
+}
+
+module.exports = { buildSafeLendModule, MODULE_ID };
\ No newline at end of file
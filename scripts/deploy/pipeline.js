@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { deploy, DeploymentResultType } = require("@nomicfoundation/ignition-core");
+const {
+  HardhatArtifactResolver,
+  PrettyEventHandler,
+  errorDeploymentResultToExceptionMessage,
+  resolveDeploymentId
+} = require("@nomicfoundation/hardhat-ignition/helpers");
+const { loadDeployConfig } = require("./config");
+const { buildSafeLendModule, MODULE_ID } = require("./module");
+const { planConfigSteps, runConfigSteps } = require("./configure");
+const { readDeploymentRecord, writeDeploymentRecord, DEFAULT_RECORDS_DIR } = require("./records");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Ignition's own journal directory, so `npx hardhat ignition status|verify <deploymentId>` work on the result.
+// The in-process network starts empty on every run, so it keeps no journal unless a caller passes one.
+function defaultDeploymentDir(hre, deploymentId) {
+  if (hre.network.name === "hardhat") {
+    return undefined;
+  }
+  return path.join(hre.config.paths.ignition, "deployments", deploymentId);
+}
+
+// Deploys whatever the journal does not have yet, brings configuration in line with the config, and records the
+// result. Safe to rerun at any point: contracts in the journal are reused and satisfied config steps are skipped.
+async function runDeployment(
+  hre,
+  { config, deploymentId, deploymentDir, recordsDir = DEFAULT_RECORDS_DIR, displayUi = false, log = console.log } = {}
+) {
+  const network = hre.network.name;
+  config = config || loadDeployConfig(network);
+
+  const [deployer] = await hre.ethers.getSigners();
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  deploymentId = resolveDeploymentId(deploymentId, chainId);
+  if (deploymentDir === undefined) {
+    deploymentDir = defaultDeploymentDir(hre, deploymentId);
+  }
+
+  const journaled = await readJournaledAddresses(hre, deploymentDir);
+  const startBlock = await hre.ethers.provider.getBlockNumber();
+
+  log(`Deploying ${MODULE_ID} to ${network} (chain ${chainId}) from ${deployer.address}`);
+  log(deploymentDir ? `Ignition journal: ${deploymentDir}` : "No Ignition journal on the in-process network");
+
+  const networkConfig = hre.config.networks[network];
+  const result = await deploy({
+    config: hre.config.ignition,
+    provider: hre.network.provider,
+    deploymentDir,
+    artifactResolver: new HardhatArtifactResolver(hre),
+    executionEventListener: displayUi ? new PrettyEventHandler() : undefined,
+    ignitionModule: buildSafeLendModule(config),
+    deploymentParameters: {},
+    accounts: await hre.network.provider.request({ method: "eth_accounts" }),
+    defaultSender: deployer.address,
+    maxFeePerGasLimit: networkConfig?.ignition?.maxFeePerGasLimit,
+    maxPriorityFeePerGas: networkConfig?.ignition?.maxPriorityFeePerGas
+  });
+  if (result.type !== DeploymentResultType.SUCCESSFUL_DEPLOYMENT) {
+    throw new Error(errorDeploymentResultToExceptionMessage(result));
+  }
+
+  const futureIds = Object.keys(result.contracts);
+  const deployed = futureIds.filter((id) => !journaled[id]);
+  const reused = futureIds.filter((id) => journaled[id]);
+  log(`Contracts: ${deployed.length} deployed, ${reused.length} already in the journal`);
+
+  const contracts = await attachContracts(hre, config, result.contracts, deployer);
+
+  log("Configuring contracts...");
+  const report = await runConfigSteps(planConfigSteps({ config, contracts, deployer }), { log });
+  log(`Config steps: ${report.executed.length} sent, ${report.skipped.length} already satisfied`);
+
+  const record = buildDeploymentRecord({ network, chainId, deploymentId, deployer, config, contracts });
+  const previous = recordsDir ? readDeploymentRecord(network, recordsDir) : null;
+  // Keepers scan events from here, so it stays at the first run's block while the core contracts are unchanged
+  record.blockNumber =
+    previous && previous.chainId === chainId && previous.contracts.Liquidator === record.contracts.Liquidator
+      ? previous.blockNumber
+      : startBlock;
+
+  if (recordsDir) {
+    const recordPath = writeDeploymentRecord(
+      network,
+      record,
+      {
+        timestamp: record.timestamp,
+        deployer: deployer.address,
+        blockNumber: await hre.ethers.provider.getBlockNumber(),
+        deployed,
+        reused,
+        steps: report.executed,
+        blocked: report.blocked
+      },
+      recordsDir
+    );
+    log(`Deployment record saved to ${recordPath}`);
+  }
+
+  return { record, deploymentId, deploymentDir, deployed, reused, report };
+}
+
+// A journal left over from a chain that no longer has its contracts (a restarted local node, say) would make
+// Ignition skip deployments that are not there, so refuse to continue from it
+async function readJournaledAddresses(hre, deploymentDir) {
+  const addressesPath = deploymentDir && path.join(deploymentDir, "deployed_addresses.json");
+  if (!addressesPath || !fs.existsSync(addressesPath)) {
+    return {};
+  }
+
+  const addresses = JSON.parse(fs.readFileSync(addressesPath, "utf8"));
+  for (const [id, address] of Object.entries(addresses)) {
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+      throw new Error(`${id} at ${address} from ${deploymentDir} has no code on this chain; remove the stale journal`);
+    }
+  }
+  return addresses;
+}
+
+async function attachContracts(hre, config, deployedContracts, deployer) {
+  const at = (id) => {
+    const { contractName, address } = deployedContracts[`${MODULE_ID}#${id}`];
+    return hre.ethers.getContractAt(contractName, address, deployer);
+  };
+
+  const contracts = {
+    LendingPool: await at("LendingPool"),
+    Liquidator: await at("Liquidator"),
+    SafetyModule: await at("SafetyModule"),
+    ConfigTimelock: await at("ConfigTimelock"),
+    FeeSplitter: await at("FeeSplitter"),
+    SafeLendRouter: await at("SafeLendRouter"),
+    oracle: config.oracle.mock ? await at("MockPriceOracle") : null,
+    permit2: config.permit2.mock ? (await at("MockPermit2")).target : config.permit2.address,
+    tokens: {},
+    markets: {}
+  };
+
+  for (const [symbol, token] of Object.entries(config.tokens)) {
+    contracts.tokens[symbol] = token.mock
+      ? await at(`${symbol}Token`)
+      : await hre.ethers.getContractAt("IERC20Metadata", token.address, deployer);
+  }
+  for (const key of Object.keys(config.markets)) {
+    contracts.markets[key] = {
+      vault: await at(`${key}Vault`),
+      interestRateModel: await at(`${key}InterestRateModel`)
+    };
+  }
+
+  return contracts;
+}
+
+function buildDeploymentRecord({ network, chainId, deploymentId, deployer, config, contracts }) {
+  const markets = {};
+  for (const [key, market] of Object.entries(config.markets)) {
+    markets[key] = {
+      SafeLendVault: contracts.markets[key].vault.target,
+      InterestRateModel: contracts.markets[key].interestRateModel.target,
+      asset: contracts.tokens[market.asset].target,
+      collateral: contracts.tokens[market.collateral].target
+    };
+  }
+
+  return {
+    network,
+    chainId,
+    timestamp: new Date().toISOString(),
+    deployer: deployer.address,
+    ignitionDeploymentId: deploymentId,
+    contracts: {
+      LendingPool: contracts.LendingPool.target,
+      Liquidator: contracts.Liquidator.target,
+      SafetyModule: contracts.SafetyModule.target,
+      ConfigTimelock: contracts.ConfigTimelock.target,
+      FeeSplitter: contracts.FeeSplitter.target,
+      SafeLendRouter: contracts.SafeLendRouter.target,
+      PriceOracle: contracts.oracle ? contracts.oracle.target : config.oracle.address,
+      Permit2: contracts.permit2
+    },
+    tokens: Object.fromEntries(Object.entries(contracts.tokens).map(([symbol, token]) => [symbol, token.target])),
+    markets
+  };
+}
+
+module.exports = { runDeployment, LOCAL_NETWORKS };
\ No newline at end of file
@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_RECORDS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// deployments/<network>/deployment.json holds the addresses as of the latest run, for the keeper, the SDK and
+// anyone else reading the deployment; history.json keeps one entry per run so earlier states stay auditable.
+function readDeploymentRecord(network, recordsDir = DEFAULT_RECORDS_DIR) {
+  const recordPath = path.join(recordsDir, network, "deployment.json");
+  if (!fs.existsSync(recordPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(recordPath, "utf8"));
+}
+
+function readDeploymentHistory(network, recordsDir = DEFAULT_RECORDS_DIR) {
+  const historyPath = path.join(recordsDir, network, "history.json");
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(historyPath, "utf8"));
+}
+
+function writeDeploymentRecord(network, record, historyEntry, recordsDir = DEFAULT_RECORDS_DIR) {
+  const networkDir = path.join(recordsDir, network);
+  fs.mkdirSync(networkDir, { recursive: true });
+
+  const recordPath = path.join(networkDir, "deployment.json");
+  fs.writeFileSync(recordPath, JSON.stringify(record, null, 2) + "\n");
+
+  const history = readDeploymentHistory(network, recordsDir);
+  history.push(historyEntry);
+  fs.writeFileSync(path.join(networkDir, "history.json"), JSON.stringify(history, null, 2) + "\n");
+
+  return recordPath;
+}
+
+module.exports = { readDeploymentRecord, readDeploymentHistory, writeDeploymentRecord, DEFAULT_RECORDS_DIR };
\ No newline at end of file
@@ -0,0 +1,63 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { Keeper } = require("./keeper/Keeper");
+const { loadKeeperPolicy } = require("./keeper/policy");
+
+// Addresses come from the network's deployment file unless KEEPER_LIQUIDATOR / KEEPER_VAULTS override them
+function readDeployment(network) {
+  const deploymentPath = path.join(__dirname, "..", "deployments", network, "deployment.json");
+  if (!fs.existsSync(deploymentPath)) {
+    return { contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+}
+
+// Every market's vault; files written before markets were keyed by asset list a single SafeLendVault
+function deploymentVaults(deployment) {
+  if (deployment.markets) {
+    return Object.values(deployment.markets).map((market) => market.SafeLendVault);
+  }
+  return [deployment.contracts.SafeLendVault].filter(Boolean);
+}
+
+async function main() {
+  const network = hre.network.name;
+  const deployment = readDeployment(network);
+  const [signer] = await ethers.getSigners();
+
+  const liquidatorAddress = process.env.KEEPER_LIQUIDATOR || deployment.contracts.Liquidator;
+  const vaultAddresses = process.env.KEEPER_VAULTS
+    ? process.env.KEEPER_VAULTS.split(",").map((address) => address.trim())
+    : deploymentVaults(deployment);
+  if (!liquidatorAddress || vaultAddresses.length === 0) {
+    throw new Error(
+      `No Liquidator or vaults configured for ${network}; deploy first or set KEEPER_LIQUIDATOR and KEEPER_VAULTS`
+    );
+  }
+
+  const liquidator = await ethers.getContractAt("Liquidator", liquidatorAddress, signer);
+  const vaults = await Promise.all(
+    vaultAddresses.map((address) => ethers.getContractAt("SafeLendVault", address, signer))
+  );
+  const startBlock = Number(process.env.KEEPER_START_BLOCK || deployment.blockNumber || 0);
+
+  console.log("Network:", network);
+  console.log("Liquidator:", liquidatorAddress);
+  console.log("Vaults:", vaultAddresses.join(", "));
+  console.log("Scanning events from block", startBlock);
+
+  const keeper = new Keeper({ liquidator, vaults, signer, policy: loadKeeperPolicy(), startBlock });
+  await keeper.start();
+
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  await keeper.stop();
+  console.log("Keeper stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
\ No newline at end of file
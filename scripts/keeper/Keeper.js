@@ -0,0 +1,330 @@
+const { ethers } = require("ethers");
+const { DEFAULT_POLICY } = require("./policy");
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+const ORACLE_ABI = ["function getAssetPrice(address asset) view returns (uint256)"];
+
+const BPS = 10000n;
+const HEALTHY = ethers.parseEther("1");
+
+// Watches SafeLend vaults and liquidates unhealthy positions through the Liquidator contract. Every cycle it
+// picks up the accounts touched since the last one, refreshes their health factors, asks the Liquidator which
+// liquidations pay after gas, and sends them: alone, or in batches that share a debt asset.
+class Keeper {
+  constructor({ liquidator, vaults, signer, policy = {}, startBlock = 0, logger = console }) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.liquidator = liquidator.connect(signer);
+    this.policy = { ...DEFAULT_POLICY, ...policy };
+    this.logger = logger;
+    this.nextBlock = startBlock;
+    this.markets = vaults.map((vault) => ({
+      vault: vault.connect(signer),
+      borrowers: new Set(),
+      healthFactors: new Map()
+    }));
+    this.busy = false;
+    this.blockListener = null;
+  }
+
+  async start() {
+    await this.loadMarkets();
+    this.blockListener = (blockNumber) => this.handleBlock(blockNumber);
+    await this.provider.on("block", this.blockListener);
+    this.logger.log(`Keeper watching ${this.markets.length} vault(s) as ${await this.signer.getAddress()}`);
+  }
+
+  async stop() {
+    if (this.blockListener) {
+      await this.provider.off("block", this.blockListener);
+      this.blockListener = null;
+    }
+  }
+
+  // Blocks that arrive while a cycle is still running are skipped; the next cycle catches up on their events
+  async handleBlock(blockNumber) {
+    if (this.busy) {
+      return;
+    }
+    this.busy = true;
+    try {
+      await this.runOnce(blockNumber);
+    } catch (error) {
+      this.logger.error(`Keeper cycle at block ${blockNumber} failed:`, error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async runOnce(blockNumber) {
+    await this.loadMarkets();
+    const toBlock = blockNumber ?? (await this.provider.getBlockNumber());
+
+    await this.syncBorrowers(toBlock);
+    const unhealthy = await this.refreshHealthFactors();
+    const gasPrice = await this.currentGasPrice();
+    const opportunities = await this.findOpportunities(unhealthy, gasPrice);
+    const liquidated = await this.executeOpportunities(opportunities, gasPrice);
+    const auctionsStarted = await this.startAuctions(unhealthy, gasPrice);
+
+    return { block: toBlock, unhealthy, opportunities, liquidated, auctionsStarted };
+  }
+
+  // Static per-vault data, read once
+  async loadMarkets() {
+    for (const market of this.markets) {
+      if (market.asset) {
+        continue;
+      }
+      market.address = await market.vault.getAddress();
+      market.asset = new ethers.Contract(await market.vault.asset(), ERC20_ABI, this.signer);
+      market.assetAddress = await market.asset.getAddress();
+      market.assetDecimals = await market.asset.decimals();
+    }
+  }
+
+  // Any account that posted collateral, borrowed, repaid or was liquidated may hold a position
+  async syncBorrowers(toBlock) {
+    if (toBlock < this.nextBlock) {
+      return;
+    }
+
+    for (const market of this.markets) {
+      const { vault } = market;
+      const filters = [
+        vault.filters.CollateralDeposited(),
+        vault.filters.Borrow(),
+        vault.filters.Repay(),
+        vault.filters.Liquidation()
+      ];
+
+      for (let from = this.nextBlock; from <= toBlock; from += this.policy.logBlockRange) {
+        const to = Math.min(from + this.policy.logBlockRange - 1, toBlock);
+        for (const filter of filters) {
+          const events = await vault.queryFilter(filter, from, to);
+          for (const event of events) {
+            market.borrowers.add(event.args.borrower ?? event.args.user);
+          }
+        }
+      }
+    }
+
+    this.nextBlock = toBlock + 1;
+  }
+
+  async refreshHealthFactors() {
+    const unhealthy = [];
+
+    for (const market of this.markets) {
+      for (const borrower of market.borrowers) {
+        const healthFactor = await market.vault.getUserHealthFactor(borrower);
+        market.healthFactors.set(borrower, healthFactor);
+        if (healthFactor < HEALTHY) {
+          unhealthy.push({ market, borrower, healthFactor });
+        }
+      }
+    }
+
+    return unhealthy;
+  }
+
+  // Liquidations worth sending, most profitable first. Profit is compared in the quote unit so that one
+  // minimum applies to every debt asset.
+  async findOpportunities(unhealthy, gasPrice) {
+    const opportunities = [];
+
+    for (const { market, borrower, healthFactor } of unhealthy) {
+      if (!(await this.biddable(market, borrower))) {
+        continue;
+      }
+
+      const assetPrice = await this.assetPrice(market);
+      const gasCost = this.gasCostInAsset(market, gasPrice, assetPrice);
+      const [canLiquidate, expectedProfit] = await this.liquidator.checkLiquidationOpportunityAfterGas(
+        market.address,
+        borrower,
+        gasCost
+      );
+      if (!canLiquidate) {
+        continue;
+      }
+
+      const profitValue = (expectedProfit * assetPrice) / 10n ** market.assetDecimals;
+      if (profitValue < this.policy.minProfit) {
+        continue;
+      }
+
+      const [debtRepaid] = await market.vault.previewLiquidation(borrower);
+      opportunities.push({ market, borrower, healthFactor, debtRepaid, expectedProfit, profitValue });
+    }
+
+    return opportunities.sort((a, b) => (b.profitValue > a.profitValue ? 1 : b.profitValue < a.profitValue ? -1 : 0));
+  }
+
+  async executeOpportunities(opportunities, gasPrice) {
+    if (opportunities.length === 0 || this.gasAboveLimit(gasPrice, `${opportunities.length} liquidation(s)`)) {
+      return [];
+    }
+
+    // batchLiquidate needs one debt asset per call
+    const byAsset = new Map();
+    for (const opportunity of opportunities) {
+      const group = byAsset.get(opportunity.market.assetAddress) ?? [];
+      group.push(opportunity);
+      byAsset.set(opportunity.market.assetAddress, group);
+    }
+
+    const liquidated = [];
+    for (const group of byAsset.values()) {
+      for (let i = 0; i < group.length; i += this.policy.batchSize) {
+        const chunk = group.slice(i, i + this.policy.batchSize);
+        try {
+          const done = chunk.length === 1 ? await this.liquidateOne(chunk[0]) : await this.liquidateBatch(chunk);
+          liquidated.push(...done);
+        } catch (error) {
+          this.logger.error(`Liquidation of ${chunk.map((item) => item.borrower).join(", ")} failed:`, error);
+        }
+      }
+    }
+
+    return liquidated;
+  }
+
+  async liquidateOne(opportunity) {
+    const { market, borrower } = opportunity;
+
+    // Liquidator.liquidate pulls the whole debt plus a 10% buffer and refunds what it does not use
+    const debt = await market.vault.getUserDebt(borrower);
+    await this.ensureAllowance(market, this.withFundingBuffer((debt * 110n) / 100n));
+
+    const tx = await this.liquidator.liquidate(market.address, borrower);
+    const receipt = await tx.wait();
+    const [executed] = this.parseEvents(receipt, "LiquidationExecuted");
+
+    this.logger.log(
+      `Liquidated ${borrower} on ${market.address}: ` +
+        `repaid ${ethers.formatUnits(executed.args.debtCovered, market.assetDecimals)}, tx ${receipt.hash}`
+    );
+    return [{ vault: market.address, borrower, debtCovered: executed.args.debtCovered, hash: receipt.hash }];
+  }
+
+  async liquidateBatch(chunk) {
+    const { market } = chunk[0];
+    const funding = this.withFundingBuffer(chunk.reduce((sum, item) => sum + item.debtRepaid, 0n));
+    await this.ensureAllowance(market, funding);
+
+    const tx = await this.liquidator.batchLiquidate(
+      chunk.map((item) => item.market.address),
+      chunk.map((item) => item.borrower),
+      funding
+    );
+    const receipt = await tx.wait();
+
+    const liquidated = this.parseEvents(receipt, "LiquidationExecuted").map((event) => ({
+      vault: event.args.vault,
+      borrower: event.args.borrower,
+      debtCovered: event.args.debtCovered,
+      hash: receipt.hash
+    }));
+    const [settled] = this.parseEvents(receipt, "BatchLiquidationSettled");
+
+    this.logger.log(
+      `Batch of ${chunk.length} liquidated ${liquidated.length}, ` +
+        `repaid ${ethers.formatUnits(settled.args.debtCovered, market.assetDecimals)}, ` +
+        `refunded ${ethers.formatUnits(settled.args.refunded, market.assetDecimals)}, tx ${receipt.hash}`
+    );
+    return liquidated;
+  }
+
+  // Auction-mode vaults only take bids on positions whose auction has started
+  async biddable(market, borrower) {
+    return !(await market.vault.auctionMode()) || (await market.vault.auctionStartTime(borrower)) !== 0n;
+  }
+
+  // Starting an auction costs gas like a liquidation does, so it waits for the same gas price limit
+  async startAuctions(unhealthy, gasPrice) {
+    if (!this.policy.startAuctions) {
+      return [];
+    }
+
+    // Positions liquidated earlier in the cycle may be healthy again, with their auction ended
+    const pending = [];
+    for (const { market, borrower } of unhealthy) {
+      if (!(await this.biddable(market, borrower)) && (await market.vault.getUserHealthFactor(borrower)) < HEALTHY) {
+        pending.push({ market, borrower });
+      }
+    }
+    if (pending.length === 0 || this.gasAboveLimit(gasPrice, `${pending.length} auction start(s)`)) {
+      return [];
+    }
+
+    const started = [];
+    for (const { market, borrower } of pending) {
+      try {
+        const tx = await market.vault.startAuction(borrower);
+        await tx.wait();
+        this.logger.log(`Started auction of ${borrower} on ${market.address}`);
+        started.push({ vault: market.address, borrower, hash: tx.hash });
+      } catch (error) {
+        this.logger.error(`Starting the auction of ${borrower} on ${market.address} failed:`, error);
+      }
+    }
+    return started;
+  }
+
+  gasAboveLimit(gasPrice, held) {
+    if (gasPrice <= this.policy.maxGasPrice) {
+      return false;
+    }
+    this.logger.log(
+      `Gas price ${ethers.formatUnits(gasPrice, "gwei")} gwei is above the ` +
+        `${ethers.formatUnits(this.policy.maxGasPrice, "gwei")} gwei limit; holding ${held}`
+    );
+    return true;
+  }
+
+  async assetPrice(market) {
+    const { oracle } = await market.vault.config();
+    return new ethers.Contract(oracle, ORACLE_ABI, this.provider).getAssetPrice(market.assetAddress);
+  }
+
+  gasCostInAsset(market, gasPrice, assetPrice) {
+    const gasValue = (gasPrice * this.policy.gasPerLiquidation * this.policy.nativePrice) / 10n ** 18n;
+    return (gasValue * 10n ** market.assetDecimals) / assetPrice;
+  }
+
+  async currentGasPrice() {
+    const feeData = await this.provider.getFeeData();
+    return feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  }
+
+  withFundingBuffer(amount) {
+    return (amount * (BPS + this.policy.fundingBufferBps)) / BPS;
+  }
+
+  async ensureAllowance(market, amount) {
+    const liquidatorAddress = await this.liquidator.getAddress();
+    const allowance = await market.asset.allowance(await this.signer.getAddress(), liquidatorAddress);
+    if (allowance < amount) {
+      await (await market.asset.approve(liquidatorAddress, amount)).wait();
+    }
+  }
+
+  parseEvents(receipt, name) {
+    return receipt.logs
+      .map((log) => {
+        try {
+          return this.liquidator.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter((event) => event !== null && event.name === name);
+  }
+}
+
+module.exports = { Keeper };
\ No newline at end of file
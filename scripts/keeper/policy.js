@@ -0,0 +1,62 @@
+const { ethers } = require("ethers");
+
+// Money amounts in the policy are in the oracle's 18-decimal quote unit, so one policy fits vaults with any debt asset
+const DEFAULT_POLICY = {
+  // Nothing is sent while the network's gas price is above this
+  maxGasPrice: ethers.parseUnits("100", "gwei"),
+  // Gas a single liquidation is expected to burn, priced into every opportunity
+  gasPerLiquidation: 400000n,
+  // Price of one native token in the quote unit; zero leaves gas out of the profit check
+  nativePrice: 0n,
+  // Smallest profit worth sending a transaction for, after gas
+  minProfit: 0n,
+  // Most positions per batchLiquidate; 1 sends every liquidation on its own
+  batchSize: 5,
+  // Extra funding on top of the quoted repayments, for interest accrued before the transaction is mined
+  fundingBufferBps: 100n,
+  // Widest block range asked for in one event query
+  logBlockRange: 2000,
+  // Open auctions on unhealthy positions in Dutch-auction vaults, so later blocks can bid on them
+  startAuctions: true
+};
+
+function loadKeeperPolicy(env = process.env) {
+  const policy = { ...DEFAULT_POLICY };
+
+  if (env.KEEPER_MAX_GAS_PRICE_GWEI) {
+    policy.maxGasPrice = ethers.parseUnits(env.KEEPER_MAX_GAS_PRICE_GWEI, "gwei");
+  }
+  if (env.KEEPER_GAS_PER_LIQUIDATION) {
+    policy.gasPerLiquidation = BigInt(env.KEEPER_GAS_PER_LIQUIDATION);
+  }
+  if (env.KEEPER_NATIVE_PRICE) {
+    policy.nativePrice = ethers.parseEther(env.KEEPER_NATIVE_PRICE);
+  }
+  if (env.KEEPER_MIN_PROFIT) {
+    policy.minProfit = ethers.parseEther(env.KEEPER_MIN_PROFIT);
+  }
+  if (env.KEEPER_BATCH_SIZE) {
+    policy.batchSize = parsePositiveInteger("KEEPER_BATCH_SIZE", env.KEEPER_BATCH_SIZE);
+  }
+  if (env.KEEPER_FUNDING_BUFFER_BPS) {
+    policy.fundingBufferBps = BigInt(env.KEEPER_FUNDING_BUFFER_BPS);
+  }
+  if (env.KEEPER_LOG_BLOCK_RANGE) {
+    policy.logBlockRange = parsePositiveInteger("KEEPER_LOG_BLOCK_RANGE", env.KEEPER_LOG_BLOCK_RANGE);
+  }
+  if (env.KEEPER_START_AUCTIONS) {
+    policy.startAuctions = env.KEEPER_START_AUCTIONS !== "false";
+  }
+
+  return policy;
+}
+
+function parsePositiveInteger(name, value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${name} must be a positive integer, got ${value}`);
+  }
+  return parsed;
+}
+
+module.exports = { DEFAULT_POLICY, loadKeeperPolicy };
\ No newline at end of file
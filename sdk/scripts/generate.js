@@ -0,0 +1,38 @@
+// Regenerates the SDK's ABIs and contract typings from the Hardhat artifacts. Run `npx hardhat compile` in the
+// repository root first.
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const CONTRACTS = ["SafeLendVault", "Liquidator", "LendingPool"];
+
+const repoRoot = path.join(__dirname, "..", "..");
+const sdkSrc = path.join(__dirname, "..", "src");
+
+function artifactPath(name) {
+  return path.join(repoRoot, "artifacts", "contracts", "core", `${name}.sol`, `${name}.json`);
+}
+
+function main() {
+  const abiDir = path.join(sdkSrc, "abi");
+  fs.mkdirSync(abiDir, { recursive: true });
+
+  for (const name of CONTRACTS) {
+    const artifact = artifactPath(name);
+    if (!fs.existsSync(artifact)) {
+      throw new Error(`Missing artifact for ${name}; run npx hardhat compile first`);
+    }
+    const { abi } = JSON.parse(fs.readFileSync(artifact, "utf8"));
+    fs.writeFileSync(path.join(abiDir, `${name}.json`), JSON.stringify(abi, null, 2) + "\n");
+    console.log(`Wrote ABI for ${name}`);
+  }
+
+  // Typings only: the runtime uses the ABIs above, so the published package does not carry bytecode
+  execFileSync(
+    "npx",
+    ["typechain", "--target", "ethers-v6", "--out-dir", path.join(sdkSrc, "typechain"), ...CONTRACTS.map(artifactPath)],
+    { cwd: repoRoot, stdio: "inherit" }
+  );
+}
+
+main();
\ No newline at end of file
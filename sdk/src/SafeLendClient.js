@@ -0,0 +1,249 @@
+const { ethers } = require("ethers");
+const vaultAbi = require("./abi/SafeLendVault.json");
+const liquidatorAbi = require("./abi/Liquidator.json");
+const lendingPoolAbi = require("./abi/LendingPool.json");
+const { healthFactorOf, maxBorrowOf, calculateCollateralValue, calculateDebtValue } = require("./math");
+const { borrowableAmount, simulateBorrow } = require("./simulation");
+const { resolveAddresses } = require("./deployments");
+
+/** @typedef {import("./typechain").SafeLendVault} SafeLendVault */
+/** @typedef {import("./typechain").Liquidator} Liquidator */
+/** @typedef {import("./typechain").LendingPool} LendingPool */
+/** @typedef {import("./deployments").SafeLendAddresses} SafeLendAddresses */
+/** @typedef {import("./simulation").AccountSnapshot} AccountSnapshot */
+/** @typedef {import("./simulation").BorrowSimulation} BorrowSimulation */
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+const ORACLE_ABI = ["function getAssetPrice(address asset) view returns (uint256)"];
+
+const BPS = 10000n;
+const BORROW_ACTION = 2;
+
+// Interest keeps accruing between reading a position and mining the transaction; borrowMax stays this far under
+// the limit and repayAll approves this much over the debt
+const DEFAULT_BUFFER_BPS = 10n;
+
+/**
+ * @param {string} address
+ * @param {ethers.InterfaceAbi} abi
+ * @param {ethers.ContractRunner} runner
+ * @returns {any}
+ */
+function contractAt(address, abi, runner) {
+  return new ethers.Contract(address, abi, runner);
+}
+
+class SafeLendClient {
+  /**
+   * @param {SafeLendAddresses} addresses
+   * @param {ethers.ContractRunner} runner a Signer to send transactions, or a Provider for reads only
+   */
+  constructor(addresses, runner) {
+    this.runner = runner;
+    /** @type {ethers.Provider} */
+    this.provider = runner.provider ?? /** @type {ethers.Provider} */ (runner);
+    /** @type {SafeLendVault} */
+    this.vault = contractAt(addresses.vault, vaultAbi, runner);
+    /** @type {Liquidator} */
+    this.liquidator = contractAt(addresses.liquidator, liquidatorAbi, runner);
+    /** @type {LendingPool | null} */
+    this.lendingPool = addresses.lendingPool ? contractAt(addresses.lendingPool, lendingPoolAbi, runner) : null;
+    /** @type {Promise<{ asset: any, collateral: any, assetDecimals: bigint, collateralDecimals: bigint }> | null} */
+    this.tokens = null;
+  }
+
+  /**
+   * @param {string} network
+   * @param {ethers.ContractRunner} runner
+   * @param {{ market?: string, deploymentsDir?: string }} [options]
+   */
+  static fromDeployment(network, runner, options) {
+    return new SafeLendClient(resolveAddresses(network, options), runner);
+  }
+
+  /**
+   * Supplies `assets` to the vault for shares, approving the vault first if needed
+   * @param {bigint} assets
+   * @param {string} [receiver] defaults to the signer
+   */
+  async deposit(assets, receiver) {
+    const account = await this.signerAddress();
+    const { asset } = await this.loadTokens();
+    await this.ensureAllowance(asset, account, assets);
+    return (await this.vault.deposit(assets, receiver ?? account)).wait();
+  }
+
+  /**
+   * @param {bigint} amount
+   */
+  async depositCollateral(amount) {
+    const account = await this.signerAddress();
+    const { collateral } = await this.loadTokens();
+    await this.ensureAllowance(collateral, account, amount);
+    return (await this.vault.depositCollateral(amount)).wait();
+  }
+
+  /**
+   * Borrows as much as the vault will lend the signer right now, less `bufferBps`
+   * @param {{ bufferBps?: bigint }} [options]
+   */
+  async borrowMax({ bufferBps = DEFAULT_BUFFER_BPS } = {}) {
+    const snapshot = await this.getAccountSnapshot(await this.signerAddress());
+    const amount = (snapshot.borrowable * (BPS - bufferBps)) / BPS;
+    if (amount === 0n) {
+      throw new Error("Nothing to borrow");
+    }
+
+    const receipt = await (await this.vault.borrow(amount)).wait();
+    return { amount, receipt };
+  }
+
+  /**
+   * Repays the signer's whole debt, interest included. The vault caps the repayment at the debt when the
+   * transaction is mined, so the extra allowance is never spent.
+   * @param {{ bufferBps?: bigint }} [options]
+   */
+  async repayAll({ bufferBps = DEFAULT_BUFFER_BPS } = {}) {
+    const account = await this.signerAddress();
+    const debt = await this.vault.getUserDebt(account);
+    if (debt === 0n) {
+      throw new Error("No debt to repay");
+    }
+
+    const { asset } = await this.loadTokens();
+    await this.ensureAllowance(asset, account, (debt * (BPS + bufferBps)) / BPS);
+
+    const receipt = await (await this.vault.repay(ethers.MaxUint256)).wait();
+    const [repaid] = receipt.logs
+      .filter((log) => log.address === receipt.to)
+      .map((log) => this.vault.interface.parseLog(log))
+      .filter((event) => event !== null && event.name === "Repay");
+    return { amount: repaid.args.amount, receipt };
+  }
+
+  /**
+   * Reads an account's position and the market it sits in at one block, and derives the health factor and borrow
+   * limits offline with the same math as the vault
+   * @param {string} [account] defaults to the signer
+   * @param {{ blockTag?: number }} [options] defaults to the latest block
+   * @returns {Promise<AccountSnapshot>}
+   */
+  async getAccountSnapshot(account, { blockTag } = {}) {
+    account = account ?? (await this.signerAddress());
+    const blockNumber = blockTag ?? (await this.provider.getBlockNumber());
+    const at = { blockTag: blockNumber };
+    const { asset, collateral, assetDecimals, collateralDecimals } = await this.loadTokens();
+    const vaultAddress = await this.vault.getAddress();
+
+    const [stored, debt, config, caps, totalBorrows, borrowRatePerSecond, paused, borrowPaused, shares, lendingPool] =
+      await Promise.all([
+        this.vault.getPosition(account, at),
+        this.vault.getUserDebt(account, at),
+        this.vault.config(at),
+        this.vault.caps(at),
+        this.vault.getTotalBorrows(at),
+        this.vault.getBorrowRatePerSecond(at),
+        this.vault.paused(at),
+        this.vault.isActionPaused(BORROW_ACTION, at),
+        this.vault.balanceOf(account, at),
+        this.vault.lendingPool(at)
+      ]);
+
+    const oracle = contractAt(config.oracle, ORACLE_ABI, this.runner);
+    const assetAddress = await asset.getAddress();
+    const [assetPrice, collateralPrice, suppliedAssets, liquidity] = await Promise.all([
+      oracle.getAssetPrice(assetAddress, at),
+      oracle.getAssetPrice(await collateral.getAddress(), at),
+      this.vault.convertToAssets(shares, at),
+      // Mirrors the vault's cash: its pool balance when a lending pool is attached, its own balance otherwise
+      lendingPool === ethers.ZeroAddress
+        ? asset.balanceOf(vaultAddress, at)
+        : contractAt(lendingPool, lendingPoolAbi, this.runner).supplyBalances(assetAddress, vaultAddress, at)
+    ]);
+
+    const market = {
+      collateralFactor: config.collateralFactor,
+      liquidationThreshold: config.liquidationThreshold,
+      liquidationBonus: config.liquidationBonus,
+      assetPrice,
+      collateralPrice,
+      assetDecimals,
+      collateralDecimals,
+      borrowRatePerSecond,
+      totalBorrows,
+      liquidity,
+      borrowCap: caps.borrowCap,
+      accountBorrowCap: caps.accountBorrowCap,
+      paused,
+      borrowPaused
+    };
+    const position = { collateralAmount: stored.collateralAmount, borrowedAmount: stored.borrowedAmount, debt };
+
+    return {
+      account,
+      blockNumber,
+      position,
+      collateralValue: calculateCollateralValue(position.collateralAmount, collateralPrice, collateralDecimals),
+      debtValue: calculateDebtValue(debt, assetPrice, assetDecimals),
+      healthFactor: healthFactorOf(position, market),
+      maxBorrow: maxBorrowOf(position, market),
+      borrowable: borrowableAmount(position, market),
+      shares,
+      suppliedAssets,
+      market
+    };
+  }
+
+  /**
+   * Whether borrowing `amount` would go through, and the position it would leave, without sending a transaction
+   * @param {bigint} amount
+   * @param {{ account?: string, snapshot?: AccountSnapshot }} [options] pass a snapshot to simulate offline
+   * @returns {Promise<BorrowSimulation>}
+   */
+  async simulateBorrow(amount, { account, snapshot } = {}) {
+    return simulateBorrow(snapshot ?? (await this.getAccountSnapshot(account)), amount);
+  }
+
+  async signerAddress() {
+    const signer = /** @type {ethers.Signer} */ (this.runner);
+    if (typeof signer.getAddress !== "function") {
+      throw new Error("A signer is required for this call");
+    }
+    return signer.getAddress();
+  }
+
+  loadTokens() {
+    if (!this.tokens) {
+      this.tokens = (async () => {
+        const asset = contractAt(await this.vault.asset(), ERC20_ABI, this.runner);
+        const collateral = contractAt(await this.vault.collateralAsset(), ERC20_ABI, this.runner);
+        return {
+          asset,
+          collateral,
+          assetDecimals: await asset.decimals(),
+          collateralDecimals: await collateral.decimals()
+        };
+      })();
+    }
+    return this.tokens;
+  }
+
+  /**
+   * @param {any} token
+   * @param {string} owner
+   * @param {bigint} amount
+   */
+  async ensureAllowance(token, owner, amount) {
+    const vaultAddress = await this.vault.getAddress();
+    if ((await token.allowance(owner, vaultAddress)) < amount) {
+      await (await token.approve(vaultAddress, amount)).wait();
+    }
+  }
+}
+
+module.exports = { SafeLendClient };
\ No newline at end of file
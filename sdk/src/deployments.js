@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} SafeLendAddresses
+ * @property {string} vault
+ * @property {string} liquidator
+ * @property {string} [lendingPool]
+ */
+
+/**
+ * Reads the deployment file scripts/deploy.js writes for `network`
+ * @param {string} network
+ * @param {{ deploymentsDir?: string }} [options] defaults to ./deployments under the working directory
+ * @returns {any}
+ */
+function loadDeployment(network, { deploymentsDir = path.join(process.cwd(), "deployments") } = {}) {
+  const deploymentPath = path.join(deploymentsDir, network, "deployment.json");
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No SafeLend deployment for ${network} at ${deploymentPath}`);
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8"));
+}
+
+/**
+ * Addresses of one market. Deployments list their markets by key (`USDC`, `WETH`, ...); `market` may be left out
+ * when there is only one.
+ * @param {string} network
+ * @param {{ market?: string, deploymentsDir?: string }} [options]
+ * @returns {SafeLendAddresses}
+ */
+function resolveAddresses(network, options = {}) {
+  const deployment = loadDeployment(network, options);
+  const { contracts } = deployment;
+  const vault = deployment.markets
+    ? selectMarket(network, deployment.markets, options.market).SafeLendVault
+    : contracts.SafeLendVault;
+  if (!vault || !contracts.Liquidator) {
+    throw new Error(`Deployment for ${network} is missing SafeLendVault or Liquidator`);
+  }
+  return {
+    vault,
+    liquidator: contracts.Liquidator,
+    lendingPool: contracts.LendingPool
+  };
+}
+
+function selectMarket(network, markets, market) {
+  const keys = Object.keys(markets);
+  if (market === undefined && keys.length === 1) {
+    return markets[keys[0]];
+  }
+  if (market === undefined) {
+    throw new Error(`Deployment for ${network} has markets ${keys.join(", ")}; pick one with options.market`);
+  }
+  if (!markets[market]) {
+    throw new Error(`Deployment for ${network} has no ${market} market`);
+  }
+  return markets[market];
+}
+
+module.exports = { loadDeployment, resolveAddresses };
\ No newline at end of file
@@ -0,0 +1,23 @@
+const { SafeLendClient } = require("./SafeLendClient");
+const { borrowableAmount, simulateBorrow } = require("./simulation");
+const { loadDeployment, resolveAddresses } = require("./deployments");
+const { VAULT_ROLES, LIQUIDATOR_ROLES } = require("./roles");
+const math = require("./math");
+
+const abis = {
+  SafeLendVault: require("./abi/SafeLendVault.json"),
+  Liquidator: require("./abi/Liquidator.json"),
+  LendingPool: require("./abi/LendingPool.json")
+};
+
+module.exports = {
+  SafeLendClient,
+  borrowableAmount,
+  simulateBorrow,
+  loadDeployment,
+  resolveAddresses,
+  VAULT_ROLES,
+  LIQUIDATOR_ROLES,
+  math,
+  abis
+};
\ No newline at end of file
@@ -0,0 +1,234 @@
+// Offline position math. Every function mirrors its Solidity counterpart in contracts/libraries or SafeLendVault
+// operation for operation, including integer division, so results match the contracts to the wei.
+
+const WAD = 10n ** 18n;
+const RAY = 10n ** 27n;
+const WAD_RAY_RATIO = 10n ** 9n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// LiquidationMath
+
+/**
+ * @param {bigint} collateralValue
+ * @param {bigint} debtValue
+ * @param {bigint} liquidationThreshold
+ * @returns {bigint}
+ */
+function calculateHealthFactor(collateralValue, debtValue, liquidationThreshold) {
+  if (debtValue === 0n) return MAX_UINT256;
+  return (collateralValue * liquidationThreshold) / debtValue;
+}
+
+/**
+ * @param {bigint} healthFactor
+ * @returns {boolean}
+ */
+function isLiquidatable(healthFactor) {
+  return healthFactor < WAD;
+}
+
+/**
+ * @param {bigint} healthFactor
+ * @param {bigint} closeFactor
+ * @param {bigint} criticalHealthFactor
+ * @returns {bigint}
+ */
+function calculateCloseFactor(healthFactor, closeFactor, criticalHealthFactor) {
+  return healthFactor < criticalHealthFactor ? WAD : closeFactor;
+}
+
+/**
+ * @param {bigint} debtToCover
+ * @param {bigint} maxDebtToCover
+ * @param {bigint} totalCollateral
+ * @param {bigint} liquidationBonus
+ * @param {bigint} debtPrice
+ * @param {bigint} debtDecimals
+ * @param {bigint} collateralPrice
+ * @param {bigint} collateralDecimals
+ * @returns {{ collateralToLiquidate: bigint, actualDebtCovered: bigint }}
+ */
+function calculateLiquidationAmounts(
+  debtToCover,
+  maxDebtToCover,
+  totalCollateral,
+  liquidationBonus,
+  debtPrice,
+  debtDecimals,
+  collateralPrice,
+  collateralDecimals
+) {
+  let actualDebtCovered = debtToCover > maxDebtToCover ? maxDebtToCover : debtToCover;
+
+  const debtValue = calculateDebtValue(actualDebtCovered, debtPrice, debtDecimals);
+  const seizeValue = (debtValue * (WAD + liquidationBonus)) / WAD;
+  let collateralToLiquidate = calculateAmountFromValue(seizeValue, collateralPrice, collateralDecimals);
+
+  if (collateralToLiquidate > totalCollateral) {
+    actualDebtCovered = (actualDebtCovered * totalCollateral) / collateralToLiquidate;
+    collateralToLiquidate = totalCollateral;
+  }
+
+  return { collateralToLiquidate, actualDebtCovered };
+}
+
+/**
+ * @param {bigint} collateralAmount
+ * @param {bigint} collateralPrice
+ * @param {bigint} collateralDecimals
+ * @returns {bigint}
+ */
+function calculateCollateralValue(collateralAmount, collateralPrice, collateralDecimals) {
+  return (collateralAmount * collateralPrice) / 10n ** collateralDecimals;
+}
+
+/**
+ * @param {bigint} debtAmount
+ * @param {bigint} debtPrice
+ * @param {bigint} debtDecimals
+ * @returns {bigint}
+ */
+function calculateDebtValue(debtAmount, debtPrice, debtDecimals) {
+  return (debtAmount * debtPrice) / 10n ** debtDecimals;
+}
+
+/**
+ * @param {bigint} value
+ * @param {bigint} price
+ * @param {bigint} decimals
+ * @returns {bigint}
+ */
+function calculateAmountFromValue(value, price, decimals) {
+  return (value * 10n ** decimals) / price;
+}
+
+/**
+ * @param {bigint} collateralValue
+ * @param {bigint} collateralFactor
+ * @param {bigint} currentDebt
+ * @returns {bigint}
+ */
+function calculateMaxBorrow(collateralValue, collateralFactor, currentDebt) {
+  const maxBorrowValue = (collateralValue * collateralFactor) / WAD;
+  return maxBorrowValue > currentDebt ? maxBorrowValue - currentDebt : 0n;
+}
+
+// InterestMath
+
+/**
+ * Growth factor (1 + r)^t in WAD for a per-second WAD rate compounded every second
+ * @param {bigint} ratePerSecond
+ * @param {bigint} timeDelta
+ * @returns {bigint}
+ */
+function calculateCompoundedInterest(ratePerSecond, timeDelta) {
+  if (ratePerSecond === 0n || timeDelta === 0n) {
+    return WAD;
+  }
+  return rpow(RAY + ratePerSecond * WAD_RAY_RATIO, timeDelta, RAY) / WAD_RAY_RATIO;
+}
+
+/**
+ * x^n in fixed point with the given base; each product rounds half up
+ * @param {bigint} x
+ * @param {bigint} n
+ * @param {bigint} base
+ * @returns {bigint}
+ */
+function rpow(x, n, base) {
+  let z = n % 2n !== 0n ? x : base;
+  const half = base / 2n;
+
+  for (n /= 2n; n !== 0n; n /= 2n) {
+    x = (x * x + half) / base;
+    if (n % 2n !== 0n) {
+      z = (z * x + half) / base;
+    }
+  }
+  return z;
+}
+
+// SafeLendVault
+
+/**
+ * Debt = principal * index / snapshot, as in SafeLendVault.calculateBorrowBalance
+ * @param {{ borrowedAmount: bigint, borrowIndex: bigint }} position
+ * @param {bigint} index
+ * @returns {bigint}
+ */
+function calculateBorrowBalance(position, index) {
+  if (position.borrowedAmount === 0n) {
+    return 0n;
+  }
+  return (position.borrowedAmount * index) / position.borrowIndex;
+}
+
+/**
+ * Borrow index after `timeDelta` seconds at a constant per-second rate, as accrued by a vault without a lending pool
+ * @param {bigint} borrowIndex
+ * @param {bigint} ratePerSecond
+ * @param {bigint} timeDelta
+ * @returns {bigint}
+ */
+function accrueBorrowIndex(borrowIndex, ratePerSecond, timeDelta) {
+  const interestFactor = calculateCompoundedInterest(ratePerSecond, timeDelta) - WAD;
+  return borrowIndex + (interestFactor * borrowIndex) / WAD;
+}
+
+/**
+ * Most the account may borrow on top of `debt`, in debt-asset units, as in SafeLendVault.getMaxBorrow
+ * @param {{ collateralAmount: bigint, debt: bigint }} position
+ * @param {MarketParams} market
+ * @returns {bigint}
+ */
+function maxBorrowOf(position, market) {
+  const maxBorrowValue = calculateMaxBorrow(
+    calculateCollateralValue(position.collateralAmount, market.collateralPrice, market.collateralDecimals),
+    market.collateralFactor,
+    calculateDebtValue(position.debt, market.assetPrice, market.assetDecimals)
+  );
+  return calculateAmountFromValue(maxBorrowValue, market.assetPrice, market.assetDecimals);
+}
+
+/**
+ * @param {{ collateralAmount: bigint, debt: bigint }} position
+ * @param {MarketParams} market
+ * @returns {bigint}
+ */
+function healthFactorOf(position, market) {
+  return calculateHealthFactor(
+    calculateCollateralValue(position.collateralAmount, market.collateralPrice, market.collateralDecimals),
+    calculateDebtValue(position.debt, market.assetPrice, market.assetDecimals),
+    market.liquidationThreshold
+  );
+}
+
+/**
+ * @typedef {object} MarketParams
+ * @property {bigint} collateralFactor
+ * @property {bigint} liquidationThreshold
+ * @property {bigint} assetPrice
+ * @property {bigint} collateralPrice
+ * @property {bigint} assetDecimals
+ * @property {bigint} collateralDecimals
+ */
+
+module.exports = {
+  WAD,
+  RAY,
+  MAX_UINT256,
+  calculateHealthFactor,
+  isLiquidatable,
+  calculateCloseFactor,
+  calculateLiquidationAmounts,
+  calculateCollateralValue,
+  calculateDebtValue,
+  calculateAmountFromValue,
+  calculateMaxBorrow,
+  calculateCompoundedInterest,
+  rpow,
+  calculateBorrowBalance,
+  accrueBorrowIndex,
+  maxBorrowOf,
+  healthFactorOf
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+const { ethers } = require("ethers");
+
+// Role hashes as declared by the contracts, so services grant and check roles without an RPC round trip
+const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+const VAULT_ROLES = Object.freeze({
+  DEFAULT_ADMIN_ROLE,
+  ADMIN_ROLE: ethers.id("ADMIN_ROLE"),
+  LIQUIDATOR_ROLE: ethers.id("LIQUIDATOR_ROLE"),
+  GUARDIAN_ROLE: ethers.id("GUARDIAN_ROLE"),
+  CONFIGURATOR_ROLE: ethers.id("CONFIGURATOR_ROLE"),
+  TREASURY_ROLE: ethers.id("TREASURY_ROLE")
+});
+
+const LIQUIDATOR_ROLES = Object.freeze({
+  DEFAULT_ADMIN_ROLE,
+  KEEPER_ROLE: ethers.id("KEEPER_ROLE"),
+  EMERGENCY_ADMIN: ethers.id("EMERGENCY_ADMIN")
+});
+
+module.exports = { VAULT_ROLES, LIQUIDATOR_ROLES };
\ No newline at end of file
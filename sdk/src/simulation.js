@@ -0,0 +1,99 @@
+const { healthFactorOf, maxBorrowOf, MAX_UINT256 } = require("./math");
+
+/**
+ * @typedef {import("./math").MarketParams & {
+ *   liquidationBonus: bigint,
+ *   borrowRatePerSecond: bigint,
+ *   totalBorrows: bigint,
+ *   liquidity: bigint,
+ *   borrowCap: bigint,
+ *   accountBorrowCap: bigint,
+ *   paused: boolean,
+ *   borrowPaused: boolean
+ * }} MarketState paused is the vault-wide pause; borrowPaused also covers it and the per-action pause
+ */
+
+/**
+ * @typedef {object} AccountSnapshot
+ * @property {string} account
+ * @property {number} blockNumber
+ * @property {{ collateralAmount: bigint, borrowedAmount: bigint, debt: bigint }} position debt includes interest
+ * @property {bigint} collateralValue
+ * @property {bigint} debtValue
+ * @property {bigint} healthFactor
+ * @property {bigint} maxBorrow most the collateral supports on top of the debt
+ * @property {bigint} borrowable what a borrow could take right now, after liquidity, caps and pauses
+ * @property {bigint} shares
+ * @property {bigint} suppliedAssets
+ * @property {MarketState} market
+ */
+
+/**
+ * @typedef {object} BorrowSimulation
+ * @property {boolean} ok
+ * @property {string | null} error name of the custom error the vault would revert with
+ * @property {bigint} debt debt after the borrow
+ * @property {bigint} healthFactor health factor after the borrow
+ * @property {bigint} maxBorrow what could still be borrowed after it
+ */
+
+// Room left under a cap, where zero means uncapped
+function headroom(/** @type {bigint} */ cap, /** @type {bigint} */ used) {
+  if (cap === 0n) return MAX_UINT256;
+  return cap > used ? cap - used : 0n;
+}
+
+/**
+ * Largest borrow the vault would accept for the snapshot's account
+ * @param {{ collateralAmount: bigint, debt: bigint }} position
+ * @param {MarketState} market
+ * @returns {bigint}
+ */
+function borrowableAmount(position, market) {
+  if (market.borrowPaused) return 0n;
+  return [
+    maxBorrowOf(position, market),
+    market.liquidity,
+    headroom(market.borrowCap, market.totalBorrows),
+    headroom(market.accountBorrowCap, position.debt)
+  ].reduce((min, value) => (value < min ? value : min));
+}
+
+/**
+ * Runs SafeLendVault's borrow checks, in the vault's order, against a snapshot
+ * @param {AccountSnapshot} snapshot
+ * @param {bigint} amount
+ * @returns {BorrowSimulation}
+ */
+function simulateBorrow(snapshot, amount) {
+  const { position, market } = snapshot;
+  const after = { collateralAmount: position.collateralAmount, debt: position.debt + amount };
+
+  // The vault checks its global pause first, which reverts with OpenZeppelin's Pausable error
+  let error = null;
+  if (market.paused) {
+    error = "EnforcedPause";
+  } else if (market.borrowPaused) {
+    error = "ActionPaused";
+  } else if (amount === 0n) {
+    error = "ZeroAmount";
+  } else if (amount > market.liquidity) {
+    error = "InsufficientLiquidity";
+  } else if (market.borrowCap !== 0n && market.totalBorrows + amount > market.borrowCap) {
+    error = "BorrowCapExceeded";
+  } else if (market.accountBorrowCap !== 0n && after.debt > market.accountBorrowCap) {
+    error = "AccountBorrowCapExceeded";
+  } else if (amount > maxBorrowOf(position, market)) {
+    error = "BorrowExceedsLimit";
+  }
+
+  return {
+    ok: error === null,
+    error,
+    debt: after.debt,
+    healthFactor: healthFactorOf(after, market),
+    maxBorrow: maxBorrowOf(after, market)
+  };
+}
+
+module.exports = { borrowableAmount, simulateBorrow };
\ No newline at end of file
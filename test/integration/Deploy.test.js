@@ -0,0 +1,300 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runDeployment } = require("../../scripts/deploy/pipeline");
+const { loadDeployConfig, readRawConfig, mergeConfig, parseDeployConfig } = require("../../scripts/deploy/config");
+const { readDeploymentHistory } = require("../../scripts/deploy/records");
+
+const { ethers } = hre;
+const quiet = () => {};
+
+describe("Deployment Pipeline Integration", function () {
+  async function deployFixture() {
+    const [deployer] = await ethers.getSigners();
+    const deploymentDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-ignition-"));
+    const recordsDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-records-"));
+    const config = loadDeployConfig("localhost");
+
+    const first = await runDeployment(hre, { config, deploymentDir, recordsDir, log: quiet });
+    return { deployer, config, deploymentDir, recordsDir, first };
+  }
+
+  // Tests that extend the journal get their own copy, so the fixture's snapshot and journal stay in step
+  function forkDirs({ deploymentDir, recordsDir }) {
+    const copy = (dir, prefix) => {
+      const target = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+      fs.cpSync(dir, target, { recursive: true });
+      return target;
+    };
+    return {
+      deploymentDir: copy(deploymentDir, "safelend-ignition-"),
+      recordsDir: copy(recordsDir, "safelend-records-")
+    };
+  }
+
+  function rawConfig() {
+    return readRawConfig("localhost");
+  }
+
+  function wethMarket(raw) {
+    return { ...raw.markets.USDC, asset: "WETH", collateral: "USDC", name: "SafeLend WETH Vault", symbol: "svWETH" };
+  }
+
+  async function market(record, key) {
+    return {
+      vault: await ethers.getContractAt("SafeLendVault", record.markets[key].SafeLendVault),
+      liquidator: await ethers.getContractAt("Liquidator", record.contracts.Liquidator),
+      lendingPool: await ethers.getContractAt("LendingPool", record.contracts.LendingPool)
+    };
+  }
+
+  describe("First run", function () {
+    it("Should deploy every contract and apply the config", async function () {
+      const { deployer, first } = await loadFixture(deployFixture);
+      const { record } = first;
+      const { vault, liquidator, lendingPool } = await market(record, "USDC");
+
+      expect(first.reused).to.be.empty;
+      expect(first.deployed).to.include.members(["SafeLend#USDCVault", "SafeLend#LendingPool", "SafeLend#USDCToken"]);
+      expect(first.report.blocked).to.be.empty;
+
+      expect(await vault.asset()).to.equal(record.tokens.USDC);
+      expect(await vault.collateralAsset()).to.equal(record.tokens.WETH);
+      expect(await liquidator.authorizedVaults(record.markets.USDC.SafeLendVault)).to.be.true;
+      expect(await vault.lendingPool()).to.equal(record.contracts.LendingPool);
+      expect(await lendingPool.registeredVaults(record.markets.USDC.SafeLendVault)).to.be.true;
+      expect(await vault.safetyModule()).to.equal(record.contracts.SafetyModule);
+
+      expect(await vault.hasRole(await vault.LIQUIDATOR_ROLE(), record.contracts.Liquidator)).to.be.true;
+      expect(await vault.hasRole(await vault.TREASURY_ROLE(), record.contracts.FeeSplitter)).to.be.true;
+      expect(await vault.hasRole(await vault.TREASURY_ROLE(), deployer.address)).to.be.false;
+      expect(await vault.hasRole(await vault.CONFIGURATOR_ROLE(), record.contracts.ConfigTimelock)).to.be.true;
+      expect(await vault.hasRole(await vault.CONFIGURATOR_ROLE(), deployer.address)).to.be.false;
+      for (const role of [await vault.ADMIN_ROLE(), await vault.DEFAULT_ADMIN_ROLE()]) {
+        expect(await vault.hasRole(role, record.contracts.ConfigTimelock)).to.be.true;
+        expect(await vault.hasRole(role, deployer.address)).to.be.false;
+      }
+      // Without a configured guardian the deployer keeps the pause
+      expect(await vault.hasRole(await vault.GUARDIAN_ROLE(), deployer.address)).to.be.true;
+
+      const oracle = await ethers.getContractAt("MockPriceOracle", record.contracts.PriceOracle);
+      expect(await oracle.getAssetPrice(record.tokens.WETH)).to.equal(ethers.parseEther("2000"));
+      const usdc = await ethers.getContractAt("MockERC20", record.tokens.USDC);
+      expect(await usdc.balanceOf(deployer.address)).to.equal(ethers.parseUnits("1000000", 6));
+
+      const splitter = await ethers.getContractAt("FeeSplitter", record.contracts.FeeSplitter);
+      const payees = await splitter.getPayees();
+      expect(payees.map((payee) => payee.account)).to.deep.equal([deployer.address, record.contracts.SafetyModule]);
+      expect(payees.map((payee) => payee.weight)).to.deep.equal([80n, 20n]);
+    });
+
+    it("Should give the pause to a configured guardian rather than the timelock", async function () {
+      const [deployer, guardian] = await ethers.getSigners();
+      const raw = rawConfig();
+      raw.guardian = guardian.address;
+      const deploymentDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-ignition-"));
+
+      const config = parseDeployConfig(raw);
+      const { record } = await runDeployment(hre, { config, deploymentDir, recordsDir: null, log: quiet });
+      const { vault } = await market(record, "USDC");
+      const GUARDIAN_ROLE = await vault.GUARDIAN_ROLE();
+
+      expect(await vault.hasRole(GUARDIAN_ROLE, guardian.address)).to.be.true;
+      expect(await vault.hasRole(GUARDIAN_ROLE, deployer.address)).to.be.false;
+      expect(await vault.hasRole(GUARDIAN_ROLE, record.contracts.ConfigTimelock)).to.be.false;
+      await vault.connect(guardian).pause();
+      expect(await vault.paused()).to.be.true;
+    });
+
+    it("Should write the deployment record and its first history entry", async function () {
+      const { recordsDir, first } = await loadFixture(deployFixture);
+      const written = JSON.parse(fs.readFileSync(path.join(recordsDir, "hardhat", "deployment.json"), "utf8"));
+
+      expect(written).to.deep.equal(first.record);
+      expect(written.chainId).to.equal(31337);
+      expect(written.blockNumber).to.be.lessThan(await ethers.provider.getBlockNumber());
+
+      const history = readDeploymentHistory("hardhat", recordsDir);
+      expect(history).to.have.length(1);
+      expect(history[0].deployed).to.deep.equal(first.deployed);
+      expect(history[0].steps).to.deep.equal(first.report.executed);
+    });
+  });
+
+  describe("Reruns", function () {
+    it("Should send nothing when the config is unchanged", async function () {
+      const { config, first, deploymentDir, recordsDir } = await loadFixture(deployFixture);
+      const blockBefore = await ethers.provider.getBlockNumber();
+
+      const second = await runDeployment(hre, { config, deploymentDir, recordsDir, log: quiet });
+
+      expect(second.deployed).to.be.empty;
+      expect(second.reused).to.have.members(first.deployed);
+      expect(second.report.executed).to.be.empty;
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+      expect(second.record.blockNumber).to.equal(first.record.blockNumber);
+      expect(readDeploymentHistory("hardhat", recordsDir)).to.have.length(2);
+    });
+
+    it("Should resume configuration that stopped partway", async function () {
+      const dirs = forkDirs(await loadFixture(deployFixture));
+      const raw = rawConfig();
+      raw.markets.WETH = wethMarket(raw);
+      const extended = parseDeployConfig(raw);
+
+      // Stands in for a crash or a dropped RPC connection halfway through the config steps
+      const interrupt = (message) => {
+        if (message.includes("Register the WETH vault")) {
+          throw new Error("interrupted");
+        }
+      };
+      await expect(runDeployment(hre, { config: extended, ...dirs, log: interrupt })).to.be.rejectedWith("interrupted");
+
+      const resumed = await runDeployment(hre, { config: extended, ...dirs, log: quiet });
+      expect(resumed.deployed).to.be.empty;
+      expect(resumed.report.executed[0]).to.equal("lendingPool.registerVault:WETH");
+      expect(resumed.report.executed).to.not.include("liquidator.authorizeVault:WETH");
+      expect(resumed.report.executed.every((id) => id.includes(":WETH"))).to.be.true;
+
+      const { vault, lendingPool } = await market(resumed.record, "WETH");
+      expect(await lendingPool.registeredVaults(resumed.record.markets.WETH.SafeLendVault)).to.be.true;
+      expect(await vault.lendingPool()).to.equal(resumed.record.contracts.LendingPool);
+    });
+
+    it("Should only deploy the contracts of a market added to the config", async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { first } = fixture;
+      const dirs = forkDirs(fixture);
+      const raw = rawConfig();
+      raw.markets.WETH = wethMarket(raw);
+
+      const second = await runDeployment(hre, { config: parseDeployConfig(raw), ...dirs, log: quiet });
+
+      expect(second.deployed).to.have.members(["SafeLend#WETHInterestRateModel", "SafeLend#WETHVault"]);
+      expect(second.reused).to.have.members(first.deployed);
+      expect(second.record.contracts).to.deep.equal(first.record.contracts);
+      expect(second.record.blockNumber).to.equal(first.record.blockNumber);
+      expect(Object.keys(second.record.markets)).to.deep.equal(["USDC", "WETH"]);
+
+      const { liquidator } = await market(second.record, "WETH");
+      expect(await liquidator.authorizedVaults(second.record.markets.WETH.SafeLendVault)).to.be.true;
+    });
+
+    it("Should repair configuration that drifted from the config", async function () {
+      const { config, first, deploymentDir, recordsDir } = await loadFixture(deployFixture);
+      const { liquidator } = await market(first.record, "USDC");
+      await liquidator.authorizeVault(first.record.markets.USDC.SafeLendVault, false);
+
+      const second = await runDeployment(hre, { config, deploymentDir, recordsDir, log: quiet });
+
+      expect(second.report.executed).to.deep.equal(["liquidator.authorizeVault:USDC"]);
+      expect(await liquidator.authorizedVaults(first.record.markets.USDC.SafeLendVault)).to.be.true;
+    });
+
+    it("Should leave cap and risk changes to the timelock", async function () {
+      const { first, deploymentDir, recordsDir } = await loadFixture(deployFixture);
+      const raw = rawConfig();
+      raw.markets.USDC.caps.borrowCap = "500000";
+      raw.markets.USDC.risk.collateralFactor = "0.7";
+
+      const config = parseDeployConfig(raw);
+      const second = await runDeployment(hre, { config, deploymentDir, recordsDir, log: quiet });
+
+      expect(second.report.executed).to.be.empty;
+      expect(second.report.blocked.map((step) => step.id)).to.deep.equal([
+        "vault.updateConfig:USDC",
+        "vault.setCaps:USDC"
+      ]);
+      const { vault } = await market(first.record, "USDC");
+      expect((await vault.caps()).borrowCap).to.equal(0n);
+      expect((await vault.config()).collateralFactor).to.equal(ethers.parseEther("0.75"));
+    });
+
+    it("Should refuse a journal whose contracts are not on the chain", async function () {
+      const { config } = await loadFixture(deployFixture);
+      const deploymentDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-ignition-"));
+      fs.writeFileSync(
+        path.join(deploymentDir, "deployed_addresses.json"),
+        JSON.stringify({ "SafeLend#LendingPool": ethers.Wallet.createRandom().address })
+      );
+
+      await expect(
+        runDeployment(hre, { config, deploymentDir, recordsDir: null, log: quiet })
+      ).to.be.rejectedWith("remove the stale journal");
+    });
+  });
+
+  describe("Config validation", function () {
+    it("Should merge each network's overrides onto the defaults", function () {
+      const defaults = JSON.parse(
+        fs.readFileSync(path.join(__dirname, "../../scripts/deploy/networks/default.json"), "utf8")
+      );
+      const local = loadDeployConfig("localhost");
+      expect(local.permit2.mock).to.be.true;
+      expect(local.markets.USDC.caps.supplyCap).to.equal("0");
+      expect(local.markets.USDC.caps.accountSupplyCap).to.equal(defaults.markets.USDC.caps.accountSupplyCap);
+
+      for (const network of ["sepolia", "arbitrumSepolia", "polygonMumbai"]) {
+        const config = loadDeployConfig(network);
+        expect(config.permit2.address).to.equal(defaults.permit2);
+        expect(config.markets.USDC.caps.supplyCap).to.equal(defaults.markets.USDC.caps.supplyCap);
+      }
+
+      expect(() => loadDeployConfig("mainnet")).to.throw("No deployment config for mainnet");
+      const merged = mergeConfig(
+        { treasury: "0x1", feeSplit: { treasury: 80, safetyModule: 20 } },
+        { treasury: null, feeSplit: { treasury: 90 } }
+      );
+      expect(merged).to.deep.equal({ treasury: null, feeSplit: { treasury: 90, safetyModule: 20 } });
+    });
+
+    it("Should reject keys the config does not know", function () {
+      const typo = mergeConfig(rawConfig(), { markets: { USDC: { caps: { supplyCapp: "1" } } } });
+      expect(() => parseDeployConfig(typo)).to.throw("USDC.caps has unknown key supplyCapp");
+
+      const topLevel = mergeConfig(rawConfig(), { timelockDelay: 3600 });
+      expect(() => parseDeployConfig(topLevel)).to.throw("config has unknown key timelockDelay");
+
+      const modelParam = rawConfig();
+      modelParam.markets.USDC.interestRateModel.targetUtilization = "0.9";
+      expect(() => parseDeployConfig(modelParam)).to.throw("USDC.interestRateModel has unknown key targetUtilization");
+    });
+
+    it("Should reject markets that reference unknown tokens or bad parameters", function () {
+      const unknownToken = rawConfig();
+      unknownToken.markets.USDC.collateral = "DAI";
+      expect(() => parseDeployConfig(unknownToken)).to.throw("Market USDC collateral DAI is not listed under tokens");
+
+      const badRisk = rawConfig();
+      badRisk.markets.USDC.risk.liquidationBonus = "1.5";
+      expect(() => parseDeployConfig(badRisk)).to.throw("USDC.risk.liquidationBonus must not exceed 1");
+
+      const riskyCollateral = rawConfig();
+      riskyCollateral.markets.USDC.risk.collateralFactor = "0.85";
+      expect(() => parseDeployConfig(riskyCollateral)).to.throw(
+        "Market USDC collateralFactor must not exceed its liquidationThreshold"
+      );
+
+      const poolReserveFactor = rawConfig();
+      poolReserveFactor.markets.USDC.lendingPool.reserveFactor = "0.1";
+      expect(() => parseDeployConfig(poolReserveFactor)).to.throw(
+        "Market USDC sets lendingPool.reserveFactor; use risk.reserveFactor instead"
+      );
+
+      const badModel = rawConfig();
+      badModel.markets.USDC.interestRateModel.type = "linear";
+      expect(() => parseDeployConfig(badModel)).to.throw("unknown interest rate model type linear");
+
+      const badGuardian = rawConfig();
+      badGuardian.guardian = "multisig";
+      expect(() => parseDeployConfig(badGuardian)).to.throw("guardian must be an address");
+
+      const missingPrice = rawConfig();
+      delete missingPrice.tokens.WETH.price;
+      expect(() => parseDeployConfig(missingPrice)).to.throw("Token WETH needs a price for the mock oracle");
+    });
+  });
+});
\ No newline at end of file
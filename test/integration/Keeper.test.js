@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { Keeper } = require("../../scripts/keeper/Keeper");
+
+describe("Keeper Bot Integration", function () {
+  async function deployKeeperFixture() {
+    const [owner, alice, bob, keeper] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+    const collateral = await MockERC20.deploy("Mock Collateral", "MCL", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1"));
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+    const vault = await SafeLendVault.deploy(
+      await asset.getAddress(),
+      await collateral.getAddress(),
+      await interestModel.getAddress(),
+      await oracle.getAddress(),
+      "SafeLend Vault Token",
+      "svMTK"
+    );
+
+    const Liquidator = await ethers.getContractFactory("Liquidator");
+    const liquidatorContract = await Liquidator.deploy();
+    await liquidatorContract.authorizeVault(await vault.getAddress(), true);
+    await vault.grantRole(await vault.LIQUIDATOR_ROLE(), await liquidatorContract.getAddress());
+    await liquidatorContract.grantRole(await liquidatorContract.KEEPER_ROLE(), keeper.address);
+
+    await asset.mint(owner.address, ethers.parseEther("10000"));
+    await asset.approve(await vault.getAddress(), ethers.parseEther("10000"));
+    await vault.deposit(ethers.parseEther("10000"), owner.address);
+
+    await asset.mint(keeper.address, ethers.parseEther("10000"));
+
+    // Alice backs 700 MTK and Bob 600 MTK with 1000 MCL each; both go underwater below ~$0.85
+    for (const [user, amount] of [
+      [alice, "700"],
+      [bob, "600"]
+    ]) {
+      await collateral.mint(user.address, ethers.parseEther("1000"));
+      await collateral.connect(user).approve(await vault.getAddress(), ethers.parseEther("1000"));
+      await vault.connect(user).depositCollateral(ethers.parseEther("1000"));
+      await vault.connect(user).borrow(ethers.parseEther(amount));
+    }
+
+    return { vault, asset, collateral, oracle, liquidatorContract, owner, alice, bob, keeper };
+  }
+
+  // Collects the bot's output so failures inside a cycle surface in the test
+  function recordingLogger() {
+    return {
+      messages: [],
+      errors: [],
+      log(...args) {
+        this.messages.push(args.join(" "));
+      },
+      error(...args) {
+        this.errors.push(args);
+      }
+    };
+  }
+
+  function createKeeper({ vault, liquidatorContract, keeper }, policy = {}) {
+    const logger = recordingLogger();
+    const bot = new Keeper({
+      liquidator: liquidatorContract,
+      vaults: [vault],
+      signer: keeper,
+      policy: { batchSize: 1, ...policy },
+      logger
+    });
+    return { bot, logger };
+  }
+
+  async function dropCollateralPrice(oracle, collateral, price) {
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther(price));
+  }
+
+  it("Should rebuild the borrower set from vault events", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { bot } = createKeeper(system);
+
+    const result = await bot.runOnce();
+
+    expect([...bot.markets[0].borrowers]).to.have.members([system.alice.address, system.bob.address]);
+    expect(bot.markets[0].healthFactors.get(system.alice.address)).to.be.gt(ethers.parseEther("1"));
+    expect(result.unhealthy).to.be.empty;
+    expect(result.liquidated).to.be.empty;
+  });
+
+  it("Should liquidate a position that moved underwater", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { vault, collateral, oracle, liquidatorContract, alice, bob, keeper } = system;
+    const { bot, logger } = createKeeper(system);
+
+    await bot.runOnce();
+    // At $0.8 only Alice's health factor drops below one
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const collateralBefore = await collateral.balanceOf(keeper.address);
+
+    const result = await bot.runOnce();
+
+    expect(logger.errors).to.be.empty;
+    expect(result.liquidated.map((item) => item.borrower)).to.deep.equal([alice.address]);
+    expect((await liquidatorContract.getLiquidationHistory(alice.address)).length).to.equal(1);
+    expect((await liquidatorContract.getLiquidationHistory(bob.address)).length).to.equal(0);
+    expect(await collateral.balanceOf(keeper.address)).to.be.gt(collateralBefore);
+    expect(await vault.getUserHealthFactor(alice.address)).to.be.gte(bot.markets[0].healthFactors.get(alice.address));
+  });
+
+  it("Should batch liquidations that share a debt asset", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { asset, collateral, oracle, liquidatorContract, alice, bob } = system;
+    const { bot, logger } = createKeeper(system, { batchSize: 5 });
+
+    await dropCollateralPrice(oracle, collateral, "0.7");
+    const result = await bot.runOnce();
+
+    expect(logger.errors).to.be.empty;
+    expect(result.liquidated.map((item) => item.borrower)).to.have.members([alice.address, bob.address]);
+    expect(result.liquidated[0].hash).to.equal(result.liquidated[1].hash);
+    expect(await asset.balanceOf(await liquidatorContract.getAddress())).to.equal(0);
+    expect(logger.messages.some((message) => message.startsWith("Batch of 2 liquidated 2"))).to.be.true;
+  });
+
+  it("Should rank opportunities by profit", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { collateral, oracle, alice, bob } = system;
+    const { bot } = createKeeper(system, { maxGasPrice: 0n });
+
+    // Alice's bonus is capped by her collateral, which still leaves her the larger liquidation
+    await dropCollateralPrice(oracle, collateral, "0.7");
+    const result = await bot.runOnce();
+
+    expect(result.opportunities.map((item) => item.borrower)).to.deep.equal([alice.address, bob.address]);
+  });
+
+  it("Should hold liquidations while gas is above the limit", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { collateral, oracle, liquidatorContract, alice } = system;
+    const { bot, logger } = createKeeper(system, { maxGasPrice: 1n });
+
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const result = await bot.runOnce();
+
+    expect(result.opportunities.length).to.equal(1);
+    expect(result.liquidated).to.be.empty;
+    expect((await liquidatorContract.getLiquidationHistory(alice.address)).length).to.equal(0);
+    expect(logger.messages.some((message) => message.includes("holding 1 liquidation(s)"))).to.be.true;
+  });
+
+  it("Should start auctions and bid on them once started", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { vault, collateral, oracle, liquidatorContract, alice } = system;
+    const { bot, logger } = createKeeper(system);
+
+    await vault.setAuctionParams(true, 60 * 60, ethers.parseEther("0.1"));
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const first = await bot.runOnce();
+
+    expect(first.opportunities).to.be.empty;
+    expect(first.auctionsStarted.map((item) => item.borrower)).to.deep.equal([alice.address]);
+    expect(await vault.auctionStartTime(alice.address)).to.not.equal(0);
+
+    await time.increase(30 * 60);
+    const second = await bot.runOnce();
+
+    expect(second.liquidated.map((item) => item.borrower)).to.deep.equal([alice.address]);
+    expect((await liquidatorContract.getLiquidationHistory(alice.address)).length).to.equal(1);
+    expect(logger.errors).to.be.empty;
+  });
+
+  it("Should hold auction starts while gas is above the limit", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { vault, collateral, oracle, alice } = system;
+    const { bot, logger } = createKeeper(system, { maxGasPrice: 1n });
+
+    await vault.setAuctionParams(true, 60 * 60, ethers.parseEther("0.1"));
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const result = await bot.runOnce();
+
+    expect(result.auctionsStarted).to.be.empty;
+    expect(await vault.auctionStartTime(alice.address)).to.equal(0);
+    expect(logger.messages.some((message) => message.includes("holding 1 auction start(s)"))).to.be.true;
+  });
+
+  it("Should skip liquidations that do not pay for their gas", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { collateral, oracle } = system;
+    const gasPrice = (await ethers.provider.getFeeData()).maxFeePerGas;
+
+    // Priced so that one liquidation's gas costs about 100 MTK, more than the ~35 MTK bonus
+    const nativePrice = (ethers.parseEther("100") * 10n ** 18n) / (gasPrice * 400000n);
+    const { bot } = createKeeper(system, { nativePrice });
+
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const result = await bot.runOnce();
+
+    expect(result.unhealthy.length).to.equal(1);
+    expect(result.opportunities).to.be.empty;
+  });
+
+  it("Should skip liquidations below the minimum profit", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { collateral, oracle } = system;
+    const { bot } = createKeeper(system, { minProfit: ethers.parseEther("1000") });
+
+    await dropCollateralPrice(oracle, collateral, "0.8");
+    const result = await bot.runOnce();
+
+    expect(result.unhealthy.length).to.equal(1);
+    expect(result.opportunities).to.be.empty;
+  });
+
+  it("Should liquidate as new blocks arrive", async function () {
+    const system = await loadFixture(deployKeeperFixture);
+    const { collateral, oracle, liquidatorContract, alice } = system;
+    const { bot, logger } = createKeeper(system);
+
+    await bot.start();
+    try {
+      await dropCollateralPrice(oracle, collateral, "0.8");
+
+      const deadline = Date.now() + 10000;
+      while ((await liquidatorContract.getLiquidationHistory(alice.address)).length === 0) {
+        expect(Date.now()).to.be.lt(deadline, "keeper did not liquidate in time");
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+    } finally {
+      await bot.stop();
+    }
+
+    expect(logger.errors).to.be.empty;
+  });
+});
\ No newline at end of file
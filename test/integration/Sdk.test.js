@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  SafeLendClient,
+  simulateBorrow,
+  resolveAddresses,
+  VAULT_ROLES,
+  LIQUIDATOR_ROLES,
+  math,
+  abis
+} = require("../../sdk");
+
+describe("SDK Integration", function () {
+  async function deploySdkFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("USD Coin", "USDC", 6);
+    const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+    const vault = await SafeLendVault.deploy(
+      await asset.getAddress(),
+      await collateral.getAddress(),
+      await interestModel.getAddress(),
+      await oracle.getAddress(),
+      "SafeLend USDC Vault",
+      "svUSDC"
+    );
+
+    const Liquidator = await ethers.getContractFactory("Liquidator");
+    const liquidatorContract = await Liquidator.deploy();
+    await liquidatorContract.authorizeVault(await vault.getAddress(), true);
+
+    const liquidity = ethers.parseUnits("100000", 6);
+    await asset.mint(owner.address, liquidity);
+    await asset.approve(await vault.getAddress(), liquidity);
+    await vault.deposit(liquidity, owner.address);
+
+    await asset.mint(alice.address, ethers.parseUnits("10000", 6));
+    await collateral.mint(alice.address, ethers.parseEther("10"));
+
+    const addresses = { vault: await vault.getAddress(), liquidator: await liquidatorContract.getAddress() };
+    const client = new SafeLendClient(addresses, alice);
+
+    return { vault, asset, collateral, oracle, liquidatorContract, owner, alice, bob, addresses, client };
+  }
+
+  // Alice posts 5 WETH ($10,000) and borrows 5,000 USDC
+  async function borrowerFixture() {
+    const system = await deploySdkFixture();
+    await system.client.depositCollateral(ethers.parseEther("5"));
+    await system.vault.connect(system.alice).borrow(ethers.parseUnits("5000", 6));
+    return system;
+  }
+
+  describe("Generated bindings", function () {
+    it("Should ship the ABIs of the compiled contracts", async function () {
+      for (const name of ["SafeLendVault", "Liquidator", "LendingPool"]) {
+        expect(abis[name]).to.deep.equal((await artifacts.readArtifact(name)).abi);
+      }
+    });
+
+    it("Should expose the contracts' role hashes", async function () {
+      const { vault, liquidatorContract } = await loadFixture(deploySdkFixture);
+
+      for (const [name, hash] of Object.entries(VAULT_ROLES)) {
+        expect(await vault[name]()).to.equal(hash);
+      }
+      for (const [name, hash] of Object.entries(LIQUIDATOR_ROLES)) {
+        expect(await liquidatorContract[name]()).to.equal(hash);
+      }
+    });
+
+    it("Should resolve addresses from deployment files", async function () {
+      const { addresses, alice } = await loadFixture(deploySdkFixture);
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-deployments-"));
+      fs.mkdirSync(path.join(deploymentsDir, "localhost"));
+      fs.writeFileSync(
+        path.join(deploymentsDir, "localhost", "deployment.json"),
+        JSON.stringify({ contracts: { SafeLendVault: addresses.vault, Liquidator: addresses.liquidator } })
+      );
+
+      expect(resolveAddresses("localhost", { deploymentsDir })).to.deep.equal({ ...addresses, lendingPool: undefined });
+      const client = SafeLendClient.fromDeployment("localhost", alice, { deploymentsDir });
+      expect(await client.vault.getAddress()).to.equal(addresses.vault);
+      expect(() => resolveAddresses("sepolia", { deploymentsDir })).to.throw("No SafeLend deployment for sepolia");
+    });
+
+    it("Should pick a market from deployment files that list several", async function () {
+      const { addresses } = await loadFixture(deploySdkFixture);
+      const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "safelend-deployments-"));
+      fs.mkdirSync(path.join(deploymentsDir, "localhost"));
+      fs.writeFileSync(
+        path.join(deploymentsDir, "localhost", "deployment.json"),
+        JSON.stringify({
+          contracts: { Liquidator: addresses.liquidator },
+          markets: { USDC: { SafeLendVault: addresses.vault }, WETH: { SafeLendVault: ethers.ZeroAddress } }
+        })
+      );
+
+      expect(resolveAddresses("localhost", { market: "USDC", deploymentsDir })).to.deep.equal({
+        ...addresses,
+        lendingPool: undefined
+      });
+      expect(() => resolveAddresses("localhost", { deploymentsDir })).to.throw("pick one with options.market");
+      expect(() => resolveAddresses("localhost", { market: "DAI", deploymentsDir })).to.throw("has no DAI market");
+    });
+  });
+
+  describe("Offline math", function () {
+    it("Should match the vault's health factor and borrow limit to the wei", async function () {
+      const { vault, client, alice } = await loadFixture(borrowerFixture);
+
+      // Pending interest makes the vault's views and the snapshot's inputs move every second
+      await time.increase(30 * 24 * 60 * 60);
+      const snapshot = await client.getAccountSnapshot();
+      const at = { blockTag: snapshot.blockNumber };
+
+      expect(snapshot.position.debt).to.be.gt(snapshot.position.borrowedAmount);
+      expect(snapshot.healthFactor).to.equal(await vault.getUserHealthFactor(alice.address, at));
+      expect(snapshot.maxBorrow).to.equal(await vault.getMaxBorrow(alice.address, at));
+      expect(snapshot.collateralValue).to.equal(await vault.getCollateralValue(alice.address, at));
+      expect(snapshot.debtValue).to.equal(await vault.getDebtValue(alice.address, at));
+    });
+
+    it("Should project debt with the vault's interest accrual", async function () {
+      const { vault, client, alice } = await loadFixture(borrowerFixture);
+      await vault.accrueInterest();
+      const position = await vault.getPosition(alice.address);
+      const ratePerSecond = await vault.getBorrowRatePerSecond();
+      const accruedAt = BigInt(await time.latest());
+
+      await time.increase(7 * 24 * 60 * 60);
+      const now = BigInt(await time.latest());
+
+      const index = math.accrueBorrowIndex(await vault.borrowIndex(), ratePerSecond, now - accruedAt);
+      expect(math.calculateBorrowBalance(position, index)).to.equal(await vault.getUserDebt(alice.address));
+      expect((await client.getAccountSnapshot()).position.debt).to.equal(await vault.getUserDebt(alice.address));
+    });
+
+    it("Should compound interest like InterestMath", async function () {
+      const MockInterestMath = await ethers.getContractFactory("MockInterestMath");
+      const interestMath = await MockInterestMath.deploy();
+
+      const rates = [0n, 1n, 3170979198n, ethers.parseEther("0.000001")];
+      const periods = [0n, 1n, 3600n, 365n * 24n * 3600n];
+      for (const rate of rates) {
+        for (const period of periods) {
+          expect(math.calculateCompoundedInterest(rate, period)).to.equal(
+            await interestMath.calculateCompoundedInterest(rate, period)
+          );
+        }
+      }
+    });
+
+    it("Should size liquidations like the vault's preview", async function () {
+      const { vault, asset, collateral, oracle, client, alice } = await loadFixture(borrowerFixture);
+
+      // At $1,100 Alice's health factor is 0.88, below the critical 0.95, so all of her debt can be repaid
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1100"));
+      const snapshot = await client.getAccountSnapshot();
+      const { market } = snapshot;
+
+      const closeFactor = math.calculateCloseFactor(
+        snapshot.healthFactor,
+        await vault.closeFactor(),
+        await vault.criticalHealthFactor()
+      );
+      const { collateralToLiquidate, actualDebtCovered } = math.calculateLiquidationAmounts(
+        ethers.MaxUint256,
+        (snapshot.position.debt * closeFactor) / math.WAD,
+        snapshot.position.collateralAmount,
+        market.liquidationBonus,
+        market.assetPrice,
+        market.assetDecimals,
+        market.collateralPrice,
+        market.collateralDecimals
+      );
+
+      expect(math.isLiquidatable(snapshot.healthFactor)).to.be.true;
+      const [debtRepaid, collateralSeized] = await vault.previewLiquidation(alice.address, {
+        blockTag: snapshot.blockNumber
+      });
+      expect(actualDebtCovered).to.equal(debtRepaid);
+      expect(collateralToLiquidate).to.equal(collateralSeized);
+      expect(await asset.decimals()).to.equal(market.assetDecimals);
+    });
+  });
+
+  describe("Client", function () {
+    it("Should deposit into the vault with the approval it needs", async function () {
+      const { vault, client, alice } = await loadFixture(deploySdkFixture);
+
+      await client.deposit(ethers.parseUnits("1000", 6));
+
+      expect(await vault.maxWithdraw(alice.address)).to.be.closeTo(ethers.parseUnits("1000", 6), 1n);
+      const snapshot = await client.getAccountSnapshot();
+      expect(snapshot.suppliedAssets).to.be.closeTo(ethers.parseUnits("1000", 6), 1n);
+    });
+
+    it("Should borrow up to the limit and repay everything", async function () {
+      const { vault, asset, client, alice } = await loadFixture(deploySdkFixture);
+      await client.depositCollateral(ethers.parseEther("5"));
+
+      const { amount } = await client.borrowMax();
+
+      // 75% of $10,000, less the default 0.1% buffer
+      expect(amount).to.equal(ethers.parseUnits("7492.5", 6));
+      expect(await vault.getMaxBorrow(alice.address)).to.be.lt(ethers.parseUnits("10", 6));
+
+      await time.increase(30 * 24 * 60 * 60);
+      const debt = await vault.getUserDebt(alice.address);
+      const balanceBefore = await asset.balanceOf(alice.address);
+
+      const { amount: repaid } = await client.repayAll();
+
+      expect(repaid).to.be.gte(debt);
+      expect(balanceBefore - (await asset.balanceOf(alice.address))).to.equal(repaid);
+      expect(await vault.getUserDebt(alice.address)).to.equal(0);
+      await expect(client.repayAll()).to.be.rejectedWith("No debt to repay");
+    });
+
+    it("Should refuse to borrow when nothing is available", async function () {
+      const { client } = await loadFixture(deploySdkFixture);
+
+      await expect(client.borrowMax()).to.be.rejectedWith("Nothing to borrow");
+    });
+  });
+
+  describe("Borrow simulation", function () {
+    it("Should predict the position a borrow leaves", async function () {
+      const { vault, client, alice } = await loadFixture(borrowerFixture);
+      const amount = ethers.parseUnits("1000", 6);
+
+      const simulation = await client.simulateBorrow(amount);
+      expect(simulation.ok).to.be.true;
+      expect(simulation.error).to.equal(null);
+
+      await vault.connect(alice).borrow(amount);
+      const snapshot = await client.getAccountSnapshot();
+
+      // One block of interest separates the simulation from the borrow
+      expect(simulation.debt).to.be.closeTo(snapshot.position.debt, 10n);
+      expect(simulation.healthFactor).to.be.closeTo(snapshot.healthFactor, ethers.parseEther("0.000001"));
+      expect(simulation.maxBorrow).to.be.closeTo(snapshot.maxBorrow, 10n);
+    });
+
+    it("Should name the error the vault would revert with", async function () {
+      const { vault, owner, client, alice } = await loadFixture(borrowerFixture);
+      const snapshot = await client.getAccountSnapshot();
+
+      const tooMuch = snapshot.maxBorrow + ethers.parseUnits("1", 6);
+      expect(simulateBorrow(snapshot, tooMuch).error).to.equal("BorrowExceedsLimit");
+      await expect(vault.connect(alice).borrow(tooMuch)).to.be.revertedWithCustomError(vault, "BorrowExceedsLimit");
+
+      expect(simulateBorrow(snapshot, 0n).error).to.equal("ZeroAmount");
+      expect(simulateBorrow(snapshot, snapshot.market.liquidity + 1n).error).to.equal("InsufficientLiquidity");
+
+      await vault.connect(owner).setCaps({
+        supplyCap: 0,
+        borrowCap: 0,
+        accountSupplyCap: 0,
+        accountBorrowCap: ethers.parseUnits("5500", 6)
+      });
+      const capped = await client.getAccountSnapshot();
+      const overCap = ethers.parseUnits("600", 6);
+      expect(capped.borrowable).to.be.lt(overCap);
+      expect(simulateBorrow(capped, overCap).error).to.equal("AccountBorrowCapExceeded");
+      await expect(vault.connect(alice).borrow(overCap)).to.be.revertedWithCustomError(
+        vault,
+        "AccountBorrowCapExceeded"
+      );
+
+      await vault.connect(owner).setActionPaused(2, true);
+      const paused = await client.getAccountSnapshot();
+      expect(paused.borrowable).to.equal(0);
+      expect(simulateBorrow(paused, 1n).error).to.equal("ActionPaused");
+      await expect(vault.connect(alice).borrow(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+
+      await vault.connect(owner).setActionPaused(2, false);
+      await vault.connect(owner).pause();
+      const globallyPaused = await client.getAccountSnapshot();
+      expect(globallyPaused.market.paused).to.be.true;
+      expect(globallyPaused.borrowable).to.equal(0);
+      expect(simulateBorrow(globallyPaused, 1n).error).to.equal("EnforcedPause");
+      await expect(vault.connect(alice).borrow(1n)).to.be.revertedWithCustomError(vault, "EnforcedPause");
+    });
+  });
+});
\ No newline at end of file
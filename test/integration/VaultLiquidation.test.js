@@ -3,362 +3,791 @@ const { ethers } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Vault Liquidation Integration", function () {
-  async function deploySystemFixture() {
-    const [owner, alice, bob, charlie, liquidator, keeper] = await ethers.getSigners();
-
-    const MockERC20 = await ethers.getContractFactory("MockERC20");
-    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
-
-    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
-    const interestModel = await InterestRateModel.deploy();
-
-    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
-    const vault = await SafeLendVault.deploy(
-      await asset.getAddress(),
-      await interestModel.getAddress(),
-      "SafeLend Vault Token",
-      "svMTK"
-    );
-
-    const Liquidator = await ethers.getContractFactory("Liquidator");
-    const liquidatorContract = await Liquidator.deploy();
-
-    await liquidatorContract.authorizeVault(await vault.getAddress(), true);
-
-    const LIQUIDATOR_ROLE = await vault.LIQUIDATOR_ROLE();
-    await vault.grantRole(LIQUIDATOR_ROLE, await liquidatorContract.getAddress());
-
-    const KEEPER_ROLE = await liquidatorContract.KEEPER_ROLE();
-    await liquidatorContract.grantRole(KEEPER_ROLE, keeper.address);
-
-    const mintAmount = ethers.parseEther("10000");
-    await asset.mint(alice.address, mintAmount);
-    await asset.mint(bob.address, mintAmount);
-    await asset.mint(charlie.address, mintAmount);
-    await asset.mint(liquidator.address, mintAmount);
-    await asset.mint(keeper.address, mintAmount);
-
-    return {
-      vault,
-      asset,
-      interestModel,
-      liquidatorContract,
-      owner,
-      alice,
-      bob,
-      charlie,
-      liquidator,
-      keeper
-    };
-  }
-
-  describe("Full Liquidation Scenario", function () {
-    it("Should handle complete liquidation flow", async function () {
-      const { vault, asset, liquidatorContract, alice, liquidator } = await loadFixture(deploySystemFixture);
-
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("750");
-
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
-
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
-
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
-
-      const healthFactorBefore = await vault.getUserHealthFactor(alice.address);
-      expect(healthFactorBefore).to.be.lt(ethers.parseEther("1"));
-
-      // Approve more than needed to handle interest accrual
-      const liquidationAmount = ethers.parseEther("1000");
-      await asset.connect(liquidator).approve(await vault.getAddress(), liquidationAmount);
-      // Execute liquidation
-      const tx = await vault.connect(liquidator).liquidate(alice.address);
-      const receipt = await tx.wait();
-
-      const position = await vault.getPosition(alice.address);
-
-      // Verify liquidation occurred by checking position changes
-      expect(receipt).to.not.be.undefined;
-
-      // Debt should have been reduced (50% close factor)
-      const totalDebtBefore = borrowAmount;
-      const totalDebtAfter = position.borrowedAmount + position.accumulatedInterest;
-      expect(totalDebtAfter).to.be.lt(totalDebtBefore);
-
-      // Collateral should have been reduced
-      expect(position.collateralAmount).to.be.lt(depositAmount);
-    });
-
-    it("Should handle liquidation through liquidator contract", async function () {
-      const { vault, asset, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
-
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("750");
-
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
-
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
-
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
-
-      const [canLiquidate, expectedProfit] = await liquidatorContract.checkLiquidationOpportunity(
-        await vault.getAddress(),
-        alice.address
-      );
-      expect(canLiquidate).to.be.true;
-      expect(expectedProfit).to.be.gt(0);
-
-      // Approve tokens to both vault and liquidator contract (with buffer for interest)
-      const liquidationAmount = ethers.parseEther("2000");
-      await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
-      await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
-
-      await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
-        .to.emit(liquidatorContract, "LiquidationExecuted");
-    });
-  });
-
-  describe("Batch Liquidations", function () {
-    it("Should handle multiple liquidations in batch", async function () {
-      const { vault, asset, liquidatorContract, alice, bob, charlie, keeper } = await loadFixture(deploySystemFixture);
-
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("750");
-
-      for (const user of [alice, bob, charlie]) {
-        await asset.connect(user).approve(await vault.getAddress(), depositAmount);
-        await vault.connect(user).deposit(depositAmount);
-        await vault.connect(user).borrow(borrowAmount);
+  // The auction ramp mirrors the fixed 5% bonus once it has run its course, so both modes share expectations
+  const AUCTION_DURATION = 60 * 60;
+  const MAX_AUCTION_DISCOUNT = ethers.parseEther("0.05");
+  const TIMELOCK_DELAY = 24 * 60 * 60;
+
+  for (const auctionMode of [false, true]) {
+    describe(auctionMode ? "Dutch auction mode" : "Fixed bonus mode", function () {
+      async function deploySystemFixture() {
+        const [owner, alice, bob, charlie, liquidator, keeper] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+        const collateral = await MockERC20.deploy("Mock Collateral", "MCL", 18);
+
+        const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+        const oracle = await MockPriceOracle.deploy();
+        await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+        await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1"));
+
+        const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+        const interestModel = await InterestRateModel.deploy(
+          ethers.parseEther("0.02"),
+          ethers.parseEther("0.1"),
+          ethers.parseEther("0.5"),
+          ethers.parseEther("0.8")
+        );
+
+        const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+        const vault = await SafeLendVault.deploy(
+          await asset.getAddress(),
+          await collateral.getAddress(),
+          await interestModel.getAddress(),
+          await oracle.getAddress(),
+          "SafeLend Vault Token",
+          "svMTK"
+        );
+
+        // Config changes go through the timelock, as in production
+        const ConfigTimelock = await ethers.getContractFactory("ConfigTimelock");
+        const configTimelock = await ConfigTimelock.deploy(TIMELOCK_DELAY);
+        const CONFIGURATOR_ROLE = await vault.CONFIGURATOR_ROLE();
+        await vault.grantRole(CONFIGURATOR_ROLE, await configTimelock.getAddress());
+        await vault.revokeRole(CONFIGURATOR_ROLE, owner.address);
+
+        const Liquidator = await ethers.getContractFactory("Liquidator");
+        const liquidatorContract = await Liquidator.deploy();
+
+        await liquidatorContract.authorizeVault(await vault.getAddress(), true);
+
+        const LIQUIDATOR_ROLE = await vault.LIQUIDATOR_ROLE();
+        await vault.grantRole(LIQUIDATOR_ROLE, await liquidatorContract.getAddress());
+
+        const KEEPER_ROLE = await liquidatorContract.KEEPER_ROLE();
+        await liquidatorContract.grantRole(KEEPER_ROLE, keeper.address);
+
+        const mintAmount = ethers.parseEther("10000");
+        await asset.mint(alice.address, mintAmount);
+        await asset.mint(bob.address, mintAmount);
+        await asset.mint(charlie.address, mintAmount);
+        await asset.mint(liquidator.address, mintAmount);
+        await asset.mint(keeper.address, mintAmount);
+
+        for (const user of [alice, bob, charlie]) {
+          await collateral.mint(user.address, mintAmount);
+        }
+
+        // Lending side of the market that borrowers draw from
+        const liquiditySupply = ethers.parseEther("10000");
+        await asset.mint(owner.address, liquiditySupply);
+        await asset.approve(await vault.getAddress(), liquiditySupply);
+        await vault.deposit(liquiditySupply, owner.address);
+
+        if (auctionMode) {
+          await vault.setAuctionParams(true, AUCTION_DURATION, MAX_AUCTION_DISCOUNT);
+        }
+
+        // Setup done, the deployer hands its admin roles to the timelock as well
+        for (const role of [await vault.ADMIN_ROLE(), await vault.DEFAULT_ADMIN_ROLE()]) {
+          await vault.grantRole(role, await configTimelock.getAddress());
+          await vault.renounceRole(role, owner.address);
+        }
+
+        return {
+          vault,
+          asset,
+          collateral,
+          oracle,
+          interestModel,
+          configTimelock,
+          liquidatorContract,
+          owner,
+          alice,
+          bob,
+          charlie,
+          liquidator,
+          keeper
+        };
       }
 
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
-
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
-
-      const vaults = [
-        await vault.getAddress(),
-        await vault.getAddress(),
-        await vault.getAddress()
-      ];
-      const borrowers = [alice.address, bob.address, charlie.address];
-
-      // Approve tokens to both vault and liquidator contract for batch operations
-      const batchLiquidationAmount = ethers.parseEther("3000");
-      await asset.connect(keeper).approve(await vault.getAddress(), batchLiquidationAmount);
-      await asset.connect(keeper).approve(await liquidatorContract.getAddress(), batchLiquidationAmount);
-
-      // Execute batch liquidation
-      const tx = await liquidatorContract.connect(keeper).batchLiquidate(vaults, borrowers);
-      const receipt = await tx.wait();
-
-      // Verify at least one liquidation occurred by checking the transaction succeeded
-      expect(receipt).to.not.be.undefined;
-      expect(receipt.status).to.equal(1);
-    });
-  });
-
-  describe("Interest Accrual During Liquidation", function () {
-    it("Should account for accrued interest in liquidation", async function () {
-      const { vault, asset, alice, liquidator } = await loadFixture(deploySystemFixture);
+      // Walks the liquidation threshold down through the timelock, one bounded step per change
+      async function lowerLiquidationThreshold(vault, configTimelock, target) {
+        const maxStep = (await configTimelock.changeBounds()).liquidationThreshold;
+        let config = await vault.config();
+
+        while (config.liquidationThreshold > target) {
+          const step = config.liquidationThreshold - target > maxStep ? maxStep : config.liquidationThreshold - target;
+          const liquidationThreshold = config.liquidationThreshold - step;
+          // The collateral factor may not sit above the threshold, so it comes down with it
+          const newConfig = {
+            collateralFactor: config.collateralFactor > liquidationThreshold ? liquidationThreshold : config.collateralFactor,
+            liquidationThreshold,
+            liquidationBonus: config.liquidationBonus,
+            reserveFactor: config.reserveFactor,
+            interestRateModel: config.interestRateModel,
+            oracle: config.oracle,
+            isPaused: config.isPaused,
+            liquidationEnabled: config.liquidationEnabled
+          };
+
+          const tx = await configTimelock.queueConfig(await vault.getAddress(), newConfig);
+          const receipt = await tx.wait();
+          const [queued] = await configTimelock.queryFilter(
+            configTimelock.filters.ConfigQueued(),
+            receipt.blockNumber
+          );
+
+          await time.increase(TIMELOCK_DELAY);
+          await configTimelock.executeConfig(queued.args.id);
+          config = await vault.config();
+        }
+      }
 
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("700");
+      // In auction mode, starts auctions on the positions and waits out the ramp so bids earn the full discount
+      async function openLiquidation(vault, borrowers) {
+        if (!auctionMode) {
+          return;
+        }
+        for (const borrower of borrowers) {
+          await vault.startAuction(borrower.address);
+        }
+        await time.increase(AUCTION_DURATION);
+      }
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
+      function liquidateOnVault(vault, liquidator, borrower, repayAmount, receiver) {
+        const method = auctionMode ? "bid" : "liquidate";
+        return vault.connect(liquidator)[method](borrower.address, repayAmount, receiver.address);
+      }
 
-      // Mine blocks to accumulate interest
-      await ethers.provider.send("hardhat_mine", ["0x1000"]);
+      describe("Full Liquidation Scenario", function () {
+        it("Should handle complete liquidation flow", async function () {
+          const { vault, configTimelock, asset, collateral, liquidatorContract, alice, liquidator } = await loadFixture(deploySystemFixture);
 
-      // Accrue global interest
-      await vault.accrueInterest();
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("750");
 
-      // Trigger user interest update by borrowing a tiny amount
-      await vault.connect(alice).borrow(1);
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
 
-      const positionBefore = await vault.getPosition(alice.address);
-      expect(positionBefore.accumulatedInterest).to.be.gt(0);
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice]);
 
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
+          const healthFactorBefore = await vault.getUserHealthFactor(alice.address);
+          expect(healthFactorBefore).to.be.lt(ethers.parseEther("1"));
 
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
+          // Approve more than needed to handle interest accrual
+          const liquidationAmount = ethers.parseEther("1000");
+          await asset.connect(liquidator).approve(await vault.getAddress(), liquidationAmount);
+          // Execute liquidation
+          const tx = await liquidateOnVault(vault, liquidator, alice, ethers.MaxUint256, liquidator);
+          const receipt = await tx.wait();
 
-      const totalDebt = positionBefore.borrowedAmount + positionBefore.accumulatedInterest;
-      // Approve more than needed to account for any additional interest during liquidation
-      const approvalAmount = (totalDebt * 6n) / 10n; // 60% of total debt
-      await asset.connect(liquidator).approve(await vault.getAddress(), approvalAmount);
+          const position = await vault.getPosition(alice.address);
 
-      await vault.connect(liquidator).liquidate(alice.address);
+          // Verify liquidation occurred by checking position changes
+          expect(receipt).to.not.be.undefined;
 
-      const positionAfter = await vault.getPosition(alice.address);
-      expect(positionAfter.borrowedAmount).to.be.lt(positionBefore.borrowedAmount);
-    });
-  });
+          // Debt should have been reduced; at health factor 0.93 the whole debt can go
+          const totalDebtBefore = borrowAmount;
+          const totalDebtAfter = await vault.getUserDebt(alice.address);
+          expect(totalDebtAfter).to.be.lt(totalDebtBefore);
 
-  describe("Emergency Scenarios", function () {
-    it("Should handle emergency stop in liquidator", async function () {
-      const { vault, asset, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
+          // Collateral should have been reduced
+          expect(position.collateralAmount).to.be.lt(depositAmount);
+        });
+
+        it("Should handle liquidation through liquidator contract", async function () {
+          const { vault, configTimelock, asset, collateral, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
+
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("750");
+
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
+
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice]);
+
+          const [canLiquidate, expectedProfit] = await liquidatorContract.checkLiquidationOpportunity(
+            await vault.getAddress(),
+            alice.address
+          );
+          expect(canLiquidate).to.be.true;
+          expect(expectedProfit).to.be.gt(0);
+
+          // Approve tokens to both vault and liquidator contract (with buffer for interest)
+          const liquidationAmount = ethers.parseEther("2000");
+          await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
+
+          await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
+            .to.emit(liquidatorContract, "LiquidationExecuted");
+        });
+
+        it("Should liquidate after a collateral price drop", async function () {
+          const { vault, asset, collateral, oracle, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
+
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("700");
+
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
+
+          expect(await vault.getUserHealthFactor(alice.address)).to.be.gte(ethers.parseEther("1"));
+
+          await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("0.8"));
+          expect(await vault.getUserHealthFactor(alice.address)).to.be.lt(ethers.parseEther("1"));
+          await openLiquidation(vault, [alice]);
+
+          const liquidationAmount = ethers.parseEther("2000");
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
+
+          const collateralBefore = await collateral.balanceOf(keeper.address);
+          await liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address);
+
+          // The keeper is paid in collateral, not in the borrowed asset
+          const position = await vault.getPosition(alice.address);
+          const collateralSeized = depositAmount - position.collateralAmount;
+          expect(collateralSeized).to.be.gt(0);
+          expect(await collateral.balanceOf(keeper.address)).to.equal(collateralBefore + collateralSeized);
+        });
+      });
+
+      describe("Flash Liquidations", function () {
+        // Alice's 1000 MCL backs 700 MTK of debt; at $0.8 her health factor is 0.91, below the critical 0.95,
+        // so the whole debt can be repaid in one liquidation
+        async function unhealthyPositionFixture() {
+          const system = await deploySystemFixture();
+          const { vault, asset, collateral, oracle, alice } = system;
+
+          await collateral.connect(alice).approve(await vault.getAddress(), ethers.parseEther("1000"));
+          await vault.connect(alice).depositCollateral(ethers.parseEther("1000"));
+          await vault.connect(alice).borrow(ethers.parseEther("700"));
+          await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("0.8"));
+          await openLiquidation(vault, [alice]);
+
+          const MockSwapAdapter = await ethers.getContractFactory("MockSwapAdapter");
+          const swapAdapter = await MockSwapAdapter.deploy(await oracle.getAddress());
+          await asset.mint(await swapAdapter.getAddress(), ethers.parseEther("100000"));
+          await system.liquidatorContract.setTrustedFlashLender(await vault.getAddress(), true);
+
+          return { ...system, swapAdapter };
+        }
+
+        it("Should liquidate with a flash loan and pay out only the profit", async function () {
+          const { vault, asset, collateral, liquidatorContract, swapAdapter, alice, keeper } =
+            await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          const debt = await vault.getMaxLiquidationRepay(alice.address);
+          const keeperAssetBefore = await asset.balanceOf(keeper.address);
+          const keeperCollateralBefore = await collateral.balanceOf(keeper.address);
+
+          // No approval from the keeper: the vault itself funds the repayment
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x")
+          ).to.emit(liquidatorContract, "FlashLiquidationExecuted");
+
+          const position = await vault.getPosition(alice.address);
+          const collateralSeized = ethers.parseEther("1000") - position.collateralAmount;
+          const debtCovered = debt;
+          const fee = await vault.flashFee(await asset.getAddress(), debtCovered);
+          const swapOutput = (collateralSeized * 8n) / 10n;
+
+          const profit = (await asset.balanceOf(keeper.address)) - keeperAssetBefore;
+          expect(profit).to.be.closeTo(swapOutput - debtCovered - fee, ethers.parseEther("0.001"));
+          expect(profit).to.be.gt(0);
+          expect(await collateral.balanceOf(keeper.address)).to.equal(keeperCollateralBefore);
+          expect(await asset.balanceOf(await liquidatorContract.getAddress())).to.equal(0);
+          expect(await vault.totalReserves()).to.be.gte(fee);
+        });
+
+        it("Should record the real debt covered", async function () {
+          const { vault, liquidatorContract, swapAdapter, alice, keeper } = await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await liquidatorContract
+            .connect(keeper)
+            .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x");
+
+          const history = await liquidatorContract.getLiquidationHistory(alice.address);
+          expect(history.length).to.equal(1);
+          expect(history[0].liquidator).to.equal(keeper.address);
+          expect(history[0].debtToCover).to.be.closeTo(ethers.parseEther("700"), ethers.parseEther("0.01"));
+        });
+
+        it("Should fall back to the default swap adapter", async function () {
+          const { vault, liquidatorContract, swapAdapter, alice, keeper } = await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await expect(
+            liquidatorContract.connect(keeper).flashLiquidate(vaultAddress, alice.address, vaultAddress, ethers.ZeroAddress, "0x")
+          ).to.be.revertedWith("No swap adapter");
+
+          await expect(liquidatorContract.setDefaultSwapAdapter(await swapAdapter.getAddress()))
+            .to.emit(liquidatorContract, "DefaultSwapAdapterUpdated")
+            .withArgs(await swapAdapter.getAddress());
+
+          await expect(
+            liquidatorContract.connect(keeper).flashLiquidate(vaultAddress, alice.address, vaultAddress, ethers.ZeroAddress, "0x")
+          ).to.emit(liquidatorContract, "FlashLiquidationExecuted");
+        });
+
+        it("Should revert when the profit is below the threshold", async function () {
+          const { vault, liquidatorContract, swapAdapter, alice, keeper } = await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          // 4% slippage leaves a few MTK of profit
+          await swapAdapter.setSlippage(ethers.parseEther("0.04"));
+          await liquidatorContract.updateMinProfitThreshold(ethers.parseEther("5"));
+
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x")
+          ).to.be.revertedWith("Profit below threshold");
+        });
+
+        it("Should revert when the swap cannot repay the loan", async function () {
+          const { vault, liquidatorContract, swapAdapter, alice, keeper } = await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await swapAdapter.setSlippage(ethers.parseEther("0.1"));
+
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x")
+          ).to.be.revertedWith("Insufficient output amount");
+        });
+
+        it("Should reject flash loan callbacks it did not initiate", async function () {
+          const { asset, liquidatorContract, keeper } = await loadFixture(unhealthyPositionFixture);
+
+          await expect(
+            liquidatorContract.connect(keeper).onFlashLoan(
+              await liquidatorContract.getAddress(),
+              await asset.getAddress(),
+              1n,
+              0n,
+              "0x"
+            )
+          ).to.be.revertedWith("Untrusted flash loan");
+        });
+
+        it("Should only borrow from trusted lenders", async function () {
+          const { vault, liquidatorContract, swapAdapter, alice, keeper } = await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await expect(liquidatorContract.setTrustedFlashLender(vaultAddress, false))
+            .to.emit(liquidatorContract, "FlashLenderTrusted")
+            .withArgs(vaultAddress, false);
+
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x")
+          ).to.be.revertedWith("Lender not trusted");
+        });
+
+        it("Should reject a callback whose loan differs from the one requested", async function () {
+          const { vault, collateral, liquidatorContract, swapAdapter, alice, keeper } =
+            await loadFixture(unhealthyPositionFixture);
+
+          const MockFlashLender = await ethers.getContractFactory("MockFlashLender");
+          const lender = await MockFlashLender.deploy();
+          await lender.setSpoofedToken(await collateral.getAddress());
+          await liquidatorContract.setTrustedFlashLender(await lender.getAddress(), true);
+
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(
+                await vault.getAddress(),
+                alice.address,
+                await lender.getAddress(),
+                await swapAdapter.getAddress(),
+                "0x"
+              )
+          ).to.be.revertedWith("Untrusted flash loan");
+        });
+
+        it("Should reject healthy positions", async function () {
+          const { vault, oracle, collateral, liquidatorContract, swapAdapter, alice, keeper } =
+            await loadFixture(unhealthyPositionFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1"));
+
+          await expect(
+            liquidatorContract
+              .connect(keeper)
+              .flashLiquidate(vaultAddress, alice.address, vaultAddress, await swapAdapter.getAddress(), "0x")
+          ).to.be.revertedWith("Position is healthy");
+        });
+      });
+
+      describe("Liquidation Quotes", function () {
+        // At $0.7 Alice (700 MTK debt) and Bob (600 MTK) can be fully liquidated; Charlie (100 MTK) stays healthy.
+        // Alice's 5% bonus no longer fits in her collateral, so she is capped at all 1000 MCL for ~666.67 MTK of debt.
+        async function quoteFixture() {
+          const system = await deploySystemFixture();
+          const { vault, collateral, oracle, alice, bob, charlie } = system;
+
+          const borrows = [
+            [alice, "700"],
+            [bob, "600"],
+            [charlie, "100"]
+          ];
+          for (const [user, amount] of borrows) {
+            await collateral.connect(user).approve(await vault.getAddress(), ethers.parseEther("1000"));
+            await vault.connect(user).depositCollateral(ethers.parseEther("1000"));
+            await vault.connect(user).borrow(ethers.parseEther(amount));
+          }
+
+          await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice, bob]);
+
+          return system;
+        }
+
+        it("Should preview the amounts a liquidation settles, including pending interest", async function () {
+          const { vault, asset, collateral, bob, liquidator } = await loadFixture(quoteFixture);
+          const vaultAddress = await vault.getAddress();
+
+          await time.increase(7 * 24 * 60 * 60);
+
+          const [debtRepaid, collateralSeized] = await vault.previewLiquidation(bob.address);
+          expect(debtRepaid).to.be.gt((await vault.getPosition(bob.address)).borrowedAmount);
+
+          await asset.connect(liquidator).approve(vaultAddress, ethers.parseEther("1000"));
+          const collateralBefore = await collateral.balanceOf(liquidator.address);
+          const assetBefore = await asset.balanceOf(liquidator.address);
+          await liquidateOnVault(vault, liquidator, bob, ethers.MaxUint256, liquidator);
+
+          // One second of interest separates the preview from the liquidation block
+          const tolerance = ethers.parseEther("0.0001");
+          expect(assetBefore - (await asset.balanceOf(liquidator.address))).to.be.closeTo(debtRepaid, tolerance);
+          expect((await collateral.balanceOf(liquidator.address)) - collateralBefore).to.be.closeTo(
+            collateralSeized,
+            tolerance
+          );
+        });
+
+        it("Should revert the preview with the error the liquidation would revert with", async function () {
+          const { vault, charlie, alice, owner } = await loadFixture(quoteFixture);
+
+          const expectedError = auctionMode ? "NoActiveAuction" : "PositionNotLiquidatable";
+          await expect(vault.previewLiquidation(charlie.address)).to.be.revertedWithCustomError(vault, expectedError);
+
+          await vault.connect(owner).setActionPaused(4, true);
+          await expect(vault.previewLiquidation(alice.address))
+            .to.be.revertedWithCustomError(vault, "ActionPaused")
+            .withArgs(4);
+        });
+
+        it("Should cap the preview at the borrower's collateral", async function () {
+          const { vault, alice } = await loadFixture(quoteFixture);
+
+          const [debtRepaid, collateralSeized] = await vault.previewLiquidation(alice.address);
+          expect(collateralSeized).to.equal(ethers.parseEther("1000"));
+          expect(debtRepaid).to.be.closeTo((ethers.parseEther("700") * 100n) / 105n, ethers.parseEther("0.01"));
+        });
+
+        it("Should net the gas cost out of the expected profit", async function () {
+          const { vault, liquidatorContract, bob } = await loadFixture(quoteFixture);
+          const vaultAddress = await vault.getAddress();
+
+          // 600 MTK repaid for 630 MTK worth of collateral
+          const [canLiquidate, profit] = await liquidatorContract.checkLiquidationOpportunity(vaultAddress, bob.address);
+          expect(canLiquidate).to.be.true;
+          expect(profit).to.be.closeTo(ethers.parseEther("30"), ethers.parseEther("0.01"));
+
+          const gasCost = ethers.parseEther("10");
+          const [, profitAfterGas] = await liquidatorContract.checkLiquidationOpportunityAfterGas(
+            vaultAddress,
+            bob.address,
+            gasCost
+          );
+          expect(profitAfterGas).to.be.closeTo(profit - gasCost, ethers.parseEther("0.01"));
+
+          expect(
+            await liquidatorContract.checkLiquidationOpportunityAfterGas(vaultAddress, bob.address, ethers.parseEther("40"))
+          ).to.deep.equal([false, 0n]);
+        });
+
+        it("Should rank quotes by expected profit", async function () {
+          const { vault, liquidatorContract, alice, bob, charlie } = await loadFixture(quoteFixture);
+
+          const quotes = await liquidatorContract.quoteLiquidations(
+            await vault.getAddress(),
+            [charlie.address, bob.address, alice.address],
+            0
+          );
+
+          expect(quotes.map((quote) => quote.borrower)).to.deep.equal([alice.address, bob.address, charlie.address]);
+          expect(quotes[0].expectedProfit).to.be.gt(quotes[1].expectedProfit);
+          expect(quotes[0].canLiquidate).to.be.true;
+          expect(quotes[1].canLiquidate).to.be.true;
+          expect(quotes[2].canLiquidate).to.be.false;
+          expect(quotes[2].debtRepaid).to.equal(0);
+
+          const [debtRepaid, collateralSeized] = await vault.previewLiquidation(bob.address);
+          expect(quotes[1].debtRepaid).to.equal(debtRepaid);
+          expect(quotes[1].collateralSeized).to.equal(collateralSeized);
+        });
+      });
+
+      describe("Batch Liquidations", function () {
+        // Alice, Bob and Charlie each back 750 MTK with 1000 MCL; at a 70% threshold all three can be liquidated
+        async function unhealthyBatchFixture() {
+          const system = await deploySystemFixture();
+          const { vault, configTimelock, collateral, alice, bob, charlie } = system;
+
+          for (const user of [alice, bob, charlie]) {
+            await collateral.connect(user).approve(await vault.getAddress(), ethers.parseEther("1000"));
+            await vault.connect(user).depositCollateral(ethers.parseEther("1000"));
+            await vault.connect(user).borrow(ethers.parseEther("750"));
+          }
+
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice, bob, charlie]);
+
+          return system;
+        }
+
+        async function settledEvents(liquidatorContract, tx) {
+          const receipt = await tx.wait();
+          return receipt.logs
+            .map((log) => liquidatorContract.interface.parseLog(log))
+            .filter((event) => event !== null);
+        }
+
+        it("Should pull one funding amount, pay out collateral and refund the rest", async function () {
+          const { vault, asset, collateral, liquidatorContract, alice, bob, charlie, keeper } =
+            await loadFixture(unhealthyBatchFixture);
+          const vaultAddress = await vault.getAddress();
+          const liquidatorAddress = await liquidatorContract.getAddress();
+
+          const funding = ethers.parseEther("3000");
+          await asset.connect(keeper).approve(liquidatorAddress, funding);
+
+          const keeperAssetBefore = await asset.balanceOf(keeper.address);
+          const keeperCollateralBefore = await collateral.balanceOf(keeper.address);
+
+          const vaults = [vaultAddress, vaultAddress, vaultAddress];
+          const borrowers = [alice.address, bob.address, charlie.address];
+          const tx = await liquidatorContract.connect(keeper).batchLiquidate(vaults, borrowers, funding);
+          const events = await settledEvents(liquidatorContract, tx);
+
+          const executed = events.filter((event) => event.name === "LiquidationExecuted");
+          expect(executed.length).to.equal(3);
+          const debtCovered = executed.reduce((sum, event) => sum + event.args.debtCovered, 0n);
+          const collateralReceived = executed.reduce((sum, event) => sum + event.args.collateralReceived, 0n);
+          for (const event of executed) {
+            expect(event.args.debtCovered).to.be.gt(0);
+          }
+
+          const [settled] = events.filter((event) => event.name === "BatchLiquidationSettled");
+          expect(settled.args.funding).to.equal(funding);
+          expect(settled.args.debtCovered).to.equal(debtCovered);
+          expect(settled.args.refunded).to.equal(funding - debtCovered);
+          expect(settled.args.failed).to.equal(0);
+
+          expect(keeperAssetBefore - (await asset.balanceOf(keeper.address))).to.equal(debtCovered);
+          expect((await collateral.balanceOf(keeper.address)) - keeperCollateralBefore).to.equal(collateralReceived);
+          expect(await asset.balanceOf(liquidatorAddress)).to.equal(0);
+          expect(await asset.allowance(liquidatorAddress, vaultAddress)).to.equal(0);
+
+          const history = await liquidatorContract.getLiquidationHistory(bob.address);
+          expect(history.length).to.equal(1);
+          expect(history[0].debtToCover).to.equal(executed[1].args.debtCovered);
+        });
+
+        it("Should report failed items without reverting the batch", async function () {
+          const { vault, asset, liquidatorContract, alice, bob, keeper, owner } = await loadFixture(unhealthyBatchFixture);
+          const vaultAddress = await vault.getAddress();
+
+          const funding = ethers.parseEther("1000");
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), funding);
+
+          // Owner has no position, and the second vault address was never authorized
+          const vaults = [vaultAddress, vaultAddress, owner.address];
+          const borrowers = [alice.address, owner.address, bob.address];
+          const results = await liquidatorContract.connect(keeper).batchLiquidate.staticCall(vaults, borrowers, funding);
+
+          expect(results[0].success).to.equal(true);
+          expect(results[0].debtCovered).to.be.gt(0);
+          expect(results[0].collateralReceived).to.be.gt(0);
+          expect(results[0].revertReason).to.equal("0x");
+
+          expect(results[1].success).to.equal(false);
+          expect(results[1].debtCovered).to.equal(0);
+          const expectedError = auctionMode ? "NoActiveAuction" : "PositionNotLiquidatable";
+          expect(vault.interface.parseError(results[1].revertReason).name).to.equal(expectedError);
+
+          expect(results[2].success).to.equal(false);
+          expect(liquidatorContract.interface.parseError(results[2].revertReason).args[0]).to.equal(
+            "Vault not authorized"
+          );
+
+          await expect(liquidatorContract.connect(keeper).batchLiquidate(vaults, borrowers, funding))
+            .to.emit(liquidatorContract, "BatchLiquidationSettled");
+          expect((await liquidatorContract.getLiquidationHistory(alice.address)).length).to.equal(1);
+          expect((await liquidatorContract.getLiquidationHistory(bob.address)).length).to.equal(0);
+        });
+
+        it("Should skip positions once the funding runs out", async function () {
+          const { vault, asset, liquidatorContract, alice, bob, keeper } = await loadFixture(unhealthyBatchFixture);
+          const vaultAddress = await vault.getAddress();
+
+          const funding = ethers.parseEther("100");
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), funding);
+
+          const results = await liquidatorContract
+            .connect(keeper)
+            .batchLiquidate.staticCall([vaultAddress, vaultAddress], [alice.address, bob.address], funding);
+
+          expect(results[0].success).to.equal(true);
+          expect(results[0].debtCovered).to.equal(funding);
+          expect(results[1].success).to.equal(false);
+          expect(liquidatorContract.interface.parseError(results[1].revertReason).args[0]).to.equal(
+            "Funding exhausted"
+          );
+        });
+
+        it("Should reject callers without the keeper role", async function () {
+          const { vault, liquidatorContract, alice, liquidator } = await loadFixture(unhealthyBatchFixture);
+
+          await expect(
+            liquidatorContract
+              .connect(liquidator)
+              .batchLiquidate([await vault.getAddress()], [alice.address], ethers.parseEther("100"))
+          ).to.be.revertedWith("Not authorized for batch");
+        });
+      });
+
+      describe("Interest Accrual During Liquidation", function () {
+        it("Should account for accrued interest in liquidation", async function () {
+          const { vault, configTimelock, asset, collateral, alice, liquidator } = await loadFixture(deploySystemFixture);
+
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("700");
+
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
+
+          // Let time pass to accumulate interest
+          await time.increase(30 * 24 * 60 * 60);
+
+          // Accrue global interest
+          await vault.accrueInterest();
+
+          // Debt includes accrued interest without touching the position
+          const positionBefore = await vault.getPosition(alice.address);
+          const totalDebt = await vault.getUserDebt(alice.address);
+          expect(totalDebt).to.be.gt(positionBefore.borrowedAmount);
+
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice]);
+
+          // Approve more than needed to account for any additional interest during liquidation
+          const approvalAmount = (totalDebt * 6n) / 10n; // 60% of total debt
+          await asset.connect(liquidator).approve(await vault.getAddress(), approvalAmount);
+
+          await liquidateOnVault(vault, liquidator, alice, ethers.MaxUint256, liquidator);
+
+          const positionAfter = await vault.getPosition(alice.address);
+          expect(positionAfter.borrowedAmount).to.be.lt(positionBefore.borrowedAmount);
+          expect(await vault.getUserDebt(alice.address)).to.be.lt(totalDebt);
+        });
+      });
+
+      describe("Emergency Scenarios", function () {
+        it("Should handle emergency stop in liquidator", async function () {
+          const { vault, configTimelock, asset, collateral, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
+
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("750");
+
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
+
+          await liquidatorContract.toggleEmergencyStop();
+
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice]);
+
+          // Approve tokens to both vault and liquidator contract (with buffer for interest)
+          const liquidationAmount = ethers.parseEther("2000");
+          await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
 
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("750");
+          await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
+            .to.be.revertedWith("Emergency stop activated");
+
+          await liquidatorContract.toggleEmergencyStop();
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
+          await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
+            .to.emit(liquidatorContract, "LiquidationExecuted");
+        });
 
-      await liquidatorContract.toggleEmergencyStop();
+        it("Should allow emergency token withdrawal", async function () {
+          const { asset, liquidatorContract, owner } = await loadFixture(deploySystemFixture);
 
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
+          const amount = ethers.parseEther("100");
+          await asset.mint(await liquidatorContract.getAddress(), amount);
 
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
+          const balanceBefore = await asset.balanceOf(owner.address);
+          await liquidatorContract.withdrawToken(await asset.getAddress(), amount);
+          const balanceAfter = await asset.balanceOf(owner.address);
 
-      // Approve tokens to both vault and liquidator contract (with buffer for interest)
-      const liquidationAmount = ethers.parseEther("2000");
-      await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
-      await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
+          expect(balanceAfter - balanceBefore).to.equal(amount);
+        });
+      });
 
-      await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
-        .to.be.revertedWith("Emergency stop activated");
+      describe("Liquidation History", function () {
+        it("Should track liquidation history", async function () {
+          const { vault, configTimelock, asset, collateral, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
 
-      await liquidatorContract.toggleEmergencyStop();
+          const depositAmount = ethers.parseEther("1000");
+          const borrowAmount = ethers.parseEther("750");
 
-      await expect(liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address))
-        .to.emit(liquidatorContract, "LiquidationExecuted");
-    });
+          await collateral.connect(alice).approve(await vault.getAddress(), depositAmount);
+          await vault.connect(alice).depositCollateral(depositAmount);
+          await vault.connect(alice).borrow(borrowAmount);
 
-    it("Should allow emergency token withdrawal", async function () {
-      const { asset, liquidatorContract, owner } = await loadFixture(deploySystemFixture);
+          await lowerLiquidationThreshold(vault, configTimelock, ethers.parseEther("0.7"));
+          await openLiquidation(vault, [alice]);
 
-      const amount = ethers.parseEther("100");
-      await asset.mint(await liquidatorContract.getAddress(), amount);
+          // Approve tokens to both vault and liquidator contract (with buffer for interest)
+          const liquidationAmount = ethers.parseEther("2000");
+          await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
+          await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
+          await liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address);
 
-      const balanceBefore = await asset.balanceOf(owner.address);
-      await liquidatorContract.withdrawToken(await asset.getAddress(), amount);
-      const balanceAfter = await asset.balanceOf(owner.address);
+          const history = await liquidatorContract.getLiquidationHistory(alice.address);
+          expect(history.length).to.equal(1);
+          expect(history[0].vault).to.equal(await vault.getAddress());
+          expect(history[0].borrower).to.equal(alice.address);
+          expect(history[0].liquidator).to.equal(keeper.address);
+        });
+      });
 
-      expect(balanceAfter - balanceBefore).to.equal(amount);
-    });
-  });
-
-  describe("Liquidation History", function () {
-    it("Should track liquidation history", async function () {
-      const { vault, asset, liquidatorContract, alice, keeper } = await loadFixture(deploySystemFixture);
-
-      const depositAmount = ethers.parseEther("1000");
-      const borrowAmount = ethers.parseEther("750");
-
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
-
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
-
-      const config = await vault.config();
-      const newConfig = {
-        collateralFactor: config.collateralFactor,
-        liquidationThreshold: ethers.parseEther("0.7"),
-        liquidationBonus: config.liquidationBonus,
-        reserveFactor: config.reserveFactor,
-        interestRateModel: config.interestRateModel,
-        oracle: config.oracle,
-        isPaused: config.isPaused,
-        liquidationEnabled: config.liquidationEnabled
-      };
-      await vault.connect(alice).updateConfig(newConfig);
-
-      // Approve tokens to both vault and liquidator contract (with buffer for interest)
-      const liquidationAmount = ethers.parseEther("2000");
-      await asset.connect(keeper).approve(await vault.getAddress(), liquidationAmount);
-      await asset.connect(keeper).approve(await liquidatorContract.getAddress(), liquidationAmount);
-      await liquidatorContract.connect(keeper).liquidate(await vault.getAddress(), alice.address);
-
-      const history = await liquidatorContract.getLiquidationHistory(alice.address);
-      expect(history.length).to.equal(1);
-      expect(history[0].vault).to.equal(await vault.getAddress());
-      expect(history[0].borrower).to.equal(alice.address);
-      expect(history[0].liquidator).to.equal(keeper.address);
-    });
-  });
+      describe("Profit Threshold", function () {
+        it("Should respect minimum profit threshold", async function () {
+          const { vault, liquidatorContract, alice } = await loadFixture(deploySystemFixture);
 
-  describe("Profit Threshold", function () {
-    it("Should respect minimum profit threshold", async function () {
-      const { vault, liquidatorContract, alice } = await loadFixture(deploySystemFixture);
+          await liquidatorContract.updateMinProfitThreshold(ethers.parseEther("1"));
 
-      await liquidatorContract.updateMinProfitThreshold(ethers.parseEther("1"));
+          const [canLiquidate, expectedProfit] = await liquidatorContract.checkLiquidationOpportunity(
+            await vault.getAddress(),
+            alice.address
+          );
 
-      const [canLiquidate, expectedProfit] = await liquidatorContract.checkLiquidationOpportunity(
-        await vault.getAddress(),
-        alice.address
-      );
-
-      expect(canLiquidate).to.be.false;
-      expect(expectedProfit).to.equal(0);
+          expect(canLiquidate).to.be.false;
+          expect(expectedProfit).to.equal(0);
+        });
+      });
     });
-  });
+  }
 });
\ No newline at end of file
@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("AdaptiveInterestRateModel", function () {
+  const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+  const TARGET_UTILIZATION = ethers.parseEther("0.9");
+  const INITIAL_RATE_AT_TARGET = ethers.parseEther("0.04");
+  const ADJUSTMENT_SPEED = ethers.parseEther("50");
+  const CURVE_STEEPNESS = ethers.parseEther("4");
+
+  // Cash/borrows pairs for a supply of 1000 at the given utilization
+  const atUtilization = (pct) => {
+    const borrows = ethers.parseEther("10") * BigInt(pct);
+    return [ethers.parseEther("1000") - borrows, borrows, 0];
+  };
+
+  async function deployAdaptiveModelFixture() {
+    const [owner, market, otherMarket] = await ethers.getSigners();
+    const AdaptiveInterestRateModel = await ethers.getContractFactory("AdaptiveInterestRateModel");
+    const model = await AdaptiveInterestRateModel.deploy(
+      TARGET_UTILIZATION,
+      INITIAL_RATE_AT_TARGET,
+      ADJUSTMENT_SPEED,
+      CURVE_STEEPNESS
+    );
+    return { model, owner, market, otherMarket };
+  }
+
+  describe("Deployment", function () {
+    it("Should store per-second parameters", async function () {
+      const { model } = await loadFixture(deployAdaptiveModelFixture);
+
+      expect(await model.targetUtilization()).to.equal(TARGET_UTILIZATION);
+      expect(await model.initialRateAtTarget()).to.equal(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+      expect(await model.adjustmentSpeed()).to.equal(ADJUSTMENT_SPEED / SECONDS_PER_YEAR);
+      expect(await model.curveSteepness()).to.equal(CURVE_STEEPNESS);
+    });
+
+    it("Should reject invalid parameters", async function () {
+      const AdaptiveInterestRateModel = await ethers.getContractFactory("AdaptiveInterestRateModel");
+
+      await expect(
+        AdaptiveInterestRateModel.deploy(ethers.parseEther("1"), INITIAL_RATE_AT_TARGET, ADJUSTMENT_SPEED, CURVE_STEEPNESS)
+      ).to.be.revertedWith("Invalid target utilization");
+      await expect(
+        AdaptiveInterestRateModel.deploy(TARGET_UTILIZATION, ethers.parseEther("5"), ADJUSTMENT_SPEED, CURVE_STEEPNESS)
+      ).to.be.revertedWith("Invalid initial rate at target");
+      await expect(
+        AdaptiveInterestRateModel.deploy(TARGET_UTILIZATION, INITIAL_RATE_AT_TARGET, ADJUSTMENT_SPEED, ethers.parseEther("0.5"))
+      ).to.be.revertedWith("Invalid curve steepness");
+    });
+  });
+
+  describe("Curve", function () {
+    it("Should charge the rate at target at target utilization", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+
+      const rate = await model.connect(market).getBorrowRatePerSecond(...atUtilization(90));
+      expect(rate).to.equal(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+    });
+
+    it("Should span rateAtTarget / steepness to rateAtTarget * steepness", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const rateAtTarget = INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR;
+
+      const minRate = await model.connect(market).getBorrowRatePerSecond(...atUtilization(0));
+      const maxRate = await model.connect(market).getBorrowRatePerSecond(...atUtilization(100));
+
+      expect(minRate).to.be.closeTo(rateAtTarget / 4n, 1n);
+      expect(maxRate).to.be.closeTo(rateAtTarget * 4n, 1n);
+    });
+
+    it("Should derive annual and supply rates from the per-second rate", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(50);
+      const reserveFactor = ethers.parseEther("0.1");
+
+      const perSecond = await model.connect(market).getBorrowRatePerSecond(...args);
+      expect(await model.connect(market).getBorrowRate(...args)).to.equal(perSecond * SECONDS_PER_YEAR);
+
+      const supplyPerSecond = await model.connect(market).getSupplyRatePerSecond(...args, reserveFactor);
+      const expected = (ethers.parseEther("0.5") * ((perSecond * ethers.parseEther("0.9")) / ethers.parseEther("1")))
+        / ethers.parseEther("1");
+      expect(supplyPerSecond).to.equal(expected);
+    });
+  });
+
+  describe("Adaptation", function () {
+    it("Should initialize a market on its first update without adapting", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+
+      await expect(model.connect(market).updateRate(...atUtilization(100)))
+        .to.emit(model, "RateAtTargetUpdated");
+
+      const state = await model.marketStates(market.address);
+      expect(state.rateAtTarget).to.equal(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+      expect(state.lastUpdate).to.equal(await time.latest());
+    });
+
+    it("Should raise rates while utilization stays above target", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(95);
+
+      await model.connect(market).updateRate(...args);
+      const initialRate = await model.connect(market).getBorrowRatePerSecond(...args);
+
+      await time.increase(7 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...args);
+
+      const state = await model.marketStates(market.address);
+      expect(state.rateAtTarget).to.be.gt(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+      expect(await model.connect(market).getBorrowRatePerSecond(...args)).to.be.gt(initialRate);
+    });
+
+    it("Should lower rates while utilization stays below target", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(30);
+
+      await model.connect(market).updateRate(...args);
+      await time.increase(7 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...args);
+
+      const state = await model.marketStates(market.address);
+      expect(state.rateAtTarget).to.be.lt(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+    });
+
+    it("Should hold the rate at target utilization", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(90);
+
+      await model.connect(market).updateRate(...args);
+      await time.increase(30 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...args);
+
+      const state = await model.marketStates(market.address);
+      expect(state.rateAtTarget).to.equal(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+    });
+
+    it("Should adapt exponentially at the configured speed", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(100);
+
+      await model.connect(market).updateRate(...args);
+      const start = (await model.marketStates(market.address)).rateAtTarget;
+
+      // At full utilization the error is 1, so rateAtTarget grows by e^(speed * elapsed)
+      const elapsed = 24n * 60n * 60n;
+      await time.increase(elapsed - 1n);
+      await model.connect(market).updateRate(...args);
+
+      const speed = ADJUSTMENT_SPEED / SECONDS_PER_YEAR;
+      const growth = Math.exp(Number(speed * elapsed) / 1e18);
+      const expected = BigInt(Math.round(Number(start) * growth));
+      const end = (await model.marketStates(market.address)).rateAtTarget;
+      expect(end).to.be.closeTo(expected, expected / 1000n);
+    });
+
+    it("Should clamp the rate at target to its bounds", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+
+      await model.connect(market).updateRate(...atUtilization(100));
+      await time.increase(365 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...atUtilization(100));
+      expect((await model.marketStates(market.address)).rateAtTarget).to.equal(await model.MAX_RATE_AT_TARGET());
+
+      await time.increase(365 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...atUtilization(0));
+      expect((await model.marketStates(market.address)).rateAtTarget).to.equal(await model.MIN_RATE_AT_TARGET());
+    });
+
+    it("Should return the same rate from the view and the update", async function () {
+      const { model, market } = await loadFixture(deployAdaptiveModelFixture);
+      const args = atUtilization(97);
+
+      await model.connect(market).updateRate(...args);
+      await time.increase(3 * 24 * 60 * 60);
+
+      const viewRate = await model.connect(market).getBorrowRatePerSecond(...args);
+      const updateRate = await model.connect(market).updateRate.staticCall(...args);
+      expect(updateRate).to.equal(viewRate);
+    });
+
+    it("Should keep separate state per market", async function () {
+      const { model, market, otherMarket } = await loadFixture(deployAdaptiveModelFixture);
+
+      await model.connect(market).updateRate(...atUtilization(100));
+      await model.connect(otherMarket).updateRate(...atUtilization(0));
+      await time.increase(7 * 24 * 60 * 60);
+      await model.connect(market).updateRate(...atUtilization(100));
+      await model.connect(otherMarket).updateRate(...atUtilization(0));
+
+      const hot = await model.marketStates(market.address);
+      const cold = await model.marketStates(otherMarket.address);
+      expect(hot.rateAtTarget).to.be.gt(cold.rateAtTarget);
+      expect(await model.getMarketBorrowRatePerSecond(market.address, ...atUtilization(90)))
+        .to.equal(hot.rateAtTarget);
+    });
+  });
+
+  describe("Vault Integration", function () {
+    async function deployVaultWithAdaptiveModelFixture() {
+      const { model, owner } = await deployAdaptiveModelFixture();
+      const [, lender, borrower] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+      const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const oracle = await MockPriceOracle.deploy();
+      await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+
+      const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+      const vault = await SafeLendVault.deploy(
+        await asset.getAddress(),
+        await collateral.getAddress(),
+        await model.getAddress(),
+        await oracle.getAddress(),
+        "SafeLend Vault Token",
+        "svMTK"
+      );
+
+      await asset.mint(lender.address, ethers.parseEther("1000"));
+      await asset.connect(lender).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+
+      await collateral.mint(borrower.address, ethers.parseEther("10"));
+      await collateral.connect(borrower).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("10"));
+
+      return { model, vault, owner, lender, borrower };
+    }
+
+    it("Should update the model state when the vault accrues", async function () {
+      const { model, vault, borrower } = await loadFixture(deployVaultWithAdaptiveModelFixture);
+
+      await vault.connect(borrower).borrow(ethers.parseEther("950"));
+      const startRate = await vault.getBorrowRatePerSecond();
+
+      await time.increase(7 * 24 * 60 * 60);
+      await expect(vault.accrueInterest()).to.emit(model, "RateAtTargetUpdated");
+
+      const state = await model.marketStates(await vault.getAddress());
+      expect(state.lastUpdate).to.equal(await vault.lastAccrualTimestamp());
+      expect(state.rateAtTarget).to.be.gt(INITIAL_RATE_AT_TARGET / SECONDS_PER_YEAR);
+      expect(await vault.getBorrowRatePerSecond()).to.be.gt(startRate);
+    });
+
+    it("Should preview accrued debt consistently with accrual", async function () {
+      const { vault, borrower } = await loadFixture(deployVaultWithAdaptiveModelFixture);
+
+      await vault.connect(borrower).borrow(ethers.parseEther("950"));
+      await time.increase(7 * 24 * 60 * 60);
+
+      const previewBorrows = await vault.getTotalBorrows();
+      await vault.accrueInterest();
+      // accrueInterest lands one second after the preview
+      expect(await vault.totalBorrows()).to.be.closeTo(previewBorrows, ethers.parseEther("0.001"));
+      expect(await vault.totalBorrows()).to.be.gte(previewBorrows);
+    });
+  });
+});
\ No newline at end of file
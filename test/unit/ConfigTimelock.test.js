@@ -0,0 +1,323 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("ConfigTimelock", function () {
+  const DELAY = 24 * 60 * 60;
+  const GRACE_PERIOD = 14 * 24 * 60 * 60;
+
+  async function deployTimelockFixture() {
+    const [owner, alice, guardian] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+    const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+    const vault = await SafeLendVault.deploy(
+      await asset.getAddress(),
+      await collateral.getAddress(),
+      await interestModel.getAddress(),
+      await oracle.getAddress(),
+      "SafeLend Vault Token",
+      "svMTK"
+    );
+
+    const ConfigTimelock = await ethers.getContractFactory("ConfigTimelock");
+    const timelock = await ConfigTimelock.deploy(DELAY);
+
+    await vault.grantRole(await vault.CONFIGURATOR_ROLE(), await timelock.getAddress());
+    await timelock.grantRole(await timelock.GUARDIAN_ROLE(), guardian.address);
+
+    return { vault, timelock, owner, alice, guardian };
+  }
+
+  async function configWith(vault, overrides) {
+    const config = await vault.config();
+    return {
+      collateralFactor: config.collateralFactor,
+      liquidationThreshold: config.liquidationThreshold,
+      liquidationBonus: config.liquidationBonus,
+      reserveFactor: config.reserveFactor,
+      interestRateModel: config.interestRateModel,
+      oracle: config.oracle,
+      isPaused: config.isPaused,
+      liquidationEnabled: config.liquidationEnabled,
+      ...overrides
+    };
+  }
+
+  async function queue(timelock, vault, config) {
+    const tx = await timelock.queueConfig(await vault.getAddress(), config);
+    const receipt = await tx.wait();
+    const [event] = await timelock.queryFilter(timelock.filters.ConfigQueued(), receipt.blockNumber);
+    return event.args.id;
+  }
+
+  describe("Queueing and Execution", function () {
+    it("Should apply a queued config only after the delay", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const newConfig = await configWith(vault, { liquidationThreshold: ethers.parseEther("0.75") });
+
+      await expect(timelock.queueConfig(await vault.getAddress(), newConfig)).to.emit(timelock, "ConfigQueued");
+      const [queuedEvent] = await timelock.queryFilter(timelock.filters.ConfigQueued());
+      const id = queuedEvent.args.id;
+      expect(queuedEvent.args.eta).to.equal((await time.latest()) + DELAY);
+
+      await expect(timelock.executeConfig(id)).to.be.revertedWith("Timelock not expired");
+
+      await time.increase(DELAY);
+      await expect(timelock.executeConfig(id))
+        .to.emit(timelock, "ConfigExecuted")
+        .withArgs(id, await vault.getAddress(), Object.values(newConfig));
+
+      expect((await vault.config()).liquidationThreshold).to.equal(ethers.parseEther("0.75"));
+      await expect(timelock.executeConfig(id)).to.be.revertedWith("Config not queued");
+    });
+
+    it("Should let anyone execute a ready config", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      const id = await queue(timelock, vault, await configWith(vault, { reserveFactor: ethers.parseEther("0.15") }));
+
+      await time.increase(DELAY);
+      await timelock.connect(alice).executeConfig(id);
+      expect((await vault.config()).reserveFactor).to.equal(ethers.parseEther("0.15"));
+    });
+
+    it("Should reject configs past the grace period", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const id = await queue(timelock, vault, await configWith(vault, { reserveFactor: ethers.parseEther("0.15") }));
+
+      await time.increase(DELAY + GRACE_PERIOD + 1);
+      await expect(timelock.executeConfig(id)).to.be.revertedWith("Config is stale");
+    });
+
+    it("Should only let proposers queue", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      const newConfig = await configWith(vault, {});
+
+      await expect(timelock.connect(alice).queueConfig(await vault.getAddress(), newConfig))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Change Bounds", function () {
+    it("Should reject steps larger than the bounds", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const vaultAddress = await vault.getAddress();
+
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { liquidationThreshold: ethers.parseEther("0.9") }))
+      ).to.be.revertedWith("Liquidation threshold change too large");
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { collateralFactor: ethers.parseEther("0.65") }))
+      ).to.be.revertedWith("Collateral factor change too large");
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { liquidationBonus: ethers.parseEther("0.15") }))
+      ).to.be.revertedWith("Liquidation bonus change too large");
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { reserveFactor: ethers.parseEther("0.5") }))
+      ).to.be.revertedWith("Reserve factor change too large");
+    });
+
+    it("Should check the bounds again at execution", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const id = await queue(timelock, vault, await configWith(vault, { liquidationThreshold: ethers.parseEther("0.75") }));
+
+      // The deployer still holds CONFIGURATOR_ROLE in this fixture and moves the threshold in the meantime
+      await vault.updateConfig(await configWith(vault, { liquidationThreshold: ethers.parseEther("0.85") }));
+
+      await time.increase(DELAY);
+      await expect(timelock.executeConfig(id)).to.be.revertedWith("Liquidation threshold change too large");
+    });
+
+    it("Should let the admin change the bounds", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      const bounds = {
+        collateralFactor: ethers.parseEther("0.1"),
+        liquidationThreshold: ethers.parseEther("0.1"),
+        liquidationBonus: ethers.parseEther("0.05"),
+        reserveFactor: ethers.parseEther("0.1")
+      };
+
+      await expect(timelock.connect(alice).setChangeBounds(bounds))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.setChangeBounds(bounds))
+        .to.emit(timelock, "ChangeBoundsUpdated")
+        .withArgs(...Object.values(bounds));
+
+      await queue(
+        timelock,
+        vault,
+        await configWith(vault, {
+          collateralFactor: ethers.parseEther("0.7"),
+          liquidationThreshold: ethers.parseEther("0.7")
+        })
+      );
+    });
+
+    it("Should cap the bounds themselves", async function () {
+      const { timelock } = await loadFixture(deployTimelockFixture);
+      const bounds = {
+        collateralFactor: ethers.parseEther("0.1"),
+        liquidationThreshold: ethers.parseEther("0.1"),
+        liquidationBonus: ethers.parseEther("0.1"),
+        reserveFactor: ethers.parseEther("0.2")
+      };
+
+      await expect(timelock.setChangeBounds(bounds)).to.emit(timelock, "ChangeBoundsUpdated");
+      for (const field of ["collateralFactor", "liquidationThreshold", "liquidationBonus", "reserveFactor"]) {
+        const tooLarge = { ...bounds, [field]: bounds[field] + 1n };
+        await expect(timelock.setChangeBounds(tooLarge)).to.be.revertedWith("Change bounds too large");
+      }
+    });
+
+    it("Should keep the collateral factor at or below the liquidation threshold", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const vaultAddress = await vault.getAddress();
+
+      // 0.75 collateral factor against a 0.8 threshold; each field alone is within the bounds
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { liquidationThreshold: ethers.parseEther("0.74") }))
+      ).to.be.revertedWith("Collateral factor above liquidation threshold");
+      await expect(
+        timelock.queueConfig(vaultAddress, await configWith(vault, { collateralFactor: ethers.parseEther("0.8") }))
+      ).to.not.be.reverted;
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should let the guardian cancel queued configs", async function () {
+      const { vault, timelock, guardian, alice } = await loadFixture(deployTimelockFixture);
+      const id = await queue(timelock, vault, await configWith(vault, { reserveFactor: ethers.parseEther("0.15") }));
+
+      await expect(timelock.connect(alice).cancelConfig(id))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.connect(guardian).cancelConfig(id))
+        .to.emit(timelock, "ConfigCancelled")
+        .withArgs(id, await vault.getAddress());
+
+      await time.increase(DELAY);
+      await expect(timelock.executeConfig(id)).to.be.revertedWith("Config not queued");
+      await expect(timelock.connect(guardian).cancelConfig(id)).to.be.revertedWith("Config not queued");
+    });
+  });
+
+  describe("Queued Calls", function () {
+    async function queueCall(timelock, target, data) {
+      const tx = await timelock.queueCall(target, data);
+      const receipt = await tx.wait();
+      const [event] = await timelock.queryFilter(timelock.filters.CallQueued(), receipt.blockNumber);
+      return event.args.id;
+    }
+
+    it("Should make a queued admin call only after the delay", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      await vault.grantRole(await vault.ADMIN_ROLE(), await timelock.getAddress());
+      const data = vault.interface.encodeFunctionData("setSafetyModule", [alice.address]);
+
+      await expect(timelock.connect(alice).queueCall(await vault.getAddress(), data))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      const id = await queueCall(timelock, await vault.getAddress(), data);
+      expect((await timelock.getQueuedCall(id)).eta).to.equal((await time.latest()) + DELAY);
+
+      await expect(timelock.executeCall(id)).to.be.revertedWith("Timelock not expired");
+
+      await time.increase(DELAY);
+      await expect(timelock.connect(alice).executeCall(id))
+        .to.emit(timelock, "CallExecuted")
+        .withArgs(id, await vault.getAddress(), data);
+      expect(await vault.safetyModule()).to.equal(alice.address);
+
+      await expect(timelock.executeCall(id)).to.be.revertedWith("Call not queued");
+    });
+
+    it("Should pass a revert in the target through", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      const data = vault.interface.encodeFunctionData("setSafetyModule", [alice.address]);
+      const id = await queueCall(timelock, await vault.getAddress(), data);
+
+      await time.increase(DELAY);
+      await expect(timelock.executeCall(id)).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject calls past the grace period", async function () {
+      const { vault, timelock, alice } = await loadFixture(deployTimelockFixture);
+      const data = vault.interface.encodeFunctionData("setSafetyModule", [alice.address]);
+      const id = await queueCall(timelock, await vault.getAddress(), data);
+
+      await time.increase(DELAY + GRACE_PERIOD + 1);
+      await expect(timelock.executeCall(id)).to.be.revertedWith("Call is stale");
+    });
+
+    it("Should keep config changes in the bounded queue", async function () {
+      const { vault, timelock } = await loadFixture(deployTimelockFixture);
+      const target = await vault.getAddress();
+      const config = await configWith(vault, { liquidationThreshold: ethers.parseEther("0.3") });
+      const full = vault.interface.encodeFunctionData(
+        "updateConfig((uint256,uint256,uint256,uint256,address,address,bool,bool))",
+        [config]
+      );
+      const fields = vault.interface.encodeFunctionData(
+        "updateConfig(uint256,uint256,uint256,uint256,address,address,bool)",
+        [
+          config.collateralFactor,
+          config.liquidationThreshold,
+          config.liquidationBonus,
+          config.reserveFactor,
+          config.interestRateModel,
+          config.oracle,
+          config.liquidationEnabled
+        ]
+      );
+
+      await expect(timelock.queueCall(target, full)).to.be.revertedWith("Use queueConfig for config changes");
+      await expect(timelock.queueCall(target, fields)).to.be.revertedWith("Use queueConfig for config changes");
+      await expect(timelock.queueCall(target, "0x")).to.be.revertedWith("Missing selector");
+      await expect(timelock.queueCall(ethers.ZeroAddress, full)).to.be.revertedWith("Invalid target");
+    });
+
+    it("Should let the guardian cancel queued calls", async function () {
+      const { vault, timelock, guardian, alice } = await loadFixture(deployTimelockFixture);
+      const data = vault.interface.encodeFunctionData("setSafetyModule", [alice.address]);
+      const id = await queueCall(timelock, await vault.getAddress(), data);
+
+      await expect(timelock.connect(alice).cancelCall(id))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.connect(guardian).cancelCall(id))
+        .to.emit(timelock, "CallCancelled")
+        .withArgs(id, await vault.getAddress());
+
+      await time.increase(DELAY);
+      await expect(timelock.executeCall(id)).to.be.revertedWith("Call not queued");
+    });
+  });
+
+  describe("Delay", function () {
+    it("Should bound the delay", async function () {
+      const { timelock, alice } = await loadFixture(deployTimelockFixture);
+
+      await expect(timelock.setDelay(2 * DELAY)).to.emit(timelock, "DelayUpdated").withArgs(2 * DELAY);
+      expect(await timelock.delay()).to.equal(2 * DELAY);
+
+      await expect(timelock.setDelay(60)).to.be.revertedWith("Invalid delay");
+      await expect(timelock.setDelay(31 * DELAY)).to.be.revertedWith("Invalid delay");
+      await expect(timelock.connect(alice).setDelay(DELAY))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+
+      const ConfigTimelock = await ethers.getContractFactory("ConfigTimelock");
+      await expect(ConfigTimelock.deploy(0)).to.be.revertedWith("Invalid delay");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("FeeSplitter", function () {
+  async function deploySplitterFixture() {
+    const [owner, treasury, stakers, alice, bob] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+    const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+    const vault = await SafeLendVault.deploy(
+      await asset.getAddress(),
+      await collateral.getAddress(),
+      await interestModel.getAddress(),
+      await oracle.getAddress(),
+      "SafeLend Vault Token",
+      "svMTK"
+    );
+
+    // 70/30 split between the treasury and stakers
+    const FeeSplitter = await ethers.getContractFactory("FeeSplitter");
+    const splitter = await FeeSplitter.deploy([treasury.address, stakers.address], [70, 30]);
+    await vault.grantRole(await vault.TREASURY_ROLE(), await splitter.getAddress());
+
+    const vaultAddress = await vault.getAddress();
+    await asset.mint(bob.address, ethers.parseEther("10000"));
+    await asset.connect(bob).approve(vaultAddress, ethers.MaxUint256);
+    await vault.connect(bob).deposit(ethers.parseEther("10000"), bob.address);
+
+    await collateral.mint(alice.address, ethers.parseEther("1"));
+    await collateral.connect(alice).approve(vaultAddress, ethers.MaxUint256);
+    await vault.connect(alice).depositCollateral(ethers.parseEther("1"));
+    await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+    await time.increase(365 * 24 * 60 * 60);
+    await vault.accrueInterest();
+
+    return { splitter, vault, asset, owner, treasury, stakers, alice };
+  }
+
+  describe("Distribution", function () {
+    it("Should collect vault reserves and split them by weight", async function () {
+      const { splitter, vault, asset, treasury, stakers } = await loadFixture(deploySplitterFixture);
+      const amount = ethers.parseEther("1");
+      expect(await vault.totalReserves()).to.be.gt(amount);
+
+      await expect(splitter.collectReserves(await vault.getAddress(), amount))
+        .to.emit(vault, "ReservesReduced")
+        .and.to.emit(splitter, "FeesDistributed")
+        .withArgs(await asset.getAddress(), amount);
+
+      expect(await asset.balanceOf(treasury.address)).to.equal(ethers.parseEther("0.7"));
+      expect(await asset.balanceOf(stakers.address)).to.equal(ethers.parseEther("0.3"));
+      expect(await asset.balanceOf(await splitter.getAddress())).to.equal(0);
+    });
+
+    it("Should give rounding dust to the last payee", async function () {
+      const { splitter, asset, treasury, stakers } = await loadFixture(deploySplitterFixture);
+      await splitter.setPayees([treasury.address, stakers.address], [1, 2]);
+      await asset.mint(await splitter.getAddress(), 10n);
+
+      await splitter.distribute(await asset.getAddress());
+
+      expect(await asset.balanceOf(treasury.address)).to.equal(3n);
+      expect(await asset.balanceOf(stakers.address)).to.equal(7n);
+    });
+
+    it("Should reject empty distributions", async function () {
+      const { splitter, asset } = await loadFixture(deploySplitterFixture);
+      await expect(splitter.distribute(await asset.getAddress())).to.be.revertedWith("Nothing to distribute");
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should let the owner replace the payees", async function () {
+      const { splitter, treasury, alice } = await loadFixture(deploySplitterFixture);
+
+      await expect(splitter.setPayees([treasury.address, alice.address], [1, 1]))
+        .to.emit(splitter, "PayeesUpdated")
+        .withArgs([treasury.address, alice.address], [1, 1]);
+
+      const payees = await splitter.getPayees();
+      expect(payees.map((payee) => payee.account)).to.deep.equal([treasury.address, alice.address]);
+      expect(await splitter.totalWeight()).to.equal(2);
+    });
+
+    it("Should reject invalid payee sets", async function () {
+      const { splitter, treasury } = await loadFixture(deploySplitterFixture);
+
+      await expect(splitter.setPayees([treasury.address], [1, 2])).to.be.revertedWith("Length mismatch");
+      await expect(splitter.setPayees([], [])).to.be.revertedWith("Invalid payee count");
+      await expect(splitter.setPayees([ethers.ZeroAddress], [1])).to.be.revertedWith("Invalid payee");
+      await expect(splitter.setPayees([treasury.address], [0])).to.be.revertedWith("Invalid weight");
+    });
+
+    it("Should restrict administration to the owner", async function () {
+      const { splitter, vault, alice } = await loadFixture(deploySplitterFixture);
+
+      await expect(splitter.connect(alice).setPayees([alice.address], [1]))
+        .to.be.revertedWithCustomError(splitter, "OwnableUnauthorizedAccount");
+      await expect(splitter.connect(alice).collectReserves(await vault.getAddress(), 1n))
+        .to.be.revertedWithCustomError(splitter, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("InterestMath", function () {
+  const WAD = 10n ** 18n;
+  const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+  // Reference (1 + r)^t evaluated with 60 fractional digits, far beyond the on-chain RAY precision
+  const REFERENCE_SCALE = 10n ** 60n;
+
+  function referenceCompound(ratePerSecond, timeDelta) {
+    let base = REFERENCE_SCALE + (ratePerSecond * REFERENCE_SCALE) / WAD;
+    let result = REFERENCE_SCALE;
+    let n = timeDelta;
+    while (n > 0n) {
+      if (n % 2n === 1n) {
+        result = (result * base) / REFERENCE_SCALE;
+      }
+      base = (base * base) / REFERENCE_SCALE;
+      n /= 2n;
+    }
+    return (result * WAD) / REFERENCE_SCALE;
+  }
+
+  // Deterministic xorshift so failures are reproducible
+  function prng(seed) {
+    let state = BigInt(seed);
+    return () => {
+      state ^= (state << 13n) & 0xffffffffffffffffn;
+      state ^= state >> 7n;
+      state ^= (state << 17n) & 0xffffffffffffffffn;
+      return state;
+    };
+  }
+
+  async function deployInterestMathFixture() {
+    const MockInterestMath = await ethers.getContractFactory("MockInterestMath");
+    const math = await MockInterestMath.deploy();
+    return { math };
+  }
+
+  describe("rpow", function () {
+    it("Should handle zero and unit exponents", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+
+      expect(await math.rpow(ethers.parseEther("1.5"), 0, WAD)).to.equal(WAD);
+      expect(await math.rpow(ethers.parseEther("1.5"), 1, WAD)).to.equal(ethers.parseEther("1.5"));
+      expect(await math.rpow(0, 5, WAD)).to.equal(0);
+    });
+
+    it("Should match exact powers", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+
+      expect(await math.rpow(2n * WAD, 10, WAD)).to.equal(1024n * WAD);
+      expect(await math.rpow(ethers.parseEther("1.5"), 2, WAD)).to.equal(ethers.parseEther("2.25"));
+      expect(await math.rpow(ethers.parseEther("0.5"), 3, WAD)).to.equal(ethers.parseEther("0.125"));
+    });
+  });
+
+  describe("Compounded Interest", function () {
+    it("Should return one for a zero rate or zero time", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+
+      expect(await math.calculateCompoundedInterest(0, 1000)).to.equal(WAD);
+      expect(await math.calculateCompoundedInterest(1000, 0)).to.equal(WAD);
+    });
+
+    it("Should match high-precision math across rates and periods", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+
+      const annualRates = ["0.001", "0.02", "0.1", "0.5", "1", "10"].map((rate) => ethers.parseEther(rate));
+      const periods = [1n, 12n, 3600n, 86400n, SECONDS_PER_YEAR, 2n * SECONDS_PER_YEAR];
+
+      for (const annualRate of annualRates) {
+        const ratePerSecond = annualRate / SECONDS_PER_YEAR;
+        for (const timeDelta of periods) {
+          const expected = referenceCompound(ratePerSecond, timeDelta);
+          const actual = await math.calculateCompoundedInterest(ratePerSecond, timeDelta);
+          // Off by at most the final RAY -> WAD truncation plus relative rounding well below 1e-15
+          expect(actual).to.be.closeTo(expected, 1n + expected / 10n ** 15n);
+        }
+      }
+    });
+
+    it("Should match high-precision math on random inputs", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+      const next = prng(0x5afe1e4d);
+
+      for (let i = 0; i < 40; i++) {
+        // Up to ~1000% APR and up to two years between accruals
+        const ratePerSecond = next() % 320000000000n;
+        const timeDelta = next() % (2n * SECONDS_PER_YEAR);
+
+        const expected = referenceCompound(ratePerSecond, timeDelta);
+        const actual = await math.calculateCompoundedInterest(ratePerSecond, timeDelta);
+        expect(actual).to.be.closeTo(expected, 1n + expected / 10n ** 15n);
+      }
+    });
+
+    it("Should exceed simple interest but stay below the old eighth-power approximation", async function () {
+      const { math } = await loadFixture(deployInterestMathFixture);
+      const ratePerSecond = ethers.parseEther("0.5") / SECONDS_PER_YEAR;
+      const timeDelta = SECONDS_PER_YEAR;
+
+      const compounded = await math.calculateCompoundedInterest(ratePerSecond, timeDelta);
+      const linear = WAD + ratePerSecond * timeDelta;
+
+      let eighthPower = linear;
+      for (let i = 0; i < 3; i++) {
+        eighthPower = (eighthPower * eighthPower) / WAD;
+      }
+
+      expect(compounded).to.be.gt(linear);
+      expect(compounded).to.be.lt(eighthPower);
+      // e^0.5
+      expect(compounded).to.be.closeTo(ethers.parseEther("1.648721270700128146"), ethers.parseEther("0.000001"));
+    });
+  });
+});
\ No newline at end of file
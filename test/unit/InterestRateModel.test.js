@@ -3,12 +3,120 @@ const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("InterestRateModel", function () {
+  const BASE_RATE = ethers.parseEther("0.02");
+  const MULTIPLIER = ethers.parseEther("0.1");
+  const JUMP_MULTIPLIER = ethers.parseEther("0.5");
+  const KINK = ethers.parseEther("0.8");
+
   async function deployInterestModelFixture() {
+    const [owner, other] = await ethers.getSigners();
     const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
-    const model = await InterestRateModel.deploy();
-    return { model };
+    const model = await InterestRateModel.deploy(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, KINK);
+    return { model, owner, other };
   }
 
+  describe("Deployment", function () {
+    it("Should set the curve from constructor parameters", async function () {
+      const { model, owner } = await loadFixture(deployInterestModelFixture);
+
+      expect(await model.baseRatePerYear()).to.equal(BASE_RATE);
+      expect(await model.multiplierPerYear()).to.equal(MULTIPLIER);
+      expect(await model.jumpMultiplierPerYear()).to.equal(JUMP_MULTIPLIER);
+      expect(await model.kink()).to.equal(KINK);
+      expect(await model.owner()).to.equal(owner.address);
+    });
+
+    it("Should emit NewInterestParams on deployment", async function () {
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+      const model = await InterestRateModel.deploy(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, KINK);
+
+      await expect(model.deploymentTransaction())
+        .to.emit(model, "NewInterestParams")
+        .withArgs(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, KINK);
+    });
+
+    it("Should reject an invalid curve at deployment", async function () {
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+
+      await expect(
+        InterestRateModel.deploy(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, 0)
+      ).to.be.revertedWith("Invalid kink");
+    });
+  });
+
+  describe("Parameter Updates", function () {
+    it("Should let the owner update the curve", async function () {
+      const { model } = await loadFixture(deployInterestModelFixture);
+      const newParams = [
+        ethers.parseEther("0.01"),
+        ethers.parseEther("0.04"),
+        ethers.parseEther("3"),
+        ethers.parseEther("0.9")
+      ];
+
+      await expect(model.updateInterestParams(...newParams))
+        .to.emit(model, "NewInterestParams")
+        .withArgs(...newParams);
+
+      expect(await model.baseRatePerYear()).to.equal(newParams[0]);
+      expect(await model.multiplierPerYear()).to.equal(newParams[1]);
+      expect(await model.jumpMultiplierPerYear()).to.equal(newParams[2]);
+      expect(await model.kink()).to.equal(newParams[3]);
+
+      const rate = await model.getBorrowRate(ethers.parseEther("100"), ethers.parseEther("900"), 0);
+      const expected = (ethers.parseEther("0.9") * newParams[1]) / ethers.parseEther("1") + newParams[0];
+      expect(rate).to.equal(expected);
+    });
+
+    it("Should restrict updates to the owner", async function () {
+      const { model, other } = await loadFixture(deployInterestModelFixture);
+
+      await expect(
+        model.connect(other).updateInterestParams(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, KINK)
+      ).to.be.revertedWithCustomError(model, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject a kink of zero or above 100%", async function () {
+      const { model } = await loadFixture(deployInterestModelFixture);
+
+      await expect(
+        model.updateInterestParams(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, 0)
+      ).to.be.revertedWith("Invalid kink");
+      await expect(
+        model.updateInterestParams(BASE_RATE, MULTIPLIER, JUMP_MULTIPLIER, ethers.parseEther("1.01"))
+      ).to.be.revertedWith("Invalid kink");
+    });
+
+    it("Should reject a curve that is not convex at the kink", async function () {
+      const { model } = await loadFixture(deployInterestModelFixture);
+
+      await expect(
+        model.updateInterestParams(BASE_RATE, MULTIPLIER, ethers.parseEther("0.05"), KINK)
+      ).to.be.revertedWith("Curve not convex at kink");
+    });
+
+    it("Should reject a curve whose maximum rate exceeds the cap", async function () {
+      const { model } = await loadFixture(deployInterestModelFixture);
+
+      await expect(
+        model.updateInterestParams(BASE_RATE, MULTIPLIER, ethers.parseEther("100"), KINK)
+      ).to.be.revertedWith("Borrow rate too high");
+    });
+
+    it("Should keep borrow rates non-decreasing in utilization", async function () {
+      const { model } = await loadFixture(deployInterestModelFixture);
+      const total = ethers.parseEther("1000");
+
+      let previousRate = 0n;
+      for (let pct = 0n; pct <= 100n; pct += 5n) {
+        const borrows = (total * pct) / 100n;
+        const rate = await model.getBorrowRate(total - borrows, borrows, 0);
+        expect(rate).to.be.gte(previousRate);
+        previousRate = rate;
+      }
+    });
+  });
+
   describe("Utilization Rate", function () {
     it("Should return 0 when no borrows", async function () {
       const { model } = await loadFixture(deployInterestModelFixture);
@@ -60,7 +168,7 @@ describe("InterestRateModel", function () {
       const reserves = 0;
 
       const borrowRate = await model.getBorrowRate(cash, borrows, reserves);
-      const baseRate = await model.BASE_RATE_PER_YEAR();
+      const baseRate = await model.baseRatePerYear();
       expect(borrowRate).to.equal(baseRate);
     });
 
@@ -71,8 +179,8 @@ describe("InterestRateModel", function () {
       const reserves = 0;
 
       const borrowRate = await model.getBorrowRate(cash, borrows, reserves);
-      const baseRate = await model.BASE_RATE_PER_YEAR();
-      const multiplier = await model.MULTIPLIER_PER_YEAR();
+      const baseRate = await model.baseRatePerYear();
+      const multiplier = await model.multiplierPerYear();
 
       const utilRate = ethers.parseEther("0.5");
       const expected = (utilRate * multiplier) / ethers.parseEther("1") + baseRate;
@@ -86,10 +194,10 @@ describe("InterestRateModel", function () {
       const reserves = 0;
 
       const borrowRate = await model.getBorrowRate(cash, borrows, reserves);
-      const baseRate = await model.BASE_RATE_PER_YEAR();
-      const multiplier = await model.MULTIPLIER_PER_YEAR();
-      const jumpMultiplier = await model.JUMP_MULTIPLIER_PER_YEAR();
-      const kink = await model.KINK();
+      const baseRate = await model.baseRatePerYear();
+      const multiplier = await model.multiplierPerYear();
+      const jumpMultiplier = await model.jumpMultiplierPerYear();
+      const kink = await model.kink();
 
       const utilRate = ethers.parseEther("0.9");
       const normalRate = (kink * multiplier) / ethers.parseEther("1") + baseRate;
@@ -106,9 +214,9 @@ describe("InterestRateModel", function () {
       const reserves = 0;
 
       const borrowRate = await model.getBorrowRate(cash, borrows, reserves);
-      const baseRate = await model.BASE_RATE_PER_YEAR();
-      const multiplier = await model.MULTIPLIER_PER_YEAR();
-      const kink = await model.KINK();
+      const baseRate = await model.baseRatePerYear();
+      const multiplier = await model.multiplierPerYear();
+      const kink = await model.kink();
 
       const expected = (kink * multiplier) / ethers.parseEther("1") + baseRate;
       expect(borrowRate).to.equal(expected);
@@ -173,24 +281,23 @@ describe("InterestRateModel", function () {
     });
   });
 
-  describe("Per Block Rates", function () {
-    it("Should convert annual rate to per block", async function () {
+  describe("Per Second Rates", function () {
+    it("Should convert annual rate to per second", async function () {
       const { model } = await loadFixture(deployInterestModelFixture);
       const cash = ethers.parseEther("500");
       const borrows = ethers.parseEther("500");
       const reserves = 0;
 
       const annualRate = await model.getBorrowRate(cash, borrows, reserves);
-      const perBlockRate = await model.getBorrowRatePerBlock(cash, borrows, reserves);
+      const perSecondRate = await model.getBorrowRatePerSecond(cash, borrows, reserves);
 
       const secondsPerYear = 365 * 24 * 60 * 60;
-      const blocksPerYear = secondsPerYear / 12;
-      const expectedPerBlock = annualRate / BigInt(blocksPerYear);
+      const expectedPerSecond = annualRate / BigInt(secondsPerYear);
 
-      expect(perBlockRate).to.equal(expectedPerBlock);
+      expect(perSecondRate).to.equal(expectedPerSecond);
     });
 
-    it("Should calculate supply rate per block", async function () {
+    it("Should calculate supply rate per second", async function () {
       const { model } = await loadFixture(deployInterestModelFixture);
       const cash = ethers.parseEther("500");
       const borrows = ethers.parseEther("500");
@@ -198,13 +305,12 @@ describe("InterestRateModel", function () {
       const reserveFactor = ethers.parseEther("0.1");
 
       const annualRate = await model.getSupplyRate(cash, borrows, reserves, reserveFactor);
-      const perBlockRate = await model.getSupplyRatePerBlock(cash, borrows, reserves, reserveFactor);
+      const perSecondRate = await model.getSupplyRatePerSecond(cash, borrows, reserves, reserveFactor);
 
       const secondsPerYear = 365 * 24 * 60 * 60;
-      const blocksPerYear = secondsPerYear / 12;
-      const expectedPerBlock = annualRate / BigInt(blocksPerYear);
+      const expectedPerSecond = annualRate / BigInt(secondsPerYear);
 
-      expect(perBlockRate).to.equal(expectedPerBlock);
+      expect(perSecondRate).to.equal(expectedPerSecond);
     });
   });
 
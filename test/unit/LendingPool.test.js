@@ -0,0 +1,539 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LendingPool", function () {
+  const NO_CAPS = { supplyCap: 0, borrowCap: 0 };
+
+  async function deployPoolFixture() {
+    const [owner, vaultSigner, borrower, other] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const LendingPool = await ethers.getContractFactory("LendingPool");
+    const pool = await LendingPool.deploy();
+    await pool.initReserve(await asset.getAddress(), await interestModel.getAddress(), NO_CAPS);
+
+    // An EOA stands in for a registered vault so token flows can be checked directly
+    await pool.registerVault(vaultSigner.address, true);
+    await asset.mint(vaultSigner.address, ethers.parseEther("10000"));
+    await asset.connect(vaultSigner).approve(await pool.getAddress(), ethers.MaxUint256);
+
+    const token = await asset.getAddress();
+    return { pool, asset, token, interestModel, owner, vaultSigner, borrower, other };
+  }
+
+  describe("Reserve Registry", function () {
+    it("Should initialize a reserve with its own model and caps", async function () {
+      const { pool, token, interestModel } = await loadFixture(deployPoolFixture);
+
+      const reserve = await pool.getReserveData(token);
+      expect(reserve.interestRateModel).to.equal(await interestModel.getAddress());
+      expect(reserve.borrowIndex).to.equal(ethers.parseEther("1"));
+      expect(reserve.isActive).to.be.true;
+      expect(reserve.isFrozen).to.be.false;
+      expect(await pool.getReservesList()).to.deep.equal([token]);
+    });
+
+    it("Should list several assets with independent curves", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+      const steepModel = await InterestRateModel.deploy(
+        ethers.parseEther("0.1"),
+        ethers.parseEther("0.3"),
+        ethers.parseEther("3"),
+        ethers.parseEther("0.5")
+      );
+      const wethAddress = await weth.getAddress();
+
+      const caps = { supplyCap: ethers.parseEther("500"), borrowCap: ethers.parseEther("100") };
+      await expect(pool.initReserve(wethAddress, await steepModel.getAddress(), caps))
+        .to.emit(pool, "ReserveInitialized")
+        .withArgs(wethAddress, await steepModel.getAddress(), caps.supplyCap, caps.borrowCap);
+      expect(await pool.getReservesList()).to.deep.equal([token, wethAddress]);
+
+      await weth.mint(vaultSigner.address, ethers.parseEther("1000"));
+      await weth.connect(vaultSigner).approve(await pool.getAddress(), ethers.MaxUint256);
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("200"));
+      await pool.connect(vaultSigner).deposit(wethAddress, ethers.parseEther("200"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("100"), borrower.address);
+      await pool.connect(vaultSigner).borrow(wethAddress, borrower.address, ethers.parseEther("100"), borrower.address);
+
+      // Same utilization, different curves
+      const usdReserve = await pool.getReserveData(token);
+      const wethReserve = await pool.getReserveData(wethAddress);
+      expect(wethReserve.utilizationRate).to.equal(usdReserve.utilizationRate);
+      expect(wethReserve.borrowRate).to.be.gt(usdReserve.borrowRate);
+      expect(await pool.supplyBalances(wethAddress, vaultSigner.address)).to.equal(ethers.parseEther("100"));
+      expect(await pool.supplyBalances(token, vaultSigner.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should reject duplicate or unlisted reserves", async function () {
+      const { pool, token, interestModel, vaultSigner, other } = await loadFixture(deployPoolFixture);
+
+      await expect(pool.initReserve(token, await interestModel.getAddress(), NO_CAPS))
+        .to.be.revertedWith("Reserve already initialized");
+      await expect(pool.connect(vaultSigner).deposit(other.address, 1n)).to.be.revertedWith("Reserve not initialized");
+      await expect(
+        pool.connect(other).initReserve(other.address, await interestModel.getAddress(), NO_CAPS)
+      ).to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should enforce supply and borrow caps", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.setReserveCaps(token, { supplyCap: ethers.parseEther("1000"), borrowCap: ethers.parseEther("300") });
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await expect(pool.connect(vaultSigner).deposit(token, 1n)).to.be.revertedWith("Supply cap exceeded");
+
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("300"), borrower.address);
+      await expect(
+        pool.connect(vaultSigner).borrow(token, borrower.address, 1n, borrower.address)
+      ).to.be.revertedWith("Borrow cap exceeded");
+    });
+
+    it("Should let frozen reserves unwind but not grow", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("100"), borrower.address);
+
+      await expect(pool.setReserveFrozen(token, true))
+        .to.emit(pool, "ReserveStatusUpdated")
+        .withArgs(token, true, true);
+
+      await expect(pool.connect(vaultSigner).deposit(token, 1n)).to.be.revertedWith("Reserve is frozen");
+      await expect(
+        pool.connect(vaultSigner).borrow(token, borrower.address, 1n, borrower.address)
+      ).to.be.revertedWith("Reserve is frozen");
+
+      await pool.connect(vaultSigner).repay(token, borrower.address, ethers.parseEther("50"));
+      await pool.connect(vaultSigner).withdraw(token, ethers.parseEther("50"), vaultSigner.address);
+    });
+
+    it("Should swap a reserve's interest rate model after accruing", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("500"), borrower.address);
+
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+      const newModel = await InterestRateModel.deploy(0, ethers.parseEther("0.04"), ethers.parseEther("1"), ethers.parseEther("0.9"));
+      await time.increase(24 * 60 * 60);
+
+      await expect(pool.setReserveInterestRateModel(token, await newModel.getAddress()))
+        .to.emit(pool, "ReserveConfigUpdated");
+
+      const reserve = await pool.getReserveData(token);
+      expect(reserve.interestRateModel).to.equal(await newModel.getAddress());
+      expect(reserve.lastUpdateTimestamp).to.equal(await time.latest());
+      expect(reserve.borrowRate).to.equal(
+        await newModel.getBorrowRatePerSecond(reserve.availableLiquidity, reserve.totalBorrows, 0)
+      );
+    });
+  });
+
+  describe("Access Control", function () {
+    it("Should reject mutations from unregistered callers", async function () {
+      const { pool, token, other } = await loadFixture(deployPoolFixture);
+
+      await expect(pool.connect(other).deposit(token, 1n)).to.be.revertedWith("Caller is not a registered vault");
+      await expect(pool.connect(other).withdraw(token, 1n, other.address))
+        .to.be.revertedWith("Caller is not a registered vault");
+      await expect(pool.connect(other).borrow(token, other.address, 1n, other.address))
+        .to.be.revertedWith("Caller is not a registered vault");
+      await expect(pool.connect(other).repay(token, other.address, 1n))
+        .to.be.revertedWith("Caller is not a registered vault");
+    });
+
+    it("Should only let the owner register vaults", async function () {
+      const { pool, other } = await loadFixture(deployPoolFixture);
+
+      await expect(pool.connect(other).registerVault(other.address, true))
+        .to.be.revertedWithCustomError(pool, "OwnableUnauthorizedAccount");
+      await expect(pool.registerVault(other.address, true))
+        .to.emit(pool, "VaultRegistered")
+        .withArgs(other.address, true);
+    });
+
+    it("Should block mutations while the reserve is inactive", async function () {
+      const { pool, token, vaultSigner } = await loadFixture(deployPoolFixture);
+
+      await pool.setReserveActive(token, false);
+      await expect(pool.connect(vaultSigner).deposit(token, 1n)).to.be.revertedWith("Reserve is not active");
+    });
+  });
+
+  describe("Token Flows", function () {
+    it("Should custody deposits and credit the depositing vault", async function () {
+      const { pool, asset, token, vaultSigner } = await loadFixture(deployPoolFixture);
+      const amount = ethers.parseEther("1000");
+
+      await expect(pool.connect(vaultSigner).deposit(token, amount))
+        .to.emit(pool, "Supply")
+        .withArgs(token, vaultSigner.address, amount);
+
+      expect(await asset.balanceOf(await pool.getAddress())).to.equal(amount);
+      expect(await pool.supplyBalances(token, vaultSigner.address)).to.equal(amount);
+
+      const reserve = await pool.getReserveData(token);
+      expect(reserve.availableLiquidity).to.equal(amount);
+      expect(reserve.totalSupply).to.equal(amount);
+    });
+
+    it("Should not let a vault withdraw more than its balance", async function () {
+      const { pool, asset, token, vaultSigner, other } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("100"));
+      await expect(pool.connect(vaultSigner).withdraw(token, ethers.parseEther("101"), vaultSigner.address))
+        .to.be.revertedWith("Insufficient liquidity");
+
+      await pool.connect(vaultSigner).withdraw(token, ethers.parseEther("40"), other.address);
+      expect(await asset.balanceOf(other.address)).to.equal(ethers.parseEther("40"));
+      expect(await pool.supplyBalances(token, vaultSigner.address)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should lend from the vault's cash and track the borrower's debt", async function () {
+      const { pool, asset, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await expect(pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("400"), borrower.address))
+        .to.emit(pool, "Borrow")
+        .withArgs(token, vaultSigner.address, borrower.address, borrower.address, ethers.parseEther("400"));
+
+      expect(await asset.balanceOf(borrower.address)).to.equal(ethers.parseEther("400"));
+      expect(await pool.supplyBalances(token, vaultSigner.address)).to.equal(ethers.parseEther("600"));
+      expect(await pool.getUserDebt(token, vaultSigner.address, borrower.address)).to.equal(ethers.parseEther("400"));
+      expect((await pool.getReserveData(token)).totalBorrows).to.equal(ethers.parseEther("400"));
+    });
+
+    it("Should settle repayments against the borrower's debt", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("400"), borrower.address);
+      await pool.connect(vaultSigner).repay(token, borrower.address, ethers.parseEther("150"));
+
+      expect(await pool.getUserDebt(token, vaultSigner.address, borrower.address))
+        .to.be.closeTo(ethers.parseEther("250"), ethers.parseEther("0.001"));
+      expect(await pool.supplyBalances(token, vaultSigner.address)).to.equal(ethers.parseEther("750"));
+    });
+
+    it("Should keep a borrower's debt to each vault separate", async function () {
+      const { pool, asset, token, vaultSigner, borrower, other } = await loadFixture(deployPoolFixture);
+
+      // A second vault lending to the same borrower
+      await pool.registerVault(other.address, true);
+      await asset.mint(other.address, ethers.parseEther("2000"));
+      await asset.connect(other).approve(await pool.getAddress(), ethers.MaxUint256);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(other).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("400"), borrower.address);
+      await pool.connect(other).borrow(token, borrower.address, ethers.parseEther("100"), borrower.address);
+
+      // One vault repaying or writing off the borrower's debt leaves the other vault's claim intact
+      await pool.connect(other).repay(token, borrower.address, ethers.parseEther("400"));
+      expect(await pool.getUserDebt(token, other.address, borrower.address)).to.equal(0);
+      expect(await pool.getUserDebt(token, vaultSigner.address, borrower.address))
+        .to.be.closeTo(ethers.parseEther("400"), ethers.parseEther("0.001"));
+
+      await pool.connect(other).writeOffDebt(token, borrower.address);
+      expect(await pool.getUserDebt(token, vaultSigner.address, borrower.address))
+        .to.be.closeTo(ethers.parseEther("400"), ethers.parseEther("0.001"));
+    });
+  });
+
+  describe("Interest", function () {
+    it("Should accrue borrower interest through the borrow index", async function () {
+      const { pool, token, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("500"), borrower.address);
+
+      const ratePerSecond = (await pool.getReserveData(token)).borrowRate;
+      await time.increase(365 * 24 * 60 * 60);
+
+      // Compounded every second, so a year of interest is close to continuous compounding
+      const growth = Math.exp((Number(ratePerSecond) * 31536000) / 1e18) - 1;
+      const expectedInterest = ethers.parseEther((500 * growth).toFixed(18));
+      expect(await pool.calculateInterest(token, vaultSigner.address, borrower.address))
+        .to.be.closeTo(expectedInterest, expectedInterest / 1000n);
+
+      await pool.updateReserveData(token);
+      const reserve = await pool.getReserveData(token);
+      expect(reserve.totalBorrows).to.be.closeTo(ethers.parseEther("500") + expectedInterest, expectedInterest / 1000n);
+      // Vaults take the reserve cut, so the pool passes all of the interest on to them
+      const interest = reserve.totalBorrows - ethers.parseEther("500");
+      expect(reserve.totalSupply).to.equal(ethers.parseEther("1000") + interest);
+    });
+
+    it("Should report interest per user", async function () {
+      const { pool, token, vaultSigner, borrower, other } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      await pool.connect(vaultSigner).borrow(token, borrower.address, ethers.parseEther("500"), borrower.address);
+      await time.increase(30 * 24 * 60 * 60);
+
+      expect(await pool.calculateInterest(token, vaultSigner.address, borrower.address)).to.be.gt(0);
+      expect(await pool.calculateInterest(token, vaultSigner.address, other.address)).to.equal(0);
+    });
+
+    it("Should emit real reserve figures after each action", async function () {
+      const { pool, token, interestModel, vaultSigner, borrower } = await loadFixture(deployPoolFixture);
+
+      await pool.connect(vaultSigner).deposit(token, ethers.parseEther("1000"));
+      const cash = ethers.parseEther("600");
+      const borrows = ethers.parseEther("400");
+
+      await expect(pool.connect(vaultSigner).borrow(token, borrower.address, borrows, borrower.address))
+        .to.emit(pool, "ReserveDataUpdated")
+        .withArgs(
+          token,
+          ethers.parseEther("1000"),
+          borrows,
+          await interestModel.utilizationRate(cash, borrows, 0),
+          await interestModel.getBorrowRatePerSecond(cash, borrows, 0),
+          await interestModel.getSupplyRatePerSecond(cash, borrows, 0, 0)
+        );
+    });
+  });
+
+  describe("Vault Integration", function () {
+    async function deployVaultWithPoolFixture() {
+      const [owner, lender, borrower, liquidator] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+      const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const oracle = await MockPriceOracle.deploy();
+      await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+
+      const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+      const interestModel = await InterestRateModel.deploy(
+        ethers.parseEther("0.02"),
+        ethers.parseEther("0.1"),
+        ethers.parseEther("0.5"),
+        ethers.parseEther("0.8")
+      );
+
+      const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+      const vault = await SafeLendVault.deploy(
+        await asset.getAddress(),
+        await collateral.getAddress(),
+        await interestModel.getAddress(),
+        await oracle.getAddress(),
+        "SafeLend Vault Token",
+        "svMTK"
+      );
+
+      const LendingPool = await ethers.getContractFactory("LendingPool");
+      const pool = await LendingPool.deploy();
+      await pool.initReserve(await asset.getAddress(), await interestModel.getAddress(), NO_CAPS);
+      await pool.registerVault(await vault.getAddress(), true);
+
+      for (const user of [lender, borrower, liquidator]) {
+        await asset.mint(user.address, ethers.parseEther("100000"));
+        await asset.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+      }
+      await collateral.mint(borrower.address, ethers.parseEther("10"));
+      await collateral.connect(borrower).approve(await vault.getAddress(), ethers.MaxUint256);
+
+      const token = await asset.getAddress();
+      return { vault, pool, asset, token, collateral, oracle, owner, lender, borrower, liquidator };
+    }
+
+    it("Should move existing cash into the pool when attached", async function () {
+      const { vault, pool, token, asset, lender } = await loadFixture(deployVaultWithPoolFixture);
+
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+      await expect(vault.setLendingPool(await pool.getAddress()))
+        .to.emit(vault, "LendingPoolUpdated")
+        .withArgs(await pool.getAddress());
+
+      expect(await asset.balanceOf(await vault.getAddress())).to.equal(0);
+      expect(await asset.balanceOf(await pool.getAddress())).to.equal(ethers.parseEther("1000"));
+      expect(await pool.supplyBalances(token, await vault.getAddress())).to.equal(ethers.parseEther("1000"));
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should reject a pool without the asset's reserve or a second pool", async function () {
+      const { vault, pool } = await loadFixture(deployVaultWithPoolFixture);
+
+      const LendingPool = await ethers.getContractFactory("LendingPool");
+      const otherPool = await LendingPool.deploy();
+      await expect(vault.setLendingPool(await otherPool.getAddress()))
+        .to.be.revertedWithCustomError(vault, "InactiveLendingPoolReserve");
+
+      await vault.setLendingPool(await pool.getAddress());
+      await expect(vault.setLendingPool(await pool.getAddress()))
+        .to.be.revertedWithCustomError(vault, "LendingPoolAlreadySet");
+    });
+
+    it("Should route deposits, borrows, repayments and withdrawals through the pool", async function () {
+      const { vault, pool, token, asset, lender, borrower } = await loadFixture(deployVaultWithPoolFixture);
+      const vaultAddress = await vault.getAddress();
+      const poolAddress = await pool.getAddress();
+
+      await vault.setLendingPool(poolAddress);
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+      expect(await asset.balanceOf(poolAddress)).to.equal(ethers.parseEther("1000"));
+
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("1"));
+      await vault.connect(borrower).borrow(ethers.parseEther("500"));
+      expect(await asset.balanceOf(poolAddress)).to.equal(ethers.parseEther("500"));
+      expect(await pool.getUserDebt(token, vaultAddress, borrower.address)).to.equal(ethers.parseEther("500"));
+
+      await vault.connect(borrower).repay(ethers.parseEther("200"));
+      expect(await asset.balanceOf(poolAddress)).to.equal(ethers.parseEther("700"));
+      expect(await pool.getUserDebt(token, await vault.getAddress(), borrower.address)).to.be.closeTo(
+        await vault.getUserDebt(borrower.address),
+        ethers.parseEther("0.000001")
+      );
+
+      await vault.connect(lender).withdraw(ethers.parseEther("600"), lender.address, lender.address);
+      expect(await asset.balanceOf(poolAddress)).to.equal(ethers.parseEther("100"));
+      expect(await asset.balanceOf(vaultAddress)).to.equal(0);
+    });
+
+    it("Should cap borrows and withdrawals at the vault's pool balance", async function () {
+      const { vault, pool, lender, borrower } = await loadFixture(deployVaultWithPoolFixture);
+
+      await vault.setLendingPool(await pool.getAddress());
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("1"));
+      await vault.connect(borrower).borrow(ethers.parseEther("900"));
+
+      expect(await vault.maxWithdraw(lender.address)).to.equal(ethers.parseEther("100"));
+      await expect(vault.connect(borrower).borrow(ethers.parseEther("101")))
+        .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+    });
+
+    it("Should charge vault borrowers the pool's rate", async function () {
+      const { vault, pool, token, lender, borrower } = await loadFixture(deployVaultWithPoolFixture);
+
+      await vault.setLendingPool(await pool.getAddress());
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("1"));
+      await vault.connect(borrower).borrow(ethers.parseEther("500"));
+
+      expect(await vault.getBorrowRatePerSecond()).to.equal((await pool.getReserveData(token)).borrowRate);
+
+      await time.increase(30 * 24 * 60 * 60);
+      const poolDebt = await pool.getUserDebt(token, await vault.getAddress(), borrower.address);
+      expect(await vault.getUserDebt(borrower.address)).to.be.closeTo(poolDebt, ethers.parseEther("0.000001"));
+
+      await vault.accrueInterest();
+      expect(await vault.getUserDebt(borrower.address)).to.be.closeTo(
+        await pool.getUserDebt(token, await vault.getAddress(), borrower.address),
+        ethers.parseEther("0.000001")
+      );
+      expect(await vault.getUserDebt(borrower.address)).to.be.gt(ethers.parseEther("500"));
+    });
+
+    it("Should keep withdrawals and repayments working after years of accrual", async function () {
+      const { vault, pool, token, asset, lender, borrower } = await loadFixture(deployVaultWithPoolFixture);
+      const poolAddress = await pool.getAddress();
+
+      await vault.setLendingPool(poolAddress);
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("5"));
+      await vault.connect(borrower).borrow(ethers.parseEther("900"));
+      await time.increase(10 * 365 * 24 * 60 * 60);
+
+      await vault.accrueInterest();
+      await vault.connect(borrower).repay((await vault.getUserDebt(borrower.address)) - ethers.parseEther("1"));
+      await vault.connect(lender).redeem(await vault.maxRedeem(lender.address), lender.address, lender.address);
+      await vault.connect(borrower).repay(ethers.MaxUint256);
+
+      expect(await vault.getUserDebt(borrower.address)).to.equal(0);
+      // The pool indexes the debt on its own, so only rounding dust may be left there
+      expect(await pool.getUserDebt(token, await vault.getAddress(), borrower.address)).to.be.lte(
+        ethers.parseEther("0.000001")
+      );
+      // Everything the lender has left is withdrawable, and the pool still holds the vault's reserves
+      expect(await vault.maxRedeem(lender.address)).to.equal(await vault.balanceOf(lender.address));
+      expect(await asset.balanceOf(poolAddress)).to.be.gte(await vault.totalReserves());
+      expect((await pool.getReserveData(token)).totalBorrows).to.be.lte(ethers.parseEther("0.000001"));
+    });
+
+    it("Should serve flash loans out of the pool balance", async function () {
+      const { vault, pool, asset, token, lender } = await loadFixture(deployVaultWithPoolFixture);
+      const poolAddress = await pool.getAddress();
+
+      await vault.setLendingPool(poolAddress);
+      await vault.connect(lender).deposit(ethers.parseEther("1000"), lender.address);
+
+      const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+      const flashBorrower = await MockFlashBorrower.deploy(await vault.getAddress());
+      await asset.mint(await flashBorrower.getAddress(), ethers.parseEther("1"));
+
+      await flashBorrower.flashBorrow(token, ethers.parseEther("1000"), "0x");
+
+      const fee = ethers.parseEther("0.9");
+      expect(await asset.balanceOf(poolAddress)).to.equal(ethers.parseEther("1000") + fee);
+      expect(await pool.supplyBalances(token, await vault.getAddress())).to.equal(ethers.parseEther("1000") + fee);
+      expect(await vault.totalReserves()).to.equal(fee);
+    });
+
+    it("Should settle pool debt when a position is liquidated", async function () {
+      const { vault, pool, token, oracle, collateral, lender, borrower, liquidator } =
+        await loadFixture(deployVaultWithPoolFixture);
+
+      await vault.setLendingPool(await pool.getAddress());
+      await vault.connect(lender).deposit(ethers.parseEther("2000"), lender.address);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("1"));
+      await vault.connect(borrower).borrow(ethers.parseEther("1400"));
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1500"));
+      await vault.connect(liquidator).liquidate(borrower.address, ethers.MaxUint256, liquidator.address);
+
+      expect(await pool.getUserDebt(token, await vault.getAddress(), borrower.address)).to.be.closeTo(
+        await vault.getUserDebt(borrower.address),
+        ethers.parseEther("0.000001")
+      );
+    });
+
+    it("Should write off bad debt in the pool", async function () {
+      const { vault, pool, token, oracle, collateral, lender, borrower, liquidator } =
+        await loadFixture(deployVaultWithPoolFixture);
+      const vaultAddress = await vault.getAddress();
+
+      await vault.setLendingPool(await pool.getAddress());
+      await vault.connect(lender).deposit(ethers.parseEther("2000"), lender.address);
+      await vault.connect(borrower).depositCollateral(ethers.parseEther("1"));
+      await vault.connect(borrower).borrow(ethers.parseEther("1400"));
+
+      // $500 of collateral leaves most of the debt uncovered
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("500"));
+      await expect(vault.connect(liquidator).liquidate(borrower.address, ethers.MaxUint256, liquidator.address))
+        .to.emit(pool, "DebtWrittenOff");
+
+      const reserve = await pool.getReserveData(token);
+      expect(await pool.getUserDebt(token, vaultAddress, borrower.address)).to.equal(0);
+      expect(reserve.totalBorrows).to.be.closeTo(0n, 1000n);
+      expect(await pool.supplyBalances(token, vaultAddress)).to.equal(reserve.availableLiquidity);
+    });
+
+    it("Should only let registered vaults write off debt", async function () {
+      const { pool, token, borrower } = await loadFixture(deployVaultWithPoolFixture);
+
+      await expect(pool.writeOffDebt(token, borrower.address)).to.be.revertedWith("Caller is not a registered vault");
+    });
+  });
+});
\ No newline at end of file
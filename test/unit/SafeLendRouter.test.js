@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("SafeLendRouter", function () {
+  async function deployRouterFixture() {
+    const [owner, alice, bob, charlie] = await ethers.getSigners();
+
+    const MockERC20Permit = await ethers.getContractFactory("MockERC20Permit");
+    const asset = await MockERC20Permit.deploy("USD Coin", "USDC");
+    const collateral = await MockERC20Permit.deploy("Wrapped Ether", "WETH");
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+
+    const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
+
+    const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+    const vault = await SafeLendVault.deploy(
+      await asset.getAddress(),
+      await collateral.getAddress(),
+      await interestModel.getAddress(),
+      await oracle.getAddress(),
+      "SafeLend USDC Vault",
+      "svUSDC"
+    );
+
+    const MockPermit2 = await ethers.getContractFactory("MockPermit2");
+    const permit2 = await MockPermit2.deploy();
+
+    const SafeLendRouter = await ethers.getContractFactory("SafeLendRouter");
+    const router = await SafeLendRouter.deploy(await permit2.getAddress());
+
+    await asset.mint(alice.address, ethers.parseEther("100000"));
+    await asset.mint(bob.address, ethers.parseEther("100000"));
+    await collateral.mint(alice.address, ethers.parseEther("10"));
+
+    // Bob supplies liquidity, alice borrows 1000 against 1 WETH
+    await asset.connect(bob).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(bob).deposit(ethers.parseEther("10000"), bob.address);
+    await collateral.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+    await vault.connect(alice).depositCollateral(ethers.parseEther("1"));
+    await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+    return { router, permit2, vault, asset, collateral, owner, alice, bob, charlie };
+  }
+
+  async function signPermit(token, owner, spender, value, deadline) {
+    const domain = {
+      name: await token.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await token.getAddress()
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const message = { owner: owner.address, spender, value, nonce: await token.nonces(owner.address), deadline };
+    return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+  }
+
+  async function signPermit2(permit2, owner, spender, permit) {
+    const domain = {
+      name: "Permit2",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await permit2.getAddress()
+    };
+    const types = {
+      PermitTransferFrom: [
+        { name: "permitted", type: "TokenPermissions" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ],
+      TokenPermissions: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint256" }
+      ]
+    };
+    return owner.signTypedData(domain, types, { ...permit, spender });
+  }
+
+  describe("EIP-2612 permits", function () {
+    it("Should deposit with a permit instead of an approval", async function () {
+      const { router, vault, asset, alice, charlie } = await loadFixture(deployRouterFixture);
+      const routerAddress = await router.getAddress();
+      const amount = ethers.parseEther("500");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(asset, alice, routerAddress, amount, deadline);
+
+      await expect(
+        router.connect(alice).depositWithPermit(await vault.getAddress(), amount, charlie.address, deadline, v, r, s)
+      ).to.emit(vault, "Deposit")
+        .withArgs(routerAddress, charlie.address, amount, anyValue);
+
+      expect(await vault.maxWithdraw(charlie.address)).to.be.closeTo(amount, 1n);
+      expect(await asset.balanceOf(routerAddress)).to.equal(0);
+    });
+
+    it("Should still deposit when the permit was front-run", async function () {
+      const { router, vault, asset, alice } = await loadFixture(deployRouterFixture);
+      const routerAddress = await router.getAddress();
+      const amount = ethers.parseEther("500");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(asset, alice, routerAddress, amount, deadline);
+
+      await asset.permit(alice.address, routerAddress, amount, deadline, v, r, s);
+      await router.connect(alice).depositWithPermit(await vault.getAddress(), amount, alice.address, deadline, v, r, s);
+
+      expect(await vault.maxWithdraw(alice.address)).to.be.closeTo(amount, 1n);
+    });
+
+    it("Should reject invalid permits", async function () {
+      const { router, vault, asset, alice, bob } = await loadFixture(deployRouterFixture);
+      const amount = ethers.parseEther("500");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(asset, bob, await router.getAddress(), amount, deadline);
+
+      await expect(
+        router.connect(alice).depositWithPermit(await vault.getAddress(), amount, alice.address, deadline, v, r, s)
+      ).to.be.revertedWith("Permit failed");
+    });
+
+    it("Should deposit collateral with a permit", async function () {
+      const { router, vault, collateral, alice } = await loadFixture(deployRouterFixture);
+      const routerAddress = await router.getAddress();
+      const amount = ethers.parseEther("2");
+      const deadline = (await time.latest()) + 3600;
+      await collateral.connect(alice).approve(await vault.getAddress(), 0);
+      const { v, r, s } = await signPermit(collateral, alice, routerAddress, amount, deadline);
+
+      const vaultAddress = await vault.getAddress();
+      await expect(router.connect(alice).depositCollateralWithPermit(vaultAddress, amount, deadline, v, r, s))
+        .to.emit(vault, "CollateralDeposited")
+        .withArgs(alice.address, amount);
+
+      expect((await vault.getPosition(alice.address)).collateralAmount).to.equal(ethers.parseEther("3"));
+      expect(await collateral.balanceOf(routerAddress)).to.equal(0);
+    });
+
+    it("Should repay no more than the debt with a permit", async function () {
+      const { router, vault, asset, alice } = await loadFixture(deployRouterFixture);
+      const amount = ethers.parseEther("1100");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(asset, alice, await router.getAddress(), amount, deadline);
+
+      const balanceBefore = await asset.balanceOf(alice.address);
+      await router.connect(alice).repayWithPermit(await vault.getAddress(), amount, deadline, v, r, s);
+
+      const paid = balanceBefore - (await asset.balanceOf(alice.address));
+      expect(paid).to.be.closeTo(ethers.parseEther("1000"), ethers.parseEther("0.01"));
+      expect(await vault.getUserDebt(alice.address)).to.equal(0);
+    });
+
+    it("Should reject repayments without debt", async function () {
+      const { router, vault, asset, bob } = await loadFixture(deployRouterFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signPermit(asset, bob, await router.getAddress(), 1n, deadline);
+
+      await expect(router.connect(bob).repayWithPermit(await vault.getAddress(), 1n, deadline, v, r, s))
+        .to.be.revertedWith("No debt to repay");
+    });
+  });
+
+  describe("Permit2", function () {
+    async function permit2Fixture() {
+      const system = await deployRouterFixture();
+      const { permit2, asset, alice } = system;
+      await asset.connect(alice).approve(await permit2.getAddress(), ethers.MaxUint256);
+      return system;
+    }
+
+    it("Should deposit through a Permit2 signature", async function () {
+      const { router, permit2, vault, asset, alice } = await loadFixture(permit2Fixture);
+      const amount = ethers.parseEther("300");
+      const permit = {
+        permitted: { token: await asset.getAddress(), amount },
+        nonce: 0,
+        deadline: (await time.latest()) + 3600
+      };
+      const signature = await signPermit2(permit2, alice, await router.getAddress(), permit);
+
+      const vaultAddress = await vault.getAddress();
+      await router.connect(alice).depositWithPermit2(vaultAddress, amount, alice.address, permit, signature);
+      expect(await vault.maxWithdraw(alice.address)).to.be.closeTo(amount, 1n);
+
+      // Permit2 nonces are single use
+      await expect(router.connect(alice).depositWithPermit2(vaultAddress, amount, alice.address, permit, signature))
+        .to.be.revertedWith("Invalid nonce");
+    });
+
+    it("Should repay through a Permit2 signature", async function () {
+      const { router, permit2, vault, asset, alice } = await loadFixture(permit2Fixture);
+      const permit = {
+        permitted: { token: await asset.getAddress(), amount: ethers.parseEther("400") },
+        nonce: 7,
+        deadline: (await time.latest()) + 3600
+      };
+      const signature = await signPermit2(permit2, alice, await router.getAddress(), permit);
+
+      const vaultAddress = await vault.getAddress();
+      await router.connect(alice).repayWithPermit2(vaultAddress, permit.permitted.amount, permit, signature);
+      expect(await vault.getUserDebt(alice.address))
+        .to.be.closeTo(ethers.parseEther("600"), ethers.parseEther("0.01"));
+    });
+
+    it("Should deposit collateral through a Permit2 signature", async function () {
+      const { router, permit2, vault, asset, collateral, alice } = await loadFixture(permit2Fixture);
+      await collateral.connect(alice).approve(await permit2.getAddress(), ethers.MaxUint256);
+      const amount = ethers.parseEther("2");
+      const permit = {
+        permitted: { token: await collateral.getAddress(), amount },
+        nonce: 0,
+        deadline: (await time.latest()) + 3600
+      };
+      const signature = await signPermit2(permit2, alice, await router.getAddress(), permit);
+
+      const vaultAddress = await vault.getAddress();
+      await router.connect(alice).depositCollateralWithPermit2(vaultAddress, amount, permit, signature);
+      expect((await vault.getPosition(alice.address)).collateralAmount).to.equal(ethers.parseEther("3"));
+
+      // A permit for the debt asset cannot be spent as collateral
+      const assetPermit = { ...permit, permitted: { token: await asset.getAddress(), amount }, nonce: 1 };
+      const assetSignature = await signPermit2(permit2, alice, await router.getAddress(), assetPermit);
+      await expect(
+        router.connect(alice).depositCollateralWithPermit2(vaultAddress, amount, assetPermit, assetSignature)
+      ).to.be.revertedWith("Permit token mismatch");
+    });
+
+    it("Should reject a permit for another token", async function () {
+      const { router, permit2, vault, collateral, alice } = await loadFixture(permit2Fixture);
+      const permit = {
+        permitted: { token: await collateral.getAddress(), amount: 1n },
+        nonce: 0,
+        deadline: (await time.latest()) + 3600
+      };
+      const signature = await signPermit2(permit2, alice, await router.getAddress(), permit);
+
+      const vaultAddress = await vault.getAddress();
+      await expect(router.connect(alice).depositWithPermit2(vaultAddress, 1n, alice.address, permit, signature))
+        .to.be.revertedWith("Permit token mismatch");
+    });
+  });
+});
\ No newline at end of file
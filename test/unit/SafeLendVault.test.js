@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("SafeLendVault", function () {
   async function deployVaultFixture() {
@@ -8,14 +8,27 @@ describe("SafeLendVault", function () {
 
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+    const collateral = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("1"));
+    await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
 
     const InterestRateModel = await ethers.getContractFactory("InterestRateModel");
-    const interestModel = await InterestRateModel.deploy();
+    const interestModel = await InterestRateModel.deploy(
+      ethers.parseEther("0.02"),
+      ethers.parseEther("0.1"),
+      ethers.parseEther("0.5"),
+      ethers.parseEther("0.8")
+    );
 
     const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
     const vault = await SafeLendVault.deploy(
       await asset.getAddress(),
+      await collateral.getAddress(),
       await interestModel.getAddress(),
+      await oracle.getAddress(),
       "SafeLend Vault Token",
       "svMTK"
     );
@@ -27,7 +40,26 @@ describe("SafeLendVault", function () {
     await asset.mint(charlie.address, mintAmount);
     await asset.mint(liquidator.address, mintAmount);
 
-    return { vault, asset, interestModel, owner, alice, bob, charlie, liquidator };
+    const collateralMintAmount = ethers.parseEther("1000");
+    await collateral.mint(alice.address, collateralMintAmount);
+    await collateral.mint(bob.address, collateralMintAmount);
+    await collateral.mint(charlie.address, collateralMintAmount);
+
+    return { vault, asset, collateral, oracle, interestModel, owner, alice, bob, charlie, liquidator };
+  }
+
+  // Bob supplies the liquidity that alice borrows against her WETH collateral
+  async function supplyLiquidity(vault, asset, lender, amount) {
+    await asset.connect(lender).approve(await vault.getAddress(), amount);
+    await vault.connect(lender).deposit(amount, lender.address);
+  }
+
+  // Shares carry 6 extra decimals of virtual offset over the underlying
+  const SHARE_OFFSET = 10n ** 6n;
+
+  async function depositCollateral(vault, collateral, user, amount) {
+    await collateral.connect(user).approve(await vault.getAddress(), amount);
+    await vault.connect(user).depositCollateral(amount);
   }
 
   describe("Deployment", function () {
@@ -36,6 +68,11 @@ describe("SafeLendVault", function () {
       expect(await vault.asset()).to.equal(await asset.getAddress());
     });
 
+    it("Should set the correct collateral token", async function () {
+      const { vault, collateral } = await loadFixture(deployVaultFixture);
+      expect(await vault.collateralAsset()).to.equal(await collateral.getAddress());
+    });
+
     it("Should set correct roles", async function () {
       const { vault, owner } = await loadFixture(deployVaultFixture);
       const ADMIN_ROLE = await vault.ADMIN_ROLE();
@@ -43,11 +80,26 @@ describe("SafeLendVault", function () {
     });
 
     it("Should initialize with correct config", async function () {
-      const { vault } = await loadFixture(deployVaultFixture);
+      const { vault, oracle } = await loadFixture(deployVaultFixture);
       const config = await vault.config();
       expect(config.collateralFactor).to.equal(ethers.parseEther("0.75"));
       expect(config.liquidationThreshold).to.equal(ethers.parseEther("0.8"));
       expect(config.liquidationBonus).to.equal(ethers.parseEther("0.05"));
+      expect(config.oracle).to.equal(await oracle.getAddress());
+    });
+
+    it("Should reject the borrowed asset as collateral", async function () {
+      const { asset, oracle, interestModel } = await loadFixture(deployVaultFixture);
+      const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+
+      await expect(SafeLendVault.deploy(
+        await asset.getAddress(),
+        await asset.getAddress(),
+        await interestModel.getAddress(),
+        await oracle.getAddress(),
+        "SafeLend Vault Token",
+        "svMTK"
+      )).to.be.revertedWithCustomError(SafeLendVault, "CollateralIsAsset");
     });
   });
 
@@ -55,19 +107,32 @@ describe("SafeLendVault", function () {
     it("Should allow deposits and mint shares", async function () {
       const { vault, asset, alice } = await loadFixture(deployVaultFixture);
       const depositAmount = ethers.parseEther("100");
+      const expectedShares = depositAmount * SHARE_OFFSET;
 
       await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await expect(vault.connect(alice).deposit(depositAmount))
+      await expect(vault.connect(alice).deposit(depositAmount, alice.address))
         .to.emit(vault, "Deposit")
-        .withArgs(alice.address, depositAmount, depositAmount);
+        .withArgs(alice.address, alice.address, depositAmount, expectedShares);
+
+      expect(await vault.balanceOf(alice.address)).to.equal(expectedShares);
+      expect(await vault.totalAssets()).to.equal(depositAmount);
+    });
+
+    it("Should mint shares to the receiver", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
+      await vault.connect(alice).deposit(depositAmount, bob.address);
 
-      expect(await vault.balanceOf(alice.address)).to.equal(depositAmount);
+      expect(await vault.balanceOf(alice.address)).to.equal(0);
+      expect(await vault.balanceOf(bob.address)).to.equal(depositAmount * SHARE_OFFSET);
     });
 
     it("Should revert on zero deposit", async function () {
       const { vault, alice } = await loadFixture(deployVaultFixture);
-      await expect(vault.connect(alice).deposit(0))
-        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(vault.connect(alice).deposit(0, alice.address))
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
     });
 
     it("Should calculate shares correctly for subsequent deposits", async function () {
@@ -76,12 +141,42 @@ describe("SafeLendVault", function () {
       const secondDeposit = ethers.parseEther("50");
 
       await asset.connect(alice).approve(await vault.getAddress(), firstDeposit);
-      await vault.connect(alice).deposit(firstDeposit);
+      await vault.connect(alice).deposit(firstDeposit, alice.address);
 
       await asset.connect(bob).approve(await vault.getAddress(), secondDeposit);
-      await vault.connect(bob).deposit(secondDeposit);
+      await vault.connect(bob).deposit(secondDeposit, bob.address);
+
+      expect(await vault.balanceOf(bob.address)).to.equal(secondDeposit * SHARE_OFFSET);
+    });
+
+    it("Should not count supplied assets as collateral", async function () {
+      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+      await supplyLiquidity(vault, asset, alice, ethers.parseEther("100"));
+
+      const position = await vault.getPosition(alice.address);
+      expect(position.collateralAmount).to.equal(0);
+      expect(await vault.getMaxBorrow(alice.address)).to.equal(0);
+    });
+  });
+
+  describe("Mint", function () {
+    it("Should mint an exact amount of shares", async function () {
+      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+      const shares = ethers.parseEther("100") * SHARE_OFFSET;
+      const assets = await vault.previewMint(shares);
+
+      await asset.connect(alice).approve(await vault.getAddress(), assets);
+      await expect(vault.connect(alice).mint(shares, alice.address))
+        .to.emit(vault, "Deposit")
+        .withArgs(alice.address, alice.address, assets, shares);
+
+      expect(await vault.balanceOf(alice.address)).to.equal(shares);
+    });
 
-      expect(await vault.balanceOf(bob.address)).to.equal(secondDeposit);
+    it("Should revert on zero mint", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      await expect(vault.connect(alice).mint(0, alice.address))
+        .to.be.revertedWithCustomError(vault, "ZeroShares");
     });
   });
 
@@ -91,45 +186,231 @@ describe("SafeLendVault", function () {
       const depositAmount = ethers.parseEther("100");
 
       await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await vault.connect(alice).deposit(depositAmount, alice.address);
 
       const shares = await vault.balanceOf(alice.address);
-      await expect(vault.connect(alice).withdraw(shares))
+      await expect(vault.connect(alice).withdraw(depositAmount, alice.address, alice.address))
         .to.emit(vault, "Withdraw")
-        .withArgs(alice.address, depositAmount, shares);
+        .withArgs(alice.address, alice.address, alice.address, depositAmount, shares);
 
       expect(await vault.balanceOf(alice.address)).to.equal(0);
     });
 
     it("Should revert on insufficient shares", async function () {
       const { vault, alice } = await loadFixture(deployVaultFixture);
-      await expect(vault.connect(alice).withdraw(ethers.parseEther("100")))
-        .to.be.revertedWith("Insufficient shares");
+      await expect(vault.connect(alice).withdraw(ethers.parseEther("100"), alice.address, alice.address))
+        .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxWithdraw");
     });
 
-    it("Should prevent withdrawal that makes position undercollateralized", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+    it("Should prevent withdrawing liquidity that is lent out", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      expect(await vault.maxWithdraw(bob.address)).to.equal(ethers.parseEther("50"));
+      await expect(vault.connect(bob).withdraw(ethers.parseEther("60"), bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxWithdraw");
+    });
+
+    it("Should require an allowance to withdraw for another owner", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
       const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+      await supplyLiquidity(vault, asset, alice, depositAmount);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
+      await expect(vault.connect(bob).withdraw(depositAmount, bob.address, alice.address))
+        .to.be.revertedWithCustomError(vault, "ERC20InsufficientAllowance");
+
+      const shares = await vault.previewWithdraw(depositAmount);
+      await vault.connect(alice).approve(bob.address, shares);
+
+      const balanceBefore = await asset.balanceOf(bob.address);
+      await vault.connect(bob).withdraw(depositAmount, bob.address, alice.address);
+
+      expect(await asset.balanceOf(bob.address)).to.equal(balanceBefore + depositAmount);
+      expect(await vault.balanceOf(alice.address)).to.equal(0);
+      expect(await vault.allowance(alice.address, bob.address)).to.equal(0);
+    });
+  });
+
+  describe("Redeem", function () {
+    it("Should redeem shares for assets", async function () {
+      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+      const depositAmount = ethers.parseEther("100");
+      await supplyLiquidity(vault, asset, alice, depositAmount);
 
       const shares = await vault.balanceOf(alice.address);
-      await expect(vault.connect(alice).withdraw(shares))
-        .to.be.revertedWith("Withdrawal would make position undercollateralized");
+      const balanceBefore = await asset.balanceOf(alice.address);
+
+      await expect(vault.connect(alice).redeem(shares, alice.address, alice.address))
+        .to.emit(vault, "Withdraw")
+        .withArgs(alice.address, alice.address, alice.address, depositAmount, shares);
+
+      expect(await asset.balanceOf(alice.address)).to.equal(balanceBefore + depositAmount);
+    });
+
+    it("Should cap redemptions at available liquidity", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      const maxRedeem = await vault.maxRedeem(bob.address);
+      expect(await vault.previewRedeem(maxRedeem)).to.be.lte(ethers.parseEther("50"));
+
+      const shares = await vault.balanceOf(bob.address);
+      await expect(vault.connect(bob).redeem(shares, bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem");
+    });
+
+    it("Should revert on zero redeem", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      await expect(vault.connect(alice).redeem(0, alice.address, alice.address))
+        .to.be.revertedWithCustomError(vault, "ZeroShares");
+    });
+  });
+
+  describe("ERC-4626 Accounting", function () {
+    it("Should report totalAssets including outstanding borrows", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      expect(await vault.totalAssets()).to.be.gte(ethers.parseEther("100"));
+    });
+
+    it("Should include pending interest in totalAssets", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      await time.increase(30 * 24 * 60 * 60);
+      const previewed = await vault.totalAssets();
+      expect(previewed).to.be.gt(ethers.parseEther("100"));
+
+      // Accruing in the next block adds one more second of interest on top of the preview
+      await vault.accrueInterest();
+      expect(await vault.totalAssets()).to.be.gte(previewed);
+      expect(await vault.totalAssets()).to.be.closeTo(previewed, ethers.parseEther("0.0001"));
+    });
+
+    it("Should round conversions in favor of the vault", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+      await time.increase(30 * 24 * 60 * 60);
+      await vault.accrueInterest();
+
+      const assets = 1000n;
+      // Depositing and redeeming round down, minting and withdrawing round up
+      expect(await vault.previewDeposit(assets)).to.equal(await vault.convertToShares(assets));
+      expect(await vault.previewWithdraw(assets)).to.be.gt(await vault.convertToShares(assets));
+
+      const shares = 10n ** 9n + 1n;
+      expect(await vault.previewRedeem(shares)).to.equal(await vault.convertToAssets(shares));
+      expect(await vault.previewMint(shares)).to.be.gt(await vault.convertToAssets(shares));
+    });
+
+    it("Should report zero deposit limits while paused", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      expect(await vault.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+
+      await vault.pause();
+      expect(await vault.maxDeposit(alice.address)).to.equal(0);
+      expect(await vault.maxMint(alice.address)).to.equal(0);
+    });
+
+    it("Should use underlying decimals plus the share offset", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      expect(await vault.decimals()).to.equal(24);
+    });
+
+    it("Should protect the first depositor against share inflation", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
+
+      // Attacker opens the vault with 1 wei and donates a large amount to inflate the share price
+      await supplyLiquidity(vault, asset, bob, 1n);
+      await asset.connect(bob).transfer(await vault.getAddress(), ethers.parseEther("10000"));
+
+      const victimDeposit = ethers.parseEther("100");
+      await supplyLiquidity(vault, asset, alice, victimDeposit);
+      expect(await vault.balanceOf(alice.address)).to.be.gt(0);
+
+      // The victim keeps nearly all of the deposit and the attacker cannot recover the donation
+      const victimAssets = await vault.previewRedeem(await vault.balanceOf(alice.address));
+      expect(victimAssets).to.be.closeTo(victimDeposit, victimDeposit / 1000n);
+
+      const attackerAssets = await vault.previewRedeem(await vault.balanceOf(bob.address));
+      expect(attackerAssets).to.be.lt(ethers.parseEther("10000"));
+    });
+  });
+
+  describe("Collateral", function () {
+    it("Should accept collateral deposits", async function () {
+      const { vault, collateral, alice } = await loadFixture(deployVaultFixture);
+      const amount = ethers.parseEther("1");
+
+      await collateral.connect(alice).approve(await vault.getAddress(), amount);
+      await expect(vault.connect(alice).depositCollateral(amount))
+        .to.emit(vault, "CollateralDeposited")
+        .withArgs(alice.address, amount);
+
+      const position = await vault.getPosition(alice.address);
+      expect(position.collateralAmount).to.equal(amount);
+      expect(await vault.getCollateralValue(alice.address)).to.equal(ethers.parseEther("2000"));
+      expect(await vault.balanceOf(alice.address)).to.equal(0);
+    });
+
+    it("Should allow withdrawing unused collateral", async function () {
+      const { vault, collateral, alice } = await loadFixture(deployVaultFixture);
+      const amount = ethers.parseEther("1");
+
+      await depositCollateral(vault, collateral, alice, amount);
+
+      const balanceBefore = await collateral.balanceOf(alice.address);
+      await expect(vault.connect(alice).withdrawCollateral(amount))
+        .to.emit(vault, "CollateralWithdrawn")
+        .withArgs(alice.address, amount);
+
+      expect(await collateral.balanceOf(alice.address)).to.equal(balanceBefore + amount);
+      expect((await vault.getPosition(alice.address)).collateralAmount).to.equal(0);
+    });
+
+    it("Should revert when withdrawing more collateral than deposited", async function () {
+      const { vault, collateral, alice } = await loadFixture(deployVaultFixture);
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      await expect(vault.connect(alice).withdrawCollateral(ethers.parseEther("2")))
+        .to.be.revertedWithCustomError(vault, "InsufficientCollateral");
+    });
+
+    it("Should prevent withdrawal that makes position undercollateralized", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+      await expect(vault.connect(alice).withdrawCollateral(ethers.parseEther("0.5")))
+        .to.be.revertedWithCustomError(vault, "WithdrawalUndercollateralized");
     });
   });
 
   describe("Borrow", function () {
     it("Should allow borrowing within collateral limits", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+      const borrowAmount = ethers.parseEther("1000");
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
 
       await expect(vault.connect(alice).borrow(borrowAmount))
         .to.emit(vault, "Borrow")
@@ -140,32 +421,34 @@ describe("SafeLendVault", function () {
     });
 
     it("Should revert on exceeding borrow limit", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("80");
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
 
-      await expect(vault.connect(alice).borrow(borrowAmount))
-        .to.be.revertedWith("Borrow amount exceeds allowed");
+      // 1 WETH at $2000 with a 75% collateral factor supports at most 1500 MTK
+      await expect(vault.connect(alice).borrow(ethers.parseEther("1600")))
+        .to.be.revertedWithCustomError(vault, "BorrowExceedsLimit");
     });
 
-    // NOTE: Liquidity check is working correctly, but creating a realistic test scenario
-    // where there's insufficient liquidity is complex. The check is in place and functional.
-    it.skip("Should revert on insufficient liquidity", async function () {
-      // Test skipped - liquidity check logic is correct and working
+    it("Should revert on insufficient liquidity", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      await expect(vault.connect(alice).borrow(ethers.parseEther("150")))
+        .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
     });
   });
 
   describe("Repay", function () {
     it("Should allow repaying borrowed amount", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
       const borrowAmount = ethers.parseEther("50");
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
       await vault.connect(alice).borrow(borrowAmount);
 
       // Approve a larger amount to account for any additional interest accrual
@@ -173,38 +456,33 @@ describe("SafeLendVault", function () {
       await asset.connect(alice).approve(await vault.getAddress(), approveAmount);
 
       // Get total debt just before repaying
-      const positionBefore = await vault.getPosition(alice.address);
-      const totalDebt = positionBefore.borrowedAmount + positionBefore.accumulatedInterest;
+      const totalDebt = await vault.getUserDebt(alice.address);
 
       await expect(vault.connect(alice).repay(totalDebt))
         .to.emit(vault, "Repay");
 
-      const position = await vault.getPosition(alice.address);
-      const remainingDebt = position.borrowedAmount + position.accumulatedInterest;
+      const remainingDebt = await vault.getUserDebt(alice.address);
       // Allow for tiny remaining amounts due to interest accrual timing
       expect(remainingDebt).to.be.lessThan(ethers.parseEther("0.001"));
     });
 
     it("Should handle partial repayments", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
       const borrowAmount = ethers.parseEther("50");
       const repayAmount = ethers.parseEther("20");
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
       await vault.connect(alice).borrow(borrowAmount);
 
       // For partial repayment, just check that debt is reduced by approximately the repay amount
       // (allowing for small interest accrual differences)
-      const positionBefore = await vault.getPosition(alice.address);
-      const totalDebtBefore = positionBefore.borrowedAmount + positionBefore.accumulatedInterest;
+      const totalDebtBefore = await vault.getUserDebt(alice.address);
 
       await asset.connect(alice).approve(await vault.getAddress(), repayAmount);
       await vault.connect(alice).repay(repayAmount);
 
-      const position = await vault.getPosition(alice.address);
-      const totalDebtAfter = position.borrowedAmount + position.accumulatedInterest;
+      const totalDebtAfter = await vault.getUserDebt(alice.address);
 
       // Allow for small differences due to interest accrual timing
       const debtReduction = totalDebtBefore - totalDebtAfter;
@@ -214,25 +492,272 @@ describe("SafeLendVault", function () {
     it("Should revert on zero repayment", async function () {
       const { vault, alice } = await loadFixture(deployVaultFixture);
       await expect(vault.connect(alice).repay(0))
-        .to.be.revertedWith("Amount must be greater than 0");
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
+    });
+  });
+
+  describe("Credit Delegation", function () {
+    // Alice holds the collateral and delegates borrowing to charlie
+    async function delegationFixture() {
+      const system = await deployVaultFixture();
+      const { vault, asset, collateral, alice, bob } = system;
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      return system;
+    }
+
+    async function signDelegation(vault, delegator, delegatee, amount, deadline) {
+      const domain = {
+        name: await vault.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await vault.getAddress()
+      };
+      const types = {
+        Delegation: [
+          { name: "delegator", type: "address" },
+          { name: "delegatee", type: "address" },
+          { name: "amount", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        delegator: delegator.address,
+        delegatee,
+        amount,
+        nonce: await vault.nonces(delegator.address),
+        deadline
+      };
+      return ethers.Signature.from(await delegator.signTypedData(domain, types, message));
+    }
+
+    it("Should let a delegatee borrow against the delegator's collateral", async function () {
+      const { vault, asset, alice, charlie } = await loadFixture(delegationFixture);
+      const allowance = ethers.parseEther("500");
+
+      await expect(vault.connect(alice).approveDelegation(charlie.address, allowance))
+        .to.emit(vault, "BorrowAllowanceDelegated")
+        .withArgs(alice.address, charlie.address, allowance);
+
+      const balanceBefore = await asset.balanceOf(charlie.address);
+      await expect(vault.connect(charlie).borrowOnBehalf(alice.address, ethers.parseEther("200")))
+        .to.emit(vault, "Borrow")
+        .withArgs(alice.address, ethers.parseEther("200"));
+
+      expect(await asset.balanceOf(charlie.address)).to.equal(balanceBefore + ethers.parseEther("200"));
+      expect((await vault.getPosition(alice.address)).borrowedAmount).to.equal(ethers.parseEther("200"));
+      expect((await vault.getPosition(charlie.address)).borrowedAmount).to.equal(0);
+      expect(await vault.borrowAllowance(alice.address, charlie.address)).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should not let a delegatee borrow beyond its allowance", async function () {
+      const { vault, alice, charlie, liquidator } = await loadFixture(delegationFixture);
+      await vault.connect(alice).approveDelegation(charlie.address, ethers.parseEther("100"));
+
+      await expect(vault.connect(charlie).borrowOnBehalf(alice.address, ethers.parseEther("101")))
+        .to.be.revertedWithCustomError(vault, "BorrowAllowanceExceeded");
+      await expect(vault.connect(liquidator).borrowOnBehalf(alice.address, 1n))
+        .to.be.revertedWithCustomError(vault, "BorrowAllowanceExceeded");
+      await expect(vault.connect(alice).approveDelegation(ethers.ZeroAddress, 1n))
+        .to.be.revertedWithCustomError(vault, "InvalidDelegatee");
+    });
+
+    it("Should keep the delegator's position healthy", async function () {
+      const { vault, alice, charlie } = await loadFixture(delegationFixture);
+      await vault.connect(alice).approveDelegation(charlie.address, ethers.MaxUint256);
+
+      // 1 WETH at 2000 with a 75% collateral factor supports 1500
+      await expect(vault.connect(charlie).borrowOnBehalf(alice.address, ethers.parseEther("1501")))
+        .to.be.revertedWithCustomError(vault, "BorrowExceedsLimit");
+      await vault.connect(charlie).borrowOnBehalf(alice.address, ethers.parseEther("1000"));
+
+      // An unlimited allowance is not run down
+      expect(await vault.borrowAllowance(alice.address, charlie.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should let anyone repay a position", async function () {
+      const { vault, asset, alice, charlie } = await loadFixture(delegationFixture);
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+      await asset.connect(charlie).approve(await vault.getAddress(), ethers.MaxUint256);
+      const charlieBalance = await asset.balanceOf(charlie.address);
+
+      await expect(vault.connect(charlie).repayOnBehalf(alice.address, ethers.parseEther("400")))
+        .to.emit(vault, "Repay")
+        .withArgs(alice.address, ethers.parseEther("400"));
+
+      expect(await asset.balanceOf(charlie.address)).to.equal(charlieBalance - ethers.parseEther("400"));
+      expect(await vault.getUserDebt(alice.address))
+        .to.be.closeTo(ethers.parseEther("600"), ethers.parseEther("0.001"));
+    });
+
+    it("Should credit collateral deposited for another account", async function () {
+      const { vault, collateral, alice, charlie } = await loadFixture(delegationFixture);
+      await collateral.connect(charlie).approve(await vault.getAddress(), ethers.parseEther("2"));
+
+      await expect(vault.connect(charlie).depositFor(alice.address, ethers.parseEther("2")))
+        .to.emit(vault, "CollateralDeposited")
+        .withArgs(alice.address, ethers.parseEther("2"));
+
+      expect((await vault.getPosition(alice.address)).collateralAmount).to.equal(ethers.parseEther("3"));
+      expect((await vault.getPosition(charlie.address)).collateralAmount).to.equal(0);
+      await expect(vault.connect(charlie).depositFor(ethers.ZeroAddress, 1n))
+        .to.be.revertedWithCustomError(vault, "InvalidAccount");
+    });
+
+    it("Should accept a delegation signed by the delegator", async function () {
+      const { vault, alice, charlie, liquidator } = await loadFixture(delegationFixture);
+      const amount = ethers.parseEther("250");
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signDelegation(vault, alice, charlie.address, amount, deadline);
+
+      // Anyone can submit the signature
+      await expect(
+        vault.connect(liquidator).delegationWithSig(alice.address, charlie.address, amount, deadline, v, r, s)
+      ).to.emit(vault, "BorrowAllowanceDelegated")
+        .withArgs(alice.address, charlie.address, amount);
+
+      expect(await vault.borrowAllowance(alice.address, charlie.address)).to.equal(amount);
+      expect(await vault.nonces(alice.address)).to.equal(1);
+
+      // Each signature can only be used once
+      await expect(vault.delegationWithSig(alice.address, charlie.address, amount, deadline, v, r, s))
+        .to.be.revertedWithCustomError(vault, "InvalidSignature");
+    });
+
+    it("Should reject expired or forged delegation signatures", async function () {
+      const { vault, alice, charlie } = await loadFixture(delegationFixture);
+      const amount = ethers.parseEther("250");
+      const deadline = (await time.latest()) + 3600;
+
+      const forged = await signDelegation(vault, charlie, charlie.address, amount, deadline);
+      await expect(
+        vault.delegationWithSig(alice.address, charlie.address, amount, deadline, forged.v, forged.r, forged.s)
+      ).to.be.revertedWithCustomError(vault, "InvalidSignature");
+
+      const signature = await signDelegation(vault, alice, charlie.address, amount, deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        vault.delegationWithSig(alice.address, charlie.address, amount, deadline, signature.v, signature.r, signature.s)
+      ).to.be.revertedWithCustomError(vault, "SignatureExpired");
+    });
+
+    it("Should expose the EIP-712 domain separator", async function () {
+      const { vault } = await loadFixture(delegationFixture);
+      const domain = {
+        name: await vault.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await vault.getAddress()
+      };
+
+      expect(await vault.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    });
+  });
+
+  describe("Share Permit", function () {
+    async function signSharePermit(vault, owner, spender, value, deadline) {
+      const domain = {
+        name: await vault.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await vault.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = { owner: owner.address, spender, value, nonce: await vault.nonces(owner.address), deadline };
+      return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+    }
+
+    it("Should approve share transfers with a signature", async function () {
+      const { vault, asset, alice, bob, charlie } = await loadFixture(deployVaultFixture);
+      await supplyLiquidity(vault, asset, alice, ethers.parseEther("100"));
+      const shares = await vault.balanceOf(alice.address);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await signSharePermit(vault, alice, bob.address, shares, deadline);
+
+      await expect(vault.connect(charlie).permit(alice.address, bob.address, shares, deadline, v, r, s))
+        .to.emit(vault, "Approval")
+        .withArgs(alice.address, bob.address, shares);
+
+      await vault.connect(bob).transferFrom(alice.address, bob.address, shares);
+      expect(await vault.balanceOf(bob.address)).to.equal(shares);
+      expect(await vault.nonces(alice.address)).to.equal(1);
+    });
+
+    it("Should reject expired, replayed or forged permits", async function () {
+      const { vault, alice, bob } = await loadFixture(deployVaultFixture);
+      const deadline = (await time.latest()) + 3600;
+
+      const forged = await signSharePermit(vault, bob, bob.address, 1n, deadline);
+      await expect(vault.permit(alice.address, bob.address, 1n, deadline, forged.v, forged.r, forged.s))
+        .to.be.revertedWithCustomError(vault, "InvalidSignature");
+
+      const { v, r, s } = await signSharePermit(vault, alice, bob.address, 1n, deadline);
+      await vault.permit(alice.address, bob.address, 1n, deadline, v, r, s);
+      await expect(vault.permit(alice.address, bob.address, 1n, deadline, v, r, s))
+        .to.be.revertedWithCustomError(vault, "InvalidSignature");
+
+      const late = await signSharePermit(vault, alice, bob.address, 1n, deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(vault.permit(alice.address, bob.address, 1n, deadline, late.v, late.r, late.s))
+        .to.be.revertedWithCustomError(vault, "SignatureExpired");
     });
   });
 
   describe("Liquidation", function () {
     it("Should liquidate undercollateralized positions", async function () {
-      const { vault, asset, alice, liquidator } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("75");
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
+      const collateralAmount = ethers.parseEther("1");
+      const borrowAmount = ethers.parseEther("1500");
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, collateralAmount);
       await vault.connect(alice).borrow(borrowAmount);
 
+      // WETH drops to $1800: 1800 * 0.8 < 1500 of debt
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1800"));
+      expect(await vault.getUserHealthFactor(alice.address)).to.be.lt(ethers.parseEther("1"));
+
+      await asset.connect(liquidator).approve(await vault.getAddress(), borrowAmount);
+
+      const balanceBefore = await collateral.balanceOf(liquidator.address);
+      await expect(vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.emit(vault, "Liquidation");
+
+      const position = await vault.getPosition(alice.address);
+      const collateralSeized = collateralAmount - position.collateralAmount;
+      expect(await collateral.balanceOf(liquidator.address)).to.equal(balanceBefore + collateralSeized);
+
+      // Half of the debt is repaid and the seized WETH is worth that plus the 5% bonus
+      const [event] = await vault.queryFilter(vault.filters.Liquidation());
+      const debtCovered = event.args.debtCovered;
+      const expectedSeized = (debtCovered * 105n) / 100n * ethers.parseEther("1") / ethers.parseEther("1800");
+      expect(collateralSeized).to.be.closeTo(expectedSeized, 10n);
+    });
+
+    it("Should liquidate after a liquidation threshold change", async function () {
+      const { vault, asset, collateral, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+
       const config = await vault.config();
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
-      await vault.grantRole(ADMIN_ROLE, alice.address);
+      const CONFIGURATOR_ROLE = await vault.CONFIGURATOR_ROLE();
+      await vault.grantRole(CONFIGURATOR_ROLE, alice.address);
       await vault.connect(alice).updateConfig(
-        config.collateralFactor,
+        ethers.parseEther("0.7"), // collateralFactor, which may not exceed the threshold
         ethers.parseEther("0.7"), // liquidationThreshold
         config.liquidationBonus,
         config.reserveFactor,
@@ -242,110 +767,1310 @@ describe("SafeLendVault", function () {
       );
 
       // Get actual debt including accrued interest
-      const position = await vault.getPosition(alice.address);
-      const totalDebt = position.borrowedAmount + position.accumulatedInterest;
-      const halfDebt = totalDebt / 2n;
+      const totalDebt = await vault.getUserDebt(alice.address);
 
-      // Approve more than enough to cover debt + interest
+      // Health factor 0.93 is below the critical level, so up to the whole debt is repayable
       await asset.connect(liquidator).approve(await vault.getAddress(), totalDebt);
 
-      await expect(vault.connect(liquidator).liquidate(alice.address))
+      await expect(vault.connect(liquidator).liquidate(alice.address, totalDebt, liquidator.address))
         .to.emit(vault, "Liquidation");
     });
 
+    it("Should seize at most the remaining collateral", async function () {
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+
+      // $500 of collateral against $1500 of debt cannot cover the debt plus bonus
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("500"));
+      await asset.connect(liquidator).approve(await vault.getAddress(), ethers.parseEther("1500"));
+      await vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address);
+
+      const [event] = await vault.queryFilter(vault.filters.Liquidation());
+      expect(event.args.debtCovered).to.be.closeTo((ethers.parseEther("500") * 100n) / 105n, 1000n);
+
+      // The debt the collateral could not cover is written off
+      const position = await vault.getPosition(alice.address);
+      expect(position.collateralAmount).to.equal(0);
+      expect(position.borrowedAmount).to.equal(0);
+    });
+
     it("Should revert liquidation of healthy positions", async function () {
-      const { vault, asset, alice, liquidator } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+      const { vault, asset, collateral, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
 
-      await expect(vault.connect(liquidator).liquidate(alice.address))
-        .to.be.revertedWith("Position is not liquidatable");
+      await expect(vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "PositionNotLiquidatable");
     });
-  });
 
-  describe("Interest Accrual", function () {
-    it("Should accrue interest over time", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+    it("Should repay a caller-chosen amount and pay the receiver", async function () {
+      const { vault, asset, collateral, oracle, alice, bob, charlie, liquidator } = await loadFixture(deployVaultFixture);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
-      await vault.connect(alice).borrow(borrowAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1800"));
 
-      const totalBorrowsBefore = await vault.getTotalBorrows();
+      const repayAmount = ethers.parseEther("300");
+      const expectedSeized = (repayAmount * 105n) / 100n * ethers.parseEther("1") / ethers.parseEther("1800");
+      await asset.connect(liquidator).approve(await vault.getAddress(), repayAmount);
 
-      await ethers.provider.send("hardhat_mine", ["0x100"]);
-      await vault.accrueInterest();
+      const receiverBefore = await collateral.balanceOf(charlie.address);
+      await expect(vault.connect(liquidator).liquidate(alice.address, repayAmount, charlie.address))
+        .to.emit(vault, "Liquidation")
+        .withArgs(liquidator.address, alice.address, repayAmount, expectedSeized);
 
-      const totalBorrowsAfter = await vault.getTotalBorrows();
-      expect(totalBorrowsAfter).to.be.gt(totalBorrowsBefore);
+      expect(await collateral.balanceOf(charlie.address)).to.equal(receiverBefore + expectedSeized);
+      expect(await collateral.balanceOf(liquidator.address)).to.equal(0);
     });
-  });
 
-  describe("Pause Mechanism", function () {
-    it("Should pause and unpause the vault", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
+    it("Should cap the repayment at the close factor", async function () {
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
 
-      await vault.pause();
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await expect(vault.connect(alice).deposit(depositAmount))
-        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+      // Health factor 0.96: above the 0.95 critical level, so only half the debt can go
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1800"));
+      const totalDebt = await vault.getUserDebt(alice.address);
+      expect(await vault.getMaxLiquidationRepay(alice.address)).to.equal(totalDebt / 2n);
 
-      await vault.unpause();
-      await vault.connect(alice).deposit(depositAmount);
-      expect(await vault.balanceOf(alice.address)).to.equal(depositAmount);
+      await asset.connect(liquidator).approve(await vault.getAddress(), totalDebt);
+      await vault.connect(liquidator).liquidate(alice.address, totalDebt, liquidator.address);
+
+      const [event] = await vault.queryFilter(vault.filters.Liquidation());
+      expect(event.args.debtCovered).to.be.closeTo(totalDebt / 2n, ethers.parseEther("0.01"));
     });
 
-    it("Should only allow admin to pause", async function () {
-      const { vault, alice } = await loadFixture(deployVaultFixture);
-      const ADMIN_ROLE = await vault.ADMIN_ROLE();
+    it("Should allow repaying the whole debt below the critical health factor", async function () {
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
 
-      await expect(vault.connect(alice).pause())
-        .to.be.reverted;
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+
+      // Health factor 0.907
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1700"));
+      expect(await vault.getMaxLiquidationRepay(alice.address)).to.equal(await vault.getUserDebt(alice.address));
+
+      await asset.connect(liquidator).approve(await vault.getAddress(), ethers.parseEther("1600"));
+      await vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address);
+
+      const position = await vault.getPosition(alice.address);
+      expect(position.borrowedAmount).to.equal(0);
+      expect(position.collateralAmount).to.be.gt(0);
     });
-  });
 
-  describe("Health Factor", function () {
-    it("Should calculate correct health factor", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+    it("Should allow repaying the whole debt when the remainder would be dust", async function () {
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = await loadFixture(deployVaultFixture);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1800"));
 
-      let healthFactor = await vault.getUserHealthFactor(alice.address);
-      expect(healthFactor).to.equal(ethers.MaxUint256);
+      // Half of the ~$1500 debt left behind is below the $1000 minimum
+      await vault.setLiquidationParams(ethers.parseEther("0.5"), ethers.parseEther("0.95"), ethers.parseEther("1000"));
+      expect(await vault.getMaxLiquidationRepay(alice.address)).to.equal(await vault.getUserDebt(alice.address));
 
-      await vault.connect(alice).borrow(borrowAmount);
-      healthFactor = await vault.getUserHealthFactor(alice.address);
-      expect(healthFactor).to.be.gt(ethers.parseEther("1"));
+      await asset.connect(liquidator).approve(await vault.getAddress(), ethers.parseEther("1600"));
+      await vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address);
+
+      expect((await vault.getPosition(alice.address)).borrowedAmount).to.equal(0);
     });
-  });
 
-  describe("Utilization Rate", function () {
-    it("Should calculate correct utilization rate", async function () {
-      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
-      const depositAmount = ethers.parseEther("100");
-      const borrowAmount = ethers.parseEther("50");
+    it("Should report no repayable debt for healthy positions", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
 
-      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
-      await vault.connect(alice).deposit(depositAmount);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
 
-      let utilRate = await vault.getUtilizationRate();
-      expect(utilRate).to.equal(0);
+      expect(await vault.getMaxLiquidationRepay(alice.address)).to.equal(0);
+    });
 
-      await vault.connect(alice).borrow(borrowAmount);
+    it("Should reject a zero repay amount or receiver", async function () {
+      const { vault, liquidator, alice } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.connect(liquidator).liquidate(alice.address, 0, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "ZeroAmount");
+      await expect(vault.connect(liquidator).liquidate(alice.address, 1, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(vault, "InvalidReceiver");
+    });
+
+    it("Should let the admin update liquidation parameters", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+
+      expect(await vault.closeFactor()).to.equal(ethers.parseEther("0.5"));
+      expect(await vault.criticalHealthFactor()).to.equal(ethers.parseEther("0.95"));
+      expect(await vault.minLeftoverDebtValue()).to.equal(0);
+
+      await expect(vault.setLiquidationParams(ethers.parseEther("0.6"), ethers.parseEther("0.9"), 100n))
+        .to.emit(vault, "LiquidationParamsUpdated")
+        .withArgs(ethers.parseEther("0.6"), ethers.parseEther("0.9"), 100n);
+
+      await expect(vault.setLiquidationParams(0, ethers.parseEther("0.9"), 0))
+        .to.be.revertedWithCustomError(vault, "InvalidCloseFactor");
+      await expect(vault.setLiquidationParams(ethers.parseEther("0.5"), ethers.parseEther("1.1"), 0))
+        .to.be.revertedWithCustomError(vault, "InvalidCriticalHealthFactor");
+      await expect(vault.connect(alice).setLiquidationParams(ethers.parseEther("0.5"), 0, 0))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Bad Debt", function () {
+    // Alice's 1 WETH at $500 covers about $476 of her $1500 debt; the rest is bad debt
+    async function underwaterPositionFixture() {
+      const system = await deployVaultFixture();
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = system;
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("500"));
+      await asset.connect(liquidator).approve(await vault.getAddress(), ethers.parseEther("1500"));
+
+      const SafetyModule = await ethers.getContractFactory("SafetyModule");
+      const safetyModule = await SafetyModule.deploy();
+
+      return { ...system, safetyModule };
+    }
+
+    async function liquidateAndGetBadDebt(vault, borrower, liquidator) {
+      const tx = await vault.connect(liquidator).liquidate(borrower.address, ethers.MaxUint256, liquidator.address);
+      const receipt = await tx.wait();
+      const [event] = await vault.queryFilter(vault.filters.BadDebtRealized(), receipt.blockNumber);
+      return event.args;
+    }
+
+    it("Should cover bad debt from reserves before depositors", async function () {
+      const { vault, alice, liquidator } = await loadFixture(underwaterPositionFixture);
+
+      await time.increase(365 * 24 * 60 * 60);
+      await vault.accrueInterest();
+      const reserves = await vault.totalReserves();
+      expect(reserves).to.be.gt(0);
+
+      const badDebt = await liquidateAndGetBadDebt(vault, alice, liquidator);
+
+      expect(badDebt.borrower).to.equal(alice.address);
+      expect(badDebt.coveredByReserves).to.be.closeTo(reserves, ethers.parseEther("0.001"));
+      expect(badDebt.coveredBySafetyModule).to.equal(0);
+      expect(badDebt.socializedLoss).to.equal(badDebt.debt - badDebt.coveredByReserves);
+      expect(await vault.totalReserves()).to.equal(0);
+    });
+
+    it("Should socialize uncovered bad debt through the share price", async function () {
+      const { vault, bob, alice, liquidator } = await loadFixture(underwaterPositionFixture);
+
+      const bobAssetsBefore = await vault.convertToAssets(await vault.balanceOf(bob.address));
+      const totalAssetsBefore = await vault.totalAssets();
+
+      const badDebt = await liquidateAndGetBadDebt(vault, alice, liquidator);
+      expect(badDebt.socializedLoss).to.be.gt(ethers.parseEther("1000"));
+
+      // Per-user debts round down, so the total can keep a few wei
+      expect(await vault.getTotalBorrows()).to.be.closeTo(0n, 1000n);
+      expect(await vault.totalAssets()).to.be.closeTo(
+        totalAssetsBefore - badDebt.socializedLoss,
+        ethers.parseEther("0.001")
+      );
+      expect(await vault.convertToAssets(await vault.balanceOf(bob.address))).to.be.closeTo(
+        bobAssetsBefore - badDebt.socializedLoss,
+        ethers.parseEther("0.001")
+      );
+    });
+
+    it("Should draw on the safety module before depositors", async function () {
+      const { vault, asset, safetyModule, owner, alice, liquidator } = await loadFixture(underwaterPositionFixture);
+
+      await asset.connect(owner).transfer(await safetyModule.getAddress(), ethers.parseEther("5000"));
+      await safetyModule.setVaultCovered(await vault.getAddress(), true);
+      await expect(vault.setSafetyModule(await safetyModule.getAddress()))
+        .to.emit(vault, "SafetyModuleUpdated")
+        .withArgs(await safetyModule.getAddress());
+
+      const totalAssetsBefore = await vault.totalAssets();
+      const badDebt = await liquidateAndGetBadDebt(vault, alice, liquidator);
+
+      expect(badDebt.coveredBySafetyModule).to.equal(badDebt.debt - badDebt.coveredByReserves);
+      expect(badDebt.socializedLoss).to.equal(0);
+      expect(await asset.balanceOf(await safetyModule.getAddress())).to.equal(
+        ethers.parseEther("5000") - badDebt.coveredBySafetyModule
+      );
+      expect(await vault.totalAssets()).to.be.closeTo(totalAssetsBefore, ethers.parseEther("0.001"));
+    });
+
+    it("Should socialize what an underfunded safety module cannot cover", async function () {
+      const { vault, asset, safetyModule, owner, alice, liquidator } = await loadFixture(underwaterPositionFixture);
+
+      await asset.connect(owner).transfer(await safetyModule.getAddress(), ethers.parseEther("100"));
+      await safetyModule.setVaultCovered(await vault.getAddress(), true);
+      await vault.setSafetyModule(await safetyModule.getAddress());
+
+      const badDebt = await liquidateAndGetBadDebt(vault, alice, liquidator);
+
+      expect(badDebt.coveredBySafetyModule).to.equal(ethers.parseEther("100"));
+      expect(badDebt.socializedLoss).to.equal(badDebt.debt - badDebt.coveredByReserves - ethers.parseEther("100"));
+    });
+
+    it("Should not let a failing safety module block liquidations", async function () {
+      const { vault, safetyModule, alice, liquidator } = await loadFixture(underwaterPositionFixture);
+
+      // The vault was never registered, so coverShortfall reverts
+      await vault.setSafetyModule(await safetyModule.getAddress());
+
+      const badDebt = await liquidateAndGetBadDebt(vault, alice, liquidator);
+      expect(badDebt.coveredBySafetyModule).to.equal(0);
+      expect((await vault.getPosition(alice.address)).borrowedAmount).to.equal(0);
+
+      const [failure] = await vault.queryFilter(vault.filters.ShortfallCoverFailed());
+      expect(failure.args.borrower).to.equal(alice.address);
+      expect(failure.args.shortfall).to.equal(badDebt.debt - badDebt.coveredByReserves);
+    });
+
+    it("Should only realize bad debt on positions without collateral", async function () {
+      const { vault, alice, bob } = await loadFixture(underwaterPositionFixture);
+
+      await expect(vault.realizeBadDebt(alice.address)).to.be.revertedWithCustomError(vault, "NoBadDebt");
+      await expect(vault.realizeBadDebt(bob.address)).to.be.revertedWithCustomError(vault, "NoBadDebt");
+    });
+
+    it("Should only let the admin set the safety module", async function () {
+      const { vault, safetyModule, alice } = await loadFixture(underwaterPositionFixture);
+
+      await expect(vault.connect(alice).setSafetyModule(await safetyModule.getAddress()))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Dutch Auctions", function () {
+    const DURATION = 60 * 60;
+    const MAX_DISCOUNT = ethers.parseEther("0.1");
+
+    // Alice's 1 WETH at $1800 against $1500 of debt: health factor 0.96
+    async function auctionModeFixture() {
+      const system = await deployVaultFixture();
+      const { vault, asset, collateral, oracle, alice, bob, liquidator } = system;
+
+      await vault.setAuctionParams(true, DURATION, MAX_DISCOUNT);
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1500"));
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1800"));
+      await asset.connect(liquidator).approve(await vault.getAddress(), ethers.parseEther("1500"));
+
+      return system;
+    }
+
+    it("Should let anyone start an auction on an unhealthy position", async function () {
+      const { vault, alice, charlie } = await loadFixture(auctionModeFixture);
+
+      const tx = vault.connect(charlie).startAuction(alice.address);
+      await expect(tx).to.emit(vault, "AuctionStarted");
+      const startTime = await time.latest();
+      expect(await vault.auctionStartTime(alice.address)).to.equal(startTime);
+      expect(await vault.getAuctionDiscount(alice.address)).to.equal(0);
+
+      await expect(vault.startAuction(alice.address)).to.be.revertedWithCustomError(vault, "AuctionAlreadyStarted");
+    });
+
+    it("Should not start auctions on healthy positions", async function () {
+      const { vault, oracle, collateral, alice } = await loadFixture(auctionModeFixture);
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+      await expect(vault.startAuction(alice.address)).to.be.revertedWithCustomError(vault, "PositionNotLiquidatable");
+    });
+
+    it("Should raise the discount linearly up to the maximum", async function () {
+      const { vault, alice } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      await time.increase(DURATION / 4);
+      expect(await vault.getAuctionDiscount(alice.address)).to.equal(MAX_DISCOUNT / 4n);
+
+      await time.increase(DURATION / 4);
+      expect(await vault.getAuctionDiscount(alice.address)).to.equal(MAX_DISCOUNT / 2n);
+
+      await time.increase(DURATION);
+      expect(await vault.getAuctionDiscount(alice.address)).to.equal(MAX_DISCOUNT);
+    });
+
+    it("Should pay bidders the current discount", async function () {
+      const { vault, collateral, alice, liquidator } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      // The bid lands one second after this, at exactly half the ramp
+      await time.increase(DURATION / 2 - 1);
+
+      const repayAmount = ethers.parseEther("300");
+      const discount = MAX_DISCOUNT / 2n;
+      const expectedSeized =
+        (repayAmount * (ethers.parseEther("1") + discount)) / ethers.parseEther("1") * ethers.parseEther("1") /
+        ethers.parseEther("1800");
+
+      await expect(vault.connect(liquidator).bid(alice.address, repayAmount, liquidator.address))
+        .to.emit(vault, "Liquidation")
+        .withArgs(liquidator.address, alice.address, repayAmount, expectedSeized);
+      expect(await collateral.balanceOf(liquidator.address)).to.equal(expectedSeized);
+    });
+
+    it("Should end the auction once the position is healthy again", async function () {
+      const { vault, alice, liquidator } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      await time.increase(DURATION);
+
+      await expect(vault.connect(liquidator).bid(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.emit(vault, "AuctionEnded")
+        .withArgs(alice.address);
+      expect(await vault.auctionStartTime(alice.address)).to.equal(0);
+      expect(await vault.getUserHealthFactor(alice.address)).to.be.gte(ethers.parseEther("1"));
+    });
+
+    it("Should let anyone cancel the auction of a recovered position", async function () {
+      const { vault, oracle, collateral, alice, charlie } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      await expect(vault.connect(charlie).cancelAuction(alice.address))
+        .to.be.revertedWithCustomError(vault, "PositionStillLiquidatable");
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("2000"));
+      await expect(vault.connect(charlie).cancelAuction(alice.address))
+        .to.emit(vault, "AuctionEnded")
+        .withArgs(alice.address);
+      await expect(vault.cancelAuction(alice.address)).to.be.revertedWithCustomError(vault, "NoActiveAuction");
+    });
+
+    it("Should end the auction when the borrower repays back to health", async function () {
+      const { vault, asset, oracle, collateral, alice, liquidator } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      await time.increase(DURATION);
+      await asset.connect(alice).approve(await vault.getAddress(), ethers.parseEther("300"));
+
+      await expect(vault.connect(alice).repay(ethers.parseEther("10"))).to.not.emit(vault, "AuctionEnded");
+      await expect(vault.connect(alice).repay(ethers.parseEther("290")))
+        .to.emit(vault, "AuctionEnded")
+        .withArgs(alice.address);
+      expect(await vault.auctionStartTime(alice.address)).to.equal(0);
+
+      // A later drop needs a new auction, starting again from zero discount
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1400"));
+      await expect(vault.connect(liquidator).bid(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "NoActiveAuction");
+    });
+
+    it("Should end the auction when collateral brings the position back to health", async function () {
+      const { vault, collateral, alice, bob } = await loadFixture(auctionModeFixture);
+
+      await vault.startAuction(alice.address);
+      await collateral.mint(bob.address, ethers.parseEther("0.1"));
+      await collateral.connect(bob).approve(await vault.getAddress(), ethers.parseEther("0.1"));
+
+      await expect(vault.connect(bob).depositFor(alice.address, ethers.parseEther("0.1")))
+        .to.emit(vault, "AuctionEnded")
+        .withArgs(alice.address);
+      expect(await vault.auctionStartTime(alice.address)).to.equal(0);
+    });
+
+    it("Should only accept bids on started auctions", async function () {
+      const { vault, alice, liquidator } = await loadFixture(auctionModeFixture);
+
+      await expect(vault.connect(liquidator).bid(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "NoActiveAuction");
+    });
+
+    it("Should only allow the entry point of the active mode", async function () {
+      const { vault, alice, liquidator } = await loadFixture(auctionModeFixture);
+
+      await expect(vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "AuctionModeEnabled");
+
+      await vault.setAuctionParams(false, DURATION, MAX_DISCOUNT);
+      await expect(vault.startAuction(alice.address)).to.be.revertedWithCustomError(vault, "AuctionModeDisabled");
+      await expect(vault.connect(liquidator).bid(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "AuctionModeDisabled");
+    });
+
+    it("Should let the admin configure auctions", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+
+      expect(await vault.auctionMode()).to.be.false;
+      await expect(vault.setAuctionParams(true, DURATION, MAX_DISCOUNT))
+        .to.emit(vault, "AuctionParamsUpdated")
+        .withArgs(true, DURATION, MAX_DISCOUNT);
+
+      await expect(vault.setAuctionParams(true, 0, MAX_DISCOUNT))
+        .to.be.revertedWithCustomError(vault, "InvalidAuctionDuration");
+      await expect(vault.setAuctionParams(true, DURATION, ethers.parseEther("0.6")))
+        .to.be.revertedWithCustomError(vault, "InvalidAuctionDiscount");
+      await expect(vault.connect(alice).setAuctionParams(true, DURATION, MAX_DISCOUNT))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Caps", function () {
+    const noCaps = { supplyCap: 0n, borrowCap: 0n, accountSupplyCap: 0n, accountBorrowCap: 0n };
+
+    it("Should start uncapped", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      const [supply, borrow] = await vault.remainingCapacity();
+      expect(supply).to.equal(ethers.MaxUint256);
+      expect(borrow).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should enforce the supply cap on deposits and mints", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
+      const supplyCap = ethers.parseEther("1000");
+      await expect(vault.setCaps({ ...noCaps, supplyCap }))
+        .to.emit(vault, "CapsUpdated")
+        .withArgs(supplyCap, 0, 0, 0);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("600"));
+      expect((await vault.remainingCapacity())[0]).to.equal(ethers.parseEther("400"));
+      expect(await vault.maxDeposit(alice.address)).to.equal(ethers.parseEther("400"));
+      expect(await vault.maxMint(alice.address)).to.equal(ethers.parseEther("400") * SHARE_OFFSET);
+
+      await asset.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+      await expect(vault.connect(alice).deposit(ethers.parseEther("401"), alice.address))
+        .to.be.revertedWithCustomError(vault, "SupplyCapExceeded")
+        .withArgs(supplyCap);
+      await expect(vault.connect(alice).mint(ethers.parseEther("401") * SHARE_OFFSET, alice.address))
+        .to.be.revertedWithCustomError(vault, "SupplyCapExceeded");
+
+      await vault.connect(alice).deposit(ethers.parseEther("400"), alice.address);
+      expect((await vault.remainingCapacity())[0]).to.equal(0);
+      expect(await vault.maxDeposit(alice.address)).to.equal(0);
+    });
+
+    it("Should enforce the per-account supply cap", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
+      const accountSupplyCap = ethers.parseEther("500");
+      await vault.setCaps({ ...noCaps, accountSupplyCap });
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("300"));
+      expect(await vault.maxDeposit(bob.address)).to.equal(ethers.parseEther("200"));
+      expect(await vault.maxDeposit(alice.address)).to.equal(accountSupplyCap);
+
+      await asset.connect(bob).approve(await vault.getAddress(), ethers.MaxUint256);
+      await expect(vault.connect(bob).deposit(ethers.parseEther("201"), bob.address))
+        .to.be.revertedWithCustomError(vault, "AccountSupplyCapExceeded")
+        .withArgs(bob.address, accountSupplyCap);
+
+      // The cap follows the receiver, not the caller
+      await expect(vault.connect(alice).deposit(ethers.parseEther("201"), bob.address))
+        .to.be.revertedWithCustomError(vault, "AccountSupplyCapExceeded");
+      await supplyLiquidity(vault, asset, alice, ethers.parseEther("500"));
+    });
+
+    it("Should enforce the borrow caps", async function () {
+      const { vault, asset, collateral, alice, bob, charlie } = await loadFixture(deployVaultFixture);
+      const borrowCap = ethers.parseEther("1500");
+      const accountBorrowCap = ethers.parseEther("1000");
+      await vault.setCaps({ ...noCaps, borrowCap, accountBorrowCap });
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await depositCollateral(vault, collateral, charlie, ethers.parseEther("1"));
+
+      await expect(vault.connect(alice).borrow(ethers.parseEther("1001")))
+        .to.be.revertedWithCustomError(vault, "AccountBorrowCapExceeded")
+        .withArgs(alice.address, accountBorrowCap);
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+      const [, borrowRoom] = await vault.remainingCapacity();
+      expect(borrowRoom).to.be.closeTo(ethers.parseEther("500"), ethers.parseEther("0.001"));
+
+      await expect(vault.connect(charlie).borrow(ethers.parseEther("600")))
+        .to.be.revertedWithCustomError(vault, "BorrowCapExceeded")
+        .withArgs(borrowCap);
+      await vault.connect(charlie).borrow(ethers.parseEther("400"));
+    });
+
+    it("Should restrict caps to admins", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      await expect(vault.connect(alice).setCaps(noCaps))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Reserves", function () {
+    // A year of interest on alice's 1000 borrow builds up reserves
+    async function accruedReservesFixture() {
+      const system = await deployVaultFixture();
+      const { vault, asset, collateral, alice, bob } = system;
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+      await time.increase(365 * 24 * 60 * 60);
+      await vault.accrueInterest();
+
+      return system;
+    }
+
+    it("Should send reserves to the treasury without changing total assets", async function () {
+      const { vault, asset, charlie } = await loadFixture(accruedReservesFixture);
+      const reserves = await vault.totalReserves();
+      expect(reserves).to.be.gt(0);
+
+      const totalAssetsBefore = await vault.totalAssets();
+      const amount = reserves / 2n;
+      const balanceBefore = await asset.balanceOf(charlie.address);
+
+      await expect(vault.reduceReserves(amount, charlie.address))
+        .to.emit(vault, "ReservesReduced");
+
+      expect(await asset.balanceOf(charlie.address)).to.equal(balanceBefore + amount);
+      expect(await vault.totalReserves()).to.be.closeTo(reserves - amount, ethers.parseEther("0.0001"));
+      expect(await vault.totalAssets()).to.be.closeTo(totalAssetsBefore, ethers.parseEther("0.0001"));
+    });
+
+    it("Should not take more than the reserves", async function () {
+      const { vault, charlie } = await loadFixture(accruedReservesFixture);
+      const reserves = await vault.totalReserves();
+
+      await expect(vault.reduceReserves(reserves * 2n, charlie.address))
+        .to.be.revertedWithCustomError(vault, "InsufficientReserves");
+      await expect(vault.reduceReserves(0, charlie.address)).to.be.revertedWithCustomError(vault, "ZeroAmount");
+      await expect(vault.reduceReserves(1n, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(vault, "InvalidReceiver");
+    });
+
+    it("Should not take liquidity that is lent out", async function () {
+      const { vault, asset, bob, charlie } = await loadFixture(accruedReservesFixture);
+      const reserves = await vault.totalReserves();
+
+      // Bob withdraws all idle cash, leaving only borrowed funds behind
+      await vault.connect(bob).withdraw(await vault.maxWithdraw(bob.address), bob.address, bob.address);
+      const cash = await asset.balanceOf(await vault.getAddress());
+      expect(cash).to.be.lt(reserves);
+
+      await expect(vault.reduceReserves(reserves, charlie.address))
+        .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+    });
+
+    it("Should only take the reserves' share of idle cash", async function () {
+      const { vault, asset, bob, charlie } = await loadFixture(accruedReservesFixture);
+      const reserves = await vault.totalReserves();
+
+      // Bob leaves twice the reserves in cash, so the cash alone could pay out all reserves
+      const cashToLeave = reserves * 2n;
+      const cash = await asset.balanceOf(await vault.getAddress());
+      await vault.connect(bob).withdraw(cash - cashToLeave, bob.address, bob.address);
+
+      await expect(vault.reduceReserves(reserves, charlie.address))
+        .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+
+      const share = (cashToLeave * reserves) / (cashToLeave + (await vault.totalBorrows()));
+      await vault.reduceReserves((share * 99n) / 100n, charlie.address);
+      expect(await asset.balanceOf(await vault.getAddress())).to.be.gt(cashToLeave - share);
+    });
+
+    it("Should restrict reserve withdrawals to the treasury role", async function () {
+      const { vault, alice } = await loadFixture(accruedReservesFixture);
+
+      await expect(vault.connect(alice).reduceReserves(1n, alice.address))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+      await vault.grantRole(await vault.TREASURY_ROLE(), alice.address);
+      await vault.connect(alice).reduceReserves(1n, alice.address);
+    });
+  });
+
+  describe("Interest Accrual", function () {
+    it("Should accrue interest over time", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      const totalBorrowsBefore = await vault.getTotalBorrows();
+
+      await time.increase(60 * 60);
+      await vault.accrueInterest();
+
+      const totalBorrowsAfter = await vault.getTotalBorrows();
+      expect(totalBorrowsAfter).to.be.gt(totalBorrowsBefore);
+    });
+  });
+
+  describe("Borrow Index", function () {
+    it("Should grow a borrower's debt without a state-changing call", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+      const borrowAmount = ethers.parseEther("50");
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(borrowAmount);
+
+      expect(await vault.getUserDebt(alice.address)).to.equal(borrowAmount);
+
+      await time.increase(30 * 24 * 60 * 60);
+
+      const debt = await vault.getUserDebt(alice.address);
+      expect(debt).to.be.gt(borrowAmount);
+      expect((await vault.getPosition(alice.address)).borrowedAmount).to.equal(borrowAmount);
+      expect(await vault.getDebtValue(alice.address)).to.equal(debt);
+    });
+
+    it("Should snapshot the index on each position update", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+      const indexAtBorrow = await vault.borrowIndex();
+      expect((await vault.getPosition(alice.address)).borrowIndex).to.equal(indexAtBorrow);
+
+      await time.increase(30 * 24 * 60 * 60);
+      await vault.connect(alice).borrow(1n);
+
+      const position = await vault.getPosition(alice.address);
+      expect(await vault.borrowIndex()).to.be.gt(indexAtBorrow);
+      expect(position.borrowIndex).to.equal(await vault.borrowIndex());
+      expect(position.borrowedAmount).to.be.gt(ethers.parseEther("50") + 1n);
+    });
+
+    it("Should reconcile the sum of user debts with totalBorrows", async function () {
+      const { vault, asset, collateral, alice, bob, charlie, owner } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, owner, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await depositCollateral(vault, collateral, bob, ethers.parseEther("1"));
+      await depositCollateral(vault, collateral, charlie, ethers.parseEther("1"));
+
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+      await time.increase(7 * 24 * 60 * 60);
+      await vault.connect(bob).borrow(ethers.parseEther("500"));
+      await time.increase(7 * 24 * 60 * 60);
+      await vault.connect(charlie).borrow(ethers.parseEther("250"));
+      await time.increase(7 * 24 * 60 * 60);
+
+      // Partial repayment by one borrower must not disturb the others
+      await asset.connect(bob).approve(await vault.getAddress(), ethers.parseEther("100"));
+      await vault.connect(bob).repay(ethers.parseEther("100"));
+      await time.increase(7 * 24 * 60 * 60);
+
+      const debts = await Promise.all(
+        [alice, bob, charlie].map((user) => vault.getUserDebt(user.address))
+      );
+      const sumOfDebts = debts.reduce((sum, debt) => sum + debt, 0n);
+
+      // Only fixed-point rounding separates the two (well under a millionth of a token)
+      const tolerance = ethers.parseEther("0.000001");
+      expect(await vault.getTotalBorrows()).to.be.closeTo(sumOfDebts, tolerance);
+
+      await vault.accrueInterest();
+      const debtsAfter = await Promise.all(
+        [alice, bob, charlie].map((user) => vault.getUserDebt(user.address))
+      );
+      expect(await vault.totalBorrows()).to.be.closeTo(debtsAfter.reduce((sum, debt) => sum + debt, 0n), tolerance);
+    });
+
+    it("Should charge idle and active borrowers the same rate", async function () {
+      const { vault, asset, collateral, alice, bob, owner } = await loadFixture(deployVaultFixture);
+      const borrowAmount = ethers.parseEther("1000");
+
+      await supplyLiquidity(vault, asset, owner, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await depositCollateral(vault, collateral, bob, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(borrowAmount);
+      await vault.connect(bob).borrow(borrowAmount);
+
+      // Bob touches his position repeatedly while alice stays idle
+      for (let i = 0; i < 5; i++) {
+        await time.increase(24 * 60 * 60);
+        await vault.connect(bob).borrow(1n);
+      }
+
+      const aliceDebt = await vault.getUserDebt(alice.address);
+      const bobDebt = await vault.getUserDebt(bob.address);
+
+      // Alice borrowed one second earlier; apart from that both accrued the same interest
+      const oneSecondOfInterest = ethers.parseEther("0.0001");
+      expect(aliceDebt).to.be.gt(borrowAmount);
+      expect(bobDebt).to.be.lte(aliceDebt);
+      expect(bobDebt).to.be.closeTo(aliceDebt, oneSecondOfInterest);
+    });
+
+    it("Should clear the debt when repaid in full", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+      await time.increase(30 * 24 * 60 * 60);
+
+      await asset.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(alice).repay(ethers.MaxUint256);
+
+      expect(await vault.getUserDebt(alice.address)).to.equal(0);
+      expect(await vault.totalBorrows()).to.be.lt(ethers.parseUnits("1", "gwei"));
+    });
+  });
+
+  describe("Pause Mechanism", function () {
+    it("Should pause and unpause the vault", async function () {
+      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vault.pause();
+
+      await asset.connect(alice).approve(await vault.getAddress(), depositAmount);
+      await expect(vault.connect(alice).deposit(depositAmount, alice.address))
+        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+
+      await vault.unpause();
+      await vault.connect(alice).deposit(depositAmount, alice.address);
+      expect(await vault.balanceOf(alice.address)).to.equal(depositAmount * SHARE_OFFSET);
+    });
+
+    it("Should only allow guardians to pause", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      const GUARDIAN_ROLE = await vault.GUARDIAN_ROLE();
+
+      await expect(vault.connect(alice).pause())
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+        .withArgs(alice.address, GUARDIAN_ROLE);
+    });
+
+    it("Should let a guardian pause without admin rights, but only an admin unpause", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      const GUARDIAN_ROLE = await vault.GUARDIAN_ROLE();
+      const ADMIN_ROLE = await vault.ADMIN_ROLE();
+      await vault.grantRole(GUARDIAN_ROLE, alice.address);
+
+      await vault.connect(alice).pause();
+      expect(await vault.paused()).to.equal(true);
+
+      await expect(vault.connect(alice).unpause())
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+        .withArgs(alice.address, ADMIN_ROLE);
+      await vault.unpause();
+      expect(await vault.paused()).to.equal(false);
+    });
+  });
+
+  describe("Pause Controls", function () {
+    const Action = { Deposit: 0, Withdraw: 1, Borrow: 2, Repay: 3, Liquidate: 4, FlashLoan: 5 };
+
+    // Bob supplies, alice borrows 1000 against 1 WETH
+    async function activeMarketFixture() {
+      const system = await deployVaultFixture();
+      const { vault, asset, collateral, alice, bob, charlie } = system;
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+      await asset.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+      await collateral.connect(alice).approve(await vault.getAddress(), ethers.MaxUint256);
+
+      await vault.grantRole(await vault.GUARDIAN_ROLE(), charlie.address);
+
+      return system;
+    }
+
+    it("Should pause deposits of assets and collateral", async function () {
+      const { vault, alice, charlie } = await loadFixture(activeMarketFixture);
+
+      await expect(vault.connect(charlie).setActionPaused(Action.Deposit, true))
+        .to.emit(vault, "ActionPausedUpdated")
+        .withArgs(Action.Deposit, true);
+
+      await expect(vault.connect(alice).deposit(1n, alice.address))
+        .to.be.revertedWithCustomError(vault, "ActionPaused");
+      await expect(vault.connect(alice).mint(1n, alice.address)).to.be.revertedWithCustomError(vault, "ActionPaused");
+      await expect(vault.connect(alice).depositCollateral(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+      expect(await vault.maxDeposit(alice.address)).to.equal(0);
+      expect(await vault.maxMint(alice.address)).to.equal(0);
+
+      // Everything else keeps working
+      await vault.connect(alice).repay(ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1"));
+    });
+
+    it("Should pause withdrawals of assets and collateral", async function () {
+      const { vault, bob, alice, charlie } = await loadFixture(activeMarketFixture);
+
+      await vault.connect(charlie).setActionPaused(Action.Withdraw, true);
+
+      await expect(vault.connect(bob).withdraw(1n, bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "ActionPaused");
+      await expect(vault.connect(bob).redeem(1n, bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "ActionPaused");
+      await expect(vault.connect(alice).withdrawCollateral(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+      expect(await vault.maxWithdraw(bob.address)).to.equal(0);
+      expect(await vault.maxRedeem(bob.address)).to.equal(0);
+
+      await vault.connect(charlie).setActionPaused(Action.Withdraw, false);
+      await vault.connect(bob).withdraw(1n, bob.address, bob.address);
+    });
+
+    it("Should pause borrows and repayments independently", async function () {
+      const { vault, alice, charlie } = await loadFixture(activeMarketFixture);
+
+      await vault.connect(charlie).setActionPaused(Action.Borrow, true);
+      await expect(vault.connect(alice).borrow(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+      await vault.connect(alice).repay(1n);
+
+      await vault.connect(charlie).setActionPaused(Action.Repay, true);
+      await expect(vault.connect(alice).repay(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+
+      await vault.connect(charlie).setActionPaused(Action.Borrow, false);
+      await vault.connect(alice).borrow(1n);
+    });
+
+    it("Should pause liquidations and auctions", async function () {
+      const { vault, oracle, collateral, alice, charlie, liquidator } = await loadFixture(activeMarketFixture);
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1200"));
+      await vault.connect(charlie).setActionPaused(Action.Liquidate, true);
+
+      await expect(vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "ActionPaused");
+
+      await vault.setAuctionParams(true, 3600, ethers.parseEther("0.1"));
+      await expect(vault.startAuction(alice.address)).to.be.revertedWithCustomError(vault, "ActionPaused");
+    });
+
+    it("Should pause flash loans", async function () {
+      const { vault, asset, charlie } = await loadFixture(activeMarketFixture);
+      const assetAddress = await asset.getAddress();
+
+      await vault.connect(charlie).setActionPaused(Action.FlashLoan, true);
+      expect(await vault.maxFlashLoan(assetAddress)).to.equal(0);
+
+      const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+      const borrower = await MockFlashBorrower.deploy(await vault.getAddress());
+      await expect(borrower.flashBorrow(assetAddress, 1n, "0x")).to.be.revertedWithCustomError(vault, "ActionPaused");
+    });
+
+    it("Should honor the liquidationEnabled config flag", async function () {
+      const { vault, oracle, collateral, alice, liquidator } = await loadFixture(activeMarketFixture);
+
+      const config = await vault.config();
+      await vault.updateConfig(
+        config.collateralFactor,
+        config.liquidationThreshold,
+        config.liquidationBonus,
+        config.reserveFactor,
+        config.interestRateModel,
+        config.oracle,
+        false
+      );
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1200"));
+
+      await expect(vault.connect(liquidator).liquidate(alice.address, ethers.MaxUint256, liquidator.address))
+        .to.be.revertedWithCustomError(vault, "LiquidationDisabled");
+      expect((await vault.getPauseStatus()).liquidationEnabled).to.be.false;
+    });
+
+    it("Should treat the isPaused config flag as a pause of every action", async function () {
+      const { vault, alice, bob } = await loadFixture(activeMarketFixture);
+
+      const config = await vault.config();
+      await vault.updateConfig({
+        collateralFactor: config.collateralFactor,
+        liquidationThreshold: config.liquidationThreshold,
+        liquidationBonus: config.liquidationBonus,
+        reserveFactor: config.reserveFactor,
+        interestRateModel: config.interestRateModel,
+        oracle: config.oracle,
+        isPaused: true,
+        liquidationEnabled: config.liquidationEnabled
+      });
+
+      await expect(vault.connect(alice).repay(1n)).to.be.revertedWithCustomError(vault, "ActionPaused");
+      await expect(vault.connect(bob).withdraw(1n, bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "ActionPaused");
+      expect((await vault.getPauseStatus()).paused).to.be.true;
+    });
+
+    it("Should stop repayments and withdrawals under the global pause", async function () {
+      const { vault, alice, bob } = await loadFixture(activeMarketFixture);
+
+      await vault.pause();
+
+      await expect(vault.connect(alice).repay(1n)).to.be.revertedWithCustomError(vault, "EnforcedPause");
+      await expect(vault.connect(bob).withdraw(1n, bob.address, bob.address))
+        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+    });
+
+    it("Should report every flag through one view", async function () {
+      const { vault, charlie } = await loadFixture(activeMarketFixture);
+
+      await vault.connect(charlie).setActionPaused(Action.Borrow, true);
+      await vault.connect(charlie).setActionPaused(Action.FlashLoan, true);
+
+      const status = await vault.getPauseStatus();
+      expect(status.paused).to.be.false;
+      expect(status.depositPaused).to.be.false;
+      expect(status.withdrawPaused).to.be.false;
+      expect(status.borrowPaused).to.be.true;
+      expect(status.repayPaused).to.be.false;
+      expect(status.liquidatePaused).to.be.false;
+      expect(status.flashLoanPaused).to.be.true;
+      expect(status.liquidationEnabled).to.be.true;
+
+      await vault.pause();
+      const pausedStatus = await vault.getPauseStatus();
+      expect(pausedStatus.paused).to.be.true;
+      expect(pausedStatus.depositPaused).to.be.true;
+      expect(pausedStatus.repayPaused).to.be.true;
+    });
+
+    it("Should only let guardians set pause flags", async function () {
+      const { vault, alice } = await loadFixture(activeMarketFixture);
+
+      await expect(vault.connect(alice).setActionPaused(Action.Deposit, true))
+        .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Health Factor", function () {
+    it("Should calculate correct health factor", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      let healthFactor = await vault.getUserHealthFactor(alice.address);
+      expect(healthFactor).to.equal(ethers.MaxUint256);
+
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+      healthFactor = await vault.getUserHealthFactor(alice.address);
+      // $2000 * 0.8 / $1000
+      expect(healthFactor).to.equal(ethers.parseEther("1.6"));
+    });
+  });
+
+  describe("Oracle Pricing", function () {
+    it("Should price debt and collateral through the oracle", async function () {
+      const { vault, asset, collateral, oracle, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("1000"));
+
+      expect(await vault.getDebtValue(alice.address)).to.equal(ethers.parseEther("1000"));
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("1500"));
+      expect(await vault.getCollateralValue(alice.address)).to.equal(ethers.parseEther("1500"));
+      expect(await vault.getUserHealthFactor(alice.address)).to.be.closeTo(
+        ethers.parseEther("1.2"),
+        ethers.parseEther("0.0001")
+      );
+
+      // A depegged debt asset makes the same debt cheaper
+      await oracle.setAssetPrice(await asset.getAddress(), ethers.parseEther("0.5"));
+      expect(await vault.getDebtValue(alice.address)).to.equal((await vault.getUserDebt(alice.address)) / 2n);
+    });
+
+    it("Should size the max borrow from collateral value", async function () {
+      const { vault, asset, collateral, oracle, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("10000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      expect(await vault.getMaxBorrow(alice.address)).to.equal(ethers.parseEther("1500"));
+
+      await oracle.setAssetPrice(await collateral.getAddress(), ethers.parseEther("3000"));
+      expect(await vault.getMaxBorrow(alice.address)).to.equal(ethers.parseEther("2250"));
+    });
+
+    it("Should handle collateral with different decimals", async function () {
+      const { asset, oracle, interestModel, alice, bob } = await loadFixture(deployVaultFixture);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const wbtc = await MockERC20.deploy("Wrapped Bitcoin", "WBTC", 8);
+      await oracle.setAssetPrice(await wbtc.getAddress(), ethers.parseEther("60000"));
+
+      const SafeLendVault = await ethers.getContractFactory("SafeLendVault");
+      const vault = await SafeLendVault.deploy(
+        await asset.getAddress(),
+        await wbtc.getAddress(),
+        await interestModel.getAddress(),
+        await oracle.getAddress(),
+        "SafeLend WBTC Vault Token",
+        "svWBTC"
+      );
+
+      await wbtc.mint(alice.address, 10n ** 8n);
+      await depositCollateral(vault, wbtc, alice, 10n ** 7n); // 0.1 WBTC
+
+      expect(await vault.getCollateralValue(alice.address)).to.equal(ethers.parseEther("6000"));
+      expect(await vault.getMaxBorrow(alice.address)).to.equal(ethers.parseEther("4500"));
+    });
+
+    it("Should reject a zero oracle in config updates", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      const config = await vault.config();
+
+      await expect(vault.updateConfig(
+        config.collateralFactor,
+        config.liquidationThreshold,
+        config.liquidationBonus,
+        config.reserveFactor,
+        config.interestRateModel,
+        ethers.ZeroAddress,
+        config.liquidationEnabled
+      )).to.be.revertedWithCustomError(vault, "InvalidOracle");
+    });
+
+    it("Should keep the collateral factor at or below the liquidation threshold", async function () {
+      const { vault } = await loadFixture(deployVaultFixture);
+      const config = await vault.config();
+
+      await expect(vault.updateConfig(
+        ethers.parseEther("0.85"),
+        config.liquidationThreshold,
+        config.liquidationBonus,
+        config.reserveFactor,
+        config.interestRateModel,
+        config.oracle,
+        config.liquidationEnabled
+      )).to.be.revertedWithCustomError(vault, "InvalidCollateralFactor");
+
+      await vault.updateConfig(
+        config.liquidationThreshold,
+        config.liquidationThreshold,
+        config.liquidationBonus,
+        config.reserveFactor,
+        config.interestRateModel,
+        config.oracle,
+        config.liquidationEnabled
+      );
+      expect((await vault.config()).collateralFactor).to.equal(config.liquidationThreshold);
+    });
+
+    it("Should only let the configurator update the config", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+      const config = await vault.config();
+
+      // Admins hand CONFIGURATOR_ROLE to the timelock; ADMIN_ROLE alone is not enough
+      await vault.grantRole(await vault.ADMIN_ROLE(), alice.address);
+      await expect(vault.connect(alice).updateConfig(
+        config.collateralFactor,
+        config.liquidationThreshold,
+        config.liquidationBonus,
+        config.reserveFactor,
+        config.interestRateModel,
+        config.oracle,
+        config.liquidationEnabled
+      )).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Utilization Rate", function () {
+    it("Should calculate correct utilization rate", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+
+      let utilRate = await vault.getUtilizationRate();
+      expect(utilRate).to.equal(0);
+
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
       utilRate = await vault.getUtilizationRate();
       expect(utilRate).to.be.gt(0);
       expect(utilRate).to.equal(ethers.parseEther("0.5"));
     });
   });
+
+  describe("Interest Rates", function () {
+    it("Should accrue by elapsed time rather than block count", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+      const debtBefore = await vault.getUserDebt(alice.address);
+
+      const ratePerSecond = await vault.getBorrowRatePerSecond();
+      const elapsed = 365 * 24 * 60 * 60;
+      await time.increase(elapsed);
+
+      // Compounded every second, so a year of interest is close to continuous compounding
+      const growth = Math.exp((Number(ratePerSecond) * elapsed) / 1e18) - 1;
+      const expectedInterest = ethers.parseEther((50 * growth).toFixed(18));
+      expect(await vault.getUserDebt(alice.address) - debtBefore).to.be.closeTo(
+        expectedInterest,
+        expectedInterest / 1000n
+      );
+    });
+
+    it("Should expose per-second rates from the interest rate model", async function () {
+      const { vault, asset, collateral, interestModel, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      const cash = await asset.balanceOf(await vault.getAddress());
+      const borrows = await vault.totalBorrows();
+      const reserves = await vault.totalReserves();
+      const config = await vault.config();
+
+      expect(await vault.getBorrowRatePerSecond())
+        .to.equal(await interestModel.getBorrowRatePerSecond(cash, borrows, reserves));
+      expect(await vault.getSupplyRatePerSecond())
+        .to.equal(await interestModel.getSupplyRatePerSecond(cash, borrows, reserves, config.reserveFactor));
+    });
+
+    it("Should derive per-block rates from the configured block time", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("100"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("50"));
+
+      const secondsPerYear = 365n * 24n * 60n * 60n;
+      const ratePerSecond = await vault.getBorrowRatePerSecond();
+      expect(await vault.getBorrowRatePerBlock()).to.equal((ratePerSecond * secondsPerYear) / 2628000n);
+
+      // Arbitrum produces a block roughly every 250ms
+      const arbitrumBlocksPerYear = secondsPerYear * 4n;
+      await expect(vault.setBlocksPerYear(arbitrumBlocksPerYear))
+        .to.emit(vault, "BlocksPerYearUpdated")
+        .withArgs(arbitrumBlocksPerYear);
+      expect(await vault.getBorrowRatePerBlock()).to.equal(ratePerSecond / 4n);
+    });
+
+    it("Should restrict block time configuration to admins", async function () {
+      const { vault, alice } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.connect(alice).setBlocksPerYear(1000n)).to.be.reverted;
+      await expect(vault.setBlocksPerYear(0)).to.be.revertedWithCustomError(vault, "InvalidBlocksPerYear");
+    });
+  });
+
+  describe("Flash Loans", function () {
+    async function deployFlashBorrower(vault, asset) {
+      const MockFlashBorrower = await ethers.getContractFactory("MockFlashBorrower");
+      const borrower = await MockFlashBorrower.deploy(await vault.getAddress());
+      // Pre-fund the fee
+      await asset.mint(await borrower.getAddress(), ethers.parseEther("10"));
+      return borrower;
+    }
+
+    it("Should quote the fee and the available liquidity", async function () {
+      const { vault, asset, collateral, bob } = await loadFixture(deployVaultFixture);
+      const token = await asset.getAddress();
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+
+      expect(await vault.maxFlashLoan(token)).to.equal(ethers.parseEther("1000"));
+      expect(await vault.maxFlashLoan(await collateral.getAddress())).to.equal(0);
+      expect(await vault.flashFee(token, ethers.parseEther("1000"))).to.equal(ethers.parseEther("0.9"));
+      await expect(vault.flashFee(await collateral.getAddress(), 1n))
+        .to.be.revertedWithCustomError(vault, "UnsupportedFlashLoanToken");
+    });
+
+    it("Should lend, call back and collect the fee into reserves", async function () {
+      const { vault, asset, alice, bob } = await loadFixture(deployVaultFixture);
+      const token = await asset.getAddress();
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+      const amount = ethers.parseEther("500");
+      const fee = ethers.parseEther("0.45");
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      const totalAssetsBefore = await vault.totalAssets();
+
+      await expect(flashBorrower.connect(alice).flashBorrow(token, amount, "0x"))
+        .to.emit(vault, "FlashLoan")
+        .withArgs(await flashBorrower.getAddress(), token, amount, fee);
+
+      expect(await flashBorrower.balanceDuringLoan()).to.equal(amount + ethers.parseEther("10"));
+      expect(await flashBorrower.feeReceived()).to.equal(fee);
+      expect(await flashBorrower.initiatorReceived()).to.equal(await flashBorrower.getAddress());
+      // Share price does not dip while the loan is out
+      expect(await flashBorrower.totalAssetsDuringLoan()).to.equal(totalAssetsBefore);
+
+      expect(await asset.balanceOf(await vault.getAddress())).to.equal(ethers.parseEther("1000") + fee);
+      expect(await vault.totalReserves()).to.equal(fee);
+      expect(await vault.totalAssets()).to.equal(totalAssetsBefore);
+    });
+
+    it("Should revert when the loan is not repaid", async function () {
+      const { vault, asset, bob } = await loadFixture(deployVaultFixture);
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      await flashBorrower.setAction(1);
+
+      await expect(flashBorrower.flashBorrow(await asset.getAddress(), ethers.parseEther("500"), "0x"))
+        .to.be.revertedWithCustomError(asset, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert on a wrong callback return value", async function () {
+      const { vault, asset, bob } = await loadFixture(deployVaultFixture);
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      await flashBorrower.setAction(2);
+
+      await expect(flashBorrower.flashBorrow(await asset.getAddress(), ethers.parseEther("500"), "0x"))
+        .to.be.revertedWithCustomError(vault, "InvalidFlashLoanCallback");
+    });
+
+    it("Should not allow nested flash loans", async function () {
+      const { vault, asset, bob } = await loadFixture(deployVaultFixture);
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      await flashBorrower.setAction(3);
+
+      await expect(flashBorrower.flashBorrow(await asset.getAddress(), ethers.parseEther("500"), "0x"))
+        .to.be.revertedWithCustomError(vault, "FlashLoanExceedsLiquidity");
+    });
+
+    it("Should reject loans above the available liquidity", async function () {
+      const { vault, asset, collateral, alice, bob } = await loadFixture(deployVaultFixture);
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      await depositCollateral(vault, collateral, alice, ethers.parseEther("1"));
+      await vault.connect(alice).borrow(ethers.parseEther("400"));
+
+      expect(await vault.maxFlashLoan(await asset.getAddress())).to.equal(ethers.parseEther("600"));
+      await expect(flashBorrower.flashBorrow(await asset.getAddress(), ethers.parseEther("601"), "0x"))
+        .to.be.revertedWithCustomError(vault, "FlashLoanExceedsLiquidity");
+    });
+
+    it("Should be disabled while paused", async function () {
+      const { vault, asset, bob } = await loadFixture(deployVaultFixture);
+      const flashBorrower = await deployFlashBorrower(vault, asset);
+
+      await supplyLiquidity(vault, asset, bob, ethers.parseEther("1000"));
+      await vault.pause();
+
+      expect(await vault.maxFlashLoan(await asset.getAddress())).to.equal(0);
+      await expect(flashBorrower.flashBorrow(await asset.getAddress(), ethers.parseEther("1"), "0x"))
+        .to.be.revertedWithCustomError(vault, "EnforcedPause");
+    });
+
+    it("Should let admins set the fee within bounds", async function () {
+      const { vault, asset, alice } = await loadFixture(deployVaultFixture);
+
+      await expect(vault.setFlashLoanFee(ethers.parseEther("0.005")))
+        .to.emit(vault, "FlashLoanFeeUpdated")
+        .withArgs(ethers.parseEther("0.005"));
+      expect(await vault.flashFee(await asset.getAddress(), ethers.parseEther("100"))).to.equal(ethers.parseEther("0.5"));
+
+      await expect(vault.setFlashLoanFee(ethers.parseEther("0.02")))
+        .to.be.revertedWithCustomError(vault, "InvalidFlashLoanFee");
+      await expect(vault.connect(alice).setFlashLoanFee(0)).to.be.reverted;
+    });
+  });
 });
\ No newline at end of file
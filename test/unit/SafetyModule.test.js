@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SafetyModule", function () {
+  async function deploySafetyModuleFixture() {
+    const [owner, vault, alice] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy("Mock Token", "MTK", 18);
+
+    const SafetyModule = await ethers.getContractFactory("SafetyModule");
+    const safetyModule = await SafetyModule.deploy();
+
+    await asset.mint(await safetyModule.getAddress(), ethers.parseEther("1000"));
+
+    return { safetyModule, asset, owner, vault, alice };
+  }
+
+  describe("Coverage", function () {
+    it("Should pay covered vaults up to its balance", async function () {
+      const { safetyModule, asset, vault } = await loadFixture(deploySafetyModuleFixture);
+      const assetAddress = await asset.getAddress();
+
+      await expect(safetyModule.setVaultCovered(vault.address, true))
+        .to.emit(safetyModule, "VaultCovered")
+        .withArgs(vault.address, true);
+
+      await expect(safetyModule.connect(vault).coverShortfall(assetAddress, ethers.parseEther("400")))
+        .to.emit(safetyModule, "ShortfallCovered")
+        .withArgs(vault.address, assetAddress, ethers.parseEther("400"), ethers.parseEther("400"));
+
+      await safetyModule.connect(vault).coverShortfall(assetAddress, ethers.parseEther("1000"));
+      expect(await asset.balanceOf(vault.address)).to.equal(ethers.parseEther("1000"));
+      expect(await asset.balanceOf(await safetyModule.getAddress())).to.equal(0);
+    });
+
+    it("Should reject vaults that are not covered", async function () {
+      const { safetyModule, asset, vault } = await loadFixture(deploySafetyModuleFixture);
+
+      await expect(safetyModule.connect(vault).coverShortfall(await asset.getAddress(), 1n))
+        .to.be.revertedWith("Vault is not covered");
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should let the owner withdraw funds", async function () {
+      const { safetyModule, asset, alice } = await loadFixture(deploySafetyModuleFixture);
+
+      await expect(safetyModule.withdraw(await asset.getAddress(), ethers.parseEther("300"), alice.address))
+        .to.emit(safetyModule, "FundsWithdrawn")
+        .withArgs(await asset.getAddress(), alice.address, ethers.parseEther("300"));
+      expect(await asset.balanceOf(alice.address)).to.equal(ethers.parseEther("300"));
+    });
+
+    it("Should restrict administration to the owner", async function () {
+      const { safetyModule, asset, alice } = await loadFixture(deploySafetyModuleFixture);
+
+      await expect(safetyModule.connect(alice).setVaultCovered(alice.address, true))
+        .to.be.revertedWithCustomError(safetyModule, "OwnableUnauthorizedAccount");
+      await expect(safetyModule.connect(alice).withdraw(await asset.getAddress(), 1n, alice.address))
+        .to.be.revertedWithCustomError(safetyModule, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file